@@ -0,0 +1,243 @@
+/**
+ * Configuración de Roles y Permisos de la API
+ *
+ * File: src/config/permisos.js
+ *
+ * Descripción:
+ * - Permisos de cada rol de usuarios.rol (superadmin, administrador, operador)
+ * - Jerarquía de roles: un usuario solo gestiona usuarios de nivel inferior al suyo
+ *   (el superadmin, a todos)
+ * - Mapa declarativo de cada ruta protegida v2 al permiso que requiere
+ * - authMiddleware carga el rol del usuario y aplica este mapa en cada solicitud
+ *
+ * Notas:
+ * - Los permisos tienen la forma "modulo.accion"
+ * - Una ruta con authMiddleware que no esté en el mapa se rechaza: toda ruta nueva
+ *   debe declarar aquí su permiso
+ */
+
+const ROLES = ['superadmin', 'administrador', 'operador'];
+
+const PERMISOS_OPERADOR = [
+  'clientes.ver',
+  'medidores.ver',
+  'medidores.fotos',
+  'tarifas.ver',
+  'facturas.ver',
+  'pagos.ver',
+  'pagos.registrar',
+  'cajas.operar',
+  'rutas.ver',
+  'rutas.incidencias',
+  'lecturas.ver',
+  'lecturas.registrar',
+  'fotos.ver',
+  'periodos.ver',
+  'eventos.ver',
+  'sesiones.propias',
+  'cuenta.contrasena'
+];
+
+const PERMISOS_ADMINISTRADOR = [
+  ...PERMISOS_OPERADOR,
+  'usuarios.crear',
+  'usuarios.ver',
+  'usuarios.modificar',
+  'usuarios.desactivar',
+  'usuarios.restablecer_contrasena',
+  'sesiones.ver',
+  'sesiones.revocar',
+  'clientes.crear',
+  'clientes.modificar',
+  'medidores.crear',
+  'medidores.modificar',
+  'tarifas.crear',
+  'tarifas.modificar',
+  'facturas.generar',
+  'facturas.modificar',
+  'facturas.cancelar',
+  'facturas.notas',
+  'pagos.modificar',
+  'pagos.anular',
+  'cajas.ver',
+  'cajas.supervisar',
+  'rutas.crear',
+  'rutas.modificar',
+  'lecturas.modificar',
+  'lecturas.revisar',
+  'periodos.administrar',
+  'corridas.ver',
+  'corridas.administrar',
+  'eventos.notificar'
+];
+
+// Nivel de cada rol: quien gestiona usuarios solo actúa sobre (y asigna) roles de nivel inferior al suyo.
+// Un administrador no edita, degrada ni desactiva a otro administrador; el superadmin gestiona a todos
+// porque no hay un nivel por encima que pueda hacerlo
+const JERARQUIA_ROLES = {
+  superadmin: 3,
+  administrador: 2,
+  operador: 1
+};
+
+const PERMISOS_POR_ROL = {
+  superadmin: [...PERMISOS_ADMINISTRADOR, 'usuarios.asignar_superadmin'],
+  administrador: PERMISOS_ADMINISTRADOR,
+  operador: PERMISOS_OPERADOR
+};
+
+// "METODO /modulo/ruta" (tal como se declara en el router) -> permiso requerido
+const PERMISOS_POR_RUTA = {
+  // Auth
+  'POST /auth/register': 'usuarios.crear',
+  // Las sesiones de otros usuarios requieren además sesiones.ver / sesiones.revocar (en el controlador)
+  'GET /auth/sesionesActivas/:usuarioId': 'sesiones.propias',
+  'DELETE /auth/sesionesActivas/:usuarioId': 'sesiones.propias',
+  'DELETE /auth/sesiones/:id': 'sesiones.propias',
+  'POST /auth/cambiar-contrasena': 'cuenta.contrasena',
+  'POST /auth/usuarios/:id/restablecer-contrasena': 'usuarios.restablecer_contrasena',
+
+  // Usuarios
+  'POST /usuarios/registrar': 'usuarios.crear',
+  'GET /usuarios/listar': 'usuarios.ver',
+  'GET /usuarios/:id': 'usuarios.ver',
+  'PUT /usuarios/modificar/:id': 'usuarios.modificar',
+  'PUT /usuarios/:id/rol': 'usuarios.modificar',
+  'POST /usuarios/:id/desactivar': 'usuarios.desactivar',
+  'POST /usuarios/:id/reactivar': 'usuarios.desactivar',
+
+  // Clientes
+  'POST /clientes/registrar': 'clientes.crear',
+  'GET /clientes/listar': 'clientes.ver',
+  'PUT /clientes/modificar/:id': 'clientes.modificar',
+  'GET /clientes/:id/saldo-favor': 'clientes.ver',
+  'GET /clientes/:id/estado-cuenta': 'clientes.ver',
+
+  // Medidores
+  'POST /medidores/registrar': 'medidores.crear',
+  'GET /medidores/listar': 'medidores.ver',
+  'PUT /medidores/modificar/:id': 'medidores.modificar',
+  'POST /medidores/:id/cambiar': 'medidores.modificar',
+  'POST /medidores/:id/fotos': 'medidores.fotos',
+
+  // Tarifas
+  'POST /tarifas/registrar': 'tarifas.crear',
+  'POST /tarifas/registrar-rangos': 'tarifas.crear',
+  'GET /tarifas/listar': 'tarifas.ver',
+  'GET /tarifas/listarHistorico': 'tarifas.ver',
+  'PUT /tarifas/modificar/:id': 'tarifas.modificar',
+  'PUT /tarifas/modificar-rangos/:id': 'tarifas.modificar',
+  'POST /tarifas/:id/simular': 'tarifas.ver',
+
+  // Facturas
+  'POST /facturas/generar': 'facturas.generar',
+  'GET /facturas/listar': 'facturas.ver',
+  'GET /facturas/listar/:id': 'facturas.ver',
+  'PUT /facturas/modificar/:id': 'facturas.modificar',
+  'POST /facturas/procesar-vencidas': 'facturas.modificar',
+  'POST /facturas/:id/cancelar': 'facturas.cancelar',
+  'POST /facturas/:id/notas': 'facturas.notas',
+  'GET /facturas/:id/pdf': 'facturas.ver',
+
+  // Pagos
+  'POST /pagos/registrar': 'pagos.registrar',
+  'GET /pagos/listar': 'pagos.ver',
+  'GET /pagos/listar/:id': 'pagos.ver',
+  'PUT /pagos/modificar/:id': 'pagos.modificar',
+  'GET /pagos/:id/recibo.pdf': 'pagos.ver',
+  'POST /pagos/cliente': 'pagos.registrar',
+  'GET /pagos/recibos/:id': 'pagos.ver',
+  'GET /pagos/recibos/:id/pdf': 'pagos.ver',
+  'POST /pagos/:id/anular': 'pagos.anular',
+  'POST /pagos/recibos/:id/anular': 'pagos.anular',
+
+  // Cajas (las de otros cajeros requieren además cajas.supervisar, en el controlador)
+  'POST /cajas/abrir': 'cajas.operar',
+  'GET /cajas/listar': 'cajas.ver',
+  'GET /cajas/abierta/:usuario_id': 'cajas.operar',
+  'GET /cajas/:id': 'cajas.operar',
+  'POST /cajas/:id/cerrar': 'cajas.operar',
+
+  // Rutas
+  'POST /rutas/crear': 'rutas.crear',
+  'POST /rutas/agregar-medidor': 'rutas.modificar',
+  'GET /rutas/:ruta_id/medidores': 'rutas.ver',
+  'GET /rutas/listar/': 'rutas.ver',
+  'PUT /rutas/:id/revision': 'rutas.modificar',
+  'GET /rutas/incidencias/codigos': 'rutas.ver',
+  'POST /rutas/:id/incidencias': 'rutas.incidencias',
+  'GET /rutas/:id/incidencias': 'rutas.ver',
+  'DELETE /rutas/:id/incidencias/:incidencia_id': 'rutas.incidencias',
+
+  // Lecturas
+  'POST /lecturas/registrar': 'lecturas.registrar',
+  'GET /lecturas/listar': 'lecturas.ver',
+  'GET /lecturas/listar/:id': 'lecturas.ver',
+  'PUT /lecturas/modificar/:id': 'lecturas.modificar',
+  'GET /lecturas/por-ruta': 'lecturas.ver',
+  'POST /lecturas/generar-facturas-masivo': 'facturas.generar',
+  'GET /lecturas/anomalias': 'lecturas.ver',
+  'POST /lecturas/:id/revisar': 'lecturas.revisar',
+  'POST /lecturas/revision': 'lecturas.revisar',
+  'POST /lecturas/sync': 'lecturas.registrar',
+  'POST /lecturas/:id/fotos': 'lecturas.registrar',
+
+  // Fotos
+  'GET /fotos/:id': 'fotos.ver',
+  'GET /fotos/:id/miniatura': 'fotos.ver',
+
+  // Periodos y corridas de facturación
+  'POST /periodos/registrar': 'periodos.administrar',
+  'GET /periodos/listar': 'periodos.ver',
+  'GET /periodos/actual': 'periodos.ver',
+  'GET /periodos/:periodo': 'periodos.ver',
+  'PUT /periodos/modificar/:periodo': 'periodos.administrar',
+  'PUT /periodos/:periodo/estado': 'periodos.administrar',
+  'POST /corridas/vista-previa': 'corridas.administrar',
+  'GET /corridas/listar': 'corridas.ver',
+  'GET /corridas/:id': 'corridas.ver',
+  'POST /corridas/:id/aplicar': 'corridas.administrar',
+  'POST /corridas/:id/descartar': 'corridas.administrar',
+
+  // Eventos (SSE)
+  'GET /events/stats': 'eventos.ver',
+  'POST /events/notify': 'eventos.notificar'
+};
+
+/**
+ * Indica si un rol tiene un permiso
+ */
+const tienePermiso = (rol, permiso) => {
+  return (PERMISOS_POR_ROL[rol] || []).includes(permiso);
+};
+
+/**
+ * Indica si un rol puede gestionar a un usuario con otro rol (o asignarle ese rol):
+ * solo roles de nivel inferior, salvo el superadmin, que gestiona a todos
+ */
+const puedeGestionarRol = (rolActor, rolObjetivo) => {
+  if (rolActor === 'superadmin') {
+    return JERARQUIA_ROLES[rolObjetivo] !== undefined;
+  }
+
+  return (JERARQUIA_ROLES[rolActor] || 0) > (JERARQUIA_ROLES[rolObjetivo] || Infinity);
+};
+
+/**
+ * Permiso requerido por una ruta: método HTTP + base del router (sin /api/vN) + ruta declarada.
+ * Devuelve undefined si la ruta no está en el mapa.
+ */
+const permisoDeRuta = (metodo, baseUrl, rutaDeclarada) => {
+  const modulo = baseUrl.replace(/^\/api\/v\d+/, '');
+  return PERMISOS_POR_RUTA[`${metodo} ${modulo}${rutaDeclarada}`];
+};
+
+export {
+  ROLES,
+  JERARQUIA_ROLES,
+  PERMISOS_POR_ROL,
+  PERMISOS_POR_RUTA,
+  tienePermiso,
+  puedeGestionarRol,
+  permisoDeRuta
+};
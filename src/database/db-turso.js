@@ -1,6 +1,7 @@
 //conexion base de datos
 // src/database/db.js
 import { createClient } from "@libsql/client";
+import { migrarBaseDeDatos, adaptadorLibsql } from './migraciones.js';
 
 const dbTurso = createClient({
   url: process.env.TURSO_DATABASE_URL,
@@ -51,8 +52,46 @@ async function executeQuery(query) {
   };
 }
 
+/**
+ * Ejecuta una operación de varios pasos como una sola transacción de escritura.
+ * La operación recibe la transacción (mismo execute que dbTurso) y todas sus
+ * escrituras deben ir por ella. Si la operación lanza un error no queda ningún
+ * cambio y el error se propaga; para abortar sin error puede llamar a
+ * tx.rollback(). Si termina normalmente, los cambios se confirman juntos.
+ */
+async function withTransaction(operacion) {
+  const tx = await dbTurso.transaction('write');
+
+  try {
+    const resultado = await operacion(tx);
+
+    if (!tx.closed) {
+      await tx.commit();
+    }
+
+    return resultado;
+  } finally {
+    tx.close(); // Revierte lo pendiente si la operación falló
+  }
+}
+
+/**
+ * Ejecuta una lista fija de sentencias en una sola transacción (todas o ninguna)
+ */
+async function executeBatch(sentencias) {
+  return dbTurso.batch(sentencias, 'write');
+}
+
+/**
+ * Aplica las migraciones pendientes y crea las tablas que falten (ver migraciones.js).
+ * Se llama una vez al arrancar el servidor, antes de atender peticiones.
+ */
+async function inicializarBaseDeDatos() {
+  return migrarBaseDeDatos(adaptadorLibsql(dbTurso));
+}
+
 // Exportación por defecto
 export default dbTurso;
 
 // Exportación con función helper
-export { executeQuery, convertBigIntToNumber };
+export { executeQuery, convertBigIntToNumber, withTransaction, executeBatch, inicializarBaseDeDatos };
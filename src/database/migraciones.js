@@ -0,0 +1,227 @@
+// Migraciones del esquema
+// src/database/migraciones.js
+//
+// schema.js solo crea lo que no existe (CREATE ... IF NOT EXISTS), así que una base ya
+// creada no recibe por ahí columnas nuevas, CHECK modificados ni triggers corregidos.
+// Cada cambio sobre tablas existentes se registra aquí como una migración numerada; las
+// aplicadas quedan en schema_migraciones y no se vuelven a correr.
+//
+// Orden al arrancar: migraciones pendientes y después setupSQL (que crea tablas, índices
+// y triggers faltantes, incluidos los que una migración haya quitado para reemplazarlos).
+// Cada migración revisa el estado real de la base, de modo que en una base nueva no hace nada.
+//
+// Las funciones trabajan sobre un adaptador con la misma forma para sqlite3 y libsql/Turso:
+// - consultar(sql, args): Promise<Object[]> - filas
+// - ejecutar(sql, args): Promise<void>
+// - ejecutarScript(sql): Promise<void> - varias sentencias separadas por ';'
+
+import { setupSQL } from './schema.js';
+
+/**
+ * Adaptador para una conexión sqlite3 (db.js)
+ * @param {import('sqlite3').Database} db
+ */
+export const adaptadorSqlite3 = (db) => ({
+    consultar: (sql, args = []) => new Promise((resolve, reject) => {
+        db.all(sql, args, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    ejecutar: (sql, args = []) => new Promise((resolve, reject) => {
+        db.run(sql, args, (err) => (err ? reject(err) : resolve()));
+    }),
+    ejecutarScript: (sql) => new Promise((resolve, reject) => {
+        db.exec(sql, (err) => (err ? reject(err) : resolve()));
+    })
+});
+
+/**
+ * Adaptador para un cliente de @libsql/client (db-turso.js)
+ * @param {import('@libsql/client').Client} client
+ */
+export const adaptadorLibsql = (client) => ({
+    consultar: async (sql, args = []) => (await client.execute({ sql, args })).rows,
+    ejecutar: async (sql, args = []) => {
+        await client.execute({ sql, args });
+    },
+    ejecutarScript: (sql) => client.executeMultiple(sql)
+});
+
+const existeTabla = async (db, tabla) => {
+    const rows = await db.consultar(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`, [tabla]);
+    return rows.length > 0 ? rows[0].sql : null;
+};
+
+const columnasDe = async (db, tabla) => {
+    const rows = await db.consultar(`PRAGMA table_info(${tabla})`);
+    return rows.map((row) => row.name);
+};
+
+/**
+ * Agrega a una tabla existente las columnas que le falten
+ * @param {Object} db - Adaptador
+ * @param {string} tabla
+ * @param {Object<string, string>} columnas - nombre → definición (tipo, DEFAULT constante, CHECK)
+ */
+const agregarColumnas = async (db, tabla, columnas) => {
+    if (!(await existeTabla(db, tabla))) return;
+
+    const actuales = await columnasDe(db, tabla);
+
+    for (const [columna, definicion] of Object.entries(columnas)) {
+        if (!actuales.includes(columna)) {
+            await db.ejecutar(`ALTER TABLE ${tabla} ADD COLUMN ${columna} ${definicion}`);
+        }
+    }
+};
+
+/**
+ * Reconstruye una tabla con su definición actual de schema.js conservando los datos.
+ * Es la única forma en SQLite de cambiar un CHECK, agregar un UNIQUE o una columna con
+ * DEFAULT no constante. Los triggers e índices de la tabla se pierden con el DROP y
+ * setupSQL los vuelve a crear.
+ * @param {Object} db - Adaptador
+ * @param {string} tabla
+ * @param {function(string): boolean} estaAlDia - Recibe el CREATE actual; true si no hace falta reconstruir
+ */
+const reconstruirTabla = async (db, tabla, estaAlDia) => {
+    const sqlActual = await existeTabla(db, tabla);
+    if (!sqlActual || estaAlDia(sqlActual)) return;
+
+    const definicion = setupSQL.match(new RegExp(`CREATE TABLE IF NOT EXISTS ${tabla} \\(([\\s\\S]*?)\\n\\);`));
+    if (!definicion) {
+        throw new Error(`No se encontró la definición de la tabla ${tabla} en schema.js`);
+    }
+
+    const temporal = `${tabla}_migracion`;
+    await db.ejecutar(`DROP TABLE IF EXISTS ${temporal}`);
+    await db.ejecutar(`CREATE TABLE ${temporal} (${definicion[1]}\n)`);
+
+    const nuevas = await columnasDe(db, temporal);
+    const comunes = (await columnasDe(db, tabla)).filter((columna) => nuevas.includes(columna)).join(', ');
+    const [{ foreign_keys: llavesForaneas }] = await db.consultar('PRAGMA foreign_keys');
+
+    // legacy_alter_table evita que el RENAME revise los triggers de otras tablas que
+    // apuntan a la tabla mientras no existe
+    try {
+        await db.ejecutarScript(`
+            PRAGMA foreign_keys = OFF;
+            PRAGMA legacy_alter_table = ON;
+            BEGIN;
+            INSERT INTO ${temporal} (${comunes}) SELECT ${comunes} FROM ${tabla};
+            DROP TABLE ${tabla};
+            ALTER TABLE ${temporal} RENAME TO ${tabla};
+            COMMIT;
+        `);
+    } catch (error) {
+        await db.ejecutarScript('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        await db.ejecutarScript(`
+            PRAGMA legacy_alter_table = OFF;
+            PRAGMA foreign_keys = ${Number(llavesForaneas) ? 'ON' : 'OFF'};
+        `);
+    }
+};
+
+/**
+ * Quita un trigger cuya definición quedó vieja para que setupSQL lo cree de nuevo
+ * @param {Object} db - Adaptador
+ * @param {string} trigger
+ * @param {function(string): boolean} estaAlDia - Recibe el CREATE actual
+ */
+const reemplazarTrigger = async (db, trigger, estaAlDia) => {
+    const rows = await db.consultar(`SELECT sql FROM sqlite_master WHERE type = 'trigger' AND name = ?`, [trigger]);
+
+    if (rows.length > 0 && !estaAlDia(rows[0].sql)) {
+        await db.ejecutar(`DROP TRIGGER ${trigger}`);
+    }
+};
+
+/**
+ * Migraciones en orden. Una vez publicada, una migración no se modifica: los cambios
+ * nuevos van en una versión nueva.
+ */
+export const MIGRACIONES = [
+    {
+        version: 1,
+        descripcion: 'Columnas nuevas de medidores, usuarios, lecturas y rutas',
+        aplicar: async (db) => {
+            await agregarColumnas(db, 'medidores', {
+                lectura_inicial: 'NUMERIC NOT NULL DEFAULT 0 CHECK (lectura_inicial >= 0)',
+                digitos: 'INTEGER CHECK (digitos BETWEEN 1 AND 12)'
+            });
+
+            await agregarColumnas(db, 'usuarios', {
+                intentos_fallidos: 'INTEGER NOT NULL DEFAULT 0',
+                bloqueado_hasta: 'DATETIME',
+                contrasena_actualizada_en: 'DATETIME',
+                activo: 'BOOLEAN NOT NULL DEFAULT 1',
+                fecha_desactivacion: 'DATETIME'
+            });
+
+            await agregarColumnas(db, 'lecturas', {
+                uuid: 'TEXT',
+                lectura_actual: 'NUMERIC CHECK (lectura_actual >= 0)',
+                lectura_anterior: 'NUMERIC',
+                calculo_consumo: `TEXT NOT NULL DEFAULT 'manual' CHECK (calculo_consumo IN ('manual', 'diferencia', 'vuelta', 'cambio_medidor'))`,
+                anomalia: `TEXT CHECK (anomalia IN ('consumo_cero', 'consumo_negativo', 'consumo_alto'))`,
+                anomalia_detalle: 'TEXT',
+                estado_revision: `TEXT NOT NULL DEFAULT 'no_requerida' CHECK (estado_revision IN ('no_requerida', 'capturada', 'pendiente', 'aprobada', 'rechazada'))`,
+                revisado_por: 'INTEGER REFERENCES usuarios(id)',
+                fecha_revision: 'DATETIME',
+                observaciones_revision: 'TEXT'
+            });
+
+            await agregarColumnas(db, 'rutas', {
+                requiere_revision: 'INTEGER NOT NULL DEFAULT 0 CHECK (requiere_revision IN (0, 1))'
+            });
+        }
+    },
+    {
+        version: 2,
+        descripcion: 'Reconstruir facturas (estado Cancelada, estimada), pagos (Saldo a favor, recibo y caja) y sesiones (vencimiento y refresh token)',
+        aplicar: async (db) => {
+            await reconstruirTabla(db, 'facturas', (sql) => sql.includes(`'Cancelada'`));
+            await reconstruirTabla(db, 'pagos', (sql) => sql.includes(`'Saldo a favor'`));
+            await reconstruirTabla(db, 'sesiones', (sql) => sql.includes('refresh_token'));
+        }
+    },
+    {
+        version: 3,
+        descripcion: 'El trigger actualizar_estado_factura ya no marca como pagadas las facturas canceladas',
+        aplicar: async (db) => {
+            await reemplazarTrigger(db, 'actualizar_estado_factura', (sql) => sql.includes(`'Cancelada'`));
+        }
+    }
+];
+
+/**
+ * Aplica las migraciones pendientes y después crea lo que falte del esquema
+ * @param {Object} db - Adaptador (adaptadorSqlite3 o adaptadorLibsql)
+ * @returns {Promise<{aplicadas: Array<{version: number, descripcion: string}>}>}
+ */
+export const migrarBaseDeDatos = async (db) => {
+    await db.ejecutar(`
+        CREATE TABLE IF NOT EXISTS schema_migraciones (
+            version INTEGER PRIMARY KEY,
+            descripcion TEXT NOT NULL,
+            fecha_aplicacion DATETIME DEFAULT (datetime('now'))
+        )
+    `);
+
+    const registradas = new Set(
+        (await db.consultar('SELECT version FROM schema_migraciones')).map((row) => Number(row.version))
+    );
+    const aplicadas = [];
+
+    for (const { version, descripcion, aplicar } of MIGRACIONES) {
+        if (registradas.has(version)) continue;
+
+        await aplicar(db);
+        await db.ejecutar('INSERT INTO schema_migraciones (version, descripcion) VALUES (?, ?)', [version, descripcion]);
+        aplicadas.push({ version, descripcion });
+    }
+
+    await db.ejecutarScript(setupSQL);
+
+    return { aplicadas };
+};
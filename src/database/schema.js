@@ -0,0 +1,614 @@
+// Esquema de la base de datos
+// src/database/schema.js
+//
+// Compartido por la conexión local (db.js) y la de Turso (db-turso.js). Solo crea lo que
+// falta; los cambios sobre tablas ya existentes van como migraciones en migraciones.js.
+
+export const setupSQL = `
+-- 🚀 Clientes ###################################################################
+CREATE TABLE IF NOT EXISTS clientes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nombre TEXT NOT NULL,
+    direccion TEXT NOT NULL,
+    telefono TEXT NOT NULL,
+    ciudad TEXT NOT NULL,
+    correo TEXT,
+    estado_cliente TEXT NOT NULL DEFAULT 'Activo',
+    tarifa_id INTEGER REFERENCES tarifas(id), -- 🔹 Tarifa asignada
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now')),
+    UNIQUE(nombre, telefono)
+);
+
+
+-- 🚀 Medidores ###################################################################
+CREATE TABLE IF NOT EXISTS medidores (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cliente_id INTEGER REFERENCES clientes(id),
+    numero_serie TEXT NOT NULL UNIQUE,
+    ubicacion TEXT,
+    fecha_instalacion DATE,
+    latitud NUMERIC,
+    longitud NUMERIC,
+    estado_medidor TEXT NOT NULL CHECK (estado_medidor IN ('Activo', 'Inactivo', 'Retirado','No instalado')),
+    lectura_inicial NUMERIC NOT NULL DEFAULT 0 CHECK (lectura_inicial >= 0), -- Registro al instalarse
+    digitos INTEGER CHECK (digitos BETWEEN 1 AND 12),       -- Capacidad del registro (10^digitos) para detectar vueltas
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+-- Reemplazos del medidor físico conservando el mismo medidor_id
+-- El consumo del periodo del cambio suma lo que marcó el retirado y lo que lleva el nuevo
+CREATE TABLE IF NOT EXISTS medidor_cambios (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    medidor_id INTEGER NOT NULL REFERENCES medidores(id),
+    fecha_cambio DATE NOT NULL,
+    numero_serie_anterior TEXT,
+    numero_serie_nuevo TEXT,
+    lectura_retiro NUMERIC NOT NULL CHECK (lectura_retiro >= 0),   -- Registro del medidor retirado
+    digitos_anterior INTEGER,
+    lectura_inicial NUMERIC NOT NULL DEFAULT 0 CHECK (lectura_inicial >= 0), -- Registro del medidor nuevo
+    motivo TEXT,
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_medidor_cambios_medidor ON medidor_cambios(medidor_id, fecha_cambio);
+
+--  Tabla para historial de asignaciones de medidores a clientes 
+CREATE TABLE IF NOT EXISTS cliente_medidor_historial (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cliente_id INTEGER NOT NULL REFERENCES clientes(id),
+    medidor_id INTEGER NOT NULL REFERENCES medidores(id),
+    fecha_inicio DATE NOT NULL DEFAULT (date('now')),
+    fecha_fin DATE,
+    asignado_por INTEGER REFERENCES usuarios(id),
+    UNIQUE(cliente_id, medidor_id, fecha_inicio)
+);
+
+-- Triger de actualización de cliente_medidor_historial
+CREATE TRIGGER IF NOT EXISTS cerrar_historial_asignacion_anterior
+BEFORE UPDATE OF cliente_id ON medidores
+FOR EACH ROW
+WHEN OLD.cliente_id IS NOT NULL AND NEW.cliente_id != OLD.cliente_id
+BEGIN
+  UPDATE cliente_medidor_historial
+  SET fecha_fin = date('now')
+  WHERE medidor_id = OLD.id AND fecha_fin IS NULL;
+END;
+
+
+CREATE TRIGGER IF NOT EXISTS registrar_historial_asignacion
+AFTER UPDATE OF cliente_id ON medidores
+FOR EACH ROW
+WHEN NEW.cliente_id IS NOT NULL AND NEW.cliente_id != OLD.cliente_id
+BEGIN
+  INSERT INTO cliente_medidor_historial (cliente_id, medidor_id, fecha_inicio)
+  VALUES (NEW.cliente_id, NEW.id, date('now'));
+END;
+
+
+-- 🚀 Usuarios ###################################################################
+CREATE TABLE IF NOT EXISTS usuarios (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    correo TEXT NOT NULL UNIQUE,
+    nombre TEXT,
+    contraseña TEXT NOT NULL,
+    username TEXT NOT NULL UNIQUE,
+    rol TEXT NOT NULL CHECK (rol IN ('superadmin', 'administrador', 'operador')),
+    fecha_creacion DATETIME DEFAULT (datetime('now')),
+    intentos_fallidos INTEGER NOT NULL DEFAULT 0,  -- logins fallidos seguidos desde el último exitoso
+    bloqueado_hasta DATETIME,                      -- cuenta bloqueada hasta esta fecha por intentos fallidos
+    contrasena_actualizada_en DATETIME,
+    activo BOOLEAN NOT NULL DEFAULT 1,             -- baja lógica: un usuario desactivado no puede iniciar sesión
+    fecha_desactivacion DATETIME
+);
+
+-- Cada intento de inicio de sesión (exitoso o no)
+CREATE TABLE IF NOT EXISTS intentos_login (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    usuario_id INTEGER REFERENCES usuarios(id),  -- NULL si el correo no corresponde a ningún usuario
+    correo TEXT NOT NULL,
+    resultado TEXT NOT NULL CHECK (resultado IN ('exitoso', 'usuario_no_encontrado', 'contrasena_incorrecta', 'cuenta_bloqueada', 'usuario_inactivo')),
+    direccion_ip TEXT,
+    dispositivo TEXT,
+    fecha DATETIME DEFAULT (datetime('now'))
+);
+CREATE INDEX IF NOT EXISTS idx_intentos_login_usuario ON intentos_login(usuario_id, fecha);
+
+-- Tokens de un solo uso para restablecer la contraseña (solo se guarda su hash)
+CREATE TABLE IF NOT EXISTS restablecimientos_contrasena (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id),
+    token_hash TEXT NOT NULL UNIQUE,
+    solicitado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now')),
+    expira_en DATETIME NOT NULL,
+    usado_en DATETIME
+);
+
+
+-- 🚀 Tarifas ###################################################################
+CREATE TABLE IF NOT EXISTS tarifas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nombre TEXT NOT NULL,
+    descripcion TEXT NOT NULL,
+    fecha_inicio DATE NOT NULL,
+    fecha_fin DATE CHECK (fecha_fin IS NULL OR fecha_fin > fecha_inicio),
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+    
+);
+
+-- 🚀 Rangos por tarifa (bloques de consumo)
+CREATE TABLE IF NOT EXISTS rangos_tarifas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tarifa_id INTEGER NOT NULL REFERENCES tarifas(id) ON DELETE CASCADE,
+    consumo_min INTEGER NOT NULL,                   -- Mínimo incluido
+    consumo_max INTEGER,                            -- Máximo incluido, NULL si es el último bloque abierto
+    precio_por_m3 NUMERIC NOT NULL,
+    UNIQUE(tarifa_id, consumo_min)
+);
+
+-- 🚀 Historial de tarifas (rangos)
+CREATE TABLE IF NOT EXISTS historial_tarifas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tarifa_id INTEGER REFERENCES tarifas(id),
+    rango_id INTEGER REFERENCES rangos_tarifas(id),
+    fecha_cambio DATETIME DEFAULT (datetime('now')),
+    consumo_min INTEGER,
+    consumo_max INTEGER,
+    precio_anterior NUMERIC,
+    precio_nuevo NUMERIC NOT NULL
+);
+
+-- 🚀 Periodos de facturación ####################################################
+-- Un registro por mes (AAAA-MM). Estados: abierto → en_lectura → facturado → cerrado;
+-- un periodo cerrado bloquea las ediciones de sus lecturas, facturas y pagos
+CREATE TABLE IF NOT EXISTS periodos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    periodo TEXT NOT NULL UNIQUE CHECK (periodo GLOB '[0-9][0-9][0-9][0-9]-[01][0-9]'),
+    fecha_inicio DATE NOT NULL,
+    fecha_fin DATE NOT NULL CHECK (fecha_fin >= fecha_inicio),
+    estado TEXT NOT NULL DEFAULT 'abierto' CHECK (estado IN ('abierto', 'en_lectura', 'facturado', 'cerrado')),
+    fecha_cierre DATETIME,
+    cerrado_por INTEGER REFERENCES usuarios(id),
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+-- 🚀 Lecturas ###################################################################
+CREATE TABLE IF NOT EXISTS lecturas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    uuid TEXT,                                              -- Generado por el dispositivo de campo (sincronización offline)
+    medidor_id INTEGER REFERENCES medidores(id),
+    ruta_id INTEGER REFERENCES rutas(id),
+    fecha_lectura DATE NOT NULL,
+    consumo_m3 NUMERIC NOT NULL,                            -- Derivado del registro salvo calculo_consumo = 'manual'
+    lectura_actual NUMERIC CHECK (lectura_actual >= 0),     -- Valor del registro capturado en campo
+    lectura_anterior NUMERIC,                               -- Base usada para derivar el consumo
+    calculo_consumo TEXT NOT NULL DEFAULT 'manual' CHECK (
+        calculo_consumo IN ('manual', 'diferencia', 'vuelta', 'cambio_medidor')
+    ),
+    anomalia TEXT CHECK (anomalia IN ('consumo_cero', 'consumo_negativo', 'consumo_alto')),
+    anomalia_detalle TEXT,                                  -- JSON con promedio, periodo anterior y variación
+    estado_revision TEXT NOT NULL DEFAULT 'no_requerida' CHECK (
+        estado_revision IN ('no_requerida', 'capturada', 'pendiente', 'aprobada', 'rechazada')
+    ),                                                      -- Solo 'no_requerida' y 'aprobada' se facturan
+    revisado_por INTEGER REFERENCES usuarios(id),
+    fecha_revision DATETIME,
+    observaciones_revision TEXT,
+    periodo TEXT, -- CAMBIO AQUi a tipo texto 
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now')),
+    UNIQUE(medidor_id, periodo) -- Un medidor no puede tener dos lecturas en el mismo periodo
+);
+
+CREATE INDEX IF NOT EXISTS idx_lecturas_revision ON lecturas(estado_revision);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_lecturas_uuid ON lecturas(uuid);
+
+-- Fotos de evidencia: carátula del medidor al tomar la lectura e instalación del medidor
+-- Los archivos viven en el backend de almacenamiento (disco local por defecto); aquí solo las claves
+CREATE TABLE IF NOT EXISTS fotos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    entidad TEXT NOT NULL CHECK (entidad IN ('lectura', 'medidor')),
+    entidad_id INTEGER NOT NULL,
+    tipo TEXT NOT NULL CHECK (tipo IN ('caratula', 'instalacion')),
+    almacenamiento TEXT NOT NULL DEFAULT 'local',          -- Backend donde se guardó el archivo
+    clave_archivo TEXT NOT NULL,
+    clave_miniatura TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    tamano_bytes INTEGER NOT NULL,
+    ancho INTEGER,
+    alto INTEGER,
+    fecha_captura DATETIME,                                 -- Reportada por el dispositivo
+    latitud REAL CHECK (latitud BETWEEN -90 AND 90),
+    longitud REAL CHECK (longitud BETWEEN -180 AND 180),
+    subido_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_fotos_entidad ON fotos(entidad, entidad_id);
+
+-- Visitas sin lectura: el lecturista llegó a la parada pero no pudo leer el medidor
+-- Cuentan como visitadas en el avance de la ruta y permiten facturar el periodo por estimación
+CREATE TABLE IF NOT EXISTS incidencias_lectura (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ruta_id INTEGER NOT NULL REFERENCES rutas(id),
+    medidor_id INTEGER NOT NULL REFERENCES medidores(id),
+    periodo TEXT NOT NULL,
+    codigo TEXT NOT NULL CHECK (
+        codigo IN ('acceso_cerrado', 'perro', 'medidor_danado', 'medidor_enterrado', 'medidor_ilegible', 'otro')
+    ),
+    observaciones TEXT,
+    fecha_incidencia DATE NOT NULL,
+    lectura_id INTEGER REFERENCES lecturas(id),             -- Lectura que cubrió después el periodo
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now')),
+    UNIQUE(medidor_id, periodo)                             -- Una incidencia por medidor y periodo
+);
+
+CREATE INDEX IF NOT EXISTS idx_incidencias_ruta ON incidencias_lectura(ruta_id, periodo);
+
+-- 🚀 Facturas ###################################################################
+CREATE TABLE IF NOT EXISTS facturas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cliente_id INTEGER REFERENCES clientes(id),
+    lectura_id INTEGER REFERENCES lecturas(id),
+    tarifa_id INTEGER REFERENCES tarifas(id),
+    fecha_emision DATE NOT NULL,
+    fecha_vencimiento DATE NOT NULL,
+    total NUMERIC NOT NULL,
+    saldo_pendiente NUMERIC NOT NULL DEFAULT 0,
+    estado TEXT NOT NULL CHECK (estado IN ('Pagado', 'Pendiente', 'Vencida', 'Cancelada')),
+    estimada INTEGER NOT NULL DEFAULT 0 CHECK (estimada IN (0, 1)), -- Emitida sin lectura (ver estimaciones_consumo)
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+-- 🚀 Detalle (conceptos) de facturas
+-- Copia inmutable de cómo se calculó el total al momento de emitir la factura.
+-- tipo: 'cuota_base' | 'rango' | 'excedente' (consumo por rango), 'cargo' (otros cargos) o 'recargo' (mora)
+CREATE TABLE IF NOT EXISTS factura_detalles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    factura_id INTEGER NOT NULL REFERENCES facturas(id) ON DELETE CASCADE,
+    tipo TEXT NOT NULL,
+    descripcion TEXT NOT NULL,
+    rango_id INTEGER REFERENCES rangos_tarifas(id) ON DELETE SET NULL,
+    consumo_min INTEGER,
+    consumo_max INTEGER,
+    m3_cobrados NUMERIC,
+    precio_por_m3 NUMERIC,
+    subtotal NUMERIC NOT NULL,
+    orden INTEGER NOT NULL DEFAULT 0,
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_factura_detalles_factura ON factura_detalles(factura_id);
+
+-- 🚀 Notas de crédito / débito sobre facturas
+-- Ajustan el saldo_pendiente de la factura original sin modificar su total emitido
+CREATE TABLE IF NOT EXISTS notas_factura (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    factura_id INTEGER NOT NULL REFERENCES facturas(id),
+    tipo TEXT NOT NULL CHECK (tipo IN ('credito', 'debito')),
+    monto NUMERIC NOT NULL CHECK (monto > 0),
+    motivo TEXT NOT NULL,
+    creado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_notas_factura_factura ON notas_factura(factura_id);
+
+-- 🚀 Facturas estimadas
+-- Periodos facturados sin lectura (incidencia o sin lectura al corte). La siguiente lectura real
+-- reparte su consumo entre los periodos que cubre y cada factura estimada se ajusta a su parte
+CREATE TABLE IF NOT EXISTS estimaciones_consumo (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    factura_id INTEGER NOT NULL UNIQUE REFERENCES facturas(id),
+    medidor_id INTEGER NOT NULL REFERENCES medidores(id),
+    periodo TEXT NOT NULL,
+    metodo TEXT NOT NULL CHECK (metodo IN ('promedio', 'minimo_tarifa')),
+    consumo_estimado NUMERIC NOT NULL,
+    periodos_promedio INTEGER NOT NULL DEFAULT 0,           -- Lecturas usadas para el promedio
+    incidencia_id INTEGER REFERENCES incidencias_lectura(id),
+    lectura_id INTEGER REFERENCES lecturas(id),             -- Lectura real que cubre el periodo
+    consumo_real NUMERIC,                                   -- Parte del consumo real asignada al periodo
+    diferencia NUMERIC,                                     -- Ajuste aplicado a la factura (+ débito / - crédito)
+    fecha_conciliacion DATETIME,
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_estimaciones_medidor ON estimaciones_consumo(medidor_id, periodo);
+
+-- 🚀 Corridas de facturación
+-- Facturación mensual en dos fases: la vista previa calcula sin escribir facturas y la aplicación
+-- las emite todas en una sola transacción. Los items guardan lo calculado en la vista previa.
+CREATE TABLE IF NOT EXISTS corridas_facturacion (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    periodo TEXT NOT NULL,
+    fecha_emision DATE NOT NULL,
+    estimar INTEGER NOT NULL DEFAULT 1 CHECK (estimar IN (0, 1)),   -- Incluir facturas estimadas de medidores sin lectura
+    origen TEXT NOT NULL DEFAULT 'manual' CHECK (origen IN ('manual', 'programada')),
+    estado TEXT NOT NULL DEFAULT 'vista_previa' CHECK (
+        estado IN ('vista_previa', 'aplicando', 'aplicada', 'fallida', 'descartada')
+    ),
+    total_facturas INTEGER NOT NULL DEFAULT 0,
+    total_estimadas INTEGER NOT NULL DEFAULT 0,
+    total_conciliaciones INTEGER NOT NULL DEFAULT 0,
+    total_errores INTEGER NOT NULL DEFAULT 0,
+    consumo_total NUMERIC NOT NULL DEFAULT 0,
+    importe_total NUMERIC NOT NULL DEFAULT 0,
+    resumen TEXT,                                           -- JSON: totales por ruta y por tarifa
+    error TEXT,                                             -- Motivo de la falla o del descarte
+    creado_por INTEGER REFERENCES usuarios(id),
+    aplicado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now')),
+    fecha_aplicacion DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_corridas_facturacion_periodo ON corridas_facturacion(periodo, estado);
+
+-- tipo: 'lectura' (factura normal), 'conciliacion' (lectura de un periodo ya facturado por
+-- estimación) o 'estimada' (medidor sin lectura). Los items con error no se facturan.
+CREATE TABLE IF NOT EXISTS corridas_facturacion_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    corrida_id INTEGER NOT NULL REFERENCES corridas_facturacion(id) ON DELETE CASCADE,
+    tipo TEXT NOT NULL CHECK (tipo IN ('lectura', 'conciliacion', 'estimada')),
+    lectura_id INTEGER REFERENCES lecturas(id),
+    medidor_id INTEGER REFERENCES medidores(id),
+    cliente_id INTEGER REFERENCES clientes(id),
+    tarifa_id INTEGER REFERENCES tarifas(id),
+    ruta_id INTEGER REFERENCES rutas(id),
+    consumo_m3 NUMERIC,
+    importe NUMERIC,
+    error TEXT,
+    factura_id INTEGER REFERENCES facturas(id)             -- Se llena al aplicar la corrida
+);
+
+CREATE INDEX IF NOT EXISTS idx_corridas_facturacion_items ON corridas_facturacion_items(corrida_id);
+
+-- 🚀 Cortes de caja ##########################################################
+-- Una sesión por cajero: se abre con un fondo inicial y se cierra con lo contado.
+-- Al cerrar, los pagos, recibos y anulaciones de la sesión quedan ligados por caja_id y ya no se editan.
+CREATE TABLE IF NOT EXISTS cajas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id),
+    estado TEXT NOT NULL DEFAULT 'Abierta' CHECK (estado IN ('Abierta', 'Cerrada')),
+    fondo_inicial NUMERIC NOT NULL DEFAULT 0 CHECK (fondo_inicial >= 0),
+    fecha_apertura DATETIME DEFAULT (datetime('now')),
+    fecha_cierre DATETIME,
+    efectivo_esperado NUMERIC,      -- Fondo inicial + efectivo cobrado - efectivo devuelto
+    monto_contado NUMERIC CHECK (monto_contado >= 0),
+    diferencia NUMERIC,             -- monto_contado - efectivo_esperado (negativo = faltante)
+    observaciones TEXT,
+    cerrado_por INTEGER REFERENCES usuarios(id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cajas_abierta_usuario ON cajas(usuario_id) WHERE estado = 'Abierta';
+
+-- Totales por método de pago congelados al cerrar la caja
+CREATE TABLE IF NOT EXISTS caja_totales (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    caja_id INTEGER NOT NULL REFERENCES cajas(id) ON DELETE CASCADE,
+    metodo_pago TEXT NOT NULL,
+    operaciones INTEGER NOT NULL DEFAULT 0,
+    cobrado NUMERIC NOT NULL DEFAULT 0,
+    anulado NUMERIC NOT NULL DEFAULT 0,
+    esperado NUMERIC NOT NULL DEFAULT 0,
+    UNIQUE (caja_id, metodo_pago)
+);
+
+-- 🚀 Recibos: un pago a nivel cliente que se reparte en varias facturas ######
+-- Cada factura abonada es una fila en pagos con el mismo recibo_id
+CREATE TABLE IF NOT EXISTS recibos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cliente_id INTEGER NOT NULL REFERENCES clientes(id),
+    fecha_pago DATE NOT NULL,
+    cantidad_entregada NUMERIC NOT NULL CHECK (cantidad_entregada > 0),
+    monto_aplicado NUMERIC NOT NULL CHECK (monto_aplicado >= 0),      -- Suma de los pagos del recibo
+    saldo_favor NUMERIC NOT NULL DEFAULT 0 CHECK (saldo_favor >= 0),  -- Excedente abonado al saldo a favor
+    cambio NUMERIC NOT NULL DEFAULT 0 CHECK (cambio >= 0),
+    metodo_pago TEXT NOT NULL CHECK (
+        metodo_pago IN ('Efectivo', 'Transferencia', 'Tarjeta', 'Cheque')
+    ),
+    modo_aplicacion TEXT NOT NULL CHECK (modo_aplicacion IN ('antiguedad', 'manual')),
+    comentario TEXT,
+    caja_id INTEGER REFERENCES cajas(id),                   -- Corte de caja en que se cerró
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_recibos_cliente ON recibos(cliente_id);
+
+-- 🚀 Pagos ###################################################################
+CREATE TABLE IF NOT EXISTS pagos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    factura_id INTEGER REFERENCES facturas(id),
+    recibo_id INTEGER REFERENCES recibos(id),               -- Solo pagos registrados a nivel cliente
+    fecha_pago DATE NOT NULL,
+    monto NUMERIC NOT NULL CHECK (monto > 0),              -- Lo que se aplica a la factura
+    cantidad_entregada NUMERIC CHECK (cantidad_entregada >= monto), -- Lo que el cliente entregó
+    cambio NUMERIC CHECK (cambio >= 0),                    -- Lo que se le devuelve
+    metodo_pago TEXT NOT NULL CHECK (
+        metodo_pago IN ('Efectivo', 'Transferencia', 'Tarjeta', 'Cheque', 'Saldo a favor')
+    ),
+    comentario TEXT,
+    caja_id INTEGER REFERENCES cajas(id),                   -- Corte de caja en que se cerró
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_pagos_caja ON pagos(caja_id);
+
+-- 🚀 Anulación de pagos ######################################################
+-- Registro compensatorio: el pago original se conserva y su monto regresa al saldo de la factura
+CREATE TABLE IF NOT EXISTS anulaciones_pago (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pago_id INTEGER NOT NULL UNIQUE REFERENCES pagos(id),
+    factura_id INTEGER NOT NULL REFERENCES facturas(id),
+    monto NUMERIC NOT NULL CHECK (monto > 0),
+    motivo TEXT NOT NULL,
+    anulado_por INTEGER REFERENCES usuarios(id),
+    caja_id INTEGER REFERENCES cajas(id),                   -- Corte de caja en que se devolvió el dinero
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_anulaciones_pago_factura ON anulaciones_pago(factura_id);
+
+-- Anulación de un recibo completo: cada pago del recibo tiene su fila en anulaciones_pago y aquí
+-- queda el total devuelto, incluido el excedente o anticipo retirado del saldo a favor
+CREATE TABLE IF NOT EXISTS anulaciones_recibo (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    recibo_id INTEGER NOT NULL UNIQUE REFERENCES recibos(id),
+    cliente_id INTEGER NOT NULL REFERENCES clientes(id),
+    monto_pagos NUMERIC NOT NULL DEFAULT 0 CHECK (monto_pagos >= 0),                   -- Pagos del recibo anulados
+    saldo_favor_retirado NUMERIC NOT NULL DEFAULT 0 CHECK (saldo_favor_retirado >= 0), -- Excedente o anticipo devuelto
+    motivo TEXT NOT NULL,
+    anulado_por INTEGER REFERENCES usuarios(id),
+    caja_id INTEGER REFERENCES cajas(id),                   -- Corte de caja en que se devolvió el dinero
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+-- 🚀 Saldo a favor del cliente ###############################################
+-- abono: excedente de un pago o anticipo; aplicacion: uso del saldo en una factura
+-- reintegro: regresa una aplicación anulada; anulacion: retira el excedente de un pago o recibo anulado
+-- El saldo disponible es SUM(abono + reintegro) - SUM(aplicacion + anulacion)
+CREATE TABLE IF NOT EXISTS saldo_favor_movimientos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cliente_id INTEGER NOT NULL REFERENCES clientes(id),
+    tipo TEXT NOT NULL CHECK (tipo IN ('abono', 'aplicacion', 'reintegro', 'anulacion')),
+    monto NUMERIC NOT NULL CHECK (monto > 0),
+    factura_id INTEGER REFERENCES facturas(id),
+    pago_id INTEGER REFERENCES pagos(id),
+    recibo_id INTEGER REFERENCES recibos(id),
+    descripcion TEXT,
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_saldo_favor_cliente ON saldo_favor_movimientos(cliente_id);
+
+
+-- 🚀 Trigger: actualizar saldo
+CREATE TRIGGER IF NOT EXISTS actualizar_saldo_factura
+AFTER INSERT ON pagos
+FOR EACH ROW
+BEGIN
+    UPDATE facturas
+    SET saldo_pendiente = ROUND(saldo_pendiente - NEW.monto, 2)
+    WHERE id = NEW.factura_id;
+END;
+
+
+-- 🚀 Trigger: validar pago contra saldo
+CREATE TRIGGER IF NOT EXISTS validar_pago_contra_saldo
+BEFORE INSERT ON pagos
+FOR EACH ROW
+BEGIN
+  SELECT 
+    CASE 
+      WHEN (SELECT ROUND(saldo_pendiente, 2) FROM facturas WHERE id = NEW.factura_id) < ROUND(NEW.monto, 2)
+      THEN RAISE(ABORT, 'El monto del pago excede el saldo pendiente de la factura')
+    END;
+END;
+
+
+-- 🚀 Trigger: actualizar estado (asegura saldo limpio, no aplica a facturas canceladas)
+CREATE TRIGGER IF NOT EXISTS actualizar_estado_factura
+AFTER UPDATE OF saldo_pendiente ON facturas
+FOR EACH ROW
+WHEN NEW.saldo_pendiente <= 0 AND NEW.estado != 'Cancelada'
+BEGIN
+    UPDATE facturas
+    SET estado = 'Pagado',
+        saldo_pendiente = 0.00 -- fuerza a cero exacto
+    WHERE id = NEW.id;
+END;
+
+
+-- 🚀 Historial de cambios ###################################################################
+CREATE TABLE IF NOT EXISTS historial_cambios (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    tabla TEXT NOT NULL,
+    operacion TEXT NOT NULL,
+    registro_id INTEGER NOT NULL,
+    modificado_por INTEGER REFERENCES usuarios(id),
+    fecha_modificacion DATETIME DEFAULT (datetime('now')),
+    cambios TEXT
+);
+
+-- 🚀 Trigger para historial de cambios en facturas
+CREATE TRIGGER IF NOT EXISTS registrar_cambios_facturas
+AFTER UPDATE ON facturas
+FOR EACH ROW
+BEGIN
+    INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+    VALUES (
+        'facturas',
+        'UPDATE',
+        OLD.id,
+        NEW.modificado_por,
+        'Estado: ' || OLD.estado || ' → ' || NEW.estado || ', Saldo: ' || OLD.saldo_pendiente || ' → ' || NEW.saldo_pendiente
+    );
+END;
+
+-- 🚀 Sesiones de usuarios ###################################################################
+CREATE TABLE IF NOT EXISTS sesiones (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    usuario_id INTEGER NOT NULL REFERENCES usuarios(id),
+    token TEXT UNIQUE NOT NULL,
+    fecha_inicio DATETIME DEFAULT (datetime('now')),
+    fecha_fin DATETIME,
+    direccion_ip TEXT,
+    dispositivo TEXT,
+    ubicacion TEXT,
+    activo BOOLEAN DEFAULT 1,
+    ultima_actividad DATETIME DEFAULT (datetime('now')),  -- para el cierre por inactividad
+    expira_en DATETIME,                                   -- límite absoluto de la sesión
+    refresh_token TEXT UNIQUE,                            -- hash SHA-256 del refresh token vigente
+    refresh_token_anterior TEXT,                          -- hash del último refresh token rotado (detecta reuso)
+    motivo_cierre TEXT CHECK (
+        motivo_cierre IS NULL OR motivo_cierre IN ('logout', 'inactividad', 'expirada', 'revocada', 'logout_global', 'reuso_refresh', 'cambio_contrasena', 'usuario_desactivado')
+    )
+);
+CREATE INDEX IF NOT EXISTS idx_sesiones_usuario ON sesiones(usuario_id, activo);
+
+-- 🚀 Registro de apps (dispositivos)
+CREATE TABLE IF NOT EXISTS apps (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    app_id TEXT UNIQUE NOT NULL,
+    token TEXT NOT NULL,
+    fecha_registro DATETIME DEFAULT CURRENT_TIMESTAMP,
+    nombre TEXT,
+    ip_registro TEXT,
+    activo INTEGER DEFAULT 1,
+    fecha_creacion DATETIME DEFAULT (datetime('now'))
+);
+
+
+-- 🚀 Rutas de toma de lectura ###################################################################
+
+CREATE TABLE IF NOT EXISTS rutas (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nombre TEXT NOT NULL,
+    descripcion TEXT,
+    fecha_creacion DATE DEFAULT (DATE('now')),
+    creado_por INTEGER REFERENCES usuarios(id),
+    distancia_km REAL,
+    ruta_json TEXT,             -- Coordenadas de la ruta calculada
+    instrucciones_json TEXT,    -- Instrucciones generadas para recorrer la ruta
+    requiere_revision INTEGER NOT NULL DEFAULT 0 CHECK (requiere_revision IN (0, 1)) -- Lecturas entran como 'capturada'
+);
+
+
+-- 🚀 Puntos de ruta (medidores asignados a rutas)
+CREATE TABLE IF NOT EXISTS rutas_puntos (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ruta_id INTEGER NOT NULL REFERENCES rutas(id) ON DELETE CASCADE,
+    medidor_id INTEGER NOT NULL REFERENCES medidores(id),
+    orden INTEGER NOT NULL, -- orden de visita
+    UNIQUE(ruta_id, orden),
+    UNIQUE(ruta_id, medidor_id)
+);
+`;
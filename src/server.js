@@ -35,7 +35,10 @@ import { Server } from 'socket.io';
 // import SocketManager from './v1/sockets/enhanced/socketManager.js'; // DESACTIVADO TEMPORALMENTE
 import SSEManager from './v2/sse/sseManager.js';
 import SSENotificationManager from './v2/sse/notificationManager.js';
+import { iniciarJobFacturasVencidas } from './v2/jobs/facturasVencidas.js';
+import { iniciarJobCorridaFacturacion } from './v2/jobs/corridaFacturacion.js';
 import routes from './routes/index.js';
+import { inicializarBaseDeDatos } from './database/db-turso.js';
 //documentación
 import swaggerUi from 'swagger-ui-express';
 import swaggerJsdoc from 'swagger-jsdoc';
@@ -82,6 +85,10 @@ const swaggerOptions = {
 };
 
 
+// Esquema: migraciones pendientes y tablas faltantes antes de atender peticiones
+const { aplicadas: migracionesAplicadas } = await inicializarBaseDeDatos();
+migracionesAplicadas.forEach((m) => console.log(`🔧 Migración ${m.version} aplicada: ${m.descripcion}`));
+
 const app = express();
 const server = http.createServer(app);
 
@@ -109,6 +116,12 @@ app.set('io', io);
 app.set('sseManager', sseManager); // Activo para v2
 app.set('notificationManager', sseNotificationManager); // Activo para v2
 
+// Job programado: marcar facturas vencidas y aplicar recargos
+const jobFacturasVencidas = iniciarJobFacturasVencidas(sseNotificationManager);
+
+// Job programado: vista previa mensual de la facturación del periodo terminado
+const jobCorridaFacturacion = iniciarJobCorridaFacturacion(sseNotificationManager);
+
 // Rutas
 app.use('/api', routes);
 
@@ -143,5 +156,7 @@ console.log('   - WebSockets (v1): ❌ DESACTIVADO TEMPORALMENTE');
 console.log('   - SSE (v2): ✅ ACTIVO');
 console.log('   - API v1: ❌ DESACTIVADA TEMPORALMENTE');
 console.log('   - API v2: ✅ ACTIVA');
+console.log(`   - Job facturas vencidas: ${jobFacturasVencidas ? '✅ ACTIVO' : '❌ DESACTIVADO'}`);
+console.log(`   - Job corrida de facturación: ${jobCorridaFacturacion ? '✅ ACTIVO' : '❌ DESACTIVADO'}`);
 
 export default server;
@@ -8,6 +8,8 @@
  * 
  * * Funciones:
  * * - generateToken: Genera un token JWT a partir de los datos del usuario.
+ * *   La vigencia es configurable (1 hora por defecto) y cada token lleva un jwtid
+ * *   único, así dos tokens del mismo usuario emitidos en el mismo segundo no coinciden.
  * 
  * 
  * Notas:
@@ -15,8 +17,9 @@
  * * - Se utiliza dotenv para cargar las variables de entorno.
  */
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
 
-function generateToken(user) {
+function generateToken(user, expiresIn = '1h') {
   return jwt.sign(
     {
       id: user.id,
@@ -27,7 +30,7 @@ function generateToken(user) {
       fecha_creacion: user.fecha_creacion
     },
     process.env.JWT_SECRET,
-    { expiresIn: '1h' }
+    { expiresIn, jwtid: randomUUID() }
   );
 }
 
@@ -11,13 +11,46 @@
  * 
  * Funciones:
  * - login: Maneja el inicio de sesión de un usuario
- * - registrar: Maneja el registro de un nuevo usuario
+ * - registrar: Maneja el registro de un nuevo usuario (solo de un rol inferior al de quien lo crea;
+ *   un superadmin también puede crear otro superadmin)
  * - logout: Maneja el cierre de sesión de un usuario
+ * 
+ * Sesiones (expiración, refresh token y revocación):
+ * - renovarSesion: Entrega un token de acceso y un refresh token nuevos (rotación)
+ * - revocarSesion: Cierra una sesión puntual (propia, o de otro usuario con sesiones.revocar)
+ * - cerrarSesionesActivas: Cierra todas las sesiones de un usuario ("cerrar sesión en todos lados")
+ * - Las sesiones de otro usuario solo se consultan o cierran si su rol está por debajo
+ *   del de quien actúa (puedeGestionarRol)
+ * 
+ * Contraseñas y bloqueo de cuentas:
+ * - login registra cada intento y bloquea la cuenta tras varios fallos seguidos
+ * - cambiarContrasena: Cambia la contraseña del usuario de la sesión
+ * - solicitarRestablecimiento: Un administrador envía por correo un token de un solo uso a un
+ *   usuario de rol inferior; el token se guarda solo si el correo se envió
+ * - restablecerContrasena: Define una contraseña nueva con ese token (sin sesión)
  */
 
 import bcrypt from "bcryptjs";
 import dbTurso from "../../database/db-turso.js";
-import generateToken from "../../utils/generateToken.js";
+import { ROLES, tienePermiso, puedeGestionarRol } from "../../config/permisos.js";
+import {
+    crearSesion,
+    obtenerSesion,
+    cerrarSesion,
+    cerrarSesionesUsuario,
+    renovarSesion as renovarSesionService,
+    listarSesionesActivas
+} from "../services/sesiones.js";
+import {
+    registrarIntentoLogin,
+    obtenerBloqueo,
+    registrarLoginFallido,
+    registrarLoginExitoso,
+    cambiarContrasena as cambiarContrasenaService,
+    crearRestablecimiento,
+    restablecerContrasena as restablecerContrasenaService
+} from "../services/credenciales.js";
+import { enviarCorreo } from "../services/correo.js";
 
 // Helper para obtener los managers SSE
 let sseManager = null;
@@ -29,6 +62,30 @@ export function setSSEManagers(sse, notification) {
     notificationManager = notification;
 }
 
+// Respuesta 403 cuando se actúa sobre otro usuario (sus sesiones, su contraseña) sin el permiso requerido
+const sinPermiso = (res, usuario, permiso) => res.status(403).json({
+    error: `No tiene permiso para realizar esta acción (requiere ${permiso})`,
+    permiso,
+    rol: usuario.rol
+});
+
+// Respuesta 403 cuando el otro usuario tiene un rol igual o superior al de quien actúa
+const fueraDeJerarquia = (res, usuario, rolObjetivo) => res.status(403).json({
+    error: `Un ${usuario.rol} no puede gestionar usuarios con rol ${rolObjetivo}`,
+    rol: usuario.rol,
+    rol_objetivo: rolObjetivo
+});
+
+// Rol de un usuario para validar la jerarquía (null si no existe)
+const obtenerRolUsuario = async (usuario_id) => {
+    const result = await dbTurso.execute({
+        sql: `SELECT rol FROM usuarios WHERE id = ?`,
+        args: [usuario_id]
+    });
+
+    return result.rows.length > 0 ? result.rows[0].rol : null;
+};
+
 const authController = {
     login: async (req, res) => {
         try {
@@ -45,31 +102,55 @@ const authController = {
                 args: [correo]
             });
 
+            const ip = req.ip || "";
+            const intento = { correo, direccion_ip: ip, dispositivo: dispositivo || 'unknown' };
+
             if (result.rows.length === 0) {
+                await registrarIntentoLogin({ ...intento, usuario_id: null, resultado: 'usuario_no_encontrado' });
                 return res.status(401).json({ error: "Usuario no encontrado" });
             }
 
             const user = result.rows[0];
 
+            if (!Number(user.activo)) {
+                await registrarIntentoLogin({ ...intento, usuario_id: user.id, resultado: 'usuario_inactivo' });
+                return res.status(403).json({ error: "Usuario desactivado" });
+            }
+
+            // Una cuenta bloqueada no se puede usar ni con la contraseña correcta
+            const bloqueadoHasta = await obtenerBloqueo(user.id);
+            if (bloqueadoHasta) {
+                await registrarIntentoLogin({ ...intento, usuario_id: user.id, resultado: 'cuenta_bloqueada' });
+                return res.status(423).json({
+                    error: "Cuenta bloqueada por intentos fallidos; intente más tarde o solicite un restablecimiento de contraseña",
+                    bloqueado_hasta: bloqueadoHasta
+                });
+            }
+
             // Verificar contraseña
             const validPassword = await bcrypt.compare(contraseña, user.contraseña);
             if (!validPassword) {
-                return res.status(401).json({ error: "Contraseña incorrecta" });
+                await registrarIntentoLogin({ ...intento, usuario_id: user.id, resultado: 'contrasena_incorrecta' });
+                const fallo = await registrarLoginFallido(user.id);
+
+                if (fallo.bloqueado_hasta) {
+                    return res.status(423).json({
+                        error: "Demasiados intentos fallidos; la cuenta quedó bloqueada",
+                        bloqueado_hasta: fallo.bloqueado_hasta
+                    });
+                }
+
+                return res.status(401).json({ error: "Contraseña incorrecta", intentos_restantes: fallo.intentos_restantes });
             }
 
-            // Generar token
-            const token = generateToken(user);
+            await registrarLoginExitoso(user.id);
+            await registrarIntentoLogin({ ...intento, usuario_id: user.id, resultado: 'exitoso' });
 
-            // Guardar sesión en Turso
-            const insertQuery = `
-                INSERT INTO sesiones (usuario_id, token, direccion_ip, dispositivo)
-                VALUES (?, ?, ?, ?)
-            `;
-            const ip = req.ip || "";
-            
-            await dbTurso.execute({
-                sql: insertQuery,
-                args: [user.id, token, ip, dispositivo || 'unknown']
+            // Generar token y refresh token, y guardar la sesión en Turso
+            const sesion = await crearSesion({
+                usuario: user,
+                direccion_ip: ip,
+                dispositivo: dispositivo || 'unknown'
             });
 
             // Datos para SSE
@@ -103,7 +184,11 @@ const authController = {
             res.json({
                 success: true,
                 mensaje: "Inicio de sesión exitoso",
-                token,
+                token: sesion.token,
+                token_expira_en: sesion.token_expira_en,
+                refresh_token: sesion.refresh_token,
+                sesion_id: sesion.sesion_id,
+                sesion_expira_en: sesion.expira_en,
                 user: {
                     id: user.id,
                     email: user.correo,
@@ -127,6 +212,16 @@ const authController = {
                 return res.status(400).json({ error: "Todos los campos son obligatorios" });
             }
 
+            if (!ROLES.includes(rol)) {
+                return res.status(400).json({ error: `Rol inválido. Use: ${ROLES.join(', ')}` });
+            }
+
+            // Solo se crean usuarios de rol inferior (un superadmin también crea superadmins).
+            // req.usuario no existe solo al registrar el primer usuario de la instalación
+            if (req.usuario && !puedeGestionarRol(req.usuario.rol, rol)) {
+                return fueraDeJerarquia(res, req.usuario, rol);
+            }
+
             // Verificar si el usuario ya existe (correo o username)
             const verificarQuery = `SELECT id FROM usuarios WHERE correo = ? OR username = ?`;
             const existingResult = await dbTurso.execute({
@@ -149,7 +244,7 @@ const authController = {
 
             const insertResult = await dbTurso.execute({
                 sql: insertQuery,
-                args: [correo, nombre, hashedPassword, username, rol]
+                args: [correo, nombre || null, hashedPassword, username, rol]
             });
 
             const nuevoUsuarioId = Number(insertResult.lastInsertRowid); // Convertir BigInt a Number
@@ -158,7 +253,7 @@ const authController = {
             const usuarioCreado = {
                 id: nuevoUsuarioId,
                 correo,
-                nombre,
+                nombre: nombre || null,
                 username,
                 rol,
                 fecha_creacion: new Date().toISOString()
@@ -205,7 +300,7 @@ const authController = {
             // Marcar sesión como inactiva en Turso
             const updateQuery = `
                 UPDATE sesiones 
-                SET activo = 0, fecha_fin = datetime('now')
+                SET activo = 0, fecha_fin = datetime('now'), motivo_cierre = 'logout', refresh_token = NULL
                 WHERE token = ? AND activo = 1
             `;
 
@@ -258,6 +353,98 @@ const authController = {
         }
     },
 
+    renovarSesion: async (req, res) => {
+        try {
+            const { refresh_token } = req.body;
+
+            if (!refresh_token) {
+                return res.status(400).json({ error: "refresh_token requerido" });
+            }
+
+            const resultado = await renovarSesionService(refresh_token);
+
+            if (!resultado.success) {
+                return res.status(resultado.status).json({ error: resultado.error });
+            }
+
+            res.json({
+                success: true,
+                mensaje: "Sesión renovada",
+                token: resultado.token,
+                token_expira_en: resultado.token_expira_en,
+                refresh_token: resultado.refresh_token,
+                sesion_id: resultado.sesion_id,
+                sesion_expira_en: resultado.expira_en
+            });
+
+        } catch (error) {
+            console.error('Error al renovar sesión v2:', error);
+            res.status(500).json({ error: "Error al renovar sesión" });
+        }
+    },
+
+    revocarSesion: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const sesion = await obtenerSesion(id);
+
+            if (!sesion) {
+                return res.status(404).json({ error: "Sesión no encontrada" });
+            }
+
+            const esPropia = Number(sesion.usuario_id) === req.usuario.id;
+            if (!esPropia && !tienePermiso(req.usuario.rol, 'sesiones.revocar')) {
+                return sinPermiso(res, req.usuario, 'sesiones.revocar');
+            }
+
+            if (!esPropia) {
+                const rolObjetivo = await obtenerRolUsuario(sesion.usuario_id);
+                if (!puedeGestionarRol(req.usuario.rol, rolObjetivo)) {
+                    return fueraDeJerarquia(res, req.usuario, rolObjetivo);
+                }
+            }
+
+            const cerrada = await cerrarSesion(sesion.id, 'revocada');
+
+            if (!cerrada) {
+                return res.status(409).json({
+                    error: "La sesión ya estaba cerrada",
+                    motivo_cierre: sesion.motivo_cierre,
+                    fecha_fin: sesion.fecha_fin
+                });
+            }
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Sesión ${sesion.id} del usuario ${sesion.usuario_id} revocada`,
+                        'warning',
+                        {
+                            sesion_id: Number(sesion.id),
+                            usuario_id: Number(sesion.usuario_id),
+                            revocada_por: req.usuario.id,
+                            accion: 'revocar_sesion'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE de revocación de sesión:', sseError);
+                }
+            }
+
+            res.json({
+                mensaje: "Sesión revocada",
+                sesion_id: Number(sesion.id),
+                usuario_id: Number(sesion.usuario_id),
+                sesion_actual: Number(sesion.id) === req.usuario.sesion_id
+            });
+
+        } catch (error) {
+            console.error('Error al revocar sesión v2:', error);
+            res.status(500).json({ error: "Error al revocar sesión" });
+        }
+    },
+
     sesionesActivas: async (req, res) => {
         try {
             const { usuarioId } = req.params;
@@ -266,32 +453,34 @@ const authController = {
                 return res.status(400).json({ error: "ID de usuario requerido" });
             }
 
-            // Obtener sesiones activas del usuario desde Turso
-            const query = `
-                SELECT id, usuario_id, direccion_ip, dispositivo, fecha_inicio, ubicacion
-                FROM sesiones
-                WHERE usuario_id = ? AND activo = 1
-            `;
+            // Cada usuario puede ver sus propias sesiones; las de otros requieren sesiones.ver
+            // y que su rol esté por debajo del de quien consulta
+            if (Number(usuarioId) !== req.usuario.id) {
+                if (!tienePermiso(req.usuario.rol, 'sesiones.ver')) {
+                    return sinPermiso(res, req.usuario, 'sesiones.ver');
+                }
 
-            const result = await dbTurso.execute({
-                sql: query,
-                args: [usuarioId]
-            });
+                const rolObjetivo = await obtenerRolUsuario(usuarioId);
 
-            if (result.rows.length === 0) {
-                return res.status(404).json({ mensaje: "No se encontraron sesiones activas" });
+                if (!rolObjetivo) {
+                    return res.status(404).json({ error: "Usuario no encontrado" });
+                }
+
+                if (!puedeGestionarRol(req.usuario.rol, rolObjetivo)) {
+                    return fueraDeJerarquia(res, req.usuario, rolObjetivo);
+                }
             }
 
-            // Convertir rows a objetos con propiedades nombradas
-            const sesiones = result.rows.map(row => ({
-                id: row.id,
-                usuario_id: row.usuario_id,
-                direccion_ip: row.direccion_ip,
-                dispositivo: row.dispositivo,
-                fecha_inicio: row.fecha_inicio,
-                ubicacion: row.ubicacion
+            // Obtener sesiones vigentes del usuario desde Turso
+            const sesiones = (await listarSesionesActivas(usuarioId)).map(sesion => ({
+                ...sesion,
+                actual: sesion.id === req.usuario.sesion_id
             }));
 
+            if (sesiones.length === 0) {
+                return res.status(404).json({ mensaje: "No se encontraron sesiones activas" });
+            }
+
             // Enviar notificación SSE (opcional)
             if (notificationManager) {
                 try {
@@ -319,6 +508,222 @@ const authController = {
             console.error('Error al obtener sesiones activas v2:', error);
             res.status(500).json({ error: "Error al obtener sesiones activas" });
         }
+    },
+
+    cerrarSesionesActivas: async (req, res) => {
+        try {
+            const usuarioId = Number(req.params.usuarioId);
+
+            if (!usuarioId) {
+                return res.status(400).json({ error: "ID de usuario requerido" });
+            }
+
+            const esPropio = usuarioId === req.usuario.id;
+            if (!esPropio && !tienePermiso(req.usuario.rol, 'sesiones.revocar')) {
+                return sinPermiso(res, req.usuario, 'sesiones.revocar');
+            }
+
+            if (!esPropio) {
+                const rolObjetivo = await obtenerRolUsuario(usuarioId);
+
+                if (!rolObjetivo) {
+                    return res.status(404).json({ error: "Usuario no encontrado" });
+                }
+
+                if (!puedeGestionarRol(req.usuario.rol, rolObjetivo)) {
+                    return fueraDeJerarquia(res, req.usuario, rolObjetivo);
+                }
+            }
+
+            // En las propias se conserva la sesión actual salvo que se pida cerrarla también
+            const incluirActual = req.query.incluir_actual === 'true';
+            const excepto = esPropio && !incluirActual ? req.usuario.sesion_id : null;
+
+            const cerradas = await cerrarSesionesUsuario(usuarioId, { excepto });
+
+            if (notificationManager && cerradas > 0) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Se cerraron ${cerradas} sesiones del usuario ${usuarioId}`,
+                        'warning',
+                        {
+                            usuario_id: usuarioId,
+                            sesiones_cerradas: cerradas,
+                            cerradas_por: req.usuario.id,
+                            accion: 'logout_global'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE de cierre de sesiones:', sseError);
+                }
+            }
+
+            res.json({
+                mensaje: cerradas > 0 ? "Sesiones cerradas" : "No había otras sesiones activas",
+                usuario_id: usuarioId,
+                sesiones_cerradas: cerradas,
+                sesion_actual_conservada: excepto !== null
+            });
+
+        } catch (error) {
+            console.error('Error al cerrar sesiones activas v2:', error);
+            res.status(500).json({ error: "Error al cerrar sesiones activas" });
+        }
+    },
+
+    cambiarContrasena: async (req, res) => {
+        try {
+            const { contrasena_actual, contrasena_nueva } = req.body;
+
+            if (!contrasena_actual || !contrasena_nueva) {
+                return res.status(400).json({ error: "contrasena_actual y contrasena_nueva son obligatorias" });
+            }
+
+            // Se conserva la sesión desde la que se cambia; las demás se cierran
+            const resultado = await cambiarContrasenaService({
+                usuario_id: req.usuario.id,
+                contrasena_actual,
+                contrasena_nueva,
+                sesion_id: req.usuario.sesion_id
+            });
+
+            if (!resultado.success) {
+                return res.status(resultado.status).json({ error: resultado.error });
+            }
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Usuario ${req.usuario.username} cambió su contraseña`,
+                        'info',
+                        {
+                            usuario_id: req.usuario.id,
+                            sesiones_cerradas: resultado.sesiones_cerradas,
+                            accion: 'cambio_contrasena'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE de cambio de contraseña:', sseError);
+                }
+            }
+
+            res.json({
+                mensaje: "Contraseña actualizada",
+                sesiones_cerradas: resultado.sesiones_cerradas
+            });
+
+        } catch (error) {
+            console.error('Error al cambiar contraseña v2:', error);
+            res.status(500).json({ error: "Error al cambiar contraseña" });
+        }
+    },
+
+    solicitarRestablecimiento: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const result = await dbTurso.execute({
+                sql: `SELECT id, correo, nombre, username, rol, activo FROM usuarios WHERE id = ?`,
+                args: [id]
+            });
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: "Usuario no encontrado" });
+            }
+
+            const usuario = result.rows[0];
+
+            if (!Number(usuario.activo)) {
+                return res.status(409).json({ error: "El usuario está desactivado; reactívelo antes de restablecer su contraseña" });
+            }
+
+            // Restablecer la contraseña de otro usuario equivale a tomar su cuenta: solo sobre roles inferiores
+            if (!puedeGestionarRol(req.usuario.rol, usuario.rol)) {
+                return fueraDeJerarquia(res, req.usuario, usuario.rol);
+            }
+
+            // El token se guarda (y anula los pendientes) solo si el correo sale
+            const resultado = await crearRestablecimiento({
+                usuario_id: Number(usuario.id),
+                solicitado_por: req.usuario.id,
+                enviar: ({ token, expira_en }) => {
+                    const enlace = process.env.RESTABLECER_CONTRASENA_URL
+                        ? `${process.env.RESTABLECER_CONTRASENA_URL}?token=${token}`
+                        : null;
+
+                    return enviarCorreo({
+                        para: usuario.correo,
+                        asunto: "Restablecimiento de contraseña",
+                        texto: [
+                            `Hola ${usuario.nombre || usuario.username},`,
+                            '',
+                            'Un administrador solicitó restablecer la contraseña de su cuenta.',
+                            enlace
+                                ? `Defina una contraseña nueva en: ${enlace}`
+                                : `Use este código para definir una contraseña nueva: ${token}`,
+                            '',
+                            `El ${enlace ? 'enlace' : 'código'} sirve una sola vez y vence el ${expira_en} (UTC).`
+                        ].join('\n')
+                    });
+                }
+            });
+
+            if (!resultado.success) {
+                return res.status(resultado.status).json({ error: resultado.error });
+            }
+
+            res.status(201).json({
+                mensaje: "Se envió el correo de restablecimiento",
+                usuario_id: Number(usuario.id),
+                enviado_a: usuario.correo,
+                expira_en: resultado.expira_en
+            });
+
+        } catch (error) {
+            console.error('Error al solicitar restablecimiento de contraseña v2:', error);
+            res.status(500).json({ error: "Error al solicitar restablecimiento de contraseña" });
+        }
+    },
+
+    restablecerContrasena: async (req, res) => {
+        try {
+            const { token, contrasena_nueva } = req.body;
+
+            if (!token || !contrasena_nueva) {
+                return res.status(400).json({ error: "token y contrasena_nueva son obligatorios" });
+            }
+
+            const resultado = await restablecerContrasenaService(token, contrasena_nueva);
+
+            if (!resultado.success) {
+                return res.status(resultado.status).json({ error: resultado.error });
+            }
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Contraseña restablecida para el usuario ${resultado.usuario_id}`,
+                        'info',
+                        {
+                            usuario_id: resultado.usuario_id,
+                            sesiones_cerradas: resultado.sesiones_cerradas,
+                            accion: 'restablecer_contrasena'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE de restablecimiento:', sseError);
+                }
+            }
+
+            res.json({
+                mensaje: "Contraseña restablecida; inicie sesión con la nueva contraseña",
+                sesiones_cerradas: resultado.sesiones_cerradas
+            });
+
+        } catch (error) {
+            console.error('Error al restablecer contraseña v2:', error);
+            res.status(500).json({ error: "Error al restablecer contraseña" });
+        }
     }
 };
 
@@ -0,0 +1,372 @@
+/**
+ * Controlador de Cajas (corte de caja) - V2
+ *
+ * File: src/v2/controllers/cajasController.js
+ *
+ * Descripción: Sesiones de caja por cajero. Se abren con un fondo inicial y se cierran
+ * con el efectivo contado; el sistema calcula lo esperado por método de pago a partir de
+ * los pagos que registró el cajero durante la sesión y reporta la diferencia.
+ *
+ * Funciones nuevas en V2:
+ * - abrirCaja: Abre la sesión de caja del cajero (una abierta por cajero)
+ * - obtenerCajaAbierta: Sesión abierta de un cajero con su corte preliminar
+ * - listarCajas: Sesiones con filtros por cajero, estado y fechas
+ * - obtenerCaja: Detalle de una sesión con su corte (preliminar si sigue abierta)
+ * - cerrarCaja: Cierra la sesión, congela los totales y bloquea sus pagos
+ *
+ * Un cajero solo consulta y cierra su propia caja; las de otros cajeros requieren
+ * cajas.supervisar.
+ */
+
+import dbTurso, { withTransaction } from '../../database/db-turso.js';
+import { tienePermiso } from '../../config/permisos.js';
+import { ahoraSql, calcularCorte, registrarCorte, obtenerCorteRegistrado } from '../services/corteCaja.js';
+
+// Managers SSE - Configurados dinámicamente
+let sseManager = null;
+let notificationManager = null;
+
+export const setSSEManagers = (sseManagerInstance, notificationManagerInstance) => {
+    sseManager = sseManagerInstance;
+    notificationManager = notificationManagerInstance;
+};
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+const CAJA_QUERY = `
+    SELECT c.*, u.username AS usuario_nombre, uc.username AS cerrado_por_nombre
+    FROM cajas c
+    JOIN usuarios u ON c.usuario_id = u.id
+    LEFT JOIN usuarios uc ON c.cerrado_por = uc.id
+`;
+
+/**
+ * Formatea una fila de cajas
+ */
+const formatearCaja = (row) => ({
+    id: Number(row.id),
+    usuario_id: Number(row.usuario_id),
+    usuario_nombre: row.usuario_nombre,
+    estado: row.estado,
+    fondo_inicial: redondear(row.fondo_inicial),
+    fecha_apertura: row.fecha_apertura,
+    fecha_cierre: row.fecha_cierre,
+    efectivo_esperado: row.efectivo_esperado != null ? redondear(row.efectivo_esperado) : null,
+    monto_contado: row.monto_contado != null ? redondear(row.monto_contado) : null,
+    diferencia: row.diferencia != null ? redondear(row.diferencia) : null,
+    observaciones: row.observaciones,
+    cerrado_por: row.cerrado_por != null ? Number(row.cerrado_por) : null,
+    cerrado_por_nombre: row.cerrado_por_nombre
+});
+
+/**
+ * Indica si el usuario de la sesión puede consultar o cerrar la caja de un cajero
+ */
+const puedeOperarCajaDe = (usuario, cajero_id) =>
+    Number(cajero_id) === usuario.id || tienePermiso(usuario.rol, 'cajas.supervisar');
+
+const sinPermisoCaja = (res, usuario) => res.status(403).json({
+    error: 'Solo puede operar su propia caja (las de otros cajeros requieren cajas.supervisar)',
+    permiso: 'cajas.supervisar',
+    rol: usuario.rol
+});
+
+/**
+ * Consulta una caja por id
+ */
+const consultarCaja = async (id) => {
+    const result = await dbTurso.execute({ sql: `${CAJA_QUERY} WHERE c.id = ?`, args: [id] });
+    return result.rows[0] || null;
+};
+
+/**
+ * Corte de la caja: el guardado si está cerrada o uno preliminar al momento si sigue abierta
+ */
+const corteDeCaja = (row) => row.estado === 'Cerrada'
+    ? obtenerCorteRegistrado(row)
+    : calcularCorte(row, ahoraSql());
+
+const cajasController = {
+
+    // =====================================================
+    // FUNCIONES NUEVAS V2
+    // =====================================================
+
+    /**
+     * Abrir caja. El cajero es el usuario de la sesión que la abre.
+     */
+    abrirCaja: async (req, res) => {
+        try {
+            const { fondo_inicial = 0, observaciones } = req.body;
+            const modificado_por = req.usuario.id; // Cajero de la sesión
+
+            if (isNaN(Number(fondo_inicial)) || Number(fondo_inicial) < 0) {
+                return res.status(400).json({ error: 'El fondo inicial debe ser un número mayor o igual a cero' });
+            }
+
+            const usuarioResult = await dbTurso.execute({
+                sql: `SELECT id, username FROM usuarios WHERE id = ?`,
+                args: [modificado_por]
+            });
+
+            if (usuarioResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Usuario no encontrado' });
+            }
+
+            const abiertaResult = await dbTurso.execute({
+                sql: `SELECT id FROM cajas WHERE usuario_id = ? AND estado = 'Abierta'`,
+                args: [modificado_por]
+            });
+
+            if (abiertaResult.rows.length > 0) {
+                return res.status(409).json({
+                    error: 'El cajero ya tiene una caja abierta',
+                    caja_id: Number(abiertaResult.rows[0].id)
+                });
+            }
+
+            const insertResult = await dbTurso.execute({
+                sql: `
+                    INSERT INTO cajas (usuario_id, fondo_inicial, observaciones)
+                    VALUES (?, ?, ?)
+                `,
+                args: [modificado_por, redondear(fondo_inicial), observaciones || null]
+            });
+
+            const caja = formatearCaja(await consultarCaja(Number(insertResult.lastInsertRowid)));
+
+            if (notificationManager) {
+                try {
+                    notificationManager.notificacionPersonalizada('caja_abierta', {
+                        caja_id: caja.id,
+                        usuario_id: caja.usuario_id,
+                        usuario_nombre: caja.usuario_nombre,
+                        fondo_inicial: caja.fondo_inicial
+                    });
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            return res.status(201).json({ mensaje: 'Caja abierta exitosamente', caja });
+
+        } catch (error) {
+            console.error('Error al abrir caja v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Caja abierta de un cajero con su corte preliminar
+     */
+    obtenerCajaAbierta: async (req, res) => {
+        try {
+            const { usuario_id } = req.params;
+
+            if (!puedeOperarCajaDe(req.usuario, usuario_id)) {
+                return sinPermisoCaja(res, req.usuario);
+            }
+
+            const result = await dbTurso.execute({
+                sql: `${CAJA_QUERY} WHERE c.usuario_id = ? AND c.estado = 'Abierta'`,
+                args: [usuario_id]
+            });
+
+            if (result.rows.length === 0) {
+                return res.status(404).json({ error: 'El cajero no tiene una caja abierta' });
+            }
+
+            const row = result.rows[0];
+
+            return res.status(200).json({
+                ...formatearCaja(row),
+                corte: await corteDeCaja(row)
+            });
+
+        } catch (error) {
+            console.error('Error al obtener caja abierta v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Listar cajas (filtros opcionales: usuario_id, estado, desde, hasta sobre la fecha de apertura)
+     */
+    listarCajas: async (req, res) => {
+        try {
+            const { usuario_id, estado, desde, hasta } = req.query;
+
+            if (estado && !['Abierta', 'Cerrada'].includes(estado)) {
+                return res.status(400).json({ error: 'Estado inválido. Use: Abierta, Cerrada' });
+            }
+
+            const condiciones = [];
+            const args = [];
+
+            if (usuario_id) {
+                condiciones.push('c.usuario_id = ?');
+                args.push(usuario_id);
+            }
+            if (estado) {
+                condiciones.push('c.estado = ?');
+                args.push(estado);
+            }
+            if (desde) {
+                condiciones.push('date(c.fecha_apertura) >= ?');
+                args.push(desde);
+            }
+            if (hasta) {
+                condiciones.push('date(c.fecha_apertura) <= ?');
+                args.push(hasta);
+            }
+
+            const where = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+            const result = await dbTurso.execute({
+                sql: `${CAJA_QUERY} ${where} ORDER BY c.fecha_apertura DESC, c.id DESC LIMIT 500`,
+                args
+            });
+
+            return res.status(200).json(result.rows.map(formatearCaja));
+
+        } catch (error) {
+            console.error('Error al listar cajas v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Detalle de una caja con su corte
+     */
+    obtenerCaja: async (req, res) => {
+        try {
+            const row = await consultarCaja(req.params.id);
+
+            if (!row) {
+                return res.status(404).json({ error: 'Caja no encontrada' });
+            }
+
+            if (!puedeOperarCajaDe(req.usuario, row.usuario_id)) {
+                return sinPermisoCaja(res, req.usuario);
+            }
+
+            return res.status(200).json({
+                ...formatearCaja(row),
+                corte: await corteDeCaja(row)
+            });
+
+        } catch (error) {
+            console.error('Error al obtener caja v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Cerrar caja con el efectivo contado. Calcula lo esperado, guarda la diferencia
+     * y liga a la caja los pagos de la sesión para que ya no se puedan modificar.
+     */
+    cerrarCaja: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { monto_contado, observaciones } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (monto_contado == null) {
+                return res.status(400).json({ error: 'Faltan campos requeridos' });
+            }
+
+            if (isNaN(Number(monto_contado)) || Number(monto_contado) < 0) {
+                return res.status(400).json({ error: 'El monto contado debe ser un número mayor o igual a cero' });
+            }
+
+            const row = await consultarCaja(id);
+
+            if (!row) {
+                return res.status(404).json({ error: 'Caja no encontrada' });
+            }
+
+            if (!puedeOperarCajaDe(req.usuario, row.usuario_id)) {
+                return sinPermisoCaja(res, req.usuario);
+            }
+
+            if (row.estado === 'Cerrada') {
+                return res.status(409).json({ error: 'La caja ya está cerrada' });
+            }
+
+            const fecha_cierre = ahoraSql();
+            const contado = redondear(monto_contado);
+
+            // El corte, las operaciones ligadas y el cambio de estado van juntos; si otro
+            // cierre ganó la carrera no se guarda nada
+            const cierre = await withTransaction(async (tx) => {
+                const corte = await calcularCorte(row, fecha_cierre, tx);
+                const diferencia = redondear(contado - corte.efectivo_esperado);
+
+                const updateResult = await tx.execute({
+                    sql: `
+                        UPDATE cajas
+                        SET estado = 'Cerrada',
+                            fecha_cierre = ?,
+                            efectivo_esperado = ?,
+                            monto_contado = ?,
+                            diferencia = ?,
+                            observaciones = COALESCE(?, observaciones),
+                            cerrado_por = ?
+                        WHERE id = ? AND estado = 'Abierta'
+                    `,
+                    args: [fecha_cierre, corte.efectivo_esperado, contado, diferencia, observaciones || null, modificado_por, id]
+                });
+
+                if (updateResult.rowsAffected === 0) {
+                    await tx.rollback();
+                    return null;
+                }
+
+                await registrarCorte(Number(row.id), corte, tx);
+
+                return { corte, diferencia };
+            });
+
+            if (!cierre) {
+                return res.status(409).json({ error: 'La caja ya está cerrada' });
+            }
+
+            const { corte, diferencia } = cierre;
+            const caja = formatearCaja(await consultarCaja(id));
+
+            if (notificationManager) {
+                try {
+                    notificationManager.notificacionPersonalizada('caja_cerrada', {
+                        caja_id: caja.id,
+                        usuario_id: caja.usuario_id,
+                        usuario_nombre: caja.usuario_nombre,
+                        efectivo_esperado: caja.efectivo_esperado,
+                        monto_contado: caja.monto_contado,
+                        diferencia: caja.diferencia
+                    });
+
+                    if (diferencia !== 0) {
+                        notificationManager.alertaSistema(
+                            `Corte de caja ${caja.id} (${caja.usuario_nombre}) con ${diferencia < 0 ? 'faltante' : 'sobrante'} de $${Math.abs(diferencia)}`,
+                            'warning',
+                            { caja_id: caja.id, diferencia, accion: 'corte_caja_diferencia' }
+                        );
+                    }
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            return res.status(200).json({
+                mensaje: 'Caja cerrada exitosamente',
+                caja,
+                corte
+            });
+
+        } catch (error) {
+            console.error('Error al cerrar caja v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    }
+};
+
+export default cajasController;
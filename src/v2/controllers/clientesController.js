@@ -12,8 +12,13 @@
  * 
  * Funciones (solo V1):
  * - registrarCliente: Registra un nuevo cliente en la base de datos.
- * - obtenerClientes: Obtiene todos los clientes de la base de datos.
+ * - obtenerClientes: Obtiene todos los clientes de la base de datos (incluye saldo_favor).
  * - modificarCliente: Modifica los datos de un cliente existente + gestión de medidores.
+ *   Cliente, medidores e historial se actualizan en una sola transacción (withTransaction).
+ * 
+ * Funciones nuevas en V2:
+ * - obtenerSaldoFavor: Saldo a favor disponible y sus movimientos (abonos y aplicaciones).
+ * - obtenerEstadoCuenta: Movimientos (facturas, pagos, notas) con saldo acumulado, exportable a JSON, CSV y PDF.
  * 
  * Funcionalidades de medidores incluidas:
  * - Asignación de medidores a clientes
@@ -22,7 +27,12 @@
  * - Registro completo en historial de cambios
  */
 
-import dbTurso from "../../database/db-turso.js";
+import dbTurso, { withTransaction } from "../../database/db-turso.js";
+import { esFechaValida, obtenerEstadoCuenta as obtenerEstadoCuentaCliente, estadoCuentaACsv } from "../services/estadoCuenta.js";
+import { generarEstadoCuentaPdf } from "../services/documentosPdf.js";
+import { obtenerSaldoFavor, obtenerMovimientosSaldoFavor, sqlSaldoFavor } from "../services/saldoFavor.js";
+
+const FORMATOS_ESTADO_CUENTA = ['json', 'csv', 'pdf'];
 
 // Helper para obtener los managers SSE
 let sseManager = null;
@@ -152,7 +162,15 @@ const clientesController = {
     // Obtener todos los clientes
     obtenerClientes: async (req, res) => {
         try {
-            const query = `SELECT * FROM clientes`;
+            const query = `
+                SELECT c.*,
+                       (
+                           SELECT ${sqlSaldoFavor('s')}
+                           FROM saldo_favor_movimientos s
+                           WHERE s.cliente_id = c.id
+                       ) AS saldo_favor
+                FROM clientes c
+            `;
 
             const result = await dbTurso.execute({ sql: query });
 
@@ -166,6 +184,7 @@ const clientesController = {
                 correo: cliente.correo,
                 estado_cliente: cliente.estado_cliente,
                 tarifa_id: cliente.tarifa_id ? Number(cliente.tarifa_id) : null,
+                saldo_favor: parseFloat(Number(cliente.saldo_favor).toFixed(2)),
                 modificado_por: cliente.modificado_por ? Number(cliente.modificado_por) : null,
                 fecha_creacion: cliente.fecha_creacion
             }));
@@ -264,112 +283,77 @@ const clientesController = {
                 WHERE id = ?
             `;
 
-            await dbTurso.execute({
-                sql: updateQuery,
-                args: [safeNombre, safeDireccion, safeTelefono, safeCiudad, safeCorreo, safeEstadoCliente, safeTarifaId, safeTarifaId, safeModificadoPor, safeClienteId]
-            });
-
             // Gestionar medidores
             const errores = [];
-            let totalOperaciones = 0;
-            let completadas = 0;
 
-            // Calcular operaciones de medidores
-            const totalMedidoresAsignar = Array.isArray(medidor_id) ? medidor_id.length : 0;
-            const totalMedidoresLiberar = Array.isArray(medidores_liberados) ? medidores_liberados.length : 0;
-            totalOperaciones = totalMedidoresAsignar + totalMedidoresLiberar;
+            // Cliente, medidores e historial se guardan juntos: con cualquier error no se aplica nada
+            await withTransaction(async (tx) => {
+                await tx.execute({
+                    sql: updateQuery,
+                    args: [safeNombre, safeDireccion, safeTelefono, safeCiudad, safeCorreo, safeEstadoCliente, safeTarifaId, safeTarifaId, safeModificadoPor, safeClienteId]
+                });
 
-            // Si no hay operaciones de medidores, ir directo al historial
-            if (totalOperaciones === 0) {
-                return await registrarHistorial();
-            }
+                // Liberar medidores
+                for (const mid of Array.isArray(medidores_liberados) ? medidores_liberados : []) {
+                    const medidorResult = await tx.execute({
+                        sql: `SELECT * FROM medidores WHERE id = ?`,
+                        args: [mid]
+                    });
 
-            // Liberar medidores
-            if (totalMedidoresLiberar > 0) {
-                for (const mid of medidores_liberados) {
-                    try {
-                        const medidorResult = await dbTurso.execute({
-                            sql: `SELECT * FROM medidores WHERE id = ?`,
-                            args: [mid]
-                        });
-
-                        if (medidorResult.rows.length === 0) {
-                            errores.push(`Medidor ${mid} no encontrado`);
+                    if (medidorResult.rows.length === 0) {
+                        errores.push(`Medidor ${mid} no encontrado`);
+                    } else {
+                        const medidor = medidorResult.rows[0];
+                        if (Number(medidor.cliente_id) !== parseInt(clienteId)) {
+                            errores.push(`El medidor ${mid} no pertenece al cliente actual`);
                         } else {
-                            const medidor = medidorResult.rows[0];
-                            if (Number(medidor.cliente_id) !== parseInt(clienteId)) {
-                                errores.push(`El medidor ${mid} no pertenece al cliente actual`);
-                            } else {
-                                await dbTurso.execute({
-                                    sql: `UPDATE medidores SET cliente_id = NULL WHERE id = ?`,
-                                    args: [mid]
-                                });
-                                
-                                cambios[`medidor_${mid}`] = {
-                                    antes: Number(medidor.cliente_id),
-                                    despues: null
-                                };
-                            }
+                            await tx.execute({
+                                sql: `UPDATE medidores SET cliente_id = NULL WHERE id = ?`,
+                                args: [mid]
+                            });
+                            
+                            cambios[`medidor_${mid}`] = {
+                                antes: Number(medidor.cliente_id),
+                                despues: null
+                            };
                         }
-                    } catch (err) {
-                        errores.push(`Error al liberar medidor ${mid}: ${err.message}`);
-                    }
-                    
-                    completadas++;
-                    if (completadas === totalOperaciones) {
-                        return await finalizarOperacion();
                     }
                 }
-            }
 
-            // Asignar medidores
-            if (totalMedidoresAsignar > 0) {
-                for (const mid of medidor_id) {
-                    try {
-                        const medidorResult = await dbTurso.execute({
-                            sql: `SELECT * FROM medidores WHERE id = ?`,
-                            args: [mid]
-                        });
-
-                        if (medidorResult.rows.length === 0) {
-                            errores.push(`Medidor ${mid} no encontrado`);
-                        } else {
-                            const medidor = medidorResult.rows[0];
-                            const medidorClienteId = medidor.cliente_id ? Number(medidor.cliente_id) : null;
+                // Asignar medidores
+                for (const mid of Array.isArray(medidor_id) ? medidor_id : []) {
+                    const medidorResult = await tx.execute({
+                        sql: `SELECT * FROM medidores WHERE id = ?`,
+                        args: [mid]
+                    });
+
+                    if (medidorResult.rows.length === 0) {
+                        errores.push(`Medidor ${mid} no encontrado`);
+                    } else {
+                        const medidor = medidorResult.rows[0];
+                        const medidorClienteId = medidor.cliente_id ? Number(medidor.cliente_id) : null;
+                        
+                        if (medidorClienteId && medidorClienteId !== parseInt(clienteId)) {
+                            errores.push(`Medidor ${mid} ya está asignado a otro cliente`);
+                        } else if (medidorClienteId !== parseInt(clienteId)) {
+                            await tx.execute({
+                                sql: `UPDATE medidores SET cliente_id = ? WHERE id = ?`,
+                                args: [clienteId, mid]
+                            });
                             
-                            if (medidorClienteId && medidorClienteId !== parseInt(clienteId)) {
-                                errores.push(`Medidor ${mid} ya está asignado a otro cliente`);
-                            } else if (medidorClienteId !== parseInt(clienteId)) {
-                                await dbTurso.execute({
-                                    sql: `UPDATE medidores SET cliente_id = ? WHERE id = ?`,
-                                    args: [clienteId, mid]
-                                });
-                                
-                                cambios[`medidor_${mid}`] = {
-                                    antes: medidorClienteId,
-                                    despues: parseInt(clienteId)
-                                };
-                            }
+                            cambios[`medidor_${mid}`] = {
+                                antes: medidorClienteId,
+                                despues: parseInt(clienteId)
+                            };
                         }
-                    } catch (err) {
-                        errores.push(`Error al asignar medidor ${mid}: ${err.message}`);
-                    }
-                    
-                    completadas++;
-                    if (completadas === totalOperaciones) {
-                        return await finalizarOperacion();
                     }
                 }
-            }
 
-            async function finalizarOperacion() {
                 if (errores.length > 0) {
-                    return res.status(400).json({ error: errores });
+                    await tx.rollback();
+                    return;
                 }
-                return await registrarHistorial();
-            }
 
-            async function registrarHistorial() {
                 // Registrar cambios en historial
                 if (Object.keys(cambios).length > 0) {
                     const insertHistorial = `
@@ -377,7 +361,7 @@ const clientesController = {
                         VALUES (?, ?, ?, ?, ?)
                     `;
 
-                    await dbTurso.execute({
+                    await tx.execute({
                         sql: insertHistorial,
                         args: [
                             'clientes',
@@ -388,46 +372,126 @@ const clientesController = {
                         ]
                     });
                 }
+            });
 
-                // Datos del cliente actualizado
-                const clienteActualizado = {
-                    id: parseInt(clienteId),
-                    nombre: nombre || clienteAnterior.nombre,
-                    direccion: direccion || clienteAnterior.direccion,
-                    telefono: telefono || clienteAnterior.telefono,
-                    ciudad: ciudad || clienteAnterior.ciudad,
-                    correo: correo || clienteAnterior.correo,
-                    estado_cliente: estado_cliente || clienteAnterior.estado_cliente,
-                    tarifa_id: tarifa_id !== undefined ? tarifa_id : clienteAnterior.tarifa_id,
-                    cambios: cambios,
-                    fecha_modificacion: new Date().toISOString(),
-                    modificado_por: modificado_por
-                };
-
-                // Enviar notificación SSE
-                if (notificationManager) {
-                    try {
-                        notificationManager.alertaSistema(
-                            `Cliente "${clienteActualizado.nombre}" ha sido modificado`,
-                            'info',
-                            {
-                                cliente: clienteActualizado,
-                                cambios_realizados: Object.keys(cambios).length,
-                                accion: 'cliente_actualizado'
-                            }
-                        );
-                    } catch (sseError) {
-                        console.warn('Error enviando notificación SSE:', sseError);
-                    }
-                }
+            if (errores.length > 0) {
+                return res.status(400).json({ error: errores });
+            }
 
-                res.json({ mensaje: "Cliente modificado", cambios });
+            // Datos del cliente actualizado
+            const clienteActualizado = {
+                id: parseInt(clienteId),
+                nombre: nombre || clienteAnterior.nombre,
+                direccion: direccion || clienteAnterior.direccion,
+                telefono: telefono || clienteAnterior.telefono,
+                ciudad: ciudad || clienteAnterior.ciudad,
+                correo: correo || clienteAnterior.correo,
+                estado_cliente: estado_cliente || clienteAnterior.estado_cliente,
+                tarifa_id: tarifa_id !== undefined ? tarifa_id : clienteAnterior.tarifa_id,
+                cambios: cambios,
+                fecha_modificacion: new Date().toISOString(),
+                modificado_por: modificado_por
+            };
+
+            // Enviar notificación SSE
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Cliente "${clienteActualizado.nombre}" ha sido modificado`,
+                        'info',
+                        {
+                            cliente: clienteActualizado,
+                            cambios_realizados: Object.keys(cambios).length,
+                            accion: 'cliente_actualizado'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
             }
 
+            res.json({ mensaje: "Cliente modificado", cambios });
+
         } catch (err) {
             console.error('Error modificando cliente v2:', err);
             res.status(500).json({ error: "Error al modificar cliente" });
         }
+    },
+
+    // Saldo a favor del cliente y sus movimientos
+    obtenerSaldoFavor: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const clienteResult = await dbTurso.execute({
+                sql: `SELECT id, nombre FROM clientes WHERE id = ?`,
+                args: [id]
+            });
+
+            if (clienteResult.rows.length === 0) {
+                return res.status(404).json({ error: "Cliente no encontrado" });
+            }
+
+            res.json({
+                cliente_id: Number(clienteResult.rows[0].id),
+                cliente_nombre: clienteResult.rows[0].nombre,
+                saldo_favor: await obtenerSaldoFavor(id),
+                movimientos: await obtenerMovimientosSaldoFavor(id)
+            });
+
+        } catch (err) {
+            console.error('Error obteniendo saldo a favor v2:', err);
+            res.status(500).json({ error: "Error al obtener saldo a favor" });
+        }
+    },
+
+    // Estado de cuenta del cliente (JSON, CSV o PDF)
+    obtenerEstadoCuenta: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { desde, hasta } = req.query;
+            const formato = (req.query.formato || 'json').toLowerCase();
+
+            if (!FORMATOS_ESTADO_CUENTA.includes(formato)) {
+                return res.status(400).json({ error: `Formato no soportado. Use: ${FORMATOS_ESTADO_CUENTA.join(', ')}` });
+            }
+
+            if ((desde && !esFechaValida(desde)) || (hasta && !esFechaValida(hasta))) {
+                return res.status(400).json({ error: "Las fechas deben tener formato YYYY-MM-DD" });
+            }
+
+            if (desde && hasta && desde > hasta) {
+                return res.status(400).json({ error: "La fecha 'desde' no puede ser posterior a 'hasta'" });
+            }
+
+            const estado = await obtenerEstadoCuentaCliente(id, { desde, hasta });
+
+            if (!estado) {
+                return res.status(404).json({ error: "Cliente no encontrado" });
+            }
+
+            const nombreArchivo = `estado-cuenta-${estado.cliente.id}${desde ? `-${desde}` : ''}${hasta ? `-${hasta}` : ''}`;
+
+            if (formato === 'csv') {
+                res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+                res.setHeader('Content-Disposition', `attachment; filename="${nombreArchivo}.csv"`);
+                // BOM para que Excel respete los acentos
+                return res.status(200).send('\uFEFF' + estadoCuentaACsv(estado));
+            }
+
+            if (formato === 'pdf') {
+                const pdf = await generarEstadoCuentaPdf(estado);
+                res.setHeader('Content-Type', 'application/pdf');
+                res.setHeader('Content-Disposition', `inline; filename="${nombreArchivo}.pdf"`);
+                return res.status(200).send(pdf);
+            }
+
+            res.json(estado);
+
+        } catch (err) {
+            console.error('Error obteniendo estado de cuenta v2:', err);
+            res.status(500).json({ error: "Error al obtener estado de cuenta" });
+        }
     }
 };
 
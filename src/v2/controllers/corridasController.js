@@ -0,0 +1,182 @@
+/**
+ * Controlador de Corridas de facturación - V2
+ *
+ * File: src/v2/controllers/corridasController.js
+ *
+ * Descripción: Facturación mensual de un periodo en dos fases. La vista previa calcula
+ * todas las facturas sin emitirlas (totales por ruta y por tarifa, errores) y la aplicación
+ * las emite en una sola transacción: o se emiten todas o ninguna (servicio corridasFacturacion).
+ * El avance y los cambios de estado se notifican por SSE ('corrida_facturacion').
+ *
+ * Funciones nuevas en V2:
+ * - crearVistaPrevia: Calcula y guarda la vista previa de un periodo
+ * - listarCorridas: Historial de corridas (filtros: periodo, estado)
+ * - obtenerCorrida: Detalle de una corrida con cada factura calculada
+ * - aplicarCorrida: Emite las facturas de una vista previa
+ * - descartarCorrida: Descarta una vista previa o una corrida fallida
+ */
+
+import {
+    ESTADOS_CORRIDA,
+    crearVistaPrevia as calcularVistaPrevia,
+    listarCorridas as buscarCorridas,
+    obtenerCorrida as buscarCorrida,
+    aplicarCorrida as emitirCorrida,
+    descartarCorrida as cancelarCorrida
+} from '../services/corridasFacturacion.js';
+
+// Managers SSE - Configurados dinámicamente
+let sseManager = null;
+let notificationManager = null;
+
+export const setSSEManagers = (sseManagerInstance, notificationManagerInstance) => {
+    sseManager = sseManagerInstance;
+    notificationManager = notificationManagerInstance;
+};
+
+const fechaValida = (fecha) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(fecha) && !isNaN(new Date(fecha).getTime());
+
+const corridasController = {
+
+    // =====================================================
+    // FUNCIONES NUEVAS V2
+    // =====================================================
+
+    /**
+     * Calcular la vista previa de la facturación de un periodo sin emitir facturas
+     */
+    crearVistaPrevia: async (req, res) => {
+        try {
+            const { periodo, fecha_emision, estimar = true } = req.body;
+
+            if (!periodo || !fecha_emision) {
+                return res.status(400).json({ error: 'Faltan campos requeridos: periodo y fecha_emision' });
+            }
+
+            if (!fechaValida(fecha_emision)) {
+                return res.status(400).json({ error: 'Fecha de emisión inválida. Use el formato AAAA-MM-DD' });
+            }
+
+            const resultado = await calcularVistaPrevia({
+                periodo,
+                fecha_emision,
+                estimar: estimar !== false,
+                creado_por: req.usuario.id,
+                notificationManager
+            });
+
+            if (!resultado.success) {
+                return res.status(resultado.status).json({ error: resultado.error });
+            }
+
+            return res.status(201).json({
+                mensaje: 'Vista previa de facturación generada; revise los totales y aplique la corrida para emitir las facturas',
+                corrida: resultado.corrida
+            });
+
+        } catch (error) {
+            console.error('Error al generar vista previa de facturación v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Historial de corridas, de la más reciente a la más antigua
+     */
+    listarCorridas: async (req, res) => {
+        try {
+            const { periodo, estado } = req.query;
+
+            if (estado && !ESTADOS_CORRIDA.includes(estado)) {
+                return res.status(400).json({ error: `Estado inválido. Use: ${ESTADOS_CORRIDA.join(', ')}` });
+            }
+
+            const corridas = await buscarCorridas({ periodo, estado });
+
+            return res.status(200).json({ corridas });
+
+        } catch (error) {
+            console.error('Error al listar corridas de facturación v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Detalle de una corrida con cada factura calculada (y emitida, si ya se aplicó)
+     */
+    obtenerCorrida: async (req, res) => {
+        try {
+            const corrida = await buscarCorrida(req.params.id, { incluirItems: true });
+
+            if (!corrida) {
+                return res.status(404).json({ error: 'Corrida de facturación no encontrada' });
+            }
+
+            return res.status(200).json(corrida);
+
+        } catch (error) {
+            console.error('Error al obtener corrida de facturación v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Emitir las facturas de una vista previa. Si los datos del periodo cambiaron desde
+     * la vista previa responde 409 y hay que generar otra.
+     */
+    aplicarCorrida: async (req, res) => {
+        try {
+            const resultado = await emitirCorrida({
+                corrida_id: req.params.id,
+                aplicado_por: req.usuario.id,
+                notificationManager
+            });
+
+            if (!resultado.success) {
+                const { success, status, ...respuesta } = resultado;
+                return res.status(status).json(respuesta);
+            }
+
+            return res.status(200).json({
+                mensaje: 'Corrida aplicada: facturas emitidas exitosamente',
+                corrida: resultado.corrida
+            });
+
+        } catch (error) {
+            console.error('Error al aplicar corrida de facturación v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Descartar una vista previa o una corrida fallida
+     */
+    descartarCorrida: async (req, res) => {
+        try {
+            const { motivo = null } = req.body || {};
+
+            const resultado = await cancelarCorrida({
+                corrida_id: req.params.id,
+                modificado_por: req.usuario.id,
+                motivo,
+                notificationManager
+            });
+
+            if (!resultado.success) {
+                return res.status(resultado.status).json({ error: resultado.error });
+            }
+
+            return res.status(200).json({
+                mensaje: 'Corrida descartada',
+                corrida: resultado.corrida
+            });
+
+        } catch (error) {
+            console.error('Error al descartar corrida de facturación v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    }
+};
+
+export default corridasController;
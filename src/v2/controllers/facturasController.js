@@ -13,12 +13,29 @@
  * - BigInt conversion implementada
  * 
  * Funciones de V1 implementadas:
- * - generarFactura: Lógica completa de cálculo por rangos de tarifas
- * - obtenerFacturas: Con consultas optimizadas y JOINs
- * - modificarFactura: Actualización de facturas existentes
+ * - generarFactura: Cálculo por rangos de tarifas mediante el motor compartido (tarifaEngine);
+ *   descuenta el saldo a favor del cliente
+ * - obtenerFacturas: Con consultas optimizadas y JOINs (incluye conceptos de factura_detalles)
+ * - modificarFactura: Actualización de estado (Pendiente/Vencida) y total mientras no haya pagos
+ * 
+ * Funciones nuevas en V2:
+ * - procesarVencidas: Ejecución manual del job de facturas vencidas
+ * - cancelarFactura: Cancelación con motivo (solo facturas sin pagos)
+ * - registrarNotaFactura: Notas de crédito/débito que ajustan el saldo pendiente
+ * - descargarFacturaPdf: Factura imprimible en PDF generada en el servidor
+ * - Las facturas de un periodo cerrado no se generan, modifican, cancelan ni reciben notas
+ *   (servicio periodosFacturacion)
  */
 
-import dbTurso from '../../database/db-turso.js';
+import dbTurso, { withTransaction } from '../../database/db-turso.js';
+import { calcularTarifa } from '../services/tarifaEngine.js';
+import { procesarFacturasVencidas } from '../jobs/facturasVencidas.js';
+import { consultarFacturas } from '../services/consultaFacturas.js';
+import { generarFacturaPdf } from '../services/documentosPdf.js';
+import { aplicarSaldoFavor } from '../services/saldoFavor.js';
+import { validarCargosAdicionales, totalCargosAdicionales, registrarDetallesFactura } from '../services/facturaDetalles.js';
+import { registrarNota } from '../services/notasFactura.js';
+import { validarPeriodoSinCerrar, validarFacturaEditable } from '../services/periodosFacturacion.js';
 
 // Managers SSE - Configurados dinámicamente
 let sseManager = null;
@@ -29,6 +46,27 @@ export const setSSEManagers = (sseManagerInstance, notificationManagerInstance)
     notificationManager = notificationManagerInstance;
 };
 
+// Estados que pueden asignarse manualmente con modificarFactura
+const ESTADOS_MODIFICABLES = ['Pendiente', 'Vencida'];
+
+/**
+ * Redondea un importe a 2 decimales
+ */
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Registra un movimiento de la factura en historial_cambios
+ */
+const registrarHistorialFactura = async (factura_id, operacion, modificado_por, cambios, db = dbTurso) => {
+    await db.execute({
+        sql: `
+            INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+            VALUES (?, ?, ?, ?, ?)
+        `,
+        args: ['facturas', operacion, factura_id, modificado_por, JSON.stringify(cambios)]
+    });
+};
+
 const facturasController = {
     /**
      * Generar factura (lógica principal de V1)
@@ -36,12 +74,18 @@ const facturasController = {
     async generarFactura(req, res) {
         console.log('Generar factura v2:', req.body);
         try {
-            const { lectura_id, cliente_id, tarifa_id, consumo_m3, fecha_emision, modificado_por } = req.body;
+            const { lectura_id, cliente_id, tarifa_id, consumo_m3, fecha_emision, cargos_adicionales } = req.body;
+            const modificado_por = req.usuario.id; // Usuario de la sesión, nunca del body
 
-            if (!lectura_id || !cliente_id || !tarifa_id || consumo_m3 == null || !fecha_emision || !modificado_por) {
+            if (!lectura_id || !cliente_id || !tarifa_id || consumo_m3 == null || !fecha_emision) {
                 return res.status(400).json({ error: 'Faltan campos requeridos' });
             }
 
+            const errorCargos = validarCargosAdicionales(cargos_adicionales);
+            if (errorCargos) {
+                return res.status(400).json({ error: errorCargos });
+            }
+
             // Verificar si ya existe una factura para esta lectura
             const facturaExistenteQuery = `SELECT id FROM facturas WHERE lectura_id = ?`;
             const facturaExistente = await dbTurso.execute({ 
@@ -74,7 +118,7 @@ const facturasController = {
             }
 
             // Verificar existencia de lectura
-            const lecturaExisteQuery = `SELECT id FROM lecturas WHERE id = ?`;
+            const lecturaExisteQuery = `SELECT id, periodo FROM lecturas WHERE id = ?`;
             const lecturaResult = await dbTurso.execute({ 
                 sql: lecturaExisteQuery, 
                 args: [lectura_id] 
@@ -83,59 +127,22 @@ const facturasController = {
                 return res.status(404).json({ error: 'La lectura no existe' });
             }
 
-            // Obtener rangos de la tarifa ordenados ascendentemente
-            const rangosQuery = `
-                SELECT consumo_min, consumo_max, precio_por_m3 
-                FROM rangos_tarifas 
-                WHERE tarifa_id = ? 
-                ORDER BY consumo_min ASC
-            `;
-            const rangosResult = await dbTurso.execute({ 
-                sql: rangosQuery, 
-                args: [tarifa_id] 
-            });
-
-            if (rangosResult.rows.length === 0) {
-                return res.status(400).json({ error: 'La tarifa no tiene rangos definidos' });
+            const validacionPeriodo = await validarPeriodoSinCerrar(lecturaResult.rows[0].periodo);
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
             }
 
-            const rangos = rangosResult.rows;
-            console.log('Rangos obtenidos:', rangos);
-            console.log('Consumo total:', consumo_m3);
-
-            const primerRango = rangos[0];
-            const ultimoRango = rangos[rangos.length - 1];
-            let total = 0;
+            // Calcular total con el motor de tarifas compartido
+            const calculo = await calcularTarifa(tarifa_id, consumo_m3);
 
-            // Redondear hacia abajo solo para buscar el rango
-            const consumoEntero = Math.floor(consumo_m3);
-
-            if (consumoEntero >= primerRango.consumo_min && consumoEntero <= primerRango.consumo_max) {
-                console.log('Consumo dentro del primer rango:', consumo_m3);
-                total = primerRango.precio_por_m3;
-            } else if (consumoEntero >= ultimoRango.consumo_min) {
-                console.log('Consumo mayor o igual que el último rango:', consumo_m3);
-                total = consumo_m3 * ultimoRango.precio_por_m3;
-            } else {
-                console.log('Consumo en rango intermedio:', consumo_m3);
-
-                const rangoIntermedio = rangos.find(rango =>
-                    consumoEntero >= rango.consumo_min && consumoEntero <= rango.consumo_max
-                );
-
-                if (rangoIntermedio) {
-                    console.log('Rango intermedio encontrado:', rangoIntermedio);
-                    total = consumo_m3 * rangoIntermedio.precio_por_m3;
-                } else {
-                    console.error('No se encontró un rango válido para el consumo:', consumo_m3);
-                    return res.status(400).json({ error: 'Consumo fuera de los rangos definidos' });
-                }
+            if (!calculo.success) {
+                return res.status(400).json({ error: calculo.error });
             }
 
+            const cargos = cargos_adicionales || [];
+            const total = parseFloat((calculo.desglose.total + totalCargosAdicionales(cargos)).toFixed(2));
             console.log('Total calculado:', total);
 
-            total = parseFloat(total.toFixed(2)); // redondear a dos decimales
-
             const estado = 'Pendiente';
 
             // Calcular fecha de vencimiento (30 días después)
@@ -157,6 +164,12 @@ const facturasController = {
 
             const factura_id = Number(insertResult.lastInsertRowid);
 
+            // Guardar el detalle de conceptos tal como se cobró
+            await registrarDetallesFactura(factura_id, calculo.desglose.conceptos, cargos);
+
+            // Descontar el saldo a favor que tenga el cliente
+            const saldoFavor = await aplicarSaldoFavor({ factura_id, cliente_id, fecha: fecha_emision, modificado_por });
+
             // Obtener datos completos de la factura para notificaciones
             const facturaCompletaQuery = `
                 SELECT 
@@ -208,6 +221,9 @@ const facturasController = {
                 mensaje: 'Factura generada exitosamente',
                 factura_id,
                 total_calculado: total,
+                saldo_favor_aplicado: saldoFavor ? saldoFavor.monto : 0,
+                desglose: calculo.desglose.conceptos,
+                cargos_adicionales: cargos,
                 detalles: {
                     id: Number(facturaCompleta.id),
                     cliente_nombre: facturaCompleta.cliente_nombre,
@@ -216,6 +232,8 @@ const facturasController = {
                     periodo: facturaCompleta.periodo,
                     medidor_numero: facturaCompleta.medidor_numero,
                     total: Number(facturaCompleta.total),
+                    saldo_pendiente: Number(facturaCompleta.saldo_pendiente),
+                    estado: facturaCompleta.estado,
                     fecha_emision: facturaCompleta.fecha_emision,
                     fecha_vencimiento: facturaCompleta.fecha_vencimiento
                 }
@@ -238,234 +256,23 @@ const facturasController = {
             const { id } = req.params;
             const { periodo } = req.query;
 
-            // Consulta optimizada con CTEs y JOINs eficientes adaptada para Turso
-            const baseQuery = `
-                WITH 
-                -- CTE para calcular periodo anterior de forma eficiente
-                periodos_calculados AS (
-                    SELECT 
-                        l.id as lectura_id,
-                        l.periodo,
-                        CASE 
-                            WHEN l.periodo LIKE '____-__' THEN
-                                CASE 
-                                    WHEN SUBSTR(l.periodo, 6, 2) = '01' THEN 
-                                        (CAST(SUBSTR(l.periodo, 1, 4) AS INTEGER) - 1) || '-12'
-                                    ELSE 
-                                        SUBSTR(l.periodo, 1, 4) || '-' || 
-                                        PRINTF('%02d', CAST(SUBSTR(l.periodo, 6, 2) AS INTEGER) - 1)
-                                END
-                            ELSE NULL
-                        END AS periodo_anterior
-                    FROM lecturas l
-                ),
-                -- CTE para datos del mes anterior
-                consumos_anteriores AS (
-                    SELECT 
-                        l.medidor_id,
-                        l.periodo,
-                        l.consumo_m3,
-                        l.fecha_lectura,
-                        pc.periodo_anterior
-                    FROM lecturas l
-                    JOIN periodos_calculados pc ON l.id = pc.lectura_id
-                ),
-                -- CTE para adeudos anteriores
-                adeudos_anteriores AS (
-                    SELECT 
-                        f.cliente_id,
-                        f.fecha_emision,
-                        f.id as factura_id,
-                        COALESCE(SUM(f2.saldo_pendiente), 0) AS total_adeudo
-                    FROM facturas f
-                    LEFT JOIN facturas f2 ON f2.cliente_id = f.cliente_id 
-                                          AND f2.id != f.id 
-                                          AND f2.fecha_emision < f.fecha_emision 
-                                          AND f2.saldo_pendiente > 0
-                    GROUP BY f.cliente_id, f.fecha_emision, f.id
-                )
-                SELECT 
-                    f.id,
-                    f.cliente_id,
-                    f.lectura_id,
-                    f.tarifa_id,
-                    f.fecha_emision,
-                    f.fecha_vencimiento,
-                    f.total,
-                    f.saldo_pendiente,
-                    f.estado,
-                    f.modificado_por,
-                    f.fecha_creacion,
-                    
-                    -- Información del cliente
-                    c.nombre AS cliente_nombre,
-                    c.direccion AS direccion_cliente,
-                    c.telefono AS telefono_cliente,
-                    
-                    -- Información de la tarifa
-                    t.nombre AS tarifa_nombre,
-                    
-                    -- Información del usuario
-                    u.username AS modificado_por_nombre,
-                    
-                    -- Información de la lectura actual
-                    l.consumo_m3,
-                    l.periodo,
-                    l.fecha_lectura,
-                    
-                    -- Mes facturado optimizado
-                    CASE 
-                        WHEN l.periodo LIKE '____-__' THEN 
-                            CASE SUBSTR(l.periodo, 6, 2)
-                                WHEN '01' THEN 'Enero'   WHEN '02' THEN 'Febrero'
-                                WHEN '03' THEN 'Marzo'   WHEN '04' THEN 'Abril'
-                                WHEN '05' THEN 'Mayo'    WHEN '06' THEN 'Junio'
-                                WHEN '07' THEN 'Julio'   WHEN '08' THEN 'Agosto'
-                                WHEN '09' THEN 'Septiembre' WHEN '10' THEN 'Octubre'
-                                WHEN '11' THEN 'Noviembre'  WHEN '12' THEN 'Diciembre'
-                                ELSE l.periodo
-                            END || ' ' || SUBSTR(l.periodo, 1, 4)
-                        ELSE l.periodo
-                    END AS mes_facturado,
-                    
-                    -- Información del medidor
-                    m.id AS medidor_id,
-                    m.numero_serie AS medidor_numero_serie,
-                    m.ubicacion AS medidor_ubicacion,
-                    
-                    -- Información de la ruta
-                    r.id AS ruta_id,
-                    r.nombre AS ruta_nombre,
-                    
-                    -- Costo por m3 desde la tarifa activa
-                    rt.precio_por_m3 AS costo_por_m3,
-                    
-                    -- Adeudo anterior desde CTE
-                    aa.total_adeudo AS adeudo_anterior,
-                    
-                    -- Información del consumo anterior desde CTE
-                    ca_anterior.consumo_m3 AS consumo_mes_anterior,
-                    pc.periodo_anterior AS periodo_mes_anterior,
-                    ca_anterior.fecha_lectura AS fecha_lectura_mes_anterior
-                    
-                FROM facturas f
-                JOIN clientes c ON f.cliente_id = c.id
-                JOIN tarifas t ON f.tarifa_id = t.id
-                JOIN usuarios u ON f.modificado_por = u.id
-                JOIN lecturas l ON f.lectura_id = l.id
-                JOIN medidores m ON l.medidor_id = m.id
-                LEFT JOIN rutas r ON l.ruta_id = r.id
-                LEFT JOIN periodos_calculados pc ON l.id = pc.lectura_id
-                LEFT JOIN consumos_anteriores ca_anterior ON ca_anterior.medidor_id = m.id 
-                                                          AND ca_anterior.periodo = pc.periodo_anterior
-                LEFT JOIN adeudos_anteriores aa ON aa.factura_id = f.id
-                LEFT JOIN rangos_tarifas rt ON rt.tarifa_id = f.tarifa_id 
-                                            AND CAST(l.consumo_m3 AS INTEGER) >= rt.consumo_min 
-                                            AND (rt.consumo_max IS NULL OR CAST(l.consumo_m3 AS INTEGER) <= rt.consumo_max)
-            `;
-
-            // Construir WHERE y ORDER clauses de forma eficiente
-            let whereClause = '';
-            let queryParams = [];
-
-            if (id) {
-                whereClause = 'WHERE f.id = ?';
-                queryParams.push(id);
-            } else if (periodo) {
-                whereClause = 'WHERE l.periodo = ?';
-                queryParams.push(periodo);
-            }
-
-            // Usar ORDER BY solo cuando sea necesario
-            const orderClause = id ? '' : 'ORDER BY f.fecha_emision DESC';
-            
-            // Agregar LIMIT para consultas grandes (opcional)
-            const limitClause = (!id && !periodo) ? 'LIMIT 1000' : '';
-            
-            const query = `${baseQuery} ${whereClause} ${orderClause} ${limitClause}`;
+            const facturasFormateadas = await consultarFacturas({ id, periodo });
 
-            console.log('🚀 Consulta optimizada:', {
-                id,
-                periodo,
-                hasLimit: !id && !periodo,
-                queryLength: query.length
-            });
-
-            const startTime = Date.now();
-            const result = await dbTurso.execute({ sql: query, args: queryParams });
-            const executionTime = Date.now() - startTime;
-
-            console.log(`⚡ Consulta ejecutada en ${executionTime}ms - ${result.rows.length} registros`);
-
-            if (id && result.rows.length === 0) {
+            if (id && facturasFormateadas.length === 0) {
                 return res.status(404).json({ error: 'Factura no encontrada' });
             }
 
-            if (periodo && !id && result.rows.length === 0) {
+            if (periodo && !id && facturasFormateadas.length === 0) {
                 return res.status(404).json({ 
                     error: 'No se encontraron facturas para el periodo especificado',
                     periodo 
                 });
             }
 
-            // Formateo optimizado con destructuring
-            const formatearFactura = (factura) => {
-                const {
-                    id, cliente_id, cliente_nombre, direccion_cliente, telefono_cliente,
-                    lectura_id, consumo_m3, costo_por_m3, total, saldo_pendiente, estado,
-                    fecha_emision, fecha_vencimiento, modificado_por, modificado_por_nombre,
-                    fecha_creacion, tarifa_id, tarifa_nombre, periodo, mes_facturado,
-                    fecha_lectura, medidor_id, medidor_numero_serie, medidor_ubicacion,
-                    ruta_id, ruta_nombre, adeudo_anterior, consumo_mes_anterior,
-                    periodo_mes_anterior, fecha_lectura_mes_anterior
-                } = factura;
-
-                return {
-                    id: Number(id), 
-                    cliente_id: Number(cliente_id), 
-                    cliente_nombre, 
-                    direccion_cliente, 
-                    telefono_cliente,
-                    lectura_id: Number(lectura_id), 
-                    consumo_m3: Number(consumo_m3), 
-                    costo_por_m3: costo_por_m3 ? Number(costo_por_m3) : 0,
-                    total: Number(total), 
-                    saldo_pendiente: Number(saldo_pendiente), 
-                    estado, 
-                    fecha_emision, 
-                    fecha_vencimiento,
-                    modificado_por: Number(modificado_por), 
-                    modificado_por_nombre, 
-                    fecha_creacion,
-                    tarifa_id: Number(tarifa_id), 
-                    tarifa_nombre, 
-                    periodo, 
-                    mes_facturado, 
-                    fecha_lectura,
-                    medidor: {
-                        id: medidor_id ? Number(medidor_id) : null,
-                        numero_serie: medidor_numero_serie,
-                        ubicacion: medidor_ubicacion
-                    },
-                    ruta: ruta_id ? { id: Number(ruta_id), nombre: ruta_nombre } : null,
-                    adeudo_anterior: adeudo_anterior ? Number(adeudo_anterior) : 0,
-                    consumo_mes_anterior: {
-                        consumo_m3: consumo_mes_anterior ? Number(consumo_mes_anterior) : null,
-                        periodo: periodo_mes_anterior || null,
-                        fecha_lectura: fecha_lectura_mes_anterior || null,
-                        diferencia_consumo: consumo_mes_anterior ? 
-                            (Number(consumo_m3) - Number(consumo_mes_anterior)) : null
-                    }
-                };
-            };
-
             if (id) {
                 // Respuesta para una sola factura
-                return res.status(200).json(formatearFactura(result.rows[0]));
+                return res.status(200).json(facturasFormateadas[0]);
             } else {
-                // Procesamiento optimizado para múltiples facturas
-                const facturasFormateadas = result.rows.map(formatearFactura);
-                
                 const response = {
                     facturas: facturasFormateadas,
                     total: facturasFormateadas.length,
@@ -505,16 +312,29 @@ const facturasController = {
 
     /**
      * Modificar factura - Adaptado de V1
+     * Solo permite cambiar entre Pendiente/Vencida y corregir el total mientras no tenga pagos.
+     * Pagado lo asignan los pagos y Cancelada el flujo de cancelación.
      */
     async modificarFactura(req, res) {
         try {
             const { id } = req.params;
-            const { estado, total, modificado_por } = req.body;
+            const { estado, total } = req.body;
+            const modificado_por = req.usuario.id;
 
-            if (!estado || !modificado_por) {
+            if (!estado && total == null) {
                 return res.status(400).json({ error: 'Faltan campos requeridos' });
             }
 
+            if (estado && !ESTADOS_MODIFICABLES.includes(estado)) {
+                return res.status(400).json({
+                    error: `El estado solo puede cambiarse a: ${ESTADOS_MODIFICABLES.join(', ')}. Use pagos o /facturas/:id/cancelar para los demás estados`
+                });
+            }
+
+            if (total != null && (isNaN(Number(total)) || Number(total) <= 0)) {
+                return res.status(400).json({ error: 'El total debe ser un número mayor a cero' });
+            }
+
             // Verificar que la factura existe
             const verificarQuery = `SELECT * FROM facturas WHERE id = ?`;
             const verificarResult = await dbTurso.execute({ sql: verificarQuery, args: [id] });
@@ -523,17 +343,69 @@ const facturasController = {
                 return res.status(404).json({ error: 'Factura no encontrada' });
             }
 
+            const facturaAnterior = verificarResult.rows[0];
+
+            if (facturaAnterior.estado === 'Cancelada') {
+                return res.status(409).json({ error: 'La factura está cancelada y no puede modificarse' });
+            }
+
+            const validacionPeriodo = await validarFacturaEditable(id);
+
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+            }
+
+            const totalAnterior = Number(facturaAnterior.total);
+            const nuevoTotal = total != null ? redondear(total) : totalAnterior;
+            const cambios = {};
+
+            if (nuevoTotal !== totalAnterior) {
+                // Con pagos aplicados el total ya no se edita: se ajusta con notas de crédito/débito
+                const pagosResult = await dbTurso.execute({
+                    sql: `
+                        SELECT COUNT(*) AS total_pagos FROM pagos p
+                        WHERE p.factura_id = ? AND NOT EXISTS (SELECT 1 FROM anulaciones_pago a WHERE a.pago_id = p.id)
+                    `,
+                    args: [id]
+                });
+
+                if (Number(pagosResult.rows[0].total_pagos) > 0) {
+                    return res.status(409).json({
+                        error: 'La factura tiene pagos registrados; use una nota de crédito o débito para ajustar el saldo'
+                    });
+                }
+
+                cambios.total = { antes: totalAnterior, despues: nuevoTotal };
+                cambios.saldo_pendiente = {
+                    antes: Number(facturaAnterior.saldo_pendiente),
+                    despues: redondear(Number(facturaAnterior.saldo_pendiente) + nuevoTotal - totalAnterior)
+                };
+            }
+
+            const nuevoEstado = estado || facturaAnterior.estado;
+            if (nuevoEstado !== facturaAnterior.estado) {
+                cambios.estado = { antes: facturaAnterior.estado, despues: nuevoEstado };
+            }
+
+            // El saldo se mueve lo mismo que el total para conservar las notas ya aplicadas
             const query = `
                 UPDATE facturas
-                SET estado = ?, total = ?, modificado_por = ?
+                SET estado = ?,
+                    total = ?,
+                    saldo_pendiente = ROUND(saldo_pendiente + ?, 2),
+                    modificado_por = ?
                 WHERE id = ?
             `;
 
             await dbTurso.execute({
                 sql: query,
-                args: [estado, total || 0, modificado_por, id]
+                args: [nuevoEstado, nuevoTotal, redondear(nuevoTotal - totalAnterior), modificado_por, id]
             });
 
+            if (Object.keys(cambios).length > 0) {
+                await registrarHistorialFactura(id, 'UPDATE', modificado_por, cambios);
+            }
+
             // Enviar notificación SSE
             if (notificationManager) {
                 try {
@@ -542,8 +414,8 @@ const facturasController = {
                         'info',
                         {
                             factura_id: Number(id),
-                            nuevo_estado: estado,
-                            nuevo_total: total ? Number(total) : 0,
+                            nuevo_estado: nuevoEstado,
+                            nuevo_total: nuevoTotal,
                             accion: 'factura_modificada'
                         }
                     );
@@ -552,12 +424,277 @@ const facturasController = {
                 }
             }
 
-            res.status(200).json({ mensaje: 'Factura modificada exitosamente' });
+            res.status(200).json({ mensaje: 'Factura modificada exitosamente', cambios });
 
         } catch (error) {
             console.error('Error al modificar factura v2:', error);
             res.status(500).json({ error: 'Error interno del servidor' });
         }
+    },
+
+    /**
+     * Cancelar factura
+     * Deja la factura en estado Cancelada con saldo cero. No se permite si tiene pagos.
+     */
+    async cancelarFactura(req, res) {
+        try {
+            const { id } = req.params;
+            const { motivo } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!motivo) {
+                return res.status(400).json({ error: 'Falta campo requerido: motivo' });
+            }
+
+            const facturaResult = await dbTurso.execute({
+                sql: `SELECT * FROM facturas WHERE id = ?`,
+                args: [id]
+            });
+
+            if (facturaResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Factura no encontrada' });
+            }
+
+            const factura = facturaResult.rows[0];
+
+            if (factura.estado === 'Cancelada') {
+                return res.status(409).json({ error: 'La factura ya está cancelada' });
+            }
+
+            const validacionPeriodo = await validarFacturaEditable(id);
+
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+            }
+
+            // Sin pagos vigentes, estado y saldo en un solo UPDATE (el trigger actualizar_estado_factura
+            // no toca facturas canceladas) y el historial en la misma transacción
+            const error = await withTransaction(async (tx) => {
+                const pagosResult = await tx.execute({
+                    sql: `
+                        SELECT COUNT(*) AS total_pagos FROM pagos p
+                        WHERE p.factura_id = ? AND NOT EXISTS (SELECT 1 FROM anulaciones_pago a WHERE a.pago_id = p.id)
+                    `,
+                    args: [id]
+                });
+
+                if (Number(pagosResult.rows[0].total_pagos) > 0) {
+                    await tx.rollback();
+                    return 'La factura tiene pagos registrados; anule los pagos o emita una nota de crédito';
+                }
+
+                const updateResult = await tx.execute({
+                    sql: `
+                        UPDATE facturas SET estado = 'Cancelada', saldo_pendiente = 0, modificado_por = ?
+                        WHERE id = ? AND estado != 'Cancelada'
+                    `,
+                    args: [modificado_por, id]
+                });
+
+                if (updateResult.rowsAffected === 0) {
+                    await tx.rollback();
+                    return 'La factura ya está cancelada';
+                }
+
+                await registrarHistorialFactura(id, 'CANCELACION', modificado_por, {
+                    estado: { antes: factura.estado, despues: 'Cancelada' },
+                    saldo_pendiente: { antes: Number(factura.saldo_pendiente), despues: 0 },
+                    motivo
+                }, tx);
+
+                return null;
+            });
+
+            if (error) {
+                return res.status(409).json({ error });
+            }
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Factura ID ${id} cancelada`,
+                        'warning',
+                        {
+                            factura_id: Number(id),
+                            cliente_id: Number(factura.cliente_id),
+                            motivo,
+                            accion: 'factura_cancelada'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            res.status(200).json({
+                mensaje: 'Factura cancelada exitosamente',
+                factura_id: Number(id),
+                estado_anterior: factura.estado,
+                motivo
+            });
+
+        } catch (error) {
+            console.error('Error al cancelar factura v2:', error);
+            res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Registrar nota de crédito o débito sobre una factura
+     * Crédito: reduce el saldo pendiente (no puede exceder el saldo)
+     * Débito: aumenta el saldo pendiente y reabre la factura si estaba pagada
+     */
+    async registrarNotaFactura(req, res) {
+        try {
+            const { id } = req.params;
+            const { tipo, monto, motivo } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!tipo || monto == null || !motivo) {
+                return res.status(400).json({ error: 'Faltan campos requeridos: tipo, monto y motivo' });
+            }
+
+            if (!['credito', 'debito'].includes(tipo)) {
+                return res.status(400).json({ error: "El tipo debe ser 'credito' o 'debito'" });
+            }
+
+            const importe = redondear(monto);
+            if (isNaN(importe) || importe <= 0) {
+                return res.status(400).json({ error: 'El monto debe ser mayor a cero' });
+            }
+
+            const facturaResult = await dbTurso.execute({
+                sql: `SELECT * FROM facturas WHERE id = ?`,
+                args: [id]
+            });
+
+            if (facturaResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Factura no encontrada' });
+            }
+
+            const factura = facturaResult.rows[0];
+            const saldoAnterior = redondear(factura.saldo_pendiente);
+
+            if (factura.estado === 'Cancelada') {
+                return res.status(409).json({ error: 'No se pueden emitir notas sobre una factura cancelada' });
+            }
+
+            const validacionPeriodo = await validarFacturaEditable(id);
+
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+            }
+
+            if (tipo === 'credito' && importe > saldoAnterior) {
+                return res.status(400).json({
+                    error: 'La nota de crédito excede el saldo pendiente de la factura',
+                    saldo_pendiente: saldoAnterior
+                });
+            }
+
+            // La nota, el saldo de la factura y el historial se guardan juntos
+            const nota = await withTransaction(async (tx) => {
+                const registrada = await registrarNota({ factura, tipo, monto: importe, motivo, modificado_por, db: tx });
+
+                await registrarHistorialFactura(id, tipo === 'credito' ? 'NOTA_CREDITO' : 'NOTA_DEBITO', modificado_por, {
+                    nota_id: registrada.nota_id,
+                    monto: importe,
+                    motivo,
+                    saldo_pendiente: { antes: registrada.saldo_anterior, despues: registrada.saldo_pendiente },
+                    estado: { antes: factura.estado, despues: registrada.estado }
+                }, tx);
+
+                return registrada;
+            });
+            const { nota_id } = nota;
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Nota de ${tipo === 'credito' ? 'crédito' : 'débito'} por $${importe} en factura ID ${id}`,
+                        'info',
+                        {
+                            factura_id: Number(id),
+                            nota_id,
+                            tipo,
+                            monto: importe,
+                            saldo_pendiente: nota.saldo_pendiente,
+                            accion: 'nota_factura_registrada'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            res.status(201).json({
+                mensaje: 'Nota registrada exitosamente',
+                nota_id,
+                factura_id: Number(id),
+                tipo,
+                monto: importe,
+                saldo_anterior: saldoAnterior,
+                saldo_pendiente: nota.saldo_pendiente,
+                estado: nota.estado
+            });
+
+        } catch (error) {
+            console.error('Error al registrar nota de factura v2:', error);
+            res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Procesar facturas vencidas - Ejecuta el job bajo demanda
+     */
+    async procesarVencidas(req, res) {
+        try {
+            const { fecha_corte } = req.body || {};
+
+            if (fecha_corte && !/^\d{4}-\d{2}-\d{2}$/.test(fecha_corte)) {
+                return res.status(400).json({ error: 'fecha_corte debe tener formato YYYY-MM-DD' });
+            }
+
+            const resumen = await procesarFacturasVencidas({
+                notificationManager,
+                fecha: fecha_corte || null,
+                modificado_por: req.usuario.id
+            });
+
+            res.status(200).json({
+                mensaje: 'Proceso de facturas vencidas completado',
+                ...resumen
+            });
+
+        } catch (error) {
+            console.error('Error al procesar facturas vencidas v2:', error);
+            res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Descargar la factura en PDF para imprimir y entregar al cliente
+     */
+    async descargarFacturaPdf(req, res) {
+        try {
+            const { id } = req.params;
+
+            const [factura] = await consultarFacturas({ id });
+
+            if (!factura) {
+                return res.status(404).json({ error: 'Factura no encontrada' });
+            }
+
+            const pdf = await generarFacturaPdf(factura);
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="factura-${factura.id}.pdf"`);
+            res.status(200).send(pdf);
+
+        } catch (error) {
+            console.error('Error al generar PDF de factura v2:', error);
+            res.status(500).json({ error: 'Error interno del servidor' });
+        }
     }
 };
 
@@ -0,0 +1,55 @@
+/**
+ * Controlador de Fotos de evidencia - V2
+ *
+ * File: src/v2/controllers/fotosController.js
+ *
+ * Descripción: Sirve las fotos adjuntas a lecturas (carátula) y medidores (instalación)
+ * desde el backend de almacenamiento en que se guardaron. Las URLs vienen en las
+ * respuestas de lecturas y medidores (fotos[].url y fotos[].miniatura_url).
+ *
+ * Funciones nuevas en V2:
+ * - obtenerFoto: Imagen original
+ * - obtenerMiniatura: Miniatura JPEG para listados
+ */
+
+import { leerFoto } from '../services/fotosEvidencia.js';
+
+/**
+ * Envía el archivo de una foto; las fotos no cambian una vez subidas
+ */
+const enviarFoto = async (req, res, miniatura) => {
+    try {
+        const archivo = await leerFoto(req.params.id, { miniatura });
+
+        if (!archivo) {
+            return res.status(404).json({ error: 'Foto no encontrada' });
+        }
+
+        res.setHeader('Content-Type', archivo.content_type);
+        res.setHeader('Content-Disposition', `inline; filename="${archivo.nombre}"`);
+        res.setHeader('Cache-Control', 'private, max-age=86400, immutable');
+        return res.status(200).send(archivo.contenido);
+
+    } catch (error) {
+        console.error('Error al obtener foto v2:', error);
+        return res.status(500).json({ error: 'Error interno del servidor' });
+    }
+};
+
+const fotosController = {
+    /**
+     * Obtener la imagen original de una foto
+     */
+    async obtenerFoto(req, res) {
+        return enviarFoto(req, res, false);
+    },
+
+    /**
+     * Obtener la miniatura de una foto
+     */
+    async obtenerMiniatura(req, res) {
+        return enviarFoto(req, res, true);
+    }
+};
+
+export default fotosController;
@@ -19,14 +19,55 @@
  * - obtenerLecturasPorRutaYPeriodo: Filtrado específico de V1
  * - generarFacturasParaLecturasSinFactura: Generación masiva de facturas
  * 
+ * Lecturas de registro (V2):
+ * - Se captura lectura_actual (valor del registro) y el consumo se deriva contra la lectura
+ *   del periodo anterior del mismo medidor (servicio consumoLecturas), incluidas vueltas
+ *   a cero y cambios de medidor. consumo_m3 directo se sigue aceptando para clientes V1.
+ * 
+ * Funciones nuevas en V2:
+ * - obtenerAnomalias: Cola de lecturas con consumo anómalo retenidas para revisión
+ * - revisarLectura: Aprobar o rechazar una lectura retenida o capturada
+ * - revisarLecturasRuta: Aprobar o rechazar en bloque las lecturas capturadas de una ruta y periodo
+ * - Las lecturas con consumo cero, negativo o pico se retienen y no se facturan
+ *   hasta que un supervisor las revise (servicio anomaliasLectura)
+ * - Modo revisión (por ruta con rutas.requiere_revision o global con
+ *   LECTURAS_REVISION_OBLIGATORIA=true): las lecturas entran como 'capturada' y solo
+ *   las aprobadas se facturan con generarFacturasParaLecturasSinFactura
+ * - Corregir una lectura ya facturada vuelve a calcular su factura (servicio refacturacionLectura)
+ *   en la misma transacción que la corrección y el recálculo de la lectura siguiente
+ * - sincronizarLecturas: Lote de lecturas capturadas sin conexión, idempotente por el uuid del
+ *   dispositivo; responde el resultado por lectura y el estado actual de la ruta
+ * - subirFoto: Adjunta la foto de la carátula del medidor como evidencia de la lectura
+ *   (servicio fotosEvidencia); obtenerLecturas incluye las fotos con sus URLs
+ * - generarFacturasParaLecturasSinFactura crea y aplica una corrida de facturación (servicio
+ *   corridasFacturacion) y emite factura estimada a los medidores sin lectura al corte; la
+ *   siguiente lectura real reparte su consumo entre los periodos estimados y ajusta esas
+ *   facturas al facturarse (servicio estimacionConsumo)
+ * - Las lecturas nuevas y la generación masiva exigen un periodo dado de alta y sin cerrar;
+ *   las lecturas de un periodo cerrado ya no se corrigen ni se revisan. La primera lectura pasa
+ *   el periodo a en_lectura y la facturación masiva a facturado (servicio periodosFacturacion)
+ * 
  * Funcionalidad de facturación automática:
  * - generarFacturaAutomatica: Función auxiliar para crear facturas al registrar lecturas
- * - Cálculo automático basado en rangos de tarifas
+ *   (el cálculo y las escrituras viven en el servicio facturacionLectura)
+ * - La lectura (o su revisión) y su factura se guardan en una sola transacción
+ *   (withTransaction): un error a la mitad no deja la lectura sin su factura ni registros huérfanos
+ * - Cálculo automático basado en rangos de tarifas (motor compartido tarifaEngine)
+ * - Aplicación automática del saldo a favor del cliente
  * - Validaciones de cliente con tarifa asignada
  * - Notificaciones SSE para lecturas y facturas generadas
  */
 
-import dbTurso from '../../database/db-turso.js';
+import dbTurso, { withTransaction } from '../../database/db-turso.js';
+import { facturarLectura } from '../services/facturacionLectura.js';
+import { derivarConsumo, obtenerLecturaSiguiente } from '../services/consumoLecturas.js';
+import { evaluarConsumo, TIPOS_ANOMALIA } from '../services/anomaliasLectura.js';
+import { refacturarLectura } from '../services/refacturacionLectura.js';
+import { guardarFoto, obtenerFotos } from '../services/fotosEvidencia.js';
+import { cerrarIncidencia, CODIGOS_INCIDENCIA } from '../services/incidenciasLectura.js';
+import { repartirConsumo, ligarEstimaciones, conciliarEstimaciones } from '../services/estimacionConsumo.js';
+import { obtenerPeriodo, validarPeriodoEditable, validarPeriodoSinCerrar, avanzarPeriodo } from '../services/periodosFacturacion.js';
+import { crearVistaPrevia, aplicarCorrida, obtenerCorrida } from '../services/corridasFacturacion.js';
 
 // Managers SSE - Configurados dinámicamente
 let sseManager = null;
@@ -37,8 +78,132 @@ export const setSSEManagers = (sseManagerInstance, notificationManagerInstance)
     notificationManager = notificationManagerInstance;
 };
 
+// Sincronización por lotes desde dispositivos de campo
+const MAX_LECTURAS_SYNC = 500;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Lectura tal como la ve el dispositivo al conciliar
+const CAMPOS_LECTURA_SYNC = `
+    l.id, l.uuid, l.medidor_id, l.periodo, l.fecha_lectura, l.lectura_actual, l.consumo_m3,
+    l.estado_revision, l.modificado_por,
+    (SELECT f.id FROM facturas f WHERE f.lectura_id = l.id AND f.estado != 'Cancelada' ORDER BY f.id DESC LIMIT 1) AS factura_id
+`;
+
+const formatearLecturaSync = (row) => ({
+    id: Number(row.id),
+    uuid: row.uuid,
+    medidor_id: Number(row.medidor_id),
+    periodo: row.periodo,
+    fecha_lectura: row.fecha_lectura,
+    lectura_actual: row.lectura_actual != null ? Number(row.lectura_actual) : null,
+    consumo_m3: Number(row.consumo_m3),
+    estado_revision: row.estado_revision,
+    modificado_por: row.modificado_por != null ? Number(row.modificado_por) : null,
+    factura_id: row.factura_id != null ? Number(row.factura_id) : null
+});
+
+/**
+ * Estado actual de una ruta en un periodo: puntos en orden de visita con la lectura
+ * registrada o la incidencia reportada (si existen) y el último registro anterior de cada medidor
+ * @param {Object} ruta - Fila de rutas (id, nombre, requiere_revision)
+ * @param {string} periodo
+ * @returns {Promise<Object>}
+ */
+const obtenerEstadoRuta = async (ruta, periodo) => {
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT
+                rp.orden,
+                m.id AS medidor_ruta_id,
+                m.numero_serie,
+                m.lectura_inicial,
+                m.digitos,
+                c.nombre AS cliente_nombre,
+                (
+                    SELECT la.lectura_actual FROM lecturas la
+                    WHERE la.medidor_id = m.id AND la.periodo < ?
+                    ORDER BY la.periodo DESC, la.fecha_lectura DESC, la.id DESC
+                    LIMIT 1
+                ) AS registro_anterior,
+                l.id IS NOT NULL AS leido,
+                i.id AS incidencia_id,
+                i.codigo AS incidencia_codigo,
+                i.observaciones AS incidencia_observaciones,
+                ${CAMPOS_LECTURA_SYNC}
+            FROM rutas_puntos rp
+            JOIN medidores m ON rp.medidor_id = m.id
+            LEFT JOIN clientes c ON m.cliente_id = c.id
+            LEFT JOIN lecturas l ON l.medidor_id = m.id AND l.periodo = ?
+            LEFT JOIN incidencias_lectura i ON i.medidor_id = m.id AND i.periodo = ?
+            WHERE rp.ruta_id = ?
+            ORDER BY rp.orden ASC
+        `,
+        args: [periodo, periodo, periodo, ruta.id]
+    });
+
+    const puntos = result.rows.map(row => ({
+        orden: Number(row.orden),
+        medidor_id: Number(row.medidor_ruta_id),
+        numero_serie: row.numero_serie,
+        cliente_nombre: row.cliente_nombre,
+        lectura_inicial: Number(row.lectura_inicial || 0),
+        digitos: row.digitos != null ? Number(row.digitos) : null,
+        registro_anterior: row.registro_anterior != null ? Number(row.registro_anterior) : null,
+        lectura: Number(row.leido) === 1 ? formatearLecturaSync(row) : null,
+        incidencia: row.incidencia_id != null
+            ? {
+                id: Number(row.incidencia_id),
+                codigo: row.incidencia_codigo,
+                descripcion: CODIGOS_INCIDENCIA[row.incidencia_codigo],
+                observaciones: row.incidencia_observaciones
+            }
+            : null
+    }));
+
+    // Las paradas con incidencia cuentan como visitadas
+    const completadas = puntos.filter(p => p.lectura || p.incidencia).length;
+
+    return {
+        ruta_id: Number(ruta.id),
+        nombre: ruta.nombre,
+        periodo,
+        requiere_revision: Number(ruta.requiere_revision) === 1,
+        total_puntos: puntos.length,
+        completadas,
+        faltantes: puntos.length - completadas,
+        puntos
+    };
+};
+
+/**
+ * Indica si las lecturas de una ruta pasan por revisión antes de facturarse
+ * (LECTURAS_REVISION_OBLIGATORIA=true lo activa para todas las rutas)
+ * @param {number} ruta_id
+ * @returns {Promise<boolean>}
+ */
+const requiereRevision = async (ruta_id) => {
+    if (process.env.LECTURAS_REVISION_OBLIGATORIA === 'true') return true;
+
+    const result = await dbTurso.execute({
+        sql: `SELECT requiere_revision FROM rutas WHERE id = ?`,
+        args: [ruta_id]
+    });
+
+    return Number(result.rows[0]?.requiere_revision || 0) === 1;
+};
+
+/**
+ * Estado de revisión con el que entra (o vuelve a quedar) una lectura sin factura
+ */
+const estadoRevisionInicial = (anomalia, modoRevision) => {
+    if (anomalia) return 'pendiente';
+    return modoRevision ? 'capturada' : 'no_requerida';
+};
+
 /**
  * Función auxiliar para generar factura automáticamente (V1 logic)
+ * Se llama dentro de withTransaction junto con la escritura de la lectura: un error
+ * se propaga para revertir ambas. La notificación SSE va aparte, ya confirmada la factura.
  * @param {Object} params - Parámetros para generar la factura
  * @param {number} params.lectura_id - ID de la lectura
  * @param {number} params.cliente_id - ID del cliente
@@ -46,163 +211,424 @@ export const setSSEManagers = (sseManagerInstance, notificationManagerInstance)
  * @param {number} params.consumo_m3 - Consumo en metros cúbicos
  * @param {string} params.fecha_emision - Fecha de emisión
  * @param {number} params.modificado_por - ID del usuario que modifica
+ * @param {Object} tx - Transacción en curso
  * @returns {Promise<Object>} - Resultado de la generación de factura
  */
-const generarFacturaAutomatica = async (params) => {
+const generarFacturaAutomatica = async (params, tx) => {
     const { lectura_id, cliente_id, tarifa_id, consumo_m3, fecha_emision, modificado_por } = params;
 
+    const facturacion = await facturarLectura({ lectura_id, cliente_id, tarifa_id, consumo_m3, fecha_emision, modificado_por, db: tx });
+
+    // Periodo ya facturado por estimación (la factura conciliada es la de la lectura) o error
+    if (!facturacion.success || facturacion.estimacion_conciliada) {
+        return facturacion;
+    }
+
+    // Obtener datos completos de la factura para notificaciones
+    const facturaCompletaQuery = `
+        SELECT 
+            f.*,
+            c.nombre as cliente_nombre,
+            c.correo as cliente_correo,
+            t.nombre as tarifa_nombre,
+            l.consumo_m3,
+            l.periodo,
+            m.numero_serie as medidor_numero
+        FROM facturas f
+        JOIN clientes c ON f.cliente_id = c.id
+        JOIN tarifas t ON f.tarifa_id = t.id
+        JOIN lecturas l ON f.lectura_id = l.id
+        JOIN medidores m ON l.medidor_id = m.id
+        WHERE f.id = ?
+    `;
+
+    const facturaCompletaResult = await tx.execute({
+        sql: facturaCompletaQuery,
+        args: [facturacion.factura_id]
+    });
+
+    return { 
+        success: true, 
+        factura_id: facturacion.factura_id, 
+        total: facturacion.total,
+        fecha_vencimiento: facturacion.fecha_vencimiento,
+        saldo_favor_aplicado: facturacion.saldo_favor_aplicado,
+        desglose: facturacion.desglose,
+        detalles: facturaCompletaResult.rows[0],
+        conciliaciones: facturacion.conciliaciones
+    };
+};
+
+/**
+ * Notifica por SSE la factura emitida por generarFacturaAutomatica (después del commit)
+ */
+const notificarFacturaAutomatica = (facturaResult, modificado_por) => {
+    const facturaCompleta = facturaResult?.detalles;
+
+    if (!notificationManager || !facturaResult?.success || !facturaCompleta) return;
+
     try {
-        // Verificar si ya existe una factura para esta lectura
-        const facturaExistenteQuery = `SELECT id FROM facturas WHERE lectura_id = ?`;
-        const facturaExistente = await dbTurso.execute({ 
-            sql: facturaExistenteQuery, 
-            args: [lectura_id] 
-        });
+        notificationManager.facturaGenerada({
+            factura_id: facturaResult.factura_id,
+            cliente_nombre: facturaCompleta.cliente_nombre,
+            total: facturaResult.total,
+            fecha_vencimiento: facturaResult.fecha_vencimiento,
+            periodo: facturaCompleta.periodo,
+            consumo_m3: Number(facturaCompleta.consumo_m3),
+            medidor_numero: facturaCompleta.medidor_numero,
+            saldo_favor_aplicado: facturaResult.saldo_favor_aplicado,
+            tipo: 'factura_generada_automatica'
+        }, modificado_por);
+    } catch (sseError) {
+        console.warn('Error enviando notificación SSE de factura:', sseError);
+    }
+};
+
+/**
+ * registrarNuevaLectura para un elemento del lote de sincronización: un error de esa
+ * lectura se reporta en su resultado en lugar de tumbar el lote completo. Si otra
+ * petición guardó la misma lectura entre la verificación y el INSERT (UNIQUE de uuid o
+ * de medidor y periodo), se vuelve a consultar para responder duplicate o conflict.
+ * @param {Object} datos - Igual que registrarNuevaLectura
+ * @returns {Promise<Object>} - Mismo resultado que registrarNuevaLectura
+ */
+const registrarLecturaSincronizada = async (datos) => {
+    try {
+        return await registrarNuevaLectura(datos);
+    } catch (error) {
+        if (String(error?.message).includes('UNIQUE constraint failed')) {
+            try {
+                return await registrarNuevaLectura(datos);
+            } catch (reintentoError) {
+                console.error('Error al reintentar lectura sincronizada v2:', reintentoError);
+            }
 
-        if (facturaExistente.rows.length > 0) {
-            return { success: false, error: 'Ya existe una factura para esta lectura' };
+            return { resultado: 'conflict', error: 'Ya existe una lectura registrada para este medidor y periodo' };
         }
 
-        // Obtener rangos de la tarifa
-        const rangosQuery = `
-            SELECT consumo_min, consumo_max, precio_por_m3 
-            FROM rangos_tarifas 
-            WHERE tarifa_id = ? 
-            ORDER BY consumo_min ASC
-        `;
-        const rangosResult = await dbTurso.execute({ 
-            sql: rangosQuery, 
-            args: [tarifa_id] 
+        console.error('Error al registrar lectura sincronizada v2:', error);
+        return { resultado: 'invalid', status: 500, error: 'No se pudo registrar la lectura' };
+    }
+};
+
+/**
+ * Registra una lectura nueva: deriva el consumo, evalúa anomalías y genera la factura
+ * cuando corresponde. Compartido por registrarLectura y la sincronización por lotes.
+ * @param {Object} datos - Campos de la lectura (uuid opcional, generado por el dispositivo)
+ * @returns {Promise<Object>} - { resultado: 'created', response } |
+ *   { resultado: 'duplicate', lectura } | { resultado: 'conflict', error, lectura } |
+ *   { resultado: 'invalid', status, error }
+ */
+const registrarNuevaLectura = async (datos) => {
+    const {
+        uuid,
+        medidor_id,
+        ruta_id,
+        lectura_actual,
+        lectura_anterior,
+        consumo_m3: consumo_capturado,
+        fecha_lectura,
+        periodo,
+        modificado_por
+    } = datos;
+
+    // Validación básica: valor del registro o, como en V1, el consumo ya calculado
+    if (!medidor_id || !ruta_id || (lectura_actual == null && consumo_capturado == null) || !fecha_lectura || !periodo || !modificado_por) {
+        return { resultado: 'invalid', status: 400, error: 'Faltan campos requeridos' };
+    }
+
+    if (lectura_actual != null && (isNaN(Number(lectura_actual)) || Number(lectura_actual) < 0)) {
+        return { resultado: 'invalid', status: 400, error: 'lectura_actual debe ser un número mayor o igual a cero' };
+    }
+
+    // El periodo debe estar dado de alta y sin cerrar
+    const validacionPeriodo = await validarPeriodoEditable(periodo);
+
+    if (!validacionPeriodo.success) {
+        return { resultado: 'invalid', status: validacionPeriodo.status, error: validacionPeriodo.error };
+    }
+
+    // Validar existencia del medidor
+    const medidorQuery = `SELECT id FROM medidores WHERE id = ?`;
+    const medidorResult = await dbTurso.execute({ sql: medidorQuery, args: [medidor_id] });
+    
+    if (medidorResult.rows.length === 0) {
+        return { resultado: 'invalid', status: 404, error: 'Medidor no encontrado' };
+    }
+
+    // Validar existencia de la ruta
+    const rutaQuery = `SELECT id FROM rutas WHERE id = ?`;
+    const rutaResult = await dbTurso.execute({ sql: rutaQuery, args: [ruta_id] });
+    
+    if (rutaResult.rows.length === 0) {
+        return { resultado: 'invalid', status: 404, error: 'Ruta no encontrada' };
+    }
+
+    // Reenvío de una lectura ya recibida (mismo identificador del dispositivo)
+    if (uuid) {
+        const uuidResult = await dbTurso.execute({
+            sql: `SELECT ${CAMPOS_LECTURA_SYNC} FROM lecturas l WHERE l.uuid = ?`,
+            args: [uuid]
         });
 
-        if (rangosResult.rows.length === 0) {
-            return { success: false, error: 'La tarifa no tiene rangos definidos' };
-        }
+        if (uuidResult.rows.length > 0) {
+            const existente = formatearLecturaSync(uuidResult.rows[0]);
 
-        const rangos = rangosResult.rows;
-
-        // Calcular total basado en tarifa progresiva/escalonada
-        // Estructura: consumo_min y consumo_max definen el rango, precio_por_m3 es lo que se cobra
-        let total = 0;
-        const consumoEntero = Math.floor(consumo_m3);
-        let rangoEncontrado = false;
-        
-        for (const rango of rangos) {
-            const consumo_min = Number(rango.consumo_min);
-            const consumo_max = Number(rango.consumo_max);
-            const precio_por_m3 = Number(rango.precio_por_m3);
-            
-            if (consumoEntero > consumo_max) {
-                // El consumo supera este rango completamente
-                if (consumo_min === 0) {
-                    // Primer rango (base): se cobra el precio completo del rango
-                    total += precio_por_m3;
-                } else {
-                    // Rangos superiores: se cobra precio × metros del rango
-                    const metros_en_rango = consumo_max - consumo_min + 1;
-                    total += metros_en_rango * precio_por_m3;
-                }
-            } else if (consumoEntero >= consumo_min) {
-                // El consumo está dentro de este rango (rango final)
-                if (consumo_min === 0) {
-                    // Primer rango (base): se cobra el precio completo del rango base
-                    total += precio_por_m3;
-                } else {
-                    // Rangos superiores: se cobra precio × metros consumidos en este rango
-                    const metros_consumidos_en_rango = consumoEntero - consumo_min + 1;
-                    total += metros_consumidos_en_rango * precio_por_m3;
-                }
-                rangoEncontrado = true;
-                break; // Ya encontramos el rango final, salir del bucle
+            if (existente.medidor_id !== Number(medidor_id) || existente.periodo !== periodo) {
+                return {
+                    resultado: 'conflict',
+                    error: 'El uuid ya corresponde a otra lectura',
+                    lectura: existente
+                };
             }
+
+            return { resultado: 'duplicate', lectura: existente };
         }
-        
-        // Si el consumo excede todos los rangos, usar el último rango para el excedente
-        if (!rangoEncontrado && rangos.length > 0) {
-            const ultimoRango = rangos[rangos.length - 1];
-            const ultimo_consumo_max = Number(ultimoRango.consumo_max);
-            const ultimo_precio_por_m3 = Number(ultimoRango.precio_por_m3);
-            
-            // Calcular excedente usando el último rango
-            const excedente = consumoEntero - ultimo_consumo_max;
-            total += excedente * ultimo_precio_por_m3;
-        }
+    }
 
-        total = parseFloat(total.toFixed(2));
+    // Verificar si ya existe una lectura para el mismo medidor y periodo
+    const verificacionQuery = `SELECT ${CAMPOS_LECTURA_SYNC} FROM lecturas l WHERE l.medidor_id = ? AND l.periodo = ?`;
+    const verificacionResult = await dbTurso.execute({ 
+        sql: verificacionQuery, 
+        args: [medidor_id, periodo] 
+    });
+
+    if (verificacionResult.rows.length > 0) {
+        return {
+            resultado: 'conflict',
+            error: 'Ya existe una lectura registrada para este medidor y periodo',
+            lectura: formatearLecturaSync(verificacionResult.rows[0])
+        };
+    }
 
-        // Calcular fecha de vencimiento (30 días después)
-        const fechaVencimiento = new Date(fecha_emision);
-        fechaVencimiento.setDate(fechaVencimiento.getDate() + 30);
-        const fecha_vencimiento_str = fechaVencimiento.toISOString().split('T')[0];
+    // Derivar el consumo del registro contra la lectura anterior del medidor
+    let consumo_m3 = Number(consumo_capturado);
+    let lecturaAnterior = null;
+    let calculo_consumo = 'manual';
+
+    if (lectura_actual != null) {
+        const derivado = await derivarConsumo({
+            medidor_id,
+            periodo,
+            fecha_lectura,
+            lectura_actual,
+            lectura_anterior
+        });
 
-        // Insertar factura
-        const insertFacturaQuery = `
-            INSERT INTO facturas 
-            (lectura_id, cliente_id, tarifa_id, fecha_emision, fecha_vencimiento, estado, total, saldo_pendiente, modificado_por)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `;
+        if (!derivado.success) {
+            return { resultado: 'invalid', status: 400, error: derivado.error };
+        }
+
+        consumo_m3 = derivado.consumo_m3;
+        lecturaAnterior = derivado.lectura_anterior;
+        calculo_consumo = derivado.calculo_consumo;
+    }
 
-        const insertFacturaResult = await dbTurso.execute({
-            sql: insertFacturaQuery,
-            args: [lectura_id, cliente_id, tarifa_id, fecha_emision, fecha_vencimiento_str, 'Pendiente', total, total, modificado_por]
+    // Si hubo periodos facturados por estimación, el consumo se reparte entre ellos y este
+    const reparto = await repartirConsumo({ medidor_id, periodo, consumo_m3, calculo_consumo });
+    consumo_m3 = reparto.consumo_periodo;
+
+    // Comparar contra el historial del medidor; un consumo anómalo se retiene para revisión
+    const evaluacion = await evaluarConsumo({ medidor_id, periodo, fecha_lectura, consumo_m3 });
+    const retenida = evaluacion.anomalia !== null;
+    const estado_revision = estadoRevisionInicial(evaluacion.anomalia, await requiereRevision(ruta_id));
+
+    // Insertar lectura
+    const insertQuery = `
+        INSERT INTO lecturas (
+            uuid, medidor_id, ruta_id, consumo_m3, lectura_actual, lectura_anterior, calculo_consumo,
+            anomalia, anomalia_detalle, estado_revision, fecha_lectura, periodo, modificado_por
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    // La lectura, sus efectos (incidencia, estimaciones, periodo) y su factura van juntos
+    const { lectura_id, lecturaCompleta, facturaResult } = await withTransaction(async (tx) => {
+        const insertResult = await tx.execute({
+            sql: insertQuery,
+            args: [
+                uuid || null, medidor_id, ruta_id, consumo_m3, lectura_actual ?? null, lecturaAnterior, calculo_consumo,
+                evaluacion.anomalia, retenida ? JSON.stringify(evaluacion.detalle) : null,
+                estado_revision,
+                fecha_lectura, periodo, modificado_por
+            ]
         });
 
-        const factura_id = Number(insertFacturaResult.lastInsertRowid);
+        const nuevaLecturaId = Number(insertResult.lastInsertRowid);
+
+        // Si la parada se había reportado sin lectura, la incidencia queda cubierta por esta lectura
+        await cerrarIncidencia({ medidor_id, periodo, lectura_id: nuevaLecturaId, db: tx });
+
+        if (reparto.asignaciones.length > 0) {
+            await ligarEstimaciones(nuevaLecturaId, reparto.asignaciones, tx);
+        }
 
-        // Obtener datos completos de la factura para notificaciones
-        const facturaCompletaQuery = `
+        // La primera lectura de un periodo abierto lo pasa a en_lectura
+        await avanzarPeriodo(periodo, 'en_lectura', modificado_por, tx);
+
+        // Obtener datos completos para SSE y facturación
+        const lecturaCompletaQuery = `
             SELECT 
-                f.*,
+                l.*, 
+                m.numero_serie as medidor_numero,
+                m.ubicacion as medidor_ubicacion,
                 c.nombre as cliente_nombre,
-                c.correo as cliente_correo,
-                t.nombre as tarifa_nombre,
-                l.consumo_m3,
-                l.periodo,
-                m.numero_serie as medidor_numero
-            FROM facturas f
-            JOIN clientes c ON f.cliente_id = c.id
-            JOIN tarifas t ON f.tarifa_id = t.id
-            JOIN lecturas l ON f.lectura_id = l.id
-            JOIN medidores m ON l.medidor_id = m.id
-            WHERE f.id = ?
+                c.tarifa_id as cliente_tarifa_id,
+                m.cliente_id as cliente_id,
+                r.nombre as ruta_nombre
+            FROM lecturas l
+            LEFT JOIN medidores m ON l.medidor_id = m.id
+            LEFT JOIN clientes c ON m.cliente_id = c.id
+            LEFT JOIN rutas r ON l.ruta_id = r.id
+            WHERE l.id = ?
         `;
 
-        const facturaCompletaResult = await dbTurso.execute({
-            sql: facturaCompletaQuery,
-            args: [factura_id]
+        const lecturaCompletaResult = await tx.execute({
+            sql: lecturaCompletaQuery,
+            args: [nuevaLecturaId]
         });
 
-        const facturaCompleta = facturaCompletaResult.rows[0];
+        const lectura = lecturaCompletaResult.rows[0];
+
+        // 🔥 GENERAR FACTURA AUTOMÁTICAMENTE (lógica de V1)
+        let factura = null;
+
+        // Verificar que el cliente tenga una tarifa asignada
+        if (retenida) {
+            console.warn(`⚠️ Lectura ${nuevaLecturaId} retenida por ${evaluacion.anomalia}, no se genera factura hasta su revisión`);
+        } else if (estado_revision === 'capturada') {
+            console.log(`📝 Lectura ${nuevaLecturaId} capturada; se factura cuando un supervisor la apruebe`);
+        } else if (lectura && lectura.cliente_tarifa_id && lectura.cliente_id) {
+            console.log('🧾 Iniciando generación automática de factura...');
+
+            const facturaParams = {
+                lectura_id: nuevaLecturaId,
+                cliente_id: lectura.cliente_id,
+                tarifa_id: lectura.cliente_tarifa_id,
+                consumo_m3,
+                fecha_emision: fecha_lectura,
+                modificado_por
+            };
+
+            factura = await generarFacturaAutomatica(facturaParams, tx);
 
-        // Enviar notificaciones SSE para factura
-        if (notificationManager && facturaCompleta) {
-            try {
-                notificationManager.facturaGenerada({
-                    factura_id,
-                    cliente_nombre: facturaCompleta.cliente_nombre,
-                    total,
-                    fecha_vencimiento: fecha_vencimiento_str,
-                    periodo: facturaCompleta.periodo,
-                    consumo_m3: Number(facturaCompleta.consumo_m3),
-                    medidor_numero: facturaCompleta.medidor_numero,
-                    tipo: 'factura_generada_automatica'
-                }, modificado_por);
-            } catch (sseError) {
-                console.warn('Error enviando notificación SSE de factura:', sseError);
+            if (factura.success) {
+                console.log('✅ Factura generada automáticamente:', factura.factura_id);
+            } else {
+                console.warn('⚠️ No se pudo generar factura automática:', factura.error);
             }
+        } else {
+            console.warn('⚠️ Cliente no tiene tarifa asignada o cliente_id faltante, no se puede generar factura automática');
+        }
+
+        return { lectura_id: nuevaLecturaId, lecturaCompleta: lectura, facturaResult: factura };
+    });
+
+    // Enviar notificaciones SSE para la lectura
+    if (sseManager && notificationManager && lecturaCompleta) {
+        try {
+            // Notificar a operadores sobre nueva lectura
+            notificationManager.lecturaRegistrada({
+                id: lectura_id,
+                medidor_id,
+                medidor_numero: lecturaCompleta.medidor_numero,
+                cliente_nombre: lecturaCompleta.cliente_nombre,
+                consumo_m3,
+                fecha_lectura,
+                periodo,
+                ruta_nombre: lecturaCompleta.ruta_nombre,
+                message: `Lectura registrada para medidor ${lecturaCompleta.medidor_numero}`
+            }, modificado_por);
+
+            // Notificar progreso de ruta con alertaSistema
+            notificationManager.alertaSistema(
+                `Progreso de ruta: medidor ${lecturaCompleta.medidor_numero} completado`,
+                'info',
+                {
+                    ruta_id,
+                    medidor_id,
+                    lectura_id,
+                    consumo_m3,
+                    tipo: 'progreso_ruta'
+                }
+            );
+        } catch (sseError) {
+            console.warn('Error enviando notificaciones SSE de lectura:', sseError);
+        }
+    }
+
+    if (retenida && notificationManager && lecturaCompleta) {
+        try {
+            notificationManager.consumoAnormal({
+                id: lectura_id,
+                medidor_id,
+                medidor_numero: lecturaCompleta.medidor_numero,
+                cliente_nombre: lecturaCompleta.cliente_nombre,
+                ruta_id,
+                periodo: periodo || null,
+                anomalia: evaluacion.anomalia,
+                mensaje: evaluacion.mensaje,
+                ...evaluacion.detalle
+            }, modificado_por);
+        } catch (sseError) {
+            console.warn('Error enviando notificación SSE de consumo anormal:', sseError);
+        }
+    }
+
+    notificarFacturaAutomatica(facturaResult, modificado_por);
+
+    // Respuesta final incluyendo información de factura si se generó
+    const response = { 
+        mensaje: 'Lectura registrada exitosamente', 
+        lectura_id,
+        detalles: {
+            id: lectura_id,
+            uuid: lecturaCompleta.uuid,
+            medidor_id: Number(lecturaCompleta.medidor_id),
+            ruta_id: Number(lecturaCompleta.ruta_id || 0),
+            consumo_m3: Number(lecturaCompleta.consumo_m3),
+            lectura_actual: lecturaCompleta.lectura_actual != null ? Number(lecturaCompleta.lectura_actual) : null,
+            lectura_anterior: lecturaCompleta.lectura_anterior != null ? Number(lecturaCompleta.lectura_anterior) : null,
+            calculo_consumo: lecturaCompleta.calculo_consumo,
+            fecha_lectura: lecturaCompleta.fecha_lectura,
+            periodo: lecturaCompleta.periodo,
+            modificado_por: Number(lecturaCompleta.modificado_por || 0),
+            medidor_numero: lecturaCompleta.medidor_numero,
+            medidor_ubicacion: lecturaCompleta.medidor_ubicacion,
+            cliente_nombre: lecturaCompleta.cliente_nombre,
+            ruta_nombre: lecturaCompleta.ruta_nombre
         }
+    };
 
-        return { 
-            success: true, 
-            factura_id, 
-            total,
-            detalles: facturaCompleta
+    response.estado_revision = estado_revision;
+
+    if (retenida) {
+        response.anomalia = {
+            tipo: evaluacion.anomalia,
+            mensaje: evaluacion.mensaje,
+            ...evaluacion.detalle
         };
+        response.mensaje = 'Lectura registrada y retenida para revisión por consumo anómalo';
+    }
 
-    } catch (error) {
-        console.error('Error en generarFacturaAutomatica:', error);
-        return { success: false, error: error.message };
+    if (facturaResult && facturaResult.success) {
+        response.factura_generada = {
+            factura_id: facturaResult.factura_id,
+            total: facturaResult.total,
+            saldo_favor_aplicado: facturaResult.saldo_favor_aplicado,
+            mensaje: facturaResult.estimacion_conciliada
+                ? 'Factura estimada del periodo conciliada con la lectura'
+                : 'Factura generada automáticamente'
+        };
+
+        if (facturaResult.conciliaciones.length > 0) {
+            response.conciliaciones = facturaResult.conciliaciones;
+        }
+    } else if (reparto.asignaciones.length > 0) {
+        response.estimaciones_pendientes = reparto.asignaciones;
     }
+
+    return { resultado: 'created', response };
 };
 
 const lecturasController = {
@@ -212,165 +638,31 @@ const lecturasController = {
     async registrarLectura(req, res) {
         console.log('Registrar lectura v2:', req.body);
         try {
-            const { medidor_id, ruta_id, consumo_m3, fecha_lectura, periodo, modificado_por } = req.body;
+            const uuid = req.body.uuid != null ? String(req.body.uuid).toLowerCase() : null;
 
-            // Validación básica
-            if (!medidor_id || !ruta_id || consumo_m3 == null || !fecha_lectura || !modificado_por) {
-                return res.status(400).json({ error: 'Faltan campos requeridos' });
+            if (uuid && !UUID_REGEX.test(uuid)) {
+                return res.status(400).json({ error: 'uuid inválido' });
             }
 
-            // Validar existencia del medidor
-            const medidorQuery = `SELECT id FROM medidores WHERE id = ?`;
-            const medidorResult = await dbTurso.execute({ sql: medidorQuery, args: [medidor_id] });
-            
-            if (medidorResult.rows.length === 0) {
-                return res.status(404).json({ error: 'Medidor no encontrado' });
-            }
-
-            // Validar existencia de la ruta
-            const rutaQuery = `SELECT id FROM rutas WHERE id = ?`;
-            const rutaResult = await dbTurso.execute({ sql: rutaQuery, args: [ruta_id] });
-            
-            if (rutaResult.rows.length === 0) {
-                return res.status(404).json({ error: 'Ruta no encontrada' });
-            }
-
-            // Verificar si ya existe una lectura para el mismo medidor y periodo
-            const verificacionQuery = `SELECT id FROM lecturas WHERE medidor_id = ? AND periodo = ?`;
-            const verificacionResult = await dbTurso.execute({ 
-                sql: verificacionQuery, 
-                args: [medidor_id, periodo] 
-            });
+            // El lecturista es el usuario de la sesión; un modificado_por en el body se ignora
+            const registro = await registrarNuevaLectura({ ...req.body, uuid, modificado_por: req.usuario.id });
 
-            if (verificacionResult.rows.length > 0) {
-                return res.status(409).json({ error: 'Ya existe una lectura registrada para este medidor y periodo' });
+            if (registro.resultado === 'invalid') {
+                return res.status(registro.status).json({ error: registro.error });
             }
 
-            // Insertar lectura
-            const insertQuery = `
-                INSERT INTO lecturas (medidor_id, ruta_id, consumo_m3, fecha_lectura, periodo, modificado_por)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `;
-
-            const insertResult = await dbTurso.execute({
-                sql: insertQuery,
-                args: [medidor_id, ruta_id, consumo_m3, fecha_lectura, periodo || null, modificado_por]
-            });
-
-            const lectura_id = Number(insertResult.lastInsertRowid);
-
-            // Obtener datos completos para SSE y facturación
-            const lecturaCompletaQuery = `
-                SELECT 
-                    l.*, 
-                    m.numero_serie as medidor_numero,
-                    m.ubicacion as medidor_ubicacion,
-                    c.nombre as cliente_nombre,
-                    c.tarifa_id as cliente_tarifa_id,
-                    m.cliente_id as cliente_id,
-                    r.nombre as ruta_nombre
-                FROM lecturas l
-                LEFT JOIN medidores m ON l.medidor_id = m.id
-                LEFT JOIN clientes c ON m.cliente_id = c.id
-                LEFT JOIN rutas r ON l.ruta_id = r.id
-                WHERE l.id = ?
-            `;
-
-            const lecturaCompletaResult = await dbTurso.execute({
-                sql: lecturaCompletaQuery,
-                args: [lectura_id]
-            });
-
-            const lecturaCompleta = lecturaCompletaResult.rows[0];
-
-            // Enviar notificaciones SSE para la lectura
-            if (sseManager && notificationManager && lecturaCompleta) {
-                try {
-                    // Notificar a operadores sobre nueva lectura
-                    notificationManager.lecturaRegistrada({
-                        id: lectura_id,
-                        medidor_id,
-                        medidor_numero: lecturaCompleta.medidor_numero,
-                        cliente_nombre: lecturaCompleta.cliente_nombre,
-                        consumo_m3,
-                        fecha_lectura,
-                        periodo: periodo || null,
-                        ruta_nombre: lecturaCompleta.ruta_nombre,
-                        message: `Lectura registrada para medidor ${lecturaCompleta.medidor_numero}`
-                    }, modificado_por);
-
-                    // Notificar progreso de ruta con alertaSistema
-                    notificationManager.alertaSistema(
-                        `Progreso de ruta: medidor ${lecturaCompleta.medidor_numero} completado`,
-                        'info',
-                        {
-                            ruta_id,
-                            medidor_id,
-                            lectura_id,
-                            consumo_m3,
-                            tipo: 'progreso_ruta'
-                        }
-                    );
-                } catch (sseError) {
-                    console.warn('Error enviando notificaciones SSE de lectura:', sseError);
-                }
+            if (registro.resultado === 'conflict') {
+                return res.status(409).json({ error: registro.error });
             }
 
-            // 🔥 GENERAR FACTURA AUTOMÁTICAMENTE (lógica de V1)
-            let facturaResult = null;
-            
-            // Verificar que el cliente tenga una tarifa asignada
-            if (lecturaCompleta && lecturaCompleta.cliente_tarifa_id && lecturaCompleta.cliente_id) {
-                console.log('🧾 Iniciando generación automática de factura...');
-                
-                const facturaParams = {
-                    lectura_id,
-                    cliente_id: lecturaCompleta.cliente_id,
-                    tarifa_id: lecturaCompleta.cliente_tarifa_id,
-                    consumo_m3,
-                    fecha_emision: fecha_lectura,
-                    modificado_por
-                };
-
-                facturaResult = await generarFacturaAutomatica(facturaParams);
-                
-                if (facturaResult.success) {
-                    console.log('✅ Factura generada automáticamente:', facturaResult.factura_id);
-                } else {
-                    console.warn('⚠️ No se pudo generar factura automática:', facturaResult.error);
-                }
-            } else {
-                console.warn('⚠️ Cliente no tiene tarifa asignada o cliente_id faltante, no se puede generar factura automática');
-            }
-
-            // Respuesta final incluyendo información de factura si se generó
-            const response = { 
-                mensaje: 'Lectura registrada exitosamente', 
-                lectura_id,
-                detalles: {
-                    id: lectura_id,
-                    medidor_id: Number(lecturaCompleta.medidor_id),
-                    ruta_id: Number(lecturaCompleta.ruta_id || 0),
-                    consumo_m3: Number(lecturaCompleta.consumo_m3),
-                    fecha_lectura: lecturaCompleta.fecha_lectura,
-                    periodo: lecturaCompleta.periodo,
-                    modificado_por: Number(lecturaCompleta.modificado_por || 0),
-                    medidor_numero: lecturaCompleta.medidor_numero,
-                    medidor_ubicacion: lecturaCompleta.medidor_ubicacion,
-                    cliente_nombre: lecturaCompleta.cliente_nombre,
-                    ruta_nombre: lecturaCompleta.ruta_nombre
-                }
-            };
-
-            if (facturaResult && facturaResult.success) {
-                response.factura_generada = {
-                    factura_id: facturaResult.factura_id,
-                    total: facturaResult.total,
-                    mensaje: 'Factura generada automáticamente'
-                };
+            if (registro.resultado === 'duplicate') {
+                return res.status(409).json({
+                    error: 'La lectura ya fue registrada',
+                    lectura_id: registro.lectura.id
+                });
             }
 
-            return res.status(201).json(response);
+            return res.status(201).json(registro.response);
 
         } catch (error) {
             console.error('Error al registrar lectura v2:', error);
@@ -387,7 +679,8 @@ const lecturasController = {
 
             const baseQuery = `
                 SELECT 
-                    l.id, l.medidor_id, l.consumo_m3, l.fecha_lectura, l.periodo, l.modificado_por,
+                    l.id, l.uuid, l.medidor_id, l.consumo_m3, l.lectura_actual, l.lectura_anterior, l.calculo_consumo,
+                    l.anomalia, l.estado_revision, l.fecha_lectura, l.periodo, l.modificado_por,
                     u.username AS modificado_por_nombre
                 FROM lecturas l
                 JOIN usuarios u ON l.modificado_por = u.id
@@ -408,18 +701,28 @@ const lecturasController = {
             // Formatear resultados con BigInt conversion
             const formatearLectura = (row) => ({
                 id: Number(row.id),
+                uuid: row.uuid,
                 medidor_id: Number(row.medidor_id),
                 consumo_m3: Number(row.consumo_m3),
+                lectura_actual: row.lectura_actual != null ? Number(row.lectura_actual) : null,
+                lectura_anterior: row.lectura_anterior != null ? Number(row.lectura_anterior) : null,
+                calculo_consumo: row.calculo_consumo,
+                anomalia: row.anomalia,
+                estado_revision: row.estado_revision,
                 fecha_lectura: row.fecha_lectura,
                 periodo: row.periodo,
                 modificado_por: Number(row.modificado_por),
                 modificado_por_nombre: row.modificado_por_nombre
             });
 
+            // Fotos de evidencia (carátula del medidor) con sus URLs
+            const fotos = await obtenerFotos('lectura', id ? [Number(id)] : null);
+            const conFotos = (row) => ({ ...formatearLectura(row), fotos: fotos.get(Number(row.id)) || [] });
+
             if (id) {
-                return res.status(200).json(formatearLectura(result.rows[0]));
+                return res.status(200).json(conFotos(result.rows[0]));
             } else {
-                const lecturas = result.rows.map(formatearLectura);
+                const lecturas = result.rows.map(conFotos);
                 return res.status(200).json(lecturas);
             }
 
@@ -431,32 +734,196 @@ const lecturasController = {
 
     /**
      * Modificar lectura - V1 logic
+     * Con lectura_actual el consumo se vuelve a derivar y, si la lectura siguiente del
+     * medidor se calculó contra esta y aún no se factura, también se recalcula.
      */
     async modificarLectura(req, res) {
         try {
             const { id } = req.params;
-            const { medidor_id, consumo_m3, fecha_lectura, periodo, modificado_por } = req.body;
+            const { medidor_id, consumo_m3, lectura_actual, lectura_anterior, fecha_lectura, periodo } = req.body;
+            const modificado_por = req.usuario.id;
 
             // Validación básica
-            if (!medidor_id || !consumo_m3 || !fecha_lectura || !modificado_por) {
+            if (!medidor_id || (consumo_m3 == null && lectura_actual == null) || !fecha_lectura) {
                 return res.status(400).json({ error: 'Faltan campos requeridos' });
             }
 
-            const query = `
-                UPDATE lecturas
-                SET medidor_id = ?, consumo_m3 = ?, fecha_lectura = ?, periodo = ?, modificado_por = ?
-                WHERE id = ?
-            `;
+            if (lectura_actual != null && (isNaN(Number(lectura_actual)) || Number(lectura_actual) < 0)) {
+                return res.status(400).json({ error: 'lectura_actual debe ser un número mayor o igual a cero' });
+            }
 
-            const result = await dbTurso.execute({
-                sql: query,
-                args: [medidor_id, consumo_m3, fecha_lectura, periodo || null, modificado_por, id]
+            const actualResult = await dbTurso.execute({
+                sql: `
+                    SELECT l.id, l.ruta_id, l.periodo, l.consumo_m3, l.lectura_actual, l.anomalia, l.anomalia_detalle, l.estado_revision,
+                           (SELECT f.id FROM facturas f WHERE f.lectura_id = l.id AND f.estado != 'Cancelada' LIMIT 1) AS factura_id
+                    FROM lecturas l
+                    WHERE l.id = ?
+                `,
+                args: [id]
             });
 
-            if (result.rowsAffected === 0) {
+            if (actualResult.rows.length === 0) {
                 return res.status(404).json({ error: 'Lectura no encontrada' });
             }
 
+            // El periodo de la lectura no puede estar cerrado; si cambia, el nuevo debe estar dado de alta
+            const periodoAnterior = actualResult.rows[0].periodo;
+            const validaciones = [await validarPeriodoSinCerrar(periodoAnterior)];
+
+            if (periodo && periodo !== periodoAnterior) {
+                validaciones.push(await validarPeriodoEditable(periodo));
+            }
+
+            const periodoBloqueado = validaciones.find(v => !v.success);
+
+            if (periodoBloqueado) {
+                return res.status(periodoBloqueado.status).json({ error: periodoBloqueado.error });
+            }
+
+            const registroAnterior = actualResult.rows[0].lectura_actual;
+            const registroCambia = (lectura_actual ?? null) === null
+                ? registroAnterior != null
+                : registroAnterior == null || Number(registroAnterior) !== Number(lectura_actual);
+
+            // La lectura siguiente usa este registro como base
+            const siguiente = registroCambia
+                ? await obtenerLecturaSiguiente({ medidor_id, periodo, fecha_lectura, excluir_id: id })
+                : null;
+
+            let consumo = Number(consumo_m3);
+            let lecturaAnterior = null;
+            let calculo_consumo = 'manual';
+
+            if (lectura_actual != null) {
+                const derivado = await derivarConsumo({
+                    medidor_id,
+                    periodo,
+                    fecha_lectura,
+                    lectura_actual,
+                    lectura_anterior,
+                    excluir_id: id
+                });
+
+                if (!derivado.success) {
+                    return res.status(400).json({ error: derivado.error });
+                }
+
+                consumo = derivado.consumo_m3;
+                lecturaAnterior = derivado.lectura_anterior;
+                calculo_consumo = derivado.calculo_consumo;
+            }
+
+            // Parte del consumo que corresponde a este periodo si cubre periodos estimados
+            const reparto = await repartirConsumo({ medidor_id, periodo, consumo_m3: consumo, calculo_consumo, lectura_id: id });
+            consumo = reparto.consumo_periodo;
+
+            // Una lectura aún sin factura se vuelve a evaluar; la corrección reemplaza la revisión previa
+            const existente = actualResult.rows[0];
+            let { anomalia, anomalia_detalle, estado_revision } = existente;
+
+            if (existente.factura_id == null) {
+                const evaluacion = await evaluarConsumo({ medidor_id, periodo, fecha_lectura, consumo_m3: consumo, excluir_id: id });
+                anomalia = evaluacion.anomalia;
+                anomalia_detalle = anomalia ? JSON.stringify(evaluacion.detalle) : null;
+                estado_revision = estadoRevisionInicial(anomalia, await requiereRevision(existente.ruta_id));
+            }
+
+            const advertencias = [];
+            const refacturaciones = [];
+            const conciliaciones = [];
+
+            const siguienteEditable = siguiente
+                ? (await validarPeriodoSinCerrar(siguiente.periodo)).success
+                : true;
+
+            // La corrección, el ajuste de sus facturas y el recálculo de la lectura siguiente van
+            // juntos: si algo falla a la mitad, la lectura y sus facturas quedan como estaban
+            await withTransaction(async (tx) => {
+                await tx.execute({
+                    sql: `
+                        UPDATE lecturas
+                        SET medidor_id = ?, consumo_m3 = ?, lectura_actual = ?, lectura_anterior = ?, calculo_consumo = ?,
+                            anomalia = ?, anomalia_detalle = ?, estado_revision = ?,
+                            fecha_lectura = ?, periodo = ?, modificado_por = ?
+                        WHERE id = ?
+                    `,
+                    args: [
+                        medidor_id, consumo, lectura_actual ?? null, lecturaAnterior, calculo_consumo,
+                        anomalia, anomalia_detalle, estado_revision,
+                        fecha_lectura, periodo || null, modificado_por, id
+                    ]
+                });
+
+                await ligarEstimaciones(id, reparto.asignaciones, tx);
+
+                // Las facturas estimadas que cubre una lectura ya facturada se ajustan a su nueva parte
+                const conciliar = async (lectura_id) => {
+                    const resultado = await conciliarEstimaciones({ lectura_id, modificado_por, db: tx });
+                    resultado.conciliaciones.forEach(c => {
+                        if (c.error) {
+                            advertencias.push(`No se pudo conciliar la factura estimada ${c.factura_id}: ${c.error}`);
+                        } else if (c.ajuste !== 'sin_cambios') {
+                            conciliaciones.push(c);
+                        }
+                    });
+                };
+
+                // Una lectura ya facturada: su factura se vuelve a calcular con el consumo corregido
+                const refacturar = async (lectura_id, consumoCorregido) => {
+                    const resultado = await refacturarLectura({ lectura_id, consumo_m3: consumoCorregido, modificado_por, db: tx });
+                    if (!resultado) return;
+                    if (resultado.success) {
+                        if (resultado.ajuste !== 'sin_cambios') refacturaciones.push({ lectura_id: Number(lectura_id), ...resultado });
+                    } else {
+                        advertencias.push(`No se pudo recalcular la factura de la lectura ${lectura_id}: ${resultado.error}`);
+                    }
+                };
+
+                if (existente.factura_id != null) {
+                    await conciliar(id);
+                }
+
+                if (existente.factura_id != null && consumo !== Number(existente.consumo_m3)) {
+                    await refacturar(id, consumo);
+                }
+
+                if (siguiente && siguiente.lectura_actual != null && !siguienteEditable) {
+                    advertencias.push(`La lectura ${siguiente.id} es del periodo cerrado ${siguiente.periodo}; su consumo no se recalculó`);
+                } else if (siguiente && siguiente.lectura_actual != null) {
+                    const recalculo = await derivarConsumo({
+                        medidor_id,
+                        periodo: siguiente.periodo,
+                        fecha_lectura: siguiente.fecha_lectura,
+                        lectura_actual: siguiente.lectura_actual,
+                        db: tx
+                    });
+
+                    if (recalculo.success) {
+                        const repartoSiguiente = await repartirConsumo({
+                            medidor_id,
+                            periodo: siguiente.periodo,
+                            consumo_m3: recalculo.consumo_m3,
+                            calculo_consumo: recalculo.calculo_consumo,
+                            lectura_id: siguiente.id,
+                            db: tx
+                        });
+
+                        await tx.execute({
+                            sql: `UPDATE lecturas SET consumo_m3 = ?, lectura_anterior = ?, calculo_consumo = ? WHERE id = ?`,
+                            args: [repartoSiguiente.consumo_periodo, recalculo.lectura_anterior, recalculo.calculo_consumo, siguiente.id]
+                        });
+                        await ligarEstimaciones(siguiente.id, repartoSiguiente.asignaciones, tx);
+
+                        if (siguiente.factura_id != null) {
+                            await conciliar(siguiente.id);
+                            await refacturar(siguiente.id, repartoSiguiente.consumo_periodo);
+                        }
+                    } else {
+                        advertencias.push(`No se pudo recalcular la lectura ${siguiente.id}: ${recalculo.error}`);
+                    }
+                }
+            });
+
             // Obtener datos para notificación SSE
             const lecturaActualizadaQuery = `
                 SELECT 
@@ -495,7 +962,16 @@ const lecturasController = {
                 }
             }
 
-            return res.status(200).json({ mensaje: 'Lectura modificada exitosamente' });
+            return res.status(200).json({
+                mensaje: 'Lectura modificada exitosamente',
+                consumo_m3: consumo,
+                calculo_consumo,
+                anomalia,
+                estado_revision,
+                ...(refacturaciones.length > 0 && { refacturaciones }),
+                ...(conciliaciones.length > 0 && { conciliaciones }),
+                ...(advertencias.length > 0 && { advertencias })
+            });
 
         } catch (error) {
             console.error('Error al modificar lectura v2:', error);
@@ -559,117 +1035,81 @@ const lecturasController = {
 
     /**
      * Generar facturas para lecturas sin factura - V1 function (generación masiva)
+     * V2: se emite como una corrida de facturación (servicio corridasFacturacion) que se calcula
+     * y se aplica en la misma solicitud: queda en el historial de corridas y emite todas las
+     * facturas o ninguna. Los medidores activos sin lectura en el periodo (con incidencia o sin
+     * visita) reciben factura estimada, salvo que se envíe estimar: false
      */
     async generarFacturasParaLecturasSinFactura(req, res) {
-        console.log('Generando facturas para lecturas sin factura v2...');
-        
         try {
-            const { periodo, fecha_emision } = req.body;
-            const modificado_por = req.usuario?.id || 1;
+            const { periodo, fecha_emision, estimar = true } = req.body;
+            const modificado_por = req.usuario.id;
 
             if (!periodo || !fecha_emision) {
                 return res.status(400).json({ error: 'Faltan campos requeridos: periodo y fecha_emision' });
             }
 
-            // Obtener lecturas sin factura
-            const query = `
-                SELECT 
-                    l.id as lectura_id,
-                    l.consumo_m3,
-                    l.fecha_lectura,
-                    l.periodo,
-                    m.cliente_id,
-                    c.tarifa_id,
-                    c.nombre as cliente_nombre,
-                    m.numero_serie as medidor_numero
-                FROM lecturas l
-                LEFT JOIN medidores m ON l.medidor_id = m.id
-                LEFT JOIN clientes c ON m.cliente_id = c.id
-                LEFT JOIN facturas f ON l.id = f.lectura_id
-                WHERE f.id IS NULL 
-                AND l.periodo = ?
-                AND c.tarifa_id IS NOT NULL
-                AND m.cliente_id IS NOT NULL
-            `;
+            const vistaPrevia = await crearVistaPrevia({
+                periodo,
+                fecha_emision,
+                estimar: estimar !== false,
+                creado_por: modificado_por,
+                notificationManager
+            });
 
-            const result = await dbTurso.execute({ sql: query, args: [periodo] });
-            const lecturasSinFactura = result.rows || [];
+            if (!vistaPrevia.success) {
+                return res.status(vistaPrevia.status).json({ error: vistaPrevia.error, periodo });
+            }
 
-            if (lecturasSinFactura.length === 0) {
-                return res.status(404).json({ 
-                    mensaje: 'No se encontraron lecturas sin factura para el periodo especificado',
-                    periodo
-                });
+            const aplicacion = await aplicarCorrida({
+                corrida_id: vistaPrevia.corrida.id,
+                aplicado_por: modificado_por,
+                notificationManager
+            });
+
+            if (!aplicacion.success) {
+                const { success, status, ...respuesta } = aplicacion;
+                return res.status(status).json({ ...respuesta, corrida_id: vistaPrevia.corrida.id });
             }
 
-            console.log(`Encontradas ${lecturasSinFactura.length} lecturas sin factura`);
+            const corrida = await obtenerCorrida(aplicacion.corrida.id, { incluirItems: true });
+            const { totales } = corrida;
+            const ESTADO_ITEM = { lectura: 'generada', conciliacion: 'conciliada', estimada: 'estimada' };
 
             const resultados = {
                 periodo,
                 fecha_emision,
-                total_lecturas: lecturasSinFactura.length,
-                facturas_generadas: 0,
-                facturas_fallidas: 0,
-                detalles: []
+                corrida_id: corrida.id,
+                total_lecturas: corrida.items.filter(item => item.lectura_id != null).length,
+                facturas_generadas: totales.facturas + totales.conciliaciones,
+                facturas_fallidas: totales.errores,
+                total_sin_lectura: corrida.items.filter(item => item.tipo === 'estimada').length,
+                facturas_estimadas: totales.estimadas,
+                detalles: corrida.items.map(item => ({
+                    lectura_id: item.lectura_id,
+                    medidor_id: item.medidor_id,
+                    cliente_nombre: item.cliente_nombre,
+                    medidor_numero: item.medidor_numero,
+                    consumo_m3: item.consumo_m3,
+                    factura_id: item.factura_id,
+                    total: item.importe,
+                    estado: item.error ? 'fallida' : ESTADO_ITEM[item.tipo],
+                    ...(item.error && { error: item.error })
+                })),
+                estado_periodo: (await obtenerPeriodo(periodo)).estado
             };
 
-            // Procesar cada lectura
-            for (const lectura of lecturasSinFactura) {
-                try {
-                    const facturaParams = {
-                        lectura_id: lectura.lectura_id,
-                        cliente_id: lectura.cliente_id,
-                        tarifa_id: lectura.tarifa_id,
-                        consumo_m3: Number(lectura.consumo_m3),
-                        fecha_emision,
-                        modificado_por
-                    };
-
-                    const facturaResult = await generarFacturaAutomatica(facturaParams);
-                    
-                    if (facturaResult.success) {
-                        resultados.facturas_generadas++;
-                        resultados.detalles.push({
-                            lectura_id: Number(lectura.lectura_id),
-                            cliente_nombre: lectura.cliente_nombre,
-                            medidor_numero: lectura.medidor_numero,
-                            consumo_m3: Number(lectura.consumo_m3),
-                            factura_id: facturaResult.factura_id,
-                            total: facturaResult.total,
-                            estado: 'generada'
-                        });
-                    } else {
-                        resultados.facturas_fallidas++;
-                        resultados.detalles.push({
-                            lectura_id: Number(lectura.lectura_id),
-                            cliente_nombre: lectura.cliente_nombre,
-                            medidor_numero: lectura.medidor_numero,
-                            consumo_m3: Number(lectura.consumo_m3),
-                            error: facturaResult.error,
-                            estado: 'fallida'
-                        });
-                    }
-                } catch (error) {
-                    console.error(`Error procesando lectura ${lectura.lectura_id}:`, error);
-                    resultados.facturas_fallidas++;
-                    resultados.detalles.push({
-                        lectura_id: Number(lectura.lectura_id),
-                        cliente_nombre: lectura.cliente_nombre,
-                        error: 'Error interno al procesar',
-                        estado: 'fallida'
-                    });
-                }
-            }
-
             // Notificar resultado por SSE
             if (notificationManager) {
                 try {
                     notificationManager.alertaSistema(
-                        `${resultados.facturas_generadas} facturas generadas masivamente`,
+                        `${resultados.facturas_generadas} facturas generadas masivamente${resultados.facturas_estimadas > 0 ? ` y ${resultados.facturas_estimadas} estimadas` : ''}`,
                         'success',
                         {
                             periodo,
+                            corrida_id: corrida.id,
                             total_generadas: resultados.facturas_generadas,
+                            total_estimadas: resultados.facturas_estimadas,
                             total_fallidas: resultados.facturas_fallidas,
                             operador_id: modificado_por,
                             accion: 'facturas_masivas_generadas'
@@ -689,6 +1129,564 @@ const lecturasController = {
             console.error('Error en generación masiva de facturas v2:', error);
             return res.status(500).json({ error: 'Error interno del servidor' });
         }
+    },
+
+    /**
+     * Cola de lecturas con consumo anómalo
+     * Filtros: estado_revision (por defecto 'pendiente'; 'todas' para el historial), anomalia, ruta_id, periodo
+     */
+    async obtenerAnomalias(req, res) {
+        try {
+            const { estado_revision = 'pendiente', anomalia, ruta_id, periodo } = req.query;
+
+            if (!['pendiente', 'aprobada', 'rechazada', 'todas'].includes(estado_revision)) {
+                return res.status(400).json({ error: 'estado_revision inválido. Use: pendiente, aprobada, rechazada, todas' });
+            }
+
+            if (anomalia && !TIPOS_ANOMALIA.includes(anomalia)) {
+                return res.status(400).json({ error: `Anomalía inválida. Use: ${TIPOS_ANOMALIA.join(', ')}` });
+            }
+
+            const condiciones = ['l.anomalia IS NOT NULL'];
+            const args = [];
+
+            if (estado_revision !== 'todas') {
+                condiciones.push('l.estado_revision = ?');
+                args.push(estado_revision);
+            }
+            if (anomalia) {
+                condiciones.push('l.anomalia = ?');
+                args.push(anomalia);
+            }
+            if (ruta_id) {
+                condiciones.push('l.ruta_id = ?');
+                args.push(ruta_id);
+            }
+            if (periodo) {
+                condiciones.push('l.periodo = ?');
+                args.push(periodo);
+            }
+
+            const result = await dbTurso.execute({
+                sql: `
+                    SELECT
+                        l.id, l.medidor_id, l.ruta_id, l.consumo_m3, l.lectura_actual, l.lectura_anterior,
+                        l.fecha_lectura, l.periodo, l.anomalia, l.anomalia_detalle, l.estado_revision,
+                        l.revisado_por, l.fecha_revision, l.observaciones_revision,
+                        m.numero_serie AS medidor_numero,
+                        c.id AS cliente_id,
+                        c.nombre AS cliente_nombre,
+                        r.nombre AS ruta_nombre,
+                        u.username AS tomada_por,
+                        ur.username AS revisado_por_nombre,
+                        f.id AS factura_id
+                    FROM lecturas l
+                    LEFT JOIN medidores m ON l.medidor_id = m.id
+                    LEFT JOIN clientes c ON m.cliente_id = c.id
+                    LEFT JOIN rutas r ON l.ruta_id = r.id
+                    LEFT JOIN usuarios u ON l.modificado_por = u.id
+                    LEFT JOIN usuarios ur ON l.revisado_por = ur.id
+                    LEFT JOIN facturas f ON f.lectura_id = l.id AND f.estado != 'Cancelada'
+                    WHERE ${condiciones.join(' AND ')}
+                    ORDER BY l.fecha_lectura DESC, l.id DESC
+                    LIMIT 500
+                `,
+                args
+            });
+
+            const lecturas = result.rows.map(row => ({
+                id: Number(row.id),
+                medidor_id: Number(row.medidor_id),
+                medidor_numero: row.medidor_numero,
+                cliente_id: row.cliente_id != null ? Number(row.cliente_id) : null,
+                cliente_nombre: row.cliente_nombre,
+                ruta_id: row.ruta_id != null ? Number(row.ruta_id) : null,
+                ruta_nombre: row.ruta_nombre,
+                periodo: row.periodo,
+                fecha_lectura: row.fecha_lectura,
+                consumo_m3: Number(row.consumo_m3),
+                lectura_actual: row.lectura_actual != null ? Number(row.lectura_actual) : null,
+                lectura_anterior: row.lectura_anterior != null ? Number(row.lectura_anterior) : null,
+                anomalia: row.anomalia,
+                detalle: row.anomalia_detalle ? JSON.parse(row.anomalia_detalle) : null,
+                estado_revision: row.estado_revision,
+                tomada_por: row.tomada_por,
+                revisado_por: row.revisado_por != null ? Number(row.revisado_por) : null,
+                revisado_por_nombre: row.revisado_por_nombre,
+                fecha_revision: row.fecha_revision,
+                observaciones_revision: row.observaciones_revision,
+                factura_id: row.factura_id != null ? Number(row.factura_id) : null
+            }));
+
+            return res.status(200).json({ total: lecturas.length, lecturas });
+
+        } catch (error) {
+            console.error('Error al obtener anomalías de lecturas v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Revisar una lectura retenida por consumo anómalo o capturada en modo revisión
+     * - aprobar: el consumo es correcto; se factura de inmediato salvo que la ruta esté en
+     *   modo revisión (ahí la factura la genera generarFacturasParaLecturasSinFactura)
+     * - rechazar: queda fuera de facturación hasta que se corrija con modificarLectura
+     */
+    async revisarLectura(req, res) {
+        try {
+            const { id } = req.params;
+            const { decision, observaciones } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!decision) {
+                return res.status(400).json({ error: 'Falta campo requerido: decision' });
+            }
+
+            if (!['aprobar', 'rechazar'].includes(decision)) {
+                return res.status(400).json({ error: 'Decisión inválida. Use: aprobar, rechazar' });
+            }
+
+            if (decision === 'rechazar' && !observaciones) {
+                return res.status(400).json({ error: 'Indique en observaciones el motivo del rechazo' });
+            }
+
+            const lecturaResult = await dbTurso.execute({
+                sql: `
+                    SELECT l.*, m.numero_serie AS medidor_numero, m.cliente_id, c.tarifa_id AS cliente_tarifa_id
+                    FROM lecturas l
+                    LEFT JOIN medidores m ON l.medidor_id = m.id
+                    LEFT JOIN clientes c ON m.cliente_id = c.id
+                    WHERE l.id = ?
+                `,
+                args: [id]
+            });
+
+            if (lecturaResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Lectura no encontrada' });
+            }
+
+            const lectura = lecturaResult.rows[0];
+
+            if (!['pendiente', 'capturada'].includes(lectura.estado_revision)) {
+                return res.status(409).json({
+                    error: `La lectura no está pendiente de revisión (estado: ${lectura.estado_revision})`
+                });
+            }
+
+            const validacionPeriodo = await validarPeriodoSinCerrar(lectura.periodo);
+
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+            }
+
+            const estado_revision = decision === 'aprobar' ? 'aprobada' : 'rechazada';
+            const facturarAhora = decision === 'aprobar' && !(await requiereRevision(lectura.ruta_id));
+
+            // La revisión y la factura de la lectura aprobada se guardan juntas
+            const facturaResult = await withTransaction(async (tx) => {
+                await tx.execute({
+                    sql: `
+                        UPDATE lecturas
+                        SET estado_revision = ?, revisado_por = ?, fecha_revision = datetime('now'), observaciones_revision = ?
+                        WHERE id = ?
+                    `,
+                    args: [estado_revision, modificado_por, observaciones || null, id]
+                });
+
+                await tx.execute({
+                    sql: `
+                        INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                        VALUES (?, ?, ?, ?, ?)
+                    `,
+                    args: ['lecturas', 'REVISION_LECTURA', id, modificado_por, JSON.stringify({
+                        anomalia: lectura.anomalia,
+                        estado_revision: { antes: lectura.estado_revision, despues: estado_revision },
+                        observaciones: observaciones || null
+                    })]
+                });
+
+                if (!facturarAhora || !lectura.cliente_tarifa_id || !lectura.cliente_id) {
+                    return null;
+                }
+
+                const factura = await generarFacturaAutomatica({
+                    lectura_id: Number(lectura.id),
+                    cliente_id: lectura.cliente_id,
+                    tarifa_id: lectura.cliente_tarifa_id,
+                    consumo_m3: Number(lectura.consumo_m3),
+                    fecha_emision: lectura.fecha_lectura,
+                    modificado_por
+                }, tx);
+
+                if (!factura.success) {
+                    console.warn('⚠️ No se pudo generar la factura de la lectura aprobada:', factura.error);
+                }
+
+                return factura;
+            });
+
+            notificarFacturaAutomatica(facturaResult, modificado_por);
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Lectura del medidor ${lectura.medidor_numero} ${estado_revision} tras revisión de consumo`,
+                        'info',
+                        {
+                            lectura_id: Number(lectura.id),
+                            medidor_id: Number(lectura.medidor_id),
+                            anomalia: lectura.anomalia,
+                            estado_revision,
+                            accion: 'lectura_revisada'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            const response = {
+                mensaje: decision === 'aprobar' ? 'Lectura aprobada' : 'Lectura rechazada',
+                lectura_id: Number(lectura.id),
+                estado_revision
+            };
+
+            if (facturaResult) {
+                response.factura_generada = facturaResult.success
+                    ? { factura_id: facturaResult.factura_id, total: facturaResult.total, saldo_favor_aplicado: facturaResult.saldo_favor_aplicado }
+                    : null;
+                if (!facturaResult.success) response.advertencias = [`No se generó la factura: ${facturaResult.error}`];
+                if (facturaResult.success && facturaResult.conciliaciones.length > 0) {
+                    response.conciliaciones = facturaResult.conciliaciones;
+                }
+            }
+
+            return res.status(200).json(response);
+
+        } catch (error) {
+            console.error('Error al revisar lectura v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Revisión en bloque de las lecturas capturadas de una ruta y periodo
+     * Sin lectura_ids se revisan todas las capturadas; las retenidas por anomalía solo se
+     * incluyen si se indican expresamente en lectura_ids. Las aprobadas quedan listas para
+     * generarFacturasParaLecturasSinFactura.
+     */
+    async revisarLecturasRuta(req, res) {
+        try {
+            const { ruta_id, periodo, decision, lectura_ids, observaciones } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!ruta_id || !periodo || !decision) {
+                return res.status(400).json({ error: 'Faltan campos requeridos: ruta_id, periodo y decision' });
+            }
+
+            if (!['aprobar', 'rechazar'].includes(decision)) {
+                return res.status(400).json({ error: 'Decisión inválida. Use: aprobar, rechazar' });
+            }
+
+            const validacionPeriodo = await validarPeriodoSinCerrar(periodo);
+
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+            }
+
+            if (decision === 'rechazar' && !observaciones) {
+                return res.status(400).json({ error: 'Indique en observaciones el motivo del rechazo' });
+            }
+
+            if (lectura_ids != null && (!Array.isArray(lectura_ids) || lectura_ids.length === 0)) {
+                return res.status(400).json({ error: 'lectura_ids debe ser un arreglo con al menos una lectura' });
+            }
+
+            const args = [ruta_id, periodo];
+            let filtro = `l.estado_revision = 'capturada'`;
+
+            if (lectura_ids) {
+                filtro = `l.estado_revision IN ('capturada', 'pendiente') AND l.id IN (${lectura_ids.map(() => '?').join(',')})`;
+                args.push(...lectura_ids);
+            }
+
+            const lecturasResult = await dbTurso.execute({
+                sql: `
+                    SELECT l.id, l.estado_revision, l.anomalia
+                    FROM lecturas l
+                    WHERE l.ruta_id = ? AND l.periodo = ? AND ${filtro}
+                    ORDER BY l.id ASC
+                `,
+                args
+            });
+
+            const lecturas = lecturasResult.rows;
+
+            if (lecturas.length === 0) {
+                return res.status(404).json({ error: 'No hay lecturas por revisar para la ruta y periodo indicados' });
+            }
+
+            const estado_revision = decision === 'aprobar' ? 'aprobada' : 'rechazada';
+            const ids = lecturas.map(l => Number(l.id));
+
+            await dbTurso.execute({
+                sql: `
+                    UPDATE lecturas
+                    SET estado_revision = ?, revisado_por = ?, fecha_revision = datetime('now'), observaciones_revision = ?
+                    WHERE id IN (${ids.map(() => '?').join(',')})
+                `,
+                args: [estado_revision, modificado_por, observaciones || null, ...ids]
+            });
+
+            for (const lectura of lecturas) {
+                await dbTurso.execute({
+                    sql: `
+                        INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                        VALUES (?, ?, ?, ?, ?)
+                    `,
+                    args: ['lecturas', 'REVISION_LECTURA', lectura.id, modificado_por, JSON.stringify({
+                        anomalia: lectura.anomalia,
+                        estado_revision: { antes: lectura.estado_revision, despues: estado_revision },
+                        observaciones: observaciones || null,
+                        revision_en_bloque: { ruta_id: Number(ruta_id), periodo }
+                    })]
+                });
+            }
+
+            // Las retenidas que no se incluyeron siguen esperando revisión individual
+            const pendientesResult = await dbTurso.execute({
+                sql: `SELECT COUNT(*) AS total FROM lecturas WHERE ruta_id = ? AND periodo = ? AND estado_revision = 'pendiente'`,
+                args: [ruta_id, periodo]
+            });
+            const anomalias_pendientes = Number(pendientesResult.rows[0].total);
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `${ids.length} lecturas ${decision === 'aprobar' ? 'aprobadas' : 'rechazadas'} en la ruta ${ruta_id} (${periodo})`,
+                        'info',
+                        {
+                            ruta_id: Number(ruta_id),
+                            periodo,
+                            estado_revision,
+                            total: ids.length,
+                            anomalias_pendientes,
+                            accion: 'lecturas_revisadas'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            return res.status(200).json({
+                mensaje: decision === 'aprobar' ? 'Lecturas aprobadas' : 'Lecturas rechazadas',
+                ruta_id: Number(ruta_id),
+                periodo,
+                estado_revision,
+                total: ids.length,
+                lectura_ids: ids,
+                anomalias_pendientes
+            });
+
+        } catch (error) {
+            console.error('Error en revisión de lecturas por ruta v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Sincronizar lecturas capturadas sin conexión - V2
+     * Cada lectura trae un uuid generado en el dispositivo; reenviar el lote es seguro
+     * (las ya recibidas se reportan como duplicate). Responde el resultado por lectura
+     * y el estado actual de la ruta en el periodo para que el dispositivo concilie.
+     */
+    async sincronizarLecturas(req, res) {
+        try {
+            const { ruta_id, periodo, lecturas } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!ruta_id || !periodo || !Array.isArray(lecturas)) {
+                return res.status(400).json({ error: 'Faltan campos requeridos: ruta_id, periodo y lecturas' });
+            }
+
+            if (lecturas.length > MAX_LECTURAS_SYNC) {
+                return res.status(400).json({ error: `El lote excede el máximo de ${MAX_LECTURAS_SYNC} lecturas` });
+            }
+
+            const validacionPeriodo = await validarPeriodoEditable(periodo);
+
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+            }
+
+            const rutaResult = await dbTurso.execute({
+                sql: `SELECT id, nombre, requiere_revision FROM rutas WHERE id = ?`,
+                args: [ruta_id]
+            });
+
+            if (rutaResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Ruta no encontrada' });
+            }
+
+            const ruta = rutaResult.rows[0];
+            const resultados = new Array(lecturas.length);
+
+            // Se procesan en orden cronológico para que cada consumo se derive de la lectura previa del lote
+            const orden = lecturas
+                .map((item, indice) => ({ item, indice }))
+                .sort((a, b) =>
+                    String(a.item?.periodo || periodo).localeCompare(String(b.item?.periodo || periodo)) ||
+                    String(a.item?.fecha_lectura || '').localeCompare(String(b.item?.fecha_lectura || '')) ||
+                    a.indice - b.indice
+                );
+
+            for (const { item, indice } of orden) {
+                const uuid = item?.uuid != null ? String(item.uuid).toLowerCase() : null;
+
+                if (!uuid || !UUID_REGEX.test(uuid)) {
+                    resultados[indice] = { indice, uuid: item?.uuid ?? null, resultado: 'invalid', error: 'uuid faltante o inválido' };
+                    continue;
+                }
+
+                const registro = await registrarLecturaSincronizada({
+                    uuid,
+                    medidor_id: item.medidor_id,
+                    ruta_id,
+                    lectura_actual: item.lectura_actual,
+                    lectura_anterior: item.lectura_anterior,
+                    consumo_m3: item.consumo_m3,
+                    fecha_lectura: item.fecha_lectura,
+                    periodo: item.periodo || periodo,
+                    modificado_por
+                });
+
+                const resultado = { indice, uuid, resultado: registro.resultado };
+
+                if (registro.resultado === 'created') {
+                    const { response } = registro;
+                    resultado.lectura_id = response.lectura_id;
+                    resultado.consumo_m3 = response.detalles.consumo_m3;
+                    resultado.calculo_consumo = response.detalles.calculo_consumo;
+                    resultado.estado_revision = response.estado_revision;
+                    resultado.anomalia = response.anomalia ? response.anomalia.tipo : null;
+                    resultado.factura_id = response.factura_generada ? response.factura_generada.factura_id : null;
+                } else if (registro.resultado === 'duplicate') {
+                    resultado.lectura_id = registro.lectura.id;
+                    resultado.lectura = registro.lectura;
+                } else {
+                    resultado.error = registro.error;
+                    if (registro.lectura) resultado.lectura = registro.lectura;
+                }
+
+                resultados[indice] = resultado;
+            }
+
+            const resumen = { recibidas: lecturas.length, created: 0, duplicate: 0, conflict: 0, invalid: 0 };
+            resultados.forEach(r => { resumen[r.resultado] += 1; });
+
+            if (resumen.created > 0 && notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Sincronización de la ruta ${ruta.nombre}: ${resumen.created} lecturas nuevas`,
+                        'info',
+                        {
+                            ruta_id: Number(ruta_id),
+                            periodo,
+                            ...resumen,
+                            modificado_por,
+                            tipo: 'lecturas_sincronizadas'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE de sincronización:', sseError);
+                }
+            }
+
+            return res.status(200).json({
+                mensaje: 'Sincronización procesada',
+                ruta_id: Number(ruta_id),
+                periodo,
+                resumen,
+                resultados,
+                estado_ruta: await obtenerEstadoRuta(ruta, periodo),
+                sincronizado_en: new Date().toISOString()
+            });
+
+        } catch (error) {
+            console.error('Error al sincronizar lecturas v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Adjuntar foto de evidencia a una lectura - V2
+     * Recibe multipart/form-data con la imagen en el campo foto y, opcionalmente,
+     * fecha_captura, latitud y longitud tomadas por el dispositivo.
+     */
+    async subirFoto(req, res) {
+        try {
+            const { id } = req.params;
+            const { fecha_captura, latitud, longitud } = req.body || {};
+
+            const lecturaResult = await dbTurso.execute({
+                sql: `
+                    SELECT l.id, l.medidor_id, l.periodo, m.numero_serie AS medidor_numero
+                    FROM lecturas l
+                    LEFT JOIN medidores m ON l.medidor_id = m.id
+                    WHERE l.id = ?
+                `,
+                args: [id]
+            });
+
+            if (lecturaResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Lectura no encontrada' });
+            }
+
+            const lectura = lecturaResult.rows[0];
+
+            const resultado = await guardarFoto({
+                entidad: 'lectura',
+                entidad_id: Number(id),
+                archivo: req.file,
+                fecha_captura,
+                latitud,
+                longitud,
+                subido_por: req.usuario.id
+            });
+
+            if (!resultado.success) {
+                return res.status(400).json({ error: resultado.error });
+            }
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Foto adjuntada a la lectura del medidor ${lectura.medidor_numero}`,
+                        'info',
+                        {
+                            lectura_id: Number(id),
+                            medidor_id: Number(lectura.medidor_id),
+                            periodo: lectura.periodo,
+                            foto_id: resultado.foto.id,
+                            tipo: 'foto_lectura'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE de foto:', sseError);
+                }
+            }
+
+            return res.status(201).json({
+                mensaje: 'Foto adjuntada exitosamente',
+                lectura_id: Number(id),
+                foto: resultado.foto
+            });
+
+        } catch (error) {
+            console.error('Error al adjuntar foto de lectura v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
     }
 };
 
@@ -16,6 +16,12 @@
  * - obtenerMedidores: Obtiene todos los medidores de la base de datos
  * - modificarMedidor: Modifica los datos de un medidor existente
  * 
+ * Funciones nuevas en V2:
+ * - cambiarMedidor: Registra el reemplazo del medidor físico (lectura de retiro del
+ *   anterior y lectura inicial del nuevo) para que el consumo del periodo se derive bien
+ * - subirFoto: Adjunta la foto de la instalación del medidor (servicio fotosEvidencia);
+ *   obtenerMedidores incluye las fotos con sus URLs
+ * 
  * Mejoras sobre V1:
  * - Validaciones robustas de número de serie duplicado
  * - Validación de cliente existente
@@ -25,6 +31,7 @@
  */
 
 import dbTurso from "../../database/db-turso.js";
+import { guardarFoto, obtenerFotos } from "../services/fotosEvidencia.js";
 
 // Managers SSE - Configurados dinámicamente
 let sseManager = null;
@@ -35,20 +42,42 @@ export const setSSEManagers = (sseManagerInstance, notificationManagerInstance)
     notificationManager = notificationManagerInstance;
 };
 
+/**
+ * Valida lectura_inicial / digitos recibidos en el body
+ * @returns {string|null} - Mensaje de error o null si son válidos
+ */
+const validarRegistro = ({ lectura_inicial, digitos }) => {
+    if (lectura_inicial != null && (isNaN(Number(lectura_inicial)) || Number(lectura_inicial) < 0)) {
+        return 'lectura_inicial debe ser un número mayor o igual a cero';
+    }
+    if (digitos != null && (!Number.isInteger(Number(digitos)) || Number(digitos) < 1 || Number(digitos) > 12)) {
+        return 'digitos debe ser un entero entre 1 y 12';
+    }
+    if (lectura_inicial != null && digitos != null && Number(lectura_inicial) >= 10 ** Number(digitos)) {
+        return 'lectura_inicial excede la capacidad del registro';
+    }
+    return null;
+};
+
 const MedidorController = {
     /**
      * Registrar medidor - V1 logic
      */
     registrarMedidor: async (req, res) => {
         console.log('🔌 [medidorController v2] About to register medidor with SSE integration');
-        const { cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor } = req.body;
+        const { cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor, lectura_inicial, digitos } = req.body;
 
-        console.log('Datos recibidos para registrar medidor v2:', { cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor });
+        console.log('Datos recibidos para registrar medidor v2:', { cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor, lectura_inicial, digitos });
 
         if (!numero_serie || !ubicacion || !fecha_instalacion || !latitud || !longitud) {
             return res.status(400).json({ error: "Todos los campos obligatorios excepto cliente_id" });
         }
 
+        const errorRegistro = validarRegistro({ lectura_inicial, digitos });
+        if (errorRegistro) {
+            return res.status(400).json({ error: errorRegistro });
+        }
+
         try {
             // Verificar si ya existe el número de serie
             const verificarQuery = `SELECT id FROM medidores WHERE numero_serie = ?`;
@@ -76,19 +105,22 @@ const MedidorController = {
 
             // Insertar nuevo medidor
             const insertQuery = `
-                INSERT INTO medidores (cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
+                INSERT INTO medidores (cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor, lectura_inicial, digitos)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
             const insertResult = await dbTurso.execute({
                 sql: insertQuery,
-                args: [cliente_id || null, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor || 'Activo']
+                args: [
+                    cliente_id || null, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor || 'Activo',
+                    lectura_inicial ?? 0, digitos ?? null
+                ]
             });
 
             const nuevoMedidorId = Number(insertResult.lastInsertRowid); // Convertir BigInt a Number
 
             // Registrar en historial de cambios
-            const modificado_por = req.usuario?.id || 1;
+            const modificado_por = req.usuario.id;
             const insertHistorial = `
                 INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
                 VALUES (?, ?, ?, ?, ?)
@@ -101,7 +133,9 @@ const MedidorController = {
                 fecha_instalacion,
                 latitud,
                 longitud,
-                estado_medidor: estado_medidor || 'Activo'
+                estado_medidor: estado_medidor || 'Activo',
+                lectura_inicial: lectura_inicial ?? 0,
+                digitos: digitos ?? null
             };
 
             await dbTurso.execute({
@@ -165,11 +199,15 @@ const MedidorController = {
 
             const result = await dbTurso.execute({ sql: query });
 
+            // Fotos de la instalación con sus URLs
+            const fotos = await obtenerFotos('medidor');
+
             // Convertir BigInt a Number para compatibilidad JSON
             const medidores = result.rows.map(row => ({
                 ...row,
                 id: Number(row.id),
-                cliente_id: row.cliente_id ? Number(row.cliente_id) : null
+                cliente_id: row.cliente_id ? Number(row.cliente_id) : null,
+                fotos: fotos.get(Number(row.id)) || []
             }));
 
             res.json(medidores);
@@ -186,14 +224,19 @@ const MedidorController = {
     modificarMedidor: async (req, res) => {
         console.log('🔌 [medidorController v2] About to modify medidor with SSE integration');
         const { id } = req.params;
-        const { cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor } = req.body;
+        const { cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor, digitos } = req.body;
 
-        console.log('Datos recibidos para modificar medidor v2:', { id, cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor });
+        console.log('Datos recibidos para modificar medidor v2:', { id, cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor, digitos });
 
-        if (!cliente_id && !numero_serie && !ubicacion && !fecha_instalacion && !latitud && !longitud && !estado_medidor) {
+        if (!cliente_id && !numero_serie && !ubicacion && !fecha_instalacion && !latitud && !longitud && !estado_medidor && digitos == null) {
             return res.status(400).json({ error: "Al menos un campo es obligatorio" });
         }
 
+        const errorRegistro = validarRegistro({ digitos });
+        if (errorRegistro) {
+            return res.status(400).json({ error: errorRegistro });
+        }
+
         try {
             // Verificar si el medidor existe
             const verificarQuery = `SELECT * FROM medidores WHERE id = ?`;
@@ -250,6 +293,8 @@ const MedidorController = {
                 cambios.longitud = { antes: medidorExistente.longitud, despues: longitud };
             if (estado_medidor && estado_medidor !== medidorExistente.estado_medidor) 
                 cambios.estado_medidor = { antes: medidorExistente.estado_medidor, despues: estado_medidor };
+            if (digitos != null && Number(digitos) !== Number(medidorExistente.digitos))
+                cambios.digitos = { antes: medidorExistente.digitos, despues: Number(digitos) };
 
             // Actualizar medidor
             const updateQuery = `
@@ -260,18 +305,19 @@ const MedidorController = {
                     fecha_instalacion = COALESCE(?, fecha_instalacion),
                     latitud = COALESCE(?, latitud),
                     longitud = COALESCE(?, longitud),
-                    estado_medidor = COALESCE(?, estado_medidor)
+                    estado_medidor = COALESCE(?, estado_medidor),
+                    digitos = COALESCE(?, digitos)
                 WHERE id = ?
             `;
 
             const updateResult = await dbTurso.execute({
                 sql: updateQuery,
-                args: [cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor, id]
+                args: [cliente_id, numero_serie, ubicacion, fecha_instalacion, latitud, longitud, estado_medidor, digitos ?? null, id]
             });
 
             // Registrar cambios en historial
             if (Object.keys(cambios).length > 0) {
-                const modificado_por = req.usuario?.id || 1;
+                const modificado_por = req.usuario.id;
                 const insertHistorial = `
                     INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
                     VALUES (?, ?, ?, ?, ?)
@@ -300,7 +346,7 @@ const MedidorController = {
                 longitud: longitud || medidorExistente.longitud,
                 estado_medidor: estado_medidor || medidorExistente.estado_medidor,
                 cambios_realizados: Object.keys(cambios),
-                modificado_por: req.usuario?.id || 1
+                modificado_por: req.usuario.id
             };
 
             // Enviar notificación SSE
@@ -332,6 +378,212 @@ const MedidorController = {
             console.error('Error modificando medidor v2:', err);
             res.status(500).json({ error: "Error al modificar medidor" });
         }
+    },
+
+    /**
+     * Cambiar medidor - V2
+     * Registra el reemplazo del medidor físico conservando el mismo medidor_id: guarda la
+     * lectura de retiro del anterior y deja como base la lectura inicial del nuevo.
+     */
+    cambiarMedidor: async (req, res) => {
+        const { id } = req.params;
+        const { fecha_cambio, lectura_retiro, lectura_inicial = 0, numero_serie, digitos, motivo } = req.body;
+
+        if (!fecha_cambio || lectura_retiro == null) {
+            return res.status(400).json({ error: "fecha_cambio y lectura_retiro son obligatorios" });
+        }
+
+        if (isNaN(Number(lectura_retiro)) || Number(lectura_retiro) < 0) {
+            return res.status(400).json({ error: "lectura_retiro debe ser un número mayor o igual a cero" });
+        }
+
+        const errorRegistro = validarRegistro({ lectura_inicial, digitos });
+        if (errorRegistro) {
+            return res.status(400).json({ error: errorRegistro });
+        }
+
+        try {
+            const medidorResult = await dbTurso.execute({
+                sql: `SELECT * FROM medidores WHERE id = ?`,
+                args: [id]
+            });
+
+            if (medidorResult.rows.length === 0) {
+                return res.status(404).json({ error: "Medidor no encontrado" });
+            }
+
+            const medidorExistente = medidorResult.rows[0];
+
+            if (numero_serie && numero_serie !== medidorExistente.numero_serie) {
+                const serieResult = await dbTurso.execute({
+                    sql: `SELECT id FROM medidores WHERE numero_serie = ? AND id != ?`,
+                    args: [numero_serie, id]
+                });
+
+                if (serieResult.rows.length > 0) {
+                    return res.status(409).json({ error: "El número de serie ya está en uso" });
+                }
+            }
+
+            // La lectura de retiro no puede quedar antes de la última lectura registrada
+            const ultimaResult = await dbTurso.execute({
+                sql: `
+                    SELECT periodo, fecha_lectura, lectura_actual FROM lecturas
+                    WHERE medidor_id = ?
+                    ORDER BY periodo DESC, fecha_lectura DESC, id DESC
+                    LIMIT 1
+                `,
+                args: [id]
+            });
+
+            const ultima = ultimaResult.rows[0];
+
+            if (ultima && fecha_cambio < ultima.fecha_lectura) {
+                return res.status(409).json({
+                    error: `Ya hay una lectura del ${ultima.fecha_lectura}; el cambio debe registrarse con fecha igual o posterior`
+                });
+            }
+
+            if (ultima?.lectura_actual != null && Number(lectura_retiro) < Number(ultima.lectura_actual) && medidorExistente.digitos == null) {
+                return res.status(400).json({
+                    error: `La lectura de retiro (${lectura_retiro}) es menor que la última lectura registrada (${Number(ultima.lectura_actual)})`
+                });
+            }
+
+            const modificado_por = req.usuario.id;
+            const digitosAnterior = medidorExistente.digitos != null ? Number(medidorExistente.digitos) : null;
+
+            const cambioResult = await dbTurso.execute({
+                sql: `
+                    INSERT INTO medidor_cambios (
+                        medidor_id, fecha_cambio, numero_serie_anterior, numero_serie_nuevo,
+                        lectura_retiro, digitos_anterior, lectura_inicial, motivo, modificado_por
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `,
+                args: [
+                    id, fecha_cambio, medidorExistente.numero_serie, numero_serie || medidorExistente.numero_serie,
+                    Number(lectura_retiro), digitosAnterior, Number(lectura_inicial), motivo || null, modificado_por
+                ]
+            });
+
+            await dbTurso.execute({
+                sql: `
+                    UPDATE medidores
+                    SET numero_serie = COALESCE(?, numero_serie),
+                        fecha_instalacion = ?,
+                        lectura_inicial = ?,
+                        digitos = ?
+                    WHERE id = ?
+                `,
+                args: [numero_serie || null, fecha_cambio, Number(lectura_inicial), digitos ?? digitosAnterior, id]
+            });
+
+            const cambio = {
+                id: Number(cambioResult.lastInsertRowid),
+                medidor_id: parseInt(id),
+                fecha_cambio,
+                numero_serie_anterior: medidorExistente.numero_serie,
+                numero_serie_nuevo: numero_serie || medidorExistente.numero_serie,
+                lectura_retiro: Number(lectura_retiro),
+                lectura_inicial: Number(lectura_inicial),
+                digitos: digitos != null ? Number(digitos) : digitosAnterior,
+                motivo: motivo || null
+            };
+
+            await dbTurso.execute({
+                sql: `
+                    INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                    VALUES (?, ?, ?, ?, ?)
+                `,
+                args: ['medidores', 'CAMBIO_MEDIDOR', id, modificado_por, JSON.stringify(cambio)]
+            });
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Medidor ${medidorExistente.numero_serie} reemplazado por ${cambio.numero_serie_nuevo}`,
+                        'info',
+                        {
+                            medidor_id: parseInt(id),
+                            numero_serie: cambio.numero_serie_nuevo,
+                            accion: 'medidor_cambiado'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            res.status(201).json({
+                mensaje: "Cambio de medidor registrado",
+                cambio
+            });
+
+        } catch (err) {
+            console.error('Error registrando cambio de medidor v2:', err);
+            res.status(500).json({ error: "Error al registrar cambio de medidor" });
+        }
+    },
+
+    /**
+     * Adjuntar foto de la instalación del medidor - V2
+     * Recibe multipart/form-data con la imagen en el campo foto y, opcionalmente,
+     * fecha_captura, latitud y longitud tomadas por el dispositivo.
+     */
+    subirFoto: async (req, res) => {
+        const { id } = req.params;
+        const { fecha_captura, latitud, longitud } = req.body || {};
+
+        try {
+            const medidorResult = await dbTurso.execute({
+                sql: `SELECT id, numero_serie FROM medidores WHERE id = ?`,
+                args: [id]
+            });
+
+            if (medidorResult.rows.length === 0) {
+                return res.status(404).json({ error: "Medidor no encontrado" });
+            }
+
+            const resultado = await guardarFoto({
+                entidad: 'medidor',
+                entidad_id: parseInt(id),
+                archivo: req.file,
+                fecha_captura,
+                latitud,
+                longitud,
+                subido_por: req.usuario.id
+            });
+
+            if (!resultado.success) {
+                return res.status(400).json({ error: resultado.error });
+            }
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Foto de instalación adjuntada al medidor ${medidorResult.rows[0].numero_serie}`,
+                        'info',
+                        {
+                            medidor_id: parseInt(id),
+                            foto_id: resultado.foto.id,
+                            accion: 'foto_medidor'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            res.status(201).json({
+                mensaje: "Foto adjuntada exitosamente",
+                medidor_id: parseInt(id),
+                foto: resultado.foto
+            });
+
+        } catch (err) {
+            console.error('Error adjuntando foto de medidor v2:', err);
+            res.status(500).json({ error: "Error al adjuntar foto" });
+        }
     }
 };
 
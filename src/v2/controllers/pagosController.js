@@ -15,11 +15,27 @@
  * Funciones V1 implementadas (compatibilidad completa):
  * - registrarPago: Registra un nuevo pago
  * - obtenerPagos: Obtiene pagos (con parámetros opcionales)
- * - modificarPago: Modifica un pago existente
+ * - modificarPago: Modifica fecha, método o comentario de un pago (el monto ya no se edita; se anula)
+ * 
+ * Funciones nuevas en V2:
+ * - descargarReciboPdf: Recibo imprimible en PDF generado en el servidor
+ * - registrarPagoCliente: Pago a nivel cliente repartido entre varias facturas (por antigüedad o explícito)
+ *   o anticipo cuando no hay facturas pendientes
+ * 
+ * Saldo a favor: el excedente de registrarPago / registrarPagoCliente se abona al saldo a favor
+ * del cliente si se envía excedente_a_favor o si el método de pago no es Efectivo.
+ * - obtenerRecibo / descargarReciboClientePdf: Recibo del pago a nivel cliente con sus aplicaciones
+ * - anularPago: Anula un pago con un registro compensatorio y regresa su monto al saldo de la factura
+ * - anularRecibo: Anula todos los pagos de un recibo y retira del saldo a favor el excedente o anticipo que abonó
+ * - Los pagos de facturas de un periodo cerrado ya no se modifican ni se anulan (servicio periodosFacturacion)
  */
 
 
-import dbTurso from '../../database/db-turso.js';
+import dbTurso, { withTransaction } from '../../database/db-turso.js';
+import { consultarFacturas } from '../services/consultaFacturas.js';
+import { generarReciboPagoPdf, generarReciboClientePdf } from '../services/documentosPdf.js';
+import { METODO_SALDO_FAVOR, excedenteVaASaldoFavor, abonarSaldoFavor, revertirSaldoFavorDePago, revertirSaldoFavorDeRecibo } from '../services/saldoFavor.js';
+import { validarFacturaEditable } from '../services/periodosFacturacion.js';
 
 // === FUNCIONES UTILITARIAS PARA MANEJO PRECISO DE DECIMALES ===
 /**
@@ -50,6 +66,62 @@ const sumaDecimal = (a, b) => {
     return redondearDecimal(a + b);
 };
 
+const METODOS_PAGO = ['Efectivo', 'Transferencia', 'Tarjeta', 'Cheque'];
+
+/**
+ * Reparte una cantidad entre las facturas abiertas de un cliente
+ * @param {Array<Object>} facturasAbiertas - { id, saldo_pendiente } ordenadas de la más antigua a la más reciente
+ * @param {number} cantidad - Cantidad entregada por el cliente
+ * @param {Array<Object>} [aplicaciones] - Reparto explícito [{ factura_id, monto }]; sin él se aplica por antigüedad
+ * @returns {{success: boolean, aplicaciones?: Array<Object>, error?: string}}
+ */
+const calcularAplicaciones = (facturasAbiertas, cantidad, aplicaciones = null) => {
+    if (!aplicaciones) {
+        const resultado = [];
+        let restante = cantidad;
+
+        for (const factura of facturasAbiertas) {
+            if (restante <= 0) break;
+            const monto = toDecimal(Math.min(restante, factura.saldo_pendiente));
+            resultado.push({ factura_id: factura.id, monto, saldo_anterior: factura.saldo_pendiente });
+            restante = restaDecimal(restante, monto);
+        }
+
+        return { success: true, aplicaciones: resultado };
+    }
+
+    const saldos = new Map(facturasAbiertas.map(f => [f.id, f.saldo_pendiente]));
+    const resultado = [];
+    let total = 0;
+
+    for (const aplicacion of aplicaciones) {
+        const factura_id = Number(aplicacion?.factura_id);
+        const monto = toDecimal(aplicacion?.monto);
+
+        if (!saldos.has(factura_id)) {
+            return { success: false, error: `La factura ${aplicacion?.factura_id} no es una factura pendiente del cliente` };
+        }
+        if (resultado.some(a => a.factura_id === factura_id)) {
+            return { success: false, error: `La factura ${factura_id} aparece más de una vez en aplicaciones` };
+        }
+        if (monto <= 0) {
+            return { success: false, error: `El monto para la factura ${factura_id} debe ser mayor a cero` };
+        }
+        if (monto > saldos.get(factura_id)) {
+            return { success: false, error: `El monto para la factura ${factura_id} excede su saldo pendiente (${saldos.get(factura_id)})` };
+        }
+
+        resultado.push({ factura_id, monto, saldo_anterior: saldos.get(factura_id) });
+        total = sumaDecimal(total, monto);
+    }
+
+    if (total > cantidad) {
+        return { success: false, error: 'La suma de las aplicaciones excede la cantidad entregada' };
+    }
+
+    return { success: true, aplicaciones: resultado };
+};
+
 // Managers SSE - Configurados dinámicamente
 let sseManager = null;
 let notificationManager = null;
@@ -59,6 +131,138 @@ export const setSSEManagers = (sseManagerInstance, notificationManagerInstance)
     notificationManager = notificationManagerInstance;
 };
 
+/**
+ * Consulta un recibo de cliente con sus pagos por factura
+ * @param {number|string} recibo_id
+ * @returns {Promise<Object|null>}
+ */
+const consultarRecibo = async (recibo_id) => {
+    const reciboResult = await dbTurso.execute({
+        sql: `
+            SELECT r.*, c.nombre AS cliente_nombre, c.direccion AS direccion_cliente,
+                   c.telefono AS telefono_cliente, u.username AS modificado_por_nombre,
+                   ar.id AS anulacion_id, ar.motivo AS anulacion_motivo,
+                   ar.saldo_favor_retirado AS anulacion_saldo_favor_retirado,
+                   ar.anulado_por AS anulacion_anulado_por, ar.fecha_creacion AS anulacion_fecha
+            FROM recibos r
+            JOIN clientes c ON r.cliente_id = c.id
+            LEFT JOIN usuarios u ON r.modificado_por = u.id
+            LEFT JOIN anulaciones_recibo ar ON ar.recibo_id = r.id
+            WHERE r.id = ?
+        `,
+        args: [recibo_id]
+    });
+
+    if (reciboResult.rows.length === 0) {
+        return null;
+    }
+
+    const r = reciboResult.rows[0];
+
+    const pagosResult = await dbTurso.execute({
+        sql: `
+            SELECT p.id, p.factura_id, p.monto, f.fecha_emision, f.total, f.saldo_pendiente, f.estado,
+                   COALESCE(l.periodo, e.periodo) AS periodo, a.id AS anulacion_id
+            FROM pagos p
+            JOIN facturas f ON p.factura_id = f.id
+            LEFT JOIN lecturas l ON f.lectura_id = l.id
+            LEFT JOIN estimaciones_consumo e ON e.factura_id = f.id
+            LEFT JOIN anulaciones_pago a ON a.pago_id = p.id
+            WHERE p.recibo_id = ?
+            ORDER BY p.id ASC
+        `,
+        args: [recibo_id]
+    });
+
+    return {
+        id: Number(r.id),
+        cliente_id: Number(r.cliente_id),
+        cliente_nombre: r.cliente_nombre,
+        direccion_cliente: r.direccion_cliente,
+        telefono_cliente: r.telefono_cliente,
+        fecha_pago: r.fecha_pago,
+        cantidad_entregada: toDecimal(r.cantidad_entregada),
+        monto_aplicado: toDecimal(r.monto_aplicado),
+        saldo_favor: toDecimal(r.saldo_favor),
+        cambio: toDecimal(r.cambio),
+        metodo_pago: r.metodo_pago,
+        modo_aplicacion: r.modo_aplicacion,
+        comentario: r.comentario,
+        modificado_por: r.modificado_por != null ? Number(r.modificado_por) : null,
+        modificado_por_nombre: r.modificado_por_nombre,
+        fecha_creacion: r.fecha_creacion,
+        anulado: r.anulacion_id != null,
+        anulacion: r.anulacion_id != null ? {
+            id: Number(r.anulacion_id),
+            motivo: r.anulacion_motivo,
+            saldo_favor_retirado: toDecimal(r.anulacion_saldo_favor_retirado),
+            anulado_por: r.anulacion_anulado_por != null ? Number(r.anulacion_anulado_por) : null,
+            fecha_creacion: r.anulacion_fecha
+        } : null,
+        aplicaciones: pagosResult.rows.map(p => ({
+            pago_id: Number(p.id),
+            factura_id: Number(p.factura_id),
+            periodo: p.periodo,
+            fecha_emision: p.fecha_emision,
+            total_factura: toDecimal(p.total),
+            monto: toDecimal(p.monto),
+            saldo_pendiente: toDecimal(p.saldo_pendiente),
+            estado_factura: p.estado,
+            anulado: p.anulacion_id != null
+        }))
+    };
+};
+
+/**
+ * Escribe la anulación de un pago dentro de una transacción: registro compensatorio,
+ * regreso del monto al saldo de la factura (Pagado vuelve a Pendiente o Vencida) e historial.
+ * El saldo a favor lo revierte quien llama.
+ * @param {Object} tx - Transacción en curso
+ * @param {Object} params
+ * @returns {Promise<{anulacion_id: number, factura: Object}>}
+ */
+const registrarAnulacionPago = async (tx, { pago_id, factura_id, monto, motivo, modificado_por, recibo_id = null }) => {
+    const anulacionResult = await tx.execute({
+        sql: `
+            INSERT INTO anulaciones_pago (pago_id, factura_id, monto, motivo, anulado_por)
+            VALUES (?, ?, ?, ?, ?)
+        `,
+        args: [pago_id, factura_id, monto, motivo, modificado_por]
+    });
+
+    const anulacion_id = Number(anulacionResult.lastInsertRowid);
+
+    await tx.execute({
+        sql: `
+            UPDATE facturas
+            SET saldo_pendiente = ROUND(saldo_pendiente + ?, 2),
+                estado = CASE
+                    WHEN estado = 'Pagado' AND fecha_vencimiento < date('now') THEN 'Vencida'
+                    WHEN estado = 'Pagado' THEN 'Pendiente'
+                    ELSE estado
+                END,
+                modificado_por = ?
+            WHERE id = ?
+        `,
+        args: [monto, modificado_por, factura_id]
+    });
+
+    await tx.execute({
+        sql: `
+            INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+            VALUES ('facturas', 'ANULACION_PAGO', ?, ?, ?)
+        `,
+        args: [factura_id, modificado_por, JSON.stringify({ pago_id, anulacion_id, monto, motivo, ...(recibo_id ? { recibo_id } : {}) })]
+    });
+
+    const facturaResult = await tx.execute({
+        sql: `SELECT saldo_pendiente, estado FROM facturas WHERE id = ?`,
+        args: [factura_id]
+    });
+
+    return { anulacion_id, factura: facturaResult.rows[0] };
+};
+
 const pagosController = {
 
     // =====================================================
@@ -76,12 +280,13 @@ const pagosController = {
                 cantidad_entregada,
                 metodo_pago,
                 comentario,
-                modificado_por
+                excedente_a_favor
             } = req.body;
+            const modificado_por = req.usuario.id; // Cajero de la sesión, nunca del body
 
             if (
                 !factura_id || !fecha_pago || cantidad_entregada == null ||
-                !metodo_pago || !modificado_por
+                !metodo_pago
             ) {
                 return res.status(400).json({ error: 'Faltan campos requeridos' });
             }
@@ -90,8 +295,13 @@ const pagosController = {
                 return res.status(400).json({ error: 'La cantidad entregada debe ser mayor a cero' });
             }
 
+            // El saldo a favor solo se aplica automáticamente al emitir facturas
+            if (metodo_pago === METODO_SALDO_FAVOR) {
+                return res.status(400).json({ error: `El método '${METODO_SALDO_FAVOR}' no puede registrarse manualmente` });
+            }
+
             // Verificar existencia de la factura y obtener el saldo
-            const facturaQuery = `SELECT id, saldo_pendiente FROM facturas WHERE id = ?`;
+            const facturaQuery = `SELECT id, cliente_id, saldo_pendiente, estado FROM facturas WHERE id = ?`;
             const facturaResult = await dbTurso.execute({
                 sql: facturaQuery,
                 args: [factura_id]
@@ -104,12 +314,21 @@ const pagosController = {
             const factura = facturaResult.rows[0];
             const saldo = toDecimal(factura.saldo_pendiente);
 
+            if (factura.estado === 'Cancelada') {
+                return res.status(409).json({ error: 'La factura está cancelada' });
+            }
+
             if (saldo <= 0) {
                 return res.status(400).json({ error: 'La factura ya está completamente pagada' });
             }
 
             const monto = toDecimal(Math.min(saldo, cantidad_entregada)); // Nunca más del saldo
-            const cambio = restaDecimal(cantidad_entregada, monto);
+            const excedente = restaDecimal(cantidad_entregada, monto);
+
+            // El excedente se devuelve como cambio o se guarda como saldo a favor del cliente
+            const aSaldoFavor = excedente > 0 && excedenteVaASaldoFavor(metodo_pago, excedente_a_favor);
+            const cambio = aSaldoFavor ? 0 : excedente;
+            const saldoFavorAbonado = aSaldoFavor ? excedente : 0;
 
             console.log(`Saldo pendiente: ${saldo}, Cantidad entregada: ${cantidad_entregada}`);
             console.log(`Monto a aplicar: ${monto}, Cambio a devolver: ${cambio}`);
@@ -126,28 +345,43 @@ const pagosController = {
                 });
             }
 
-            // Insertar pago
+            // Insertar pago y, si aplica, el abono del excedente: ambos o ninguno
             const insertQuery = `
                 INSERT INTO pagos (
                     factura_id, fecha_pago, monto, cantidad_entregada, cambio, metodo_pago, comentario, modificado_por
                 ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `;
 
-            const insertResult = await dbTurso.execute({
-                sql: insertQuery,
-                args: [
-                    factura_id,
-                    fecha_pago,
-                    monto,
-                    cantidad_entregada,
-                    cambio,
-                    metodo_pago,
-                    comentario || null,
-                    modificado_por
-                ]
-            });
+            const pagoId = await withTransaction(async (tx) => {
+                const insertResult = await tx.execute({
+                    sql: insertQuery,
+                    args: [
+                        factura_id,
+                        fecha_pago,
+                        monto,
+                        cantidad_entregada,
+                        cambio,
+                        metodo_pago,
+                        comentario || null,
+                        modificado_por
+                    ]
+                });
+
+                const id = Number(insertResult.lastInsertRowid); // Convertir BigInt a Number
+
+                if (saldoFavorAbonado > 0) {
+                    await abonarSaldoFavor({
+                        cliente_id: Number(factura.cliente_id),
+                        monto: saldoFavorAbonado,
+                        pago_id: id,
+                        descripcion: `Excedente del pago ${id}`,
+                        modificado_por,
+                        db: tx
+                    });
+                }
 
-            const pagoId = Number(insertResult.lastInsertRowid); // Convertir BigInt a Number
+                return id;
+            });
 
             // Obtener datos completos del pago para notificaciones SSE
             const pagoCompletoQuery = `
@@ -168,7 +402,8 @@ const pagosController = {
                 mensaje: 'Pago registrado exitosamente',
                 pago_id: pagoId,
                 monto_aplicado: monto,
-                cambio: cambio
+                cambio: cambio,
+                saldo_favor_abonado: saldoFavorAbonado
             };
 
             // Enviar notificaciones SSE si está disponible
@@ -231,16 +466,21 @@ const pagosController = {
                     u.username AS modificado_por_nombre,
                     c.nombre AS cliente_nombre,
                     c.direccion AS direccion_cliente,
-                    l.periodo AS periodo_facturado,
-                    l.consumo_m3,
+                    COALESCE(l.periodo, e.periodo) AS periodo_facturado,
+                    COALESCE(l.consumo_m3, e.consumo_real, e.consumo_estimado) AS consumo_m3,
                     l.fecha_lectura,
-                    m.numero_serie AS medidor_numero_serie
+                    m.numero_serie AS medidor_numero_serie,
+                    a.motivo AS motivo_anulacion,
+                    a.fecha_creacion AS fecha_anulacion,
+                    a.anulado_por
                 FROM pagos p
                 JOIN facturas f ON p.factura_id = f.id
                 JOIN usuarios u ON p.modificado_por = u.id
                 JOIN clientes c ON f.cliente_id = c.id
                 LEFT JOIN lecturas l ON f.lectura_id = l.id
-                LEFT JOIN medidores m ON l.medidor_id = m.id
+                LEFT JOIN estimaciones_consumo e ON e.factura_id = f.id
+                LEFT JOIN medidores m ON m.id = COALESCE(l.medidor_id, e.medidor_id)
+                LEFT JOIN anulaciones_pago a ON a.pago_id = p.id
             `;
 
             // Construir WHERE clause basado en parámetros
@@ -251,7 +491,7 @@ const pagosController = {
                 whereClause = 'WHERE p.id = ?';
                 queryParams.push(id);
             } else if (periodo) {
-                whereClause = 'WHERE l.periodo = ?';
+                whereClause = 'WHERE COALESCE(l.periodo, e.periodo) = ?';
                 queryParams.push(periodo);
             }
 
@@ -279,14 +519,18 @@ const pagosController = {
                         ...row,
                         id: Number(row.id),
                         factura_id: Number(row.factura_id),
-                        modificado_por: Number(row.modificado_por)
+                        modificado_por: Number(row.modificado_por),
+                        anulado: row.fecha_anulacion != null,
+                        anulado_por: row.anulado_por != null ? Number(row.anulado_por) : null
                     }));
                 } else {
                     result = {
                         ...result,
                         id: Number(result.id),
                         factura_id: Number(result.factura_id),
-                        modificado_por: Number(result.modificado_por)
+                        modificado_por: Number(result.modificado_por),
+                        anulado: result.fecha_anulacion != null,
+                        anulado_por: result.anulado_por != null ? Number(result.anulado_por) : null
                     };
                 }
             }
@@ -325,8 +569,10 @@ const pagosController = {
 
             // Para consultas múltiples, agregar información de resumen y períodos
             if (Array.isArray(result) && result.length > 0) {
-                const totalPagado = toDecimal(result.reduce((sum, pago) => sumaDecimal(sum, toDecimal(pago.monto || 0)), 0));
-                const cantidadPagos = result.length;
+                // Los pagos anulados se listan pero no suman a los totales
+                const vigentes = result.filter(pago => !pago.anulado);
+                const totalPagado = toDecimal(vigentes.reduce((sum, pago) => sumaDecimal(sum, toDecimal(pago.monto || 0)), 0));
+                const cantidadPagos = vigentes.length;
                 
                 // Obtener períodos únicos de los pagos
                 const periodosUnicos = [...new Set(
@@ -337,13 +583,13 @@ const pagosController = {
 
                 // Agrupar pagos por período
                 const pagosPorPeriodo = periodosUnicos.reduce((acc, periodo) => {
-                    const pagosDelPeriodo = result.filter(pago => pago.periodo_facturado === periodo);
+                    const pagosDelPeriodo = vigentes.filter(pago => pago.periodo_facturado === periodo);
                     const totalDelPeriodo = toDecimal(pagosDelPeriodo.reduce((sum, pago) => sumaDecimal(sum, toDecimal(pago.monto || 0)), 0));
                     
                     acc[periodo] = {
                         cantidad_pagos: pagosDelPeriodo.length,
                         total_pagado: totalDelPeriodo,
-                        promedio_pago: toDecimal(totalDelPeriodo / pagosDelPeriodo.length)
+                        promedio_pago: pagosDelPeriodo.length > 0 ? toDecimal(totalDelPeriodo / pagosDelPeriodo.length) : 0
                     };
                     return acc;
                 }, {});
@@ -360,7 +606,8 @@ const pagosController = {
                     resumen_general: {
                         total_pagado: totalPagado,
                         cantidad_pagos: cantidadPagos,
-                        promedio_pago: toDecimal(totalPagado / cantidadPagos)
+                        promedio_pago: cantidadPagos > 0 ? toDecimal(totalPagado / cantidadPagos) : 0,
+                        pagos_anulados: result.length - vigentes.length
                     },
                     periodos_encontrados: periodosUnicos,
                     resumen_por_periodo: pagosPorPeriodo
@@ -407,35 +654,681 @@ const pagosController = {
 
     /**
      * Modificar pago (V1 compatible)
+     * Solo se corrigen fecha, método y comentario: un monto distinto descuadraría el saldo
+     * de la factura, así que para corregirlo se anula el pago y se registra uno nuevo.
      */
     modificarPago: async (req, res) => {
         try {
             const { id } = req.params;
-            const { fecha_pago, monto, metodo_pago, modificado_por } = req.body;
+            const { fecha_pago, monto, metodo_pago, comentario } = req.body;
+            const modificado_por = req.usuario.id;
 
-            if (!fecha_pago || !monto || !metodo_pago || !modificado_por) {
+            if (!fecha_pago && !metodo_pago && comentario === undefined && monto == null) {
                 return res.status(400).json({ error: 'Faltan campos requeridos' });
             }
 
+            if (metodo_pago && !METODOS_PAGO.includes(metodo_pago)) {
+                return res.status(400).json({ error: `Método de pago inválido. Use: ${METODOS_PAGO.join(', ')}` });
+            }
+
+            const pagoResult = await dbTurso.execute({
+                sql: `
+                    SELECT p.id, p.factura_id, p.monto, p.metodo_pago, p.caja_id, a.id AS anulacion_id
+                    FROM pagos p
+                    LEFT JOIN anulaciones_pago a ON a.pago_id = p.id
+                    WHERE p.id = ?
+                `,
+                args: [id]
+            });
+
+            if (pagoResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Pago no encontrado' });
+            }
+
+            const pago = pagoResult.rows[0];
+
+            if (pago.anulacion_id != null) {
+                return res.status(409).json({ error: 'No se puede modificar un pago anulado' });
+            }
+
+            if (pago.caja_id != null) {
+                return res.status(409).json({ error: `El pago pertenece al corte de caja ${pago.caja_id}, que ya está cerrado` });
+            }
+
+            const validacionPeriodo = await validarFacturaEditable(pago.factura_id);
+
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+            }
+
+            // Se acepta el monto actual para no romper a los clientes V1 que envían todos los campos
+            if (monto != null && toDecimal(monto) !== toDecimal(pago.monto)) {
+                return res.status(409).json({
+                    error: 'El monto de un pago no se puede modificar. Anule el pago (POST /api/v2/pagos/{id}/anular) y registre uno nuevo'
+                });
+            }
+
+            if (metodo_pago && pago.metodo_pago === METODO_SALDO_FAVOR && metodo_pago !== METODO_SALDO_FAVOR) {
+                return res.status(409).json({ error: 'No se puede cambiar el método de un pago aplicado desde el saldo a favor' });
+            }
+
             const query = `
                 UPDATE pagos
-                SET fecha_pago = ?, monto = ?, metodo_pago = ?, modificado_por = ?
+                SET fecha_pago = COALESCE(?, fecha_pago),
+                    metodo_pago = COALESCE(?, metodo_pago),
+                    comentario = CASE WHEN ? THEN ? ELSE comentario END,
+                    modificado_por = ?
                 WHERE id = ?
             `;
 
-            const result = await dbTurso.execute({
+            await dbTurso.execute({
                 sql: query,
-                args: [fecha_pago, monto, metodo_pago, modificado_por, id]
+                args: [fecha_pago || null, metodo_pago || null, comentario !== undefined ? 1 : 0, comentario ?? null, modificado_por, id]
+            });
+
+            return res.status(200).json({ mensaje: 'Pago modificado exitosamente' });
+
+        } catch (error) {
+            console.error('Error al modificar pago:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    // =====================================================
+    // FUNCIONES NUEVAS V2
+    // =====================================================
+
+    /**
+     * Registrar un pago a nivel cliente que se reparte entre sus facturas pendientes.
+     * Genera un recibo y una fila en pagos por cada factura abonada.
+     */
+    registrarPagoCliente: async (req, res) => {
+        try {
+            const {
+                cliente_id,
+                fecha_pago,
+                cantidad_entregada,
+                metodo_pago,
+                comentario,
+                aplicaciones,
+                excedente_a_favor
+            } = req.body;
+            const modificado_por = req.usuario.id; // Cajero de la sesión, nunca del body
+
+            if (!cliente_id || !fecha_pago || cantidad_entregada == null || !metodo_pago) {
+                return res.status(400).json({ error: 'Faltan campos requeridos' });
+            }
+
+            const cantidad = toDecimal(cantidad_entregada);
+            if (cantidad <= 0) {
+                return res.status(400).json({ error: 'La cantidad entregada debe ser mayor a cero' });
+            }
+
+            if (!METODOS_PAGO.includes(metodo_pago)) {
+                return res.status(400).json({ error: `Método de pago inválido. Use: ${METODOS_PAGO.join(', ')}` });
+            }
+
+            if (aplicaciones != null && (!Array.isArray(aplicaciones) || aplicaciones.length === 0)) {
+                return res.status(400).json({ error: 'aplicaciones debe ser un arreglo con al menos una factura' });
+            }
+
+            const clienteResult = await dbTurso.execute({
+                sql: `SELECT id, nombre FROM clientes WHERE id = ?`,
+                args: [cliente_id]
+            });
+
+            if (clienteResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Cliente no encontrado' });
+            }
+
+            // Facturas abiertas de la más antigua a la más reciente
+            const facturasQuery = `
+                SELECT id, saldo_pendiente, fecha_emision
+                FROM facturas
+                WHERE cliente_id = ? AND estado IN ('Pendiente', 'Vencida') AND saldo_pendiente > 0
+                ORDER BY fecha_emision ASC, id ASC
+            `;
+            const facturasResult = await dbTurso.execute({ sql: facturasQuery, args: [cliente_id] });
+            const facturasAbiertas = facturasResult.rows.map(f => ({
+                id: Number(f.id),
+                saldo_pendiente: toDecimal(f.saldo_pendiente)
+            }));
+
+            const aSaldoFavor = excedenteVaASaldoFavor(metodo_pago, excedente_a_favor);
+
+            // Sin facturas pendientes solo se acepta como anticipo al saldo a favor
+            if (facturasAbiertas.length === 0 && !aSaldoFavor) {
+                return res.status(400).json({ error: 'El cliente no tiene facturas pendientes' });
+            }
+
+            const reparto = calcularAplicaciones(facturasAbiertas, cantidad, aplicaciones || null);
+            if (!reparto.success) {
+                return res.status(400).json({ error: reparto.error });
+            }
+
+            const montoAplicado = reparto.aplicaciones.reduce((sum, a) => sumaDecimal(sum, a.monto), 0);
+            const excedente = restaDecimal(cantidad, montoAplicado);
+            const cambio = aSaldoFavor ? 0 : excedente;
+            const saldoFavorAbonado = aSaldoFavor ? excedente : 0;
+            const modo_aplicacion = aplicaciones ? 'manual' : 'antiguedad';
+
+            // Recibo, abono del excedente y pagos por factura van en una sola transacción
+            const { recibo_id, pagos } = await withTransaction(async (tx) => {
+                const reciboResult = await tx.execute({
+                    sql: `
+                        INSERT INTO recibos (
+                            cliente_id, fecha_pago, cantidad_entregada, monto_aplicado, saldo_favor, cambio,
+                            metodo_pago, modo_aplicacion, comentario, modificado_por
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    `,
+                    args: [cliente_id, fecha_pago, cantidad, montoAplicado, saldoFavorAbonado, cambio, metodo_pago, modo_aplicacion, comentario || null, modificado_por]
+                });
+
+                const id = Number(reciboResult.lastInsertRowid);
+
+                if (saldoFavorAbonado > 0) {
+                    await abonarSaldoFavor({
+                        cliente_id: Number(cliente_id),
+                        monto: saldoFavorAbonado,
+                        recibo_id: id,
+                        descripcion: montoAplicado > 0 ? `Excedente del recibo ${id}` : `Anticipo (recibo ${id})`,
+                        modificado_por,
+                        db: tx
+                    });
+                }
+
+                // Cada aplicación es un pago normal: los triggers actualizan saldo y estado de la factura
+                const insertados = [];
+                for (const aplicacion of reparto.aplicaciones) {
+                    const pagoResult = await tx.execute({
+                        sql: `
+                            INSERT INTO pagos (
+                                factura_id, recibo_id, fecha_pago, monto, cantidad_entregada, cambio, metodo_pago, comentario, modificado_por
+                            ) VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?)
+                        `,
+                        args: [aplicacion.factura_id, id, fecha_pago, aplicacion.monto, aplicacion.monto, metodo_pago, comentario || null, modificado_por]
+                    });
+
+                    insertados.push({
+                        pago_id: Number(pagoResult.lastInsertRowid),
+                        factura_id: aplicacion.factura_id,
+                        monto: aplicacion.monto,
+                        saldo_anterior: aplicacion.saldo_anterior,
+                        saldo_pendiente: restaDecimal(aplicacion.saldo_anterior, aplicacion.monto)
+                    });
+                }
+
+                return { recibo_id: id, pagos: insertados };
             });
 
-            if (result.rowsAffected === 0) {
+            const response = {
+                mensaje: 'Pago registrado exitosamente',
+                recibo_id,
+                cliente_id: Number(cliente_id),
+                modo_aplicacion,
+                cantidad_entregada: cantidad,
+                monto_aplicado: montoAplicado,
+                saldo_favor_abonado: saldoFavorAbonado,
+                cambio,
+                aplicaciones: pagos
+            };
+
+            if (notificationManager) {
+                try {
+                    const cliente_nombre = clienteResult.rows[0].nombre;
+
+                    for (const pago of pagos) {
+                        notificationManager.notificacionPersonalizada('pago_recibido', {
+                            id: pago.pago_id,
+                            recibo_id,
+                            factura_id: pago.factura_id,
+                            cliente_nombre,
+                            monto: pago.monto,
+                            metodo_pago,
+                            fecha_pago,
+                            timestamp: new Date().toISOString()
+                        });
+                    }
+
+                    notificationManager.alertaSistema(
+                        `Pago de $${cantidad} de ${cliente_nombre}: $${montoAplicado} aplicado a ${pagos.length} factura(s)` +
+                            (saldoFavorAbonado > 0 ? `, $${saldoFavorAbonado} a saldo a favor` : ''),
+                        'success',
+                        {
+                            recibo_id,
+                            cliente_id: Number(cliente_id),
+                            monto: montoAplicado,
+                            saldo_favor_abonado: saldoFavorAbonado,
+                            accion: 'recibo_registrado'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            return res.status(201).json(response);
+
+        } catch (error) {
+            console.error('Error al registrar pago de cliente v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Obtener un recibo con sus aplicaciones por factura
+     */
+    obtenerRecibo: async (req, res) => {
+        try {
+            const recibo = await consultarRecibo(req.params.id);
+
+            if (!recibo) {
+                return res.status(404).json({ error: 'Recibo no encontrado' });
+            }
+
+            return res.status(200).json(recibo);
+
+        } catch (error) {
+            console.error('Error al obtener recibo v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Descargar un recibo de cliente en PDF
+     */
+    descargarReciboClientePdf: async (req, res) => {
+        try {
+            const recibo = await consultarRecibo(req.params.id);
+
+            if (!recibo) {
+                return res.status(404).json({ error: 'Recibo no encontrado' });
+            }
+
+            const pdf = await generarReciboClientePdf(recibo);
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="recibo-cliente-${recibo.id}.pdf"`);
+            return res.status(200).send(pdf);
+
+        } catch (error) {
+            console.error('Error al generar PDF de recibo de cliente v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Descargar el recibo de un pago en PDF
+     */
+    descargarReciboPdf: async (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const pagoQuery = `
+                SELECT p.*, u.username AS modificado_por_nombre,
+                       a.motivo AS motivo_anulacion, a.fecha_creacion AS fecha_anulacion
+                FROM pagos p
+                LEFT JOIN usuarios u ON p.modificado_por = u.id
+                LEFT JOIN anulaciones_pago a ON a.pago_id = p.id
+                WHERE p.id = ?
+            `;
+            const pagoResult = await dbTurso.execute({ sql: pagoQuery, args: [id] });
+
+            if (pagoResult.rows.length === 0) {
                 return res.status(404).json({ error: 'Pago no encontrado' });
             }
 
-            return res.status(200).json({ mensaje: 'Pago modificado exitosamente' });
+            const row = pagoResult.rows[0];
+            const cantidadEntregada = row.cantidad_entregada != null ? toDecimal(row.cantidad_entregada) : null;
+            const pago = {
+                id: Number(row.id),
+                factura_id: Number(row.factura_id),
+                fecha_pago: row.fecha_pago,
+                monto: toDecimal(row.monto),
+                cantidad_entregada: cantidadEntregada,
+                cambio: toDecimal(row.cambio),
+                // Lo entregado que no se aplicó ni se devolvió quedó como saldo a favor
+                saldo_favor: cantidadEntregada != null
+                    ? restaDecimal(restaDecimal(cantidadEntregada, toDecimal(row.monto)), toDecimal(row.cambio))
+                    : 0,
+                metodo_pago: row.metodo_pago,
+                comentario: row.comentario,
+                modificado_por_nombre: row.modificado_por_nombre,
+                anulado: row.fecha_anulacion != null,
+                fecha_anulacion: row.fecha_anulacion,
+                motivo_anulacion: row.motivo_anulacion
+            };
+
+            const [factura] = await consultarFacturas({ id: pago.factura_id });
+
+            if (!factura) {
+                return res.status(404).json({ error: 'Factura del pago no encontrada' });
+            }
+
+            const pdf = await generarReciboPagoPdf(pago, factura);
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `inline; filename="recibo-${pago.id}.pdf"`);
+            return res.status(200).send(pdf);
 
         } catch (error) {
-            console.error('Error al modificar pago:', error);
+            console.error('Error al generar recibo PDF v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Anular un pago. El pago se conserva y se registra una anulación que regresa
+     * su monto al saldo de la factura (Pagado vuelve a Pendiente o Vencida).
+     * Los pagos de un recibo se anulan con anularRecibo.
+     */
+    anularPago: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { motivo } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!motivo || !String(motivo).trim()) {
+                return res.status(400).json({ error: 'El motivo de la anulación es requerido' });
+            }
+
+            const pagoQuery = `
+                SELECT p.id, p.factura_id, p.recibo_id, p.monto, p.metodo_pago, p.fecha_pago,
+                       f.cliente_id, f.estado AS estado_factura, c.nombre AS cliente_nombre,
+                       a.id AS anulacion_id
+                FROM pagos p
+                JOIN facturas f ON p.factura_id = f.id
+                JOIN clientes c ON f.cliente_id = c.id
+                LEFT JOIN anulaciones_pago a ON a.pago_id = p.id
+                WHERE p.id = ?
+            `;
+            const pagoResult = await dbTurso.execute({ sql: pagoQuery, args: [id] });
+
+            if (pagoResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Pago no encontrado' });
+            }
+
+            const pago = pagoResult.rows[0];
+            const pago_id = Number(pago.id);
+            const factura_id = Number(pago.factura_id);
+            const monto = toDecimal(pago.monto);
+
+            if (pago.anulacion_id != null) {
+                return res.status(409).json({ error: 'El pago ya fue anulado' });
+            }
+
+            // El excedente o anticipo de un recibo se abonó al recibo, no a cada pago: solo se
+            // revierte anulando el recibo completo
+            if (pago.recibo_id != null) {
+                return res.status(409).json({
+                    error: `El pago forma parte del recibo ${Number(pago.recibo_id)}; anule el recibo completo`,
+                    recibo_id: Number(pago.recibo_id)
+                });
+            }
+
+            if (pago.estado_factura === 'Cancelada') {
+                return res.status(409).json({ error: 'No se pueden anular pagos de una factura cancelada' });
+            }
+
+            const validacionPeriodo = await validarFacturaEditable(factura_id);
+
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+            }
+
+            // Saldo a favor, anulación, saldo de la factura e historial: todo o nada
+            const resultado = await withTransaction(async (tx) => {
+                const anuladoResult = await tx.execute({
+                    sql: `SELECT id FROM anulaciones_pago WHERE pago_id = ?`,
+                    args: [pago_id]
+                });
+
+                if (anuladoResult.rows.length > 0) {
+                    await tx.rollback();
+                    return { error: 'El pago ya fue anulado' };
+                }
+
+                // Primero el saldo a favor: si el excedente ya se usó no se puede anular
+                const reversion = await revertirSaldoFavorDePago({
+                    pago_id,
+                    cliente_id: Number(pago.cliente_id),
+                    modificado_por,
+                    db: tx
+                });
+
+                if (!reversion.success) {
+                    await tx.rollback();
+                    return { error: reversion.error };
+                }
+
+                const { anulacion_id, factura } = await registrarAnulacionPago(tx, {
+                    pago_id,
+                    factura_id,
+                    monto,
+                    motivo: String(motivo).trim(),
+                    modificado_por
+                });
+
+                return { anulacion_id, reversion, factura };
+            });
+
+            if (resultado.error) {
+                return res.status(409).json({ error: resultado.error });
+            }
+
+            const { anulacion_id, reversion, factura } = resultado;
+
+            const response = {
+                mensaje: 'Pago anulado exitosamente',
+                anulacion: {
+                    id: anulacion_id,
+                    pago_id,
+                    factura_id,
+                    monto,
+                    motivo: String(motivo).trim(),
+                    anulado_por: Number(modificado_por)
+                },
+                factura: {
+                    id: factura_id,
+                    saldo_pendiente: toDecimal(factura.saldo_pendiente),
+                    estado: factura.estado
+                },
+                saldo_favor_retirado: reversion.retirado,
+                saldo_favor_reintegrado: reversion.reintegrado
+            };
+
+            if (notificationManager) {
+                try {
+                    notificationManager.pagoAnulado({
+                        ...response.anulacion,
+                        cliente_id: Number(pago.cliente_id),
+                        cliente_nombre: pago.cliente_nombre,
+                        metodo_pago: pago.metodo_pago,
+                        fecha_pago: pago.fecha_pago,
+                        saldo_pendiente: response.factura.saldo_pendiente,
+                        estado_factura: response.factura.estado
+                    }, modificado_por);
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            return res.status(200).json(response);
+
+        } catch (error) {
+            console.error('Error al anular pago v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Anular un recibo completo: anula cada pago vigente del recibo y retira del saldo
+     * a favor el excedente o anticipo que abonó. Si ese saldo ya se aplicó a otras
+     * facturas no se anula nada.
+     */
+    anularRecibo: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { motivo } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!motivo || !String(motivo).trim()) {
+                return res.status(400).json({ error: 'El motivo de la anulación es requerido' });
+            }
+
+            const recibo = await consultarRecibo(id);
+
+            if (!recibo) {
+                return res.status(404).json({ error: 'Recibo no encontrado' });
+            }
+
+            if (recibo.anulado) {
+                return res.status(409).json({ error: 'El recibo ya fue anulado' });
+            }
+
+            const vigentes = recibo.aplicaciones.filter(a => !a.anulado);
+
+            if (vigentes.some(a => a.estado_factura === 'Cancelada')) {
+                return res.status(409).json({ error: 'No se pueden anular pagos de una factura cancelada' });
+            }
+
+            for (const aplicacion of vigentes) {
+                const validacionPeriodo = await validarFacturaEditable(aplicacion.factura_id);
+
+                if (!validacionPeriodo.success) {
+                    return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+                }
+            }
+
+            const recibo_id = recibo.id;
+            const motivoAnulacion = String(motivo).trim();
+
+            // Saldo a favor, anulación de cada pago, saldos de las facturas e historial: todo o nada
+            const resultado = await withTransaction(async (tx) => {
+                const anuladoResult = await tx.execute({
+                    sql: `SELECT id FROM anulaciones_recibo WHERE recibo_id = ?`,
+                    args: [recibo_id]
+                });
+
+                if (anuladoResult.rows.length > 0) {
+                    await tx.rollback();
+                    return { error: 'El recibo ya fue anulado' };
+                }
+
+                const reversion = await revertirSaldoFavorDeRecibo({
+                    recibo_id,
+                    cliente_id: recibo.cliente_id,
+                    modificado_por,
+                    db: tx
+                });
+
+                if (!reversion.success) {
+                    await tx.rollback();
+                    return { error: reversion.error };
+                }
+
+                const pagosResult = await tx.execute({
+                    sql: `
+                        SELECT p.id, p.factura_id, p.monto
+                        FROM pagos p
+                        LEFT JOIN anulaciones_pago a ON a.pago_id = p.id
+                        WHERE p.recibo_id = ? AND a.id IS NULL
+                        ORDER BY p.id ASC
+                    `,
+                    args: [recibo_id]
+                });
+
+                const anulaciones = [];
+                let montoPagos = 0;
+
+                for (const pago of pagosResult.rows) {
+                    const pago_id = Number(pago.id);
+                    const factura_id = Number(pago.factura_id);
+                    const monto = toDecimal(pago.monto);
+
+                    const { anulacion_id, factura } = await registrarAnulacionPago(tx, {
+                        pago_id,
+                        factura_id,
+                        monto,
+                        motivo: motivoAnulacion,
+                        modificado_por,
+                        recibo_id
+                    });
+
+                    montoPagos = sumaDecimal(montoPagos, monto);
+                    anulaciones.push({
+                        id: anulacion_id,
+                        pago_id,
+                        factura_id,
+                        monto,
+                        saldo_pendiente: toDecimal(factura.saldo_pendiente),
+                        estado_factura: factura.estado
+                    });
+                }
+
+                const anulacionReciboResult = await tx.execute({
+                    sql: `
+                        INSERT INTO anulaciones_recibo (recibo_id, cliente_id, monto_pagos, saldo_favor_retirado, motivo, anulado_por)
+                        VALUES (?, ?, ?, ?, ?, ?)
+                    `,
+                    args: [recibo_id, recibo.cliente_id, montoPagos, reversion.retirado, motivoAnulacion, modificado_por]
+                });
+
+                return {
+                    anulacion_id: Number(anulacionReciboResult.lastInsertRowid),
+                    monto_pagos: montoPagos,
+                    saldo_favor_retirado: reversion.retirado,
+                    anulaciones
+                };
+            });
+
+            if (resultado.error) {
+                return res.status(409).json({ error: resultado.error });
+            }
+
+            const response = {
+                mensaje: 'Recibo anulado exitosamente',
+                anulacion: {
+                    id: resultado.anulacion_id,
+                    recibo_id,
+                    cliente_id: recibo.cliente_id,
+                    monto_pagos: resultado.monto_pagos,
+                    saldo_favor_retirado: resultado.saldo_favor_retirado,
+                    total_devuelto: sumaDecimal(resultado.monto_pagos, resultado.saldo_favor_retirado),
+                    motivo: motivoAnulacion,
+                    anulado_por: Number(modificado_por)
+                },
+                pagos_anulados: resultado.anulaciones
+            };
+
+            if (notificationManager) {
+                try {
+                    resultado.anulaciones.forEach(anulacion => {
+                        notificationManager.pagoAnulado({
+                            id: anulacion.id,
+                            pago_id: anulacion.pago_id,
+                            factura_id: anulacion.factura_id,
+                            monto: anulacion.monto,
+                            motivo: motivoAnulacion,
+                            anulado_por: Number(modificado_por),
+                            recibo_id,
+                            cliente_id: recibo.cliente_id,
+                            cliente_nombre: recibo.cliente_nombre,
+                            metodo_pago: recibo.metodo_pago,
+                            fecha_pago: recibo.fecha_pago,
+                            saldo_pendiente: anulacion.saldo_pendiente,
+                            estado_factura: anulacion.estado_factura
+                        }, modificado_por);
+                    });
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            return res.status(200).json(response);
+
+        } catch (error) {
+            console.error('Error al anular recibo v2:', error);
             return res.status(500).json({ error: 'Error interno del servidor' });
         }
     }
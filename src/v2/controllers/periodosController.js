@@ -0,0 +1,395 @@
+/**
+ * Controlador de Periodos de facturación - V2
+ *
+ * File: src/v2/controllers/periodosController.js
+ *
+ * Descripción: Alta y ciclo de vida de los periodos (AAAA-MM). Cada periodo tiene fechas
+ * de inicio y fin y avanza por abierto → en_lectura → facturado → cerrado. Las lecturas,
+ * incidencias y facturas solo se registran en periodos dados de alta y sin cerrar; al
+ * cerrar un periodo ya no se editan sus lecturas, facturas ni pagos (servicio periodosFacturacion).
+ *
+ * Funciones nuevas en V2:
+ * - registrarPeriodo: Alta de un periodo (fechas del mes por defecto)
+ * - listarPeriodos: Periodos con su resumen de lecturas y facturas
+ * - obtenerPeriodoActual: Periodo en curso (el que usa listarRutas por defecto)
+ * - obtenerPeriodo: Detalle de un periodo con su resumen
+ * - modificarPeriodo: Corrige las fechas de un periodo sin cerrar
+ * - cambiarEstadoPeriodo: Avanza el estado; el cierre exige que no haya lecturas por revisar
+ */
+
+import dbTurso from '../../database/db-turso.js';
+import {
+    ESTADOS_PERIODO,
+    TRANSICIONES_PERIODO,
+    periodoValido,
+    fechasDelMes,
+    formatearPeriodo,
+    obtenerPeriodo as buscarPeriodo,
+    obtenerPeriodoActual as buscarPeriodoActual
+} from '../services/periodosFacturacion.js';
+
+// Managers SSE - Configurados dinámicamente
+let sseManager = null;
+let notificationManager = null;
+
+export const setSSEManagers = (sseManagerInstance, notificationManagerInstance) => {
+    sseManager = sseManagerInstance;
+    notificationManager = notificationManagerInstance;
+};
+
+const fechaValida = (fecha) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(fecha) && !isNaN(new Date(fecha).getTime());
+
+// Conteos del periodo; p es el alias de la tabla periodos
+const RESUMEN_PERIODO = `
+    (SELECT COUNT(*) FROM lecturas l WHERE l.periodo = p.periodo) AS total_lecturas,
+    (SELECT COUNT(*) FROM lecturas l WHERE l.periodo = p.periodo
+        AND l.estado_revision IN ('pendiente', 'capturada')) AS lecturas_por_revisar,
+    (SELECT COUNT(*) FROM incidencias_lectura i WHERE i.periodo = p.periodo
+        AND i.lectura_id IS NULL) AS incidencias_sin_lectura,
+    (SELECT COUNT(*) FROM facturas f
+        LEFT JOIN lecturas l ON f.lectura_id = l.id
+        LEFT JOIN estimaciones_consumo e ON e.factura_id = f.id
+        WHERE COALESCE(l.periodo, e.periodo) = p.periodo AND f.estado != 'Cancelada') AS total_facturas,
+    (SELECT COUNT(*) FROM facturas f
+        JOIN estimaciones_consumo e ON e.factura_id = f.id
+        WHERE e.periodo = p.periodo AND f.estado != 'Cancelada') AS facturas_estimadas
+`;
+
+const PERIODO_QUERY = `
+    SELECT p.*, u.username AS cerrado_por_nombre, ${RESUMEN_PERIODO}
+    FROM periodos p
+    LEFT JOIN usuarios u ON p.cerrado_por = u.id
+`;
+
+/**
+ * Periodo con su resumen de lecturas y facturas
+ */
+const formatearPeriodoConResumen = (row) => ({
+    ...formatearPeriodo(row),
+    resumen: {
+        total_lecturas: Number(row.total_lecturas),
+        lecturas_por_revisar: Number(row.lecturas_por_revisar),
+        incidencias_sin_lectura: Number(row.incidencias_sin_lectura),
+        total_facturas: Number(row.total_facturas),
+        facturas_estimadas: Number(row.facturas_estimadas)
+    }
+});
+
+const consultarPeriodo = async (periodo) => {
+    const result = await dbTurso.execute({ sql: `${PERIODO_QUERY} WHERE p.periodo = ?`, args: [periodo] });
+    return result.rows[0] || null;
+};
+
+/**
+ * Periodo registrado cuyas fechas se traslapan con las indicadas
+ */
+const buscarTraslape = async ({ fecha_inicio, fecha_fin, excluir_id = null }) => {
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT periodo FROM periodos
+            WHERE id != COALESCE(?, -1) AND fecha_inicio <= ? AND fecha_fin >= ?
+            LIMIT 1
+        `,
+        args: [excluir_id, fecha_fin, fecha_inicio]
+    });
+
+    return result.rows[0]?.periodo || null;
+};
+
+const periodosController = {
+
+    // =====================================================
+    // FUNCIONES NUEVAS V2
+    // =====================================================
+
+    /**
+     * Registrar un periodo. Sin fechas se toma el mes completo.
+     */
+    registrarPeriodo: async (req, res) => {
+        try {
+            const { periodo } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!periodo) {
+                return res.status(400).json({ error: 'Falta campo requerido: periodo' });
+            }
+
+            if (!periodoValido(periodo)) {
+                return res.status(400).json({ error: 'Periodo inválido. Use el formato AAAA-MM' });
+            }
+
+            const { fecha_inicio = fechasDelMes(periodo).fecha_inicio, fecha_fin = fechasDelMes(periodo).fecha_fin } = req.body;
+
+            if (!fechaValida(fecha_inicio) || !fechaValida(fecha_fin)) {
+                return res.status(400).json({ error: 'Fechas inválidas. Use el formato AAAA-MM-DD' });
+            }
+
+            if (fecha_fin < fecha_inicio) {
+                return res.status(400).json({ error: 'La fecha de fin no puede ser anterior a la de inicio' });
+            }
+
+            if (await buscarPeriodo(periodo)) {
+                return res.status(409).json({ error: `El periodo ${periodo} ya está dado de alta` });
+            }
+
+            const traslape = await buscarTraslape({ fecha_inicio, fecha_fin });
+
+            if (traslape) {
+                return res.status(409).json({ error: `Las fechas se traslapan con el periodo ${traslape}` });
+            }
+
+            const insertResult = await dbTurso.execute({
+                sql: `
+                    INSERT INTO periodos (periodo, fecha_inicio, fecha_fin, modificado_por)
+                    VALUES (?, ?, ?, ?)
+                `,
+                args: [periodo, fecha_inicio, fecha_fin, modificado_por]
+            });
+
+            await dbTurso.execute({
+                sql: `
+                    INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                    VALUES (?, ?, ?, ?, ?)
+                `,
+                args: ['periodos', 'INSERT', Number(insertResult.lastInsertRowid), modificado_por, JSON.stringify({
+                    periodo, fecha_inicio, fecha_fin
+                })]
+            });
+
+            return res.status(201).json({
+                mensaje: 'Periodo registrado exitosamente',
+                periodo: formatearPeriodoConResumen(await consultarPeriodo(periodo))
+            });
+
+        } catch (error) {
+            console.error('Error al registrar periodo v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Listar periodos (filtro opcional: estado), del más reciente al más antiguo
+     */
+    listarPeriodos: async (req, res) => {
+        try {
+            const { estado } = req.query;
+
+            if (estado && !ESTADOS_PERIODO.includes(estado)) {
+                return res.status(400).json({ error: `Estado inválido. Use: ${ESTADOS_PERIODO.join(', ')}` });
+            }
+
+            const result = await dbTurso.execute({
+                sql: `${PERIODO_QUERY} ${estado ? 'WHERE p.estado = ?' : ''} ORDER BY p.periodo DESC`,
+                args: estado ? [estado] : []
+            });
+
+            return res.status(200).json({ periodos: result.rows.map(formatearPeriodoConResumen) });
+
+        } catch (error) {
+            console.error('Error al listar periodos v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Periodo en curso: en lectura, si no el abierto más antiguo, si no el último facturado
+     */
+    obtenerPeriodoActual: async (req, res) => {
+        try {
+            const actual = await buscarPeriodoActual();
+
+            if (!actual) {
+                return res.status(404).json({ error: 'No hay periodos sin cerrar' });
+            }
+
+            return res.status(200).json(formatearPeriodoConResumen(await consultarPeriodo(actual.periodo)));
+
+        } catch (error) {
+            console.error('Error al obtener periodo actual v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Detalle de un periodo
+     */
+    obtenerPeriodo: async (req, res) => {
+        try {
+            const row = await consultarPeriodo(req.params.periodo);
+
+            if (!row) {
+                return res.status(404).json({ error: 'Periodo no encontrado' });
+            }
+
+            return res.status(200).json(formatearPeriodoConResumen(row));
+
+        } catch (error) {
+            console.error('Error al obtener periodo v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Corregir las fechas de un periodo que no está cerrado
+     */
+    modificarPeriodo: async (req, res) => {
+        try {
+            const { periodo } = req.params;
+            const { fecha_inicio, fecha_fin } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!fecha_inicio && !fecha_fin) {
+                return res.status(400).json({ error: 'Faltan campos requeridos' });
+            }
+
+            const actual = await buscarPeriodo(periodo);
+
+            if (!actual) {
+                return res.status(404).json({ error: 'Periodo no encontrado' });
+            }
+
+            if (actual.estado === 'cerrado') {
+                return res.status(409).json({ error: `El periodo ${periodo} está cerrado y no admite cambios` });
+            }
+
+            const nuevoInicio = fecha_inicio || actual.fecha_inicio;
+            const nuevoFin = fecha_fin || actual.fecha_fin;
+
+            if (!fechaValida(nuevoInicio) || !fechaValida(nuevoFin)) {
+                return res.status(400).json({ error: 'Fechas inválidas. Use el formato AAAA-MM-DD' });
+            }
+
+            if (nuevoFin < nuevoInicio) {
+                return res.status(400).json({ error: 'La fecha de fin no puede ser anterior a la de inicio' });
+            }
+
+            const traslape = await buscarTraslape({ fecha_inicio: nuevoInicio, fecha_fin: nuevoFin, excluir_id: actual.id });
+
+            if (traslape) {
+                return res.status(409).json({ error: `Las fechas se traslapan con el periodo ${traslape}` });
+            }
+
+            await dbTurso.execute({
+                sql: `UPDATE periodos SET fecha_inicio = ?, fecha_fin = ?, modificado_por = ? WHERE id = ?`,
+                args: [nuevoInicio, nuevoFin, modificado_por, actual.id]
+            });
+
+            await dbTurso.execute({
+                sql: `
+                    INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                    VALUES (?, ?, ?, ?, ?)
+                `,
+                args: ['periodos', 'UPDATE', actual.id, modificado_por, JSON.stringify({
+                    fecha_inicio: { antes: actual.fecha_inicio, despues: nuevoInicio },
+                    fecha_fin: { antes: actual.fecha_fin, despues: nuevoFin }
+                })]
+            });
+
+            return res.status(200).json({
+                mensaje: 'Periodo modificado exitosamente',
+                periodo: formatearPeriodoConResumen(await consultarPeriodo(periodo))
+            });
+
+        } catch (error) {
+            console.error('Error al modificar periodo v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Avanzar el estado de un periodo. Solo hacia adelante; cerrar exige que no queden
+     * lecturas por revisar y deja el periodo de solo lectura.
+     */
+    cambiarEstadoPeriodo: async (req, res) => {
+        try {
+            const { periodo } = req.params;
+            const { estado } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!estado) {
+                return res.status(400).json({ error: 'Falta campo requerido: estado' });
+            }
+
+            if (!ESTADOS_PERIODO.includes(estado)) {
+                return res.status(400).json({ error: `Estado inválido. Use: ${ESTADOS_PERIODO.join(', ')}` });
+            }
+
+            const actual = await consultarPeriodo(periodo);
+
+            if (!actual) {
+                return res.status(404).json({ error: 'Periodo no encontrado' });
+            }
+
+            if (!TRANSICIONES_PERIODO[actual.estado].includes(estado)) {
+                const permitidos = TRANSICIONES_PERIODO[actual.estado];
+                return res.status(409).json({
+                    error: permitidos.length > 0
+                        ? `El periodo está ${actual.estado}; solo puede pasar a: ${permitidos.join(', ')}`
+                        : `El periodo ${periodo} está cerrado y no admite cambios`
+                });
+            }
+
+            if (estado === 'cerrado' && Number(actual.lecturas_por_revisar) > 0) {
+                return res.status(409).json({
+                    error: `Hay ${Number(actual.lecturas_por_revisar)} lecturas del periodo pendientes de revisión`,
+                    lecturas_por_revisar: Number(actual.lecturas_por_revisar)
+                });
+            }
+
+            const cierre = estado === 'cerrado';
+
+            await dbTurso.execute({
+                sql: `
+                    UPDATE periodos
+                    SET estado = ?,
+                        fecha_cierre = ${cierre ? "datetime('now')" : 'fecha_cierre'},
+                        cerrado_por = ${cierre ? '?' : 'cerrado_por'},
+                        modificado_por = ?
+                    WHERE id = ?
+                `,
+                args: cierre ? [estado, modificado_por, modificado_por, actual.id] : [estado, modificado_por, actual.id]
+            });
+
+            await dbTurso.execute({
+                sql: `
+                    INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                    VALUES (?, ?, ?, ?, ?)
+                `,
+                args: ['periodos', 'CAMBIO_ESTADO', actual.id, modificado_por, JSON.stringify({
+                    periodo,
+                    estado: { antes: actual.estado, despues: estado }
+                })]
+            });
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Periodo ${periodo} ${cierre ? 'cerrado' : `en estado ${estado}`}`,
+                        cierre ? 'warning' : 'info',
+                        {
+                            periodo,
+                            estado_anterior: actual.estado,
+                            estado,
+                            operador_id: modificado_por,
+                            accion: 'periodo_estado'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE de periodo:', sseError);
+                }
+            }
+
+            return res.status(200).json({
+                mensaje: cierre ? 'Periodo cerrado exitosamente' : 'Estado del periodo actualizado',
+                periodo: formatearPeriodoConResumen(await consultarPeriodo(periodo))
+            });
+
+        } catch (error) {
+            console.error('Error al cambiar estado de periodo v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    }
+};
+
+export default periodosController;
@@ -13,13 +13,24 @@
  * - Conversión BigInt a Number para compatibilidad JSON
  * 
  * Funciones V1 implementadas (compatibilidad completa):
- * - crearRuta: Crear ruta con puntos y orden
+ * - crearRuta: Crear ruta con puntos y orden (ruta y puntos en una sola transacción)
  * - listarRutas: Listar rutas con información de lecturas
  * - agregarMedidorARuta: Agregar medidor a ruta existente
  * - obtenerRutaConMedidores: Obtener ruta completa con medidores ordenados
+ * 
+ * Funciones nuevas en V2:
+ * - configurarRevision: Activa o desactiva el modo revisión de lecturas de una ruta
+ *   (las lecturas entran como 'capturada' y se facturan al aprobarse)
+ * - registrarIncidencia / listarIncidencias / eliminarIncidencia: Paradas donde no se pudo
+ *   tomar la lectura (servicio incidenciasLectura); listarRutas las cuenta como visitadas
+ * - listarCodigosIncidencia: Catálogo de códigos de incidencia para los dispositivos
+ * - listarRutas usa por defecto el periodo en curso de la tabla periodos; las incidencias
+ *   solo se registran o eliminan en periodos dados de alta y sin cerrar
  */
 
-import dbTurso from '../../database/db-turso.js';
+import dbTurso, { withTransaction } from '../../database/db-turso.js';
+import { CODIGOS_INCIDENCIA, formatearIncidencia } from '../services/incidenciasLectura.js';
+import { obtenerPeriodoActual, validarPeriodoEditable, validarPeriodoSinCerrar, avanzarPeriodo } from '../services/periodosFacturacion.js';
 
 // Managers SSE - Configurados dinámicamente
 let sseManager = null;
@@ -44,14 +55,15 @@ const rutasController = {
             const {
                 nombre,
                 descripcion,
-                creado_por,
                 distancia_km,
                 ruta_calculada,
                 instrucciones,
+                requiere_revision = false,
                 puntos // contiene los medidores con su id
             } = req.body;
+            const creado_por = req.usuario.id; // Usuario de la sesión, nunca del body
 
-            if (!nombre || !creado_por || !Array.isArray(puntos) || puntos.some(p => !p.id)) {
+            if (!nombre || !Array.isArray(puntos) || puntos.some(p => !p.id)) {
                 return res.status(400).json({ error: 'Faltan campos requeridos o puntos inválidos' });
             }
 
@@ -81,30 +93,33 @@ const rutasController = {
             const instruccionesJSON = JSON.stringify(instrucciones || []);
 
             const insertRutaQuery = `
-                INSERT INTO rutas (nombre, descripcion, creado_por, distancia_km, ruta_json, instrucciones_json)
-                VALUES (?, ?, ?, ?, ?, ?)
+                INSERT INTO rutas (nombre, descripcion, creado_por, distancia_km, ruta_json, instrucciones_json, requiere_revision)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
             `;
 
-            const rutaResult = await dbTurso.execute({
-                sql: insertRutaQuery,
-                args: [nombre, descripcion, creado_por, distancia_km, rutaJSON, instruccionesJSON]
-            });
-
-            const ruta_id = Number(rutaResult.lastInsertRowid); // Convertir BigInt a Number
-
-            // Insertar puntos de la ruta
             const insertPuntoQuery = `
                 INSERT INTO rutas_puntos (ruta_id, medidor_id, orden)
                 VALUES (?, ?, ?)
             `;
 
-            for (let index = 0; index < puntos.length; index++) {
-                const punto = puntos[index];
-                await dbTurso.execute({
-                    sql: insertPuntoQuery,
-                    args: [ruta_id, punto.id, index + 1]
+            // La ruta y sus puntos se guardan juntos: si un punto falla no queda la ruta a medias
+            const ruta_id = await withTransaction(async (tx) => {
+                const rutaResult = await tx.execute({
+                    sql: insertRutaQuery,
+                    args: [nombre, descripcion, creado_por, distancia_km, rutaJSON, instruccionesJSON, requiere_revision ? 1 : 0]
                 });
-            }
+
+                const nuevaRutaId = Number(rutaResult.lastInsertRowid); // Convertir BigInt a Number
+
+                for (let index = 0; index < puntos.length; index++) {
+                    await tx.execute({
+                        sql: insertPuntoQuery,
+                        args: [nuevaRutaId, puntos[index].id, index + 1]
+                    });
+                }
+
+                return nuevaRutaId;
+            });
 
             // Datos completos de la ruta para notificaciones SSE
             const rutaCompleta = {
@@ -115,6 +130,7 @@ const rutasController = {
                 distancia_km,
                 ruta_calculada,
                 instrucciones,
+                requiere_revision: Boolean(requiere_revision),
                 puntos: puntos.map((punto, index) => ({
                     medidor_id: punto.id,
                     orden: index + 1
@@ -165,9 +181,10 @@ const rutasController = {
      */
     listarRutas: async (req, res) => {
         try {
-            const periodoParam = req.query.periodo; // Ejemplo: '2025-08'
+            // Sin periodo en la consulta se usa el periodo en curso dado de alta
+            const periodoParam = req.query.periodo || (await obtenerPeriodoActual())?.periodo; // Ejemplo: '2025-08'
 
-            // Primero obtenemos el período a usar (igual que V1)
+            // Primero obtenemos el período a usar (igual que V1 si no hay periodos dados de alta)
             const periodoQuery = `
                 SELECT COALESCE(?, (
                     SELECT 
@@ -195,10 +212,11 @@ const rutasController = {
                     r.fecha_creacion,
                     r.distancia_km,
                     r.creado_por,
+                    r.requiere_revision,
                     COUNT(DISTINCT rp.medidor_id) AS total_puntos
                 FROM rutas r
                 LEFT JOIN rutas_puntos rp ON rp.ruta_id = r.id
-                GROUP BY r.id, r.nombre, r.descripcion, r.fecha_creacion, r.distancia_km, r.creado_por
+                GROUP BY r.id, r.nombre, r.descripcion, r.fecha_creacion, r.distancia_km, r.creado_por, r.requiere_revision
                 ORDER BY r.fecha_creacion DESC
             `;
 
@@ -225,37 +243,48 @@ const rutasController = {
             for (let index = 0; index < rutas.length; index++) {
                 const ruta = rutas[index];
                 
+                // Una parada con incidencia (no se pudo leer) también cuenta como visitada
                 const medidoresQuery = `
                     SELECT 
                         m.numero_serie,
                         m.id as medidor_id,
-                        CASE WHEN l.id IS NOT NULL THEN 1 ELSE 0 END as tiene_lectura
+                        CASE WHEN l.id IS NOT NULL THEN 1 ELSE 0 END as tiene_lectura,
+                        CASE WHEN i.id IS NOT NULL THEN 1 ELSE 0 END as tiene_incidencia
                     FROM rutas_puntos rp
                     JOIN medidores m ON rp.medidor_id = m.id
                     LEFT JOIN lecturas l ON l.medidor_id = m.id 
                         AND l.ruta_id = rp.ruta_id 
                         AND l.periodo = ?
+                    LEFT JOIN incidencias_lectura i ON i.medidor_id = m.id
+                        AND i.ruta_id = rp.ruta_id
+                        AND i.periodo = ?
                     WHERE rp.ruta_id = ?
                     ORDER BY rp.orden ASC
                 `;
 
                 const medidoresResult = await dbTurso.execute({
                     sql: medidoresQuery,
-                    args: [periodo, ruta.id]
+                    args: [periodo, periodo, ruta.id]
                 });
 
                 const medidores = medidoresResult.rows.map(row => ({
                     ...row,
-                    medidor_id: Number(row.medidor_id)
+                    medidor_id: Number(row.medidor_id),
+                    tiene_lectura: Number(row.tiene_lectura),
+                    tiene_incidencia: Number(row.tiene_incidencia)
                 }));
 
                 // Procesar datos de medidores (igual que V1)
+                const visitado = (m) => m.tiene_lectura === 1 || m.tiene_incidencia === 1;
                 const numeros_serie = medidores.map(m => m.numero_serie);
                 const medidores_completados = medidores
-                    .filter(m => m.tiene_lectura === 1)
+                    .filter(visitado)
                     .map(m => m.numero_serie);
                 const medidores_faltantes = medidores
-                    .filter(m => m.tiene_lectura === 0)
+                    .filter(m => !visitado(m))
+                    .map(m => m.numero_serie);
+                const medidores_con_incidencia = medidores
+                    .filter(m => m.tiene_lectura === 0 && m.tiene_incidencia === 1)
                     .map(m => m.numero_serie);
                 
                 const completadas = medidores_completados.length;
@@ -273,13 +302,16 @@ const rutasController = {
                     fecha_creacion: ruta.fecha_creacion,
                     distancia_km: ruta.distancia_km,
                     creado_por: ruta.creado_por,
+                    requiere_revision: Number(ruta.requiere_revision) === 1,
                     total_puntos: total_puntos,
                     completadas: completadas,
                     faltantes: faltantes,
                     porcentaje_completado: porcentaje_completado,
+                    incidencias: medidores_con_incidencia.length,
                     numeros_serie: numeros_serie,
                     medidores_completados: medidores_completados,
                     medidores_faltantes: medidores_faltantes,
+                    medidores_con_incidencia: medidores_con_incidencia,
                     periodo_mostrado: periodo
                 };
 
@@ -406,6 +438,317 @@ const rutasController = {
             console.error('❌ Error al obtener ruta v2:', error);
             return res.status(500).json({ error: 'Error interno del servidor' });
         }
+    },
+
+    // =====================================================
+    // FUNCIONES NUEVAS V2
+    // =====================================================
+
+    /**
+     * Activar o desactivar el modo revisión de lecturas de una ruta
+     * Las lecturas ya registradas conservan su estado; el cambio aplica a las siguientes.
+     */
+    configurarRevision: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { requiere_revision } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (typeof requiere_revision !== 'boolean') {
+                return res.status(400).json({ error: 'Falta campo requerido: requiere_revision (booleano)' });
+            }
+
+            const rutaResult = await dbTurso.execute({
+                sql: `SELECT id, nombre, requiere_revision FROM rutas WHERE id = ?`,
+                args: [id]
+            });
+
+            if (rutaResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Ruta no encontrada' });
+            }
+
+            const ruta = rutaResult.rows[0];
+            const anterior = Number(ruta.requiere_revision) === 1;
+
+            await dbTurso.execute({
+                sql: `UPDATE rutas SET requiere_revision = ? WHERE id = ?`,
+                args: [requiere_revision ? 1 : 0, id]
+            });
+
+            if (anterior !== requiere_revision) {
+                await dbTurso.execute({
+                    sql: `
+                        INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                        VALUES (?, ?, ?, ?, ?)
+                    `,
+                    args: ['rutas', 'UPDATE', id, modificado_por, JSON.stringify({
+                        requiere_revision: { antes: anterior, despues: requiere_revision }
+                    })]
+                });
+            }
+
+            if (notificationManager) {
+                try {
+                    notificationManager.rutaActualizada({
+                        id: Number(ruta.id),
+                        nombre: ruta.nombre,
+                        requiere_revision
+                    }, modificado_por);
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            return res.status(200).json({
+                mensaje: requiere_revision
+                    ? 'Las lecturas de la ruta requerirán aprobación antes de facturarse'
+                    : 'Las lecturas de la ruta se facturarán al registrarse',
+                ruta_id: Number(ruta.id),
+                requiere_revision
+            });
+
+        } catch (error) {
+            console.error('❌ Error al configurar revisión de ruta v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Catálogo de códigos de incidencia de lectura
+     */
+    listarCodigosIncidencia: async (req, res) => {
+        const codigos = Object.entries(CODIGOS_INCIDENCIA).map(([codigo, descripcion]) => ({ codigo, descripcion }));
+        return res.status(200).json({ codigos });
+    },
+
+    /**
+     * Registrar una incidencia de lectura en una parada de la ruta
+     * El medidor debe pertenecer a la ruta y no tener lectura en el periodo
+     */
+    registrarIncidencia: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { medidor_id, periodo, codigo, observaciones, fecha_incidencia } = req.body;
+            const modificado_por = req.usuario.id;
+
+            if (!medidor_id || !periodo || !codigo) {
+                return res.status(400).json({ error: 'Faltan campos requeridos: medidor_id, periodo y codigo' });
+            }
+
+            if (!CODIGOS_INCIDENCIA[codigo]) {
+                return res.status(400).json({ error: `codigo inválido. Use: ${Object.keys(CODIGOS_INCIDENCIA).join(', ')}` });
+            }
+
+            if (codigo === 'otro' && !observaciones) {
+                return res.status(400).json({ error: 'Describa la incidencia en observaciones' });
+            }
+
+            const validacionPeriodo = await validarPeriodoEditable(periodo);
+
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+            }
+
+            const puntoResult = await dbTurso.execute({
+                sql: `
+                    SELECT r.id AS ruta_id, r.nombre AS ruta_nombre, rp.id AS punto_id, m.numero_serie
+                    FROM rutas r
+                    LEFT JOIN rutas_puntos rp ON rp.ruta_id = r.id AND rp.medidor_id = ?
+                    LEFT JOIN medidores m ON m.id = rp.medidor_id
+                    WHERE r.id = ?
+                `,
+                args: [medidor_id, id]
+            });
+
+            if (puntoResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Ruta no encontrada' });
+            }
+
+            const punto = puntoResult.rows[0];
+
+            if (punto.punto_id == null) {
+                return res.status(404).json({ error: 'El medidor no es una parada de esta ruta' });
+            }
+
+            const lecturaResult = await dbTurso.execute({
+                sql: `SELECT id FROM lecturas WHERE medidor_id = ? AND periodo = ?`,
+                args: [medidor_id, periodo]
+            });
+
+            if (lecturaResult.rows.length > 0) {
+                return res.status(409).json({
+                    error: 'El medidor ya tiene lectura registrada en el periodo',
+                    lectura_id: Number(lecturaResult.rows[0].id)
+                });
+            }
+
+            const existenteResult = await dbTurso.execute({
+                sql: `SELECT id FROM incidencias_lectura WHERE medidor_id = ? AND periodo = ?`,
+                args: [medidor_id, periodo]
+            });
+
+            if (existenteResult.rows.length > 0) {
+                return res.status(409).json({
+                    error: 'Ya hay una incidencia registrada para el medidor en el periodo',
+                    incidencia_id: Number(existenteResult.rows[0].id)
+                });
+            }
+
+            const insertResult = await dbTurso.execute({
+                sql: `
+                    INSERT INTO incidencias_lectura
+                    (ruta_id, medidor_id, periodo, codigo, observaciones, fecha_incidencia, modificado_por)
+                    VALUES (?, ?, ?, ?, ?, COALESCE(?, date('now')), ?)
+                `,
+                args: [id, medidor_id, periodo, codigo, observaciones || null, fecha_incidencia || null, modificado_por]
+            });
+
+            // Una incidencia también es avance de lectura del periodo
+            await avanzarPeriodo(periodo, 'en_lectura', modificado_por);
+
+            const incidenciaResult = await dbTurso.execute({
+                sql: `
+                    SELECT i.*, m.numero_serie, c.nombre AS cliente_nombre
+                    FROM incidencias_lectura i
+                    JOIN medidores m ON i.medidor_id = m.id
+                    LEFT JOIN clientes c ON m.cliente_id = c.id
+                    WHERE i.id = ?
+                `,
+                args: [Number(insertResult.lastInsertRowid)]
+            });
+
+            const incidencia = formatearIncidencia(incidenciaResult.rows[0]);
+
+            if (notificationManager) {
+                try {
+                    notificationManager.alertaSistema(
+                        `Medidor ${punto.numero_serie} sin lectura en la ruta ${punto.ruta_nombre}: ${CODIGOS_INCIDENCIA[codigo]}`,
+                        'warning',
+                        {
+                            ruta_id: Number(id),
+                            medidor_id: Number(medidor_id),
+                            periodo,
+                            codigo,
+                            incidencia_id: incidencia.id,
+                            tipo: 'incidencia_lectura'
+                        }
+                    );
+                } catch (sseError) {
+                    console.warn('Error enviando notificación SSE:', sseError);
+                }
+            }
+
+            return res.status(201).json({
+                mensaje: 'Incidencia registrada',
+                incidencia
+            });
+
+        } catch (error) {
+            console.error('❌ Error al registrar incidencia de lectura v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Listar incidencias de lectura de una ruta (opcionalmente de un periodo)
+     */
+    listarIncidencias: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { periodo } = req.query;
+
+            const rutaResult = await dbTurso.execute({
+                sql: `SELECT id FROM rutas WHERE id = ?`,
+                args: [id]
+            });
+
+            if (rutaResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Ruta no encontrada' });
+            }
+
+            const result = await dbTurso.execute({
+                sql: `
+                    SELECT i.*, m.numero_serie, c.nombre AS cliente_nombre
+                    FROM incidencias_lectura i
+                    JOIN medidores m ON i.medidor_id = m.id
+                    LEFT JOIN clientes c ON m.cliente_id = c.id
+                    WHERE i.ruta_id = ? ${periodo ? 'AND i.periodo = ?' : ''}
+                    ORDER BY i.periodo DESC, i.fecha_incidencia DESC, i.id DESC
+                `,
+                args: periodo ? [id, periodo] : [id]
+            });
+
+            const incidencias = result.rows.map(formatearIncidencia);
+
+            return res.status(200).json({
+                ruta_id: Number(id),
+                periodo: periodo || null,
+                total: incidencias.length,
+                sin_lectura: incidencias.filter(i => i.lectura_id === null).length,
+                incidencias
+            });
+
+        } catch (error) {
+            console.error('❌ Error al listar incidencias de lectura v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Eliminar una incidencia capturada por error
+     * No se permite si el periodo ya quedó cubierto por una lectura
+     */
+    eliminarIncidencia: async (req, res) => {
+        try {
+            const { id, incidencia_id } = req.params;
+            const modificado_por = req.usuario.id;
+
+            const incidenciaResult = await dbTurso.execute({
+                sql: `SELECT * FROM incidencias_lectura WHERE id = ? AND ruta_id = ?`,
+                args: [incidencia_id, id]
+            });
+
+            if (incidenciaResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Incidencia no encontrada' });
+            }
+
+            const incidencia = formatearIncidencia(incidenciaResult.rows[0]);
+
+            if (incidencia.lectura_id !== null) {
+                return res.status(409).json({
+                    error: 'La incidencia ya está ligada a una lectura del periodo',
+                    lectura_id: incidencia.lectura_id
+                });
+            }
+
+            const validacionPeriodo = await validarPeriodoSinCerrar(incidencia.periodo);
+
+            if (!validacionPeriodo.success) {
+                return res.status(validacionPeriodo.status).json({ error: validacionPeriodo.error });
+            }
+
+            await dbTurso.execute({
+                sql: `DELETE FROM incidencias_lectura WHERE id = ?`,
+                args: [incidencia_id]
+            });
+
+            await dbTurso.execute({
+                sql: `
+                    INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                    VALUES (?, ?, ?, ?, ?)
+                `,
+                args: ['incidencias_lectura', 'DELETE', incidencia_id, modificado_por, JSON.stringify(incidencia)]
+            });
+
+            return res.status(200).json({
+                mensaje: 'Incidencia eliminada',
+                incidencia_id: incidencia.id
+            });
+
+        } catch (error) {
+            console.error('❌ Error al eliminar incidencia de lectura v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
     }
 };
 
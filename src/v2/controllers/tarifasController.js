@@ -10,9 +10,11 @@
  * - Reemplazo de WebSockets con Server-Sent Events (SSE)
  * - Mantiene solo las funcionalidades de V1
  * - Respeta el esquema de la base de datos actual
+ * - simularTarifa: Desglose por rango de cualquier consumo (motor compartido tarifaEngine)
  */
 
 import dbTurso from '../../database/db-turso.js';
+import { calcularTarifa } from '../services/tarifaEngine.js';
 
 // Managers SSE - Configurados dinámicamente
 let sseManager = null;
@@ -30,7 +32,8 @@ const tarifasController = {
      */
     async registrarTarifa(req, res) {
         try {
-            const { nombre, descripcion, fecha_inicio, fecha_fin, modificado_por } = req.body;
+            const { nombre, descripcion, fecha_inicio, fecha_fin } = req.body;
+            const modificado_por = req.usuario.id;
 
             // Validar que la fecha inicio sea menor a fecha fin
             if (fecha_fin && new Date(fecha_inicio) > new Date(fecha_fin)) {
@@ -39,7 +42,7 @@ const tarifasController = {
 
             console.log("Body Tarifa", req.body);
 
-            if (!nombre || !descripcion || !fecha_inicio || !modificado_por) {
+            if (!nombre || !descripcion || !fecha_inicio) {
                 return res.status(400).json({ error: 'Faltan campos requeridos' });
             }
 
@@ -313,9 +316,9 @@ const tarifasController = {
         try {
             const { id } = req.params;
             const { nombre, descripcion, fecha_inicio, fecha_fin } = req.body;
-            const modificado_por = req.usuario?.id || req.body.modificado_por;
+            const modificado_por = req.usuario.id;
 
-            if (!descripcion || !fecha_inicio || !modificado_por) {
+            if (!descripcion || !fecha_inicio) {
                 return res.status(400).json({ error: 'Faltan campos requeridos' });
             }
 
@@ -480,6 +483,49 @@ const tarifasController = {
                 detalle: error.message 
             });
         }
+    },
+
+    /**
+     * Simular tarifa
+     * Devuelve el desglose por rango del consumo indicado sin generar factura
+     */
+    async simularTarifa(req, res) {
+        try {
+            const { id } = req.params;
+            const { consumo_m3 } = req.body;
+
+            if (consumo_m3 == null) {
+                return res.status(400).json({ error: 'El campo consumo_m3 es requerido' });
+            }
+
+            // Verificar que la tarifa existe
+            const tarifaQuery = `SELECT id, nombre FROM tarifas WHERE id = ?`;
+            const tarifaResult = await dbTurso.execute({
+                sql: tarifaQuery,
+                args: [id]
+            });
+
+            if (tarifaResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Tarifa no encontrada' });
+            }
+
+            const tarifa = tarifaResult.rows[0];
+            const calculo = await calcularTarifa(id, consumo_m3);
+
+            if (!calculo.success) {
+                return res.status(400).json({ error: calculo.error });
+            }
+
+            res.status(200).json({
+                tarifa_id: Number(tarifa.id),
+                tarifa_nombre: tarifa.nombre,
+                ...calculo.desglose
+            });
+
+        } catch (error) {
+            console.error('❌ Error al simular tarifa v2:', error);
+            res.status(500).json({ error: 'Error interno del servidor' });
+        }
     }
 };
 
@@ -0,0 +1,434 @@
+/**
+ * Controlador de Usuarios - V2
+ *
+ * File: src/v2/controllers/usuariosController.js
+ *
+ * Descripción: Administración de las cuentas de usuario del sistema. Cada acción
+ * respeta la jerarquía de roles (superadmin > administrador > operador): solo se
+ * gestionan usuarios de nivel inferior y solo se asignan esos roles, así que un
+ * administrador no puede tocar a otro administrador ni a un superadmin (el superadmin
+ * gestiona a todos). Cada quien corrige sus propios datos. La baja es lógica
+ * (usuarios.activo) y cierra en el momento todas las sesiones del usuario.
+ *
+ * Funciones nuevas en V2:
+ * - listarUsuarios: Usuarios con filtros por rol, estado y búsqueda, con su último login
+ * - obtenerUsuario: Detalle de un usuario con su último login
+ * - modificarUsuario: Corrige nombre, correo y username
+ * - cambiarRol: Asigna otro rol
+ * - desactivarUsuario: Baja lógica; cierra las sesiones activas del usuario
+ * - reactivarUsuario: Vuelve a habilitar un usuario desactivado
+ *
+ * El alta de usuarios la hace authController.registrar (también expuesta en /usuarios/registrar).
+ */
+
+import dbTurso, { withTransaction } from '../../database/db-turso.js';
+import { ROLES, puedeGestionarRol } from '../../config/permisos.js';
+import { cerrarSesionesUsuario } from '../services/sesiones.js';
+
+// Managers SSE - Configurados dinámicamente
+let sseManager = null;
+let notificationManager = null;
+
+export const setSSEManagers = (sseManagerInstance, notificationManagerInstance) => {
+    sseManager = sseManagerInstance;
+    notificationManager = notificationManagerInstance;
+};
+
+// Último login y última actividad salen de la tabla sesiones
+const USUARIO_QUERY = `
+    SELECT u.id, u.correo, u.nombre, u.username, u.rol, u.activo, u.fecha_creacion,
+           u.fecha_desactivacion, u.intentos_fallidos, u.contrasena_actualizada_en,
+           CASE WHEN u.bloqueado_hasta > datetime('now') THEN u.bloqueado_hasta END AS bloqueado_hasta,
+           (SELECT MAX(s.fecha_inicio) FROM sesiones s WHERE s.usuario_id = u.id) AS ultimo_login,
+           (SELECT MAX(s.ultima_actividad) FROM sesiones s WHERE s.usuario_id = u.id) AS ultima_actividad
+    FROM usuarios u
+`;
+
+/**
+ * Formatea una fila de usuarios (nunca incluye la contraseña)
+ */
+const formatearUsuario = (row) => ({
+    id: Number(row.id),
+    correo: row.correo,
+    nombre: row.nombre,
+    username: row.username,
+    rol: row.rol,
+    activo: Boolean(Number(row.activo)),
+    fecha_creacion: row.fecha_creacion,
+    fecha_desactivacion: row.fecha_desactivacion,
+    ultimo_login: row.ultimo_login,
+    ultima_actividad: row.ultima_actividad,
+    bloqueado_hasta: row.bloqueado_hasta,
+    intentos_fallidos: Number(row.intentos_fallidos),
+    contrasena_actualizada_en: row.contrasena_actualizada_en
+});
+
+/**
+ * Consulta un usuario por id
+ */
+const consultarUsuario = async (id) => {
+    const result = await dbTurso.execute({ sql: `${USUARIO_QUERY} WHERE u.id = ?`, args: [id] });
+    return result.rows[0] || null;
+};
+
+/**
+ * Respuesta 403 cuando el usuario objetivo (o el rol a asignar) está por encima del rol de quien actúa
+ */
+const fueraDeJerarquia = (res, usuario, rolObjetivo) => res.status(403).json({
+    error: `Un ${usuario.rol} no puede gestionar usuarios con rol ${rolObjetivo}`,
+    rol: usuario.rol,
+    rol_objetivo: rolObjetivo
+});
+
+/**
+ * Notifica por SSE un cambio en un usuario
+ */
+const notificarCambioUsuario = (mensaje, usuario, accion, extra = {}) => {
+    if (!notificationManager) return;
+
+    try {
+        notificationManager.alertaSistema(mensaje, 'info', {
+            usuario,
+            accion,
+            ...extra
+        });
+    } catch (sseError) {
+        console.warn(`Error enviando notificación SSE de ${accion}:`, sseError);
+    }
+};
+
+const usuariosController = {
+
+    // =====================================================
+    // FUNCIONES NUEVAS V2
+    // =====================================================
+
+    /**
+     * Listar usuarios (filtros opcionales: rol, activo, busqueda por nombre, correo o username)
+     */
+    listarUsuarios: async (req, res) => {
+        try {
+            const { rol, activo, busqueda } = req.query;
+
+            if (rol && !ROLES.includes(rol)) {
+                return res.status(400).json({ error: `Rol inválido. Use: ${ROLES.join(', ')}` });
+            }
+
+            if (activo !== undefined && !['true', 'false'].includes(activo)) {
+                return res.status(400).json({ error: 'activo debe ser true o false' });
+            }
+
+            const condiciones = [];
+            const args = [];
+
+            if (rol) {
+                condiciones.push('u.rol = ?');
+                args.push(rol);
+            }
+            if (activo !== undefined) {
+                condiciones.push('u.activo = ?');
+                args.push(activo === 'true' ? 1 : 0);
+            }
+            if (busqueda) {
+                condiciones.push('(u.nombre LIKE ? OR u.correo LIKE ? OR u.username LIKE ?)');
+                args.push(`%${busqueda}%`, `%${busqueda}%`, `%${busqueda}%`);
+            }
+
+            const where = condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : '';
+            const result = await dbTurso.execute({
+                sql: `${USUARIO_QUERY} ${where} ORDER BY u.activo DESC, u.username`,
+                args
+            });
+
+            return res.status(200).json({
+                usuarios: result.rows.map(formatearUsuario),
+                total: result.rows.length
+            });
+
+        } catch (error) {
+            console.error('Error al listar usuarios v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Detalle de un usuario
+     */
+    obtenerUsuario: async (req, res) => {
+        try {
+            const row = await consultarUsuario(req.params.id);
+
+            if (!row) {
+                return res.status(404).json({ error: 'Usuario no encontrado' });
+            }
+
+            return res.status(200).json(formatearUsuario(row));
+
+        } catch (error) {
+            console.error('Error al obtener usuario v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Modificar nombre, correo o username. El rol se cambia con cambiarRol y la
+     * contraseña con los endpoints de /auth.
+     */
+    modificarUsuario: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { nombre, correo, username } = req.body || {};
+            const modificado_por = req.usuario.id;
+
+            if (nombre === undefined && correo === undefined && username === undefined) {
+                return res.status(400).json({ error: 'Envíe al menos un campo: nombre, correo o username' });
+            }
+
+            if (correo !== undefined && !correo) {
+                return res.status(400).json({ error: 'El correo no puede quedar vacío' });
+            }
+
+            if (username !== undefined && !username) {
+                return res.status(400).json({ error: 'El username no puede quedar vacío' });
+            }
+
+            const anterior = await consultarUsuario(id);
+
+            if (!anterior) {
+                return res.status(404).json({ error: 'Usuario no encontrado' });
+            }
+
+            // Los datos propios siempre se pueden corregir
+            if (Number(anterior.id) !== req.usuario.id && !puedeGestionarRol(req.usuario.rol, anterior.rol)) {
+                return fueraDeJerarquia(res, req.usuario, anterior.rol);
+            }
+
+            const cambios = {};
+            if (nombre !== undefined && nombre !== anterior.nombre) cambios.nombre = { antes: anterior.nombre, despues: nombre };
+            if (correo !== undefined && correo !== anterior.correo) cambios.correo = { antes: anterior.correo, despues: correo };
+            if (username !== undefined && username !== anterior.username) cambios.username = { antes: anterior.username, despues: username };
+
+            if (Object.keys(cambios).length === 0) {
+                return res.status(200).json({ mensaje: 'Sin cambios', usuario: formatearUsuario(anterior) });
+            }
+
+            if (cambios.correo || cambios.username) {
+                const duplicado = await dbTurso.execute({
+                    sql: `SELECT id FROM usuarios WHERE id != ? AND (correo = ? OR username = ?)`,
+                    args: [id, cambios.correo?.despues ?? null, cambios.username?.despues ?? null]
+                });
+
+                if (duplicado.rows.length > 0) {
+                    return res.status(409).json({ error: 'Correo o username ya existe' });
+                }
+            }
+
+            await withTransaction(async (tx) => {
+                await tx.execute({
+                    sql: `
+                        UPDATE usuarios
+                        SET nombre = COALESCE(?, nombre), correo = COALESCE(?, correo), username = COALESCE(?, username)
+                        WHERE id = ?
+                    `,
+                    args: [cambios.nombre?.despues ?? null, cambios.correo?.despues ?? null, cambios.username?.despues ?? null, id]
+                });
+
+                await tx.execute({
+                    sql: `
+                        INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                        VALUES (?, ?, ?, ?, ?)
+                    `,
+                    args: ['usuarios', 'UPDATE', Number(anterior.id), modificado_por, JSON.stringify(cambios)]
+                });
+            });
+
+            const usuario = formatearUsuario(await consultarUsuario(id));
+            notificarCambioUsuario(`Usuario ${usuario.username} modificado`, usuario, 'modificar_usuario', { cambios });
+
+            return res.status(200).json({ mensaje: 'Usuario modificado', cambios, usuario });
+
+        } catch (error) {
+            if (error.message && error.message.includes('UNIQUE')) {
+                return res.status(409).json({ error: 'Correo o username ya existe' });
+            }
+            console.error('Error al modificar usuario v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Cambiar el rol de un usuario. Tanto el rol actual como el nuevo deben estar
+     * al nivel de quien hace el cambio o por debajo; nadie cambia su propio rol.
+     */
+    cambiarRol: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { rol } = req.body || {};
+            const modificado_por = req.usuario.id;
+
+            if (!rol || !ROLES.includes(rol)) {
+                return res.status(400).json({ error: `Rol inválido. Use: ${ROLES.join(', ')}` });
+            }
+
+            const anterior = await consultarUsuario(id);
+
+            if (!anterior) {
+                return res.status(404).json({ error: 'Usuario no encontrado' });
+            }
+
+            if (Number(anterior.id) === req.usuario.id) {
+                return res.status(400).json({ error: 'No puede cambiar su propio rol' });
+            }
+
+            if (!puedeGestionarRol(req.usuario.rol, anterior.rol)) {
+                return fueraDeJerarquia(res, req.usuario, anterior.rol);
+            }
+
+            if (!puedeGestionarRol(req.usuario.rol, rol)) {
+                return fueraDeJerarquia(res, req.usuario, rol);
+            }
+
+            if (rol === anterior.rol) {
+                return res.status(200).json({ mensaje: 'Sin cambios', usuario: formatearUsuario(anterior) });
+            }
+
+            await withTransaction(async (tx) => {
+                await tx.execute({
+                    sql: `UPDATE usuarios SET rol = ? WHERE id = ?`,
+                    args: [rol, id]
+                });
+
+                await tx.execute({
+                    sql: `
+                        INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                        VALUES (?, ?, ?, ?, ?)
+                    `,
+                    args: ['usuarios', 'CAMBIO_ROL', Number(anterior.id), modificado_por, JSON.stringify({
+                        rol: { antes: anterior.rol, despues: rol }
+                    })]
+                });
+            });
+
+            // authMiddleware lee el rol en cada solicitud: el cambio aplica a las sesiones abiertas
+            const usuario = formatearUsuario(await consultarUsuario(id));
+            notificarCambioUsuario(`Rol de ${usuario.username}: ${anterior.rol} → ${rol}`, usuario, 'cambiar_rol');
+
+            return res.status(200).json({ mensaje: 'Rol actualizado', usuario });
+
+        } catch (error) {
+            console.error('Error al cambiar rol de usuario v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Baja lógica de un usuario: ya no puede iniciar sesión y se cierran sus sesiones activas
+     */
+    desactivarUsuario: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { motivo } = req.body || {};
+            const modificado_por = req.usuario.id;
+
+            const anterior = await consultarUsuario(id);
+
+            if (!anterior) {
+                return res.status(404).json({ error: 'Usuario no encontrado' });
+            }
+
+            if (Number(anterior.id) === req.usuario.id) {
+                return res.status(400).json({ error: 'No puede desactivar su propio usuario' });
+            }
+
+            if (!puedeGestionarRol(req.usuario.rol, anterior.rol)) {
+                return fueraDeJerarquia(res, req.usuario, anterior.rol);
+            }
+
+            if (!Number(anterior.activo)) {
+                return res.status(409).json({ error: 'El usuario ya está desactivado' });
+            }
+
+            await withTransaction(async (tx) => {
+                await tx.execute({
+                    sql: `UPDATE usuarios SET activo = 0, fecha_desactivacion = datetime('now') WHERE id = ?`,
+                    args: [id]
+                });
+
+                await tx.execute({
+                    sql: `
+                        INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                        VALUES (?, ?, ?, ?, ?)
+                    `,
+                    args: ['usuarios', 'DESACTIVAR', Number(anterior.id), modificado_por, JSON.stringify({
+                        activo: { antes: true, despues: false },
+                        motivo: motivo || null
+                    })]
+                });
+            });
+
+            // Las sesiones ya no validan con el usuario inactivo; cerrarlas deja constancia y anula los refresh tokens
+            const sesiones_cerradas = await cerrarSesionesUsuario(Number(anterior.id), { motivo: 'usuario_desactivado' });
+
+            const usuario = formatearUsuario(await consultarUsuario(id));
+            notificarCambioUsuario(`Usuario ${usuario.username} desactivado`, usuario, 'desactivar_usuario', { sesiones_cerradas });
+
+            return res.status(200).json({ mensaje: 'Usuario desactivado', sesiones_cerradas, usuario });
+
+        } catch (error) {
+            console.error('Error al desactivar usuario v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    },
+
+    /**
+     * Reactivar un usuario desactivado
+     */
+    reactivarUsuario: async (req, res) => {
+        try {
+            const { id } = req.params;
+            const modificado_por = req.usuario.id;
+
+            const anterior = await consultarUsuario(id);
+
+            if (!anterior) {
+                return res.status(404).json({ error: 'Usuario no encontrado' });
+            }
+
+            if (!puedeGestionarRol(req.usuario.rol, anterior.rol)) {
+                return fueraDeJerarquia(res, req.usuario, anterior.rol);
+            }
+
+            if (Number(anterior.activo)) {
+                return res.status(409).json({ error: 'El usuario ya está activo' });
+            }
+
+            await withTransaction(async (tx) => {
+                await tx.execute({
+                    sql: `UPDATE usuarios SET activo = 1, fecha_desactivacion = NULL WHERE id = ?`,
+                    args: [id]
+                });
+
+                await tx.execute({
+                    sql: `
+                        INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                        VALUES (?, ?, ?, ?, ?)
+                    `,
+                    args: ['usuarios', 'REACTIVAR', Number(anterior.id), modificado_por, JSON.stringify({
+                        activo: { antes: false, despues: true }
+                    })]
+                });
+            });
+
+            const usuario = formatearUsuario(await consultarUsuario(id));
+            notificarCambioUsuario(`Usuario ${usuario.username} reactivado`, usuario, 'reactivar_usuario');
+
+            return res.status(200).json({ mensaje: 'Usuario reactivado', usuario });
+
+        } catch (error) {
+            console.error('Error al reactivar usuario v2:', error);
+            return res.status(500).json({ error: 'Error interno del servidor' });
+        }
+    }
+};
+
+export default usuariosController;
@@ -16,6 +16,7 @@
  * 
  * Endpoints disponibles:
  * - /api/v2/auth - Autenticación
+ * - /api/v2/usuarios - Administración de usuarios
  * - /api/v2/clientes - Gestión de clientes
  * - /api/v2/medidores - Gestión de medidores
  * - /api/v2/lecturas - Gestión de lecturas
@@ -23,6 +24,10 @@
  * - /api/v2/pagos - Gestión de pagos
  * - /api/v2/tarifas - Gestión de tarifas
  * - /api/v2/rutas - Gestión de rutas
+ * - /api/v2/cajas - Cortes de caja por cajero
+ * - /api/v2/periodos - Periodos de facturación
+ * - /api/v2/corridas - Corridas de facturación (vista previa y aplicación)
+ * - /api/v2/fotos - Fotos de evidencia de lecturas y medidores
  * - /api/v2/app - Rutas específicas de la aplicación
  * - /api/v2/events - Server-Sent Events (SSE)
  */
@@ -33,6 +38,7 @@ import { getVersionInfo } from '../config/versions.js';
 // Importar rutas v2
 import appRoutes from './routes/appRoutes.js';
 import authRoutes from './routes/authroutes.js';
+import usuariosRoutes from './routes/usuarios.js';
 import clientesRoutes from './routes/clientes.js';
 import medidoresRoutes from './routes/medidores.js';
 import tarifasRoutes from './routes/tarifas.js';
@@ -40,6 +46,10 @@ import lecturasRoutes from './routes/lecturas.js';
 import facturasRoutes from './routes/facturas.js';
 import pagosRoutes from './routes/pagos.js';
 import rutasRoutes from './routes/rutas.js';
+import cajasRoutes from './routes/cajas.js';
+import periodosRoutes from './routes/periodos.js';
+import corridasRoutes from './routes/corridas.js';
+import fotosRoutes from './routes/fotos.js';
 import eventsRoutes from './routes/events.js'; // Nueva ruta para SSE
 
 const router = express.Router();
@@ -55,6 +65,7 @@ router.get('/', (req, res) => {
       info: versionInfo,
       endpoints: {
         auth: '/api/v2/auth',
+        usuarios: '/api/v2/usuarios',
         clientes: '/api/v2/clientes',
         medidores: '/api/v2/medidores',
         lecturas: '/api/v2/lecturas',
@@ -62,6 +73,10 @@ router.get('/', (req, res) => {
         pagos: '/api/v2/pagos',
         tarifas: '/api/v2/tarifas',
         rutas: '/api/v2/rutas',
+        cajas: '/api/v2/cajas',
+        periodos: '/api/v2/periodos',
+        corridas: '/api/v2/corridas',
+        fotos: '/api/v2/fotos',
         app: '/api/v2/app',
         events: '/api/v2/events' // Nuevo endpoint SSE
       },
@@ -86,6 +101,7 @@ router.get('/', (req, res) => {
 // Rutas agrupadas de la v2
 router.use('/app', appRoutes);           // Rutas específicas de la app
 router.use('/auth', authRoutes);         // Autenticación
+router.use('/usuarios', usuariosRoutes); // Administración de usuarios
 router.use('/clientes', clientesRoutes); // Clientes
 router.use('/medidores', medidoresRoutes); // Medidores
 router.use('/tarifas', tarifasRoutes);   // Tarifas
@@ -93,6 +109,10 @@ router.use('/lecturas', lecturasRoutes); // Lecturas
 router.use('/facturas', facturasRoutes); // Facturas
 router.use('/pagos', pagosRoutes);       // Pagos
 router.use('/rutas', rutasRoutes);       // Rutas de medidores
+router.use('/cajas', cajasRoutes);       // Cortes de caja
+router.use('/periodos', periodosRoutes); // Periodos de facturación
+router.use('/corridas', corridasRoutes); // Corridas de facturación
+router.use('/fotos', fotosRoutes);       // Fotos de evidencia
 router.use('/events', eventsRoutes);     // Nuevo: Server-Sent Events
 
 // Exporta el router de la v2
@@ -0,0 +1,120 @@
+/**
+ * Job de corrida de facturación programada - V2
+ *
+ * File: src/v2/jobs/corridaFacturacion.js
+ *
+ * Descripción: Tarea programada dentro del proceso que, a partir del día configurado de
+ * cada mes, genera la vista previa de la facturación del periodo que ya terminó y aún no
+ * se factura. Solo calcula: la aplicación de la corrida (emitir las facturas) sigue siendo
+ * manual desde /api/v2/corridas/:id/aplicar.
+ *
+ * Configuración (.env):
+ * - CORRIDA_FACTURACION_DIA: día del mes (1-28) a partir del cual se genera la vista previa;
+ *   vacío desactiva la ejecución programada
+ * - CORRIDA_FACTURACION_ESTIMAR: 'false' no incluye medidores sin lectura (por defecto true)
+ *
+ * Notas:
+ * - Se genera una sola vista previa programada por periodo; si se descarta, la siguiente
+ *   se genera desde /api/v2/corridas/vista-previa
+ * - Solo se toma el último periodo terminado; los anteriores sin facturar se facturan a mano
+ * - La vista previa emite el evento SSE 'corrida_facturacion'
+ */
+
+import dbTurso from '../../database/db-turso.js';
+import { crearVistaPrevia } from '../services/corridasFacturacion.js';
+
+/**
+ * Día del mes configurado para la corrida
+ * @returns {number|null} - null si no está configurado
+ */
+const obtenerDiaCorrida = () => {
+    const dia = parseInt(process.env.CORRIDA_FACTURACION_DIA, 10);
+    return dia >= 1 && dia <= 28 ? dia : null;
+};
+
+/**
+ * Genera la vista previa programada del último periodo terminado sin facturar
+ * @param {Object} [options]
+ * @param {Object} [options.notificationManager] - SSENotificationManager para emitir el evento
+ * @param {string} [options.fecha] - Fecha de ejecución YYYY-MM-DD (por defecto hoy)
+ * @returns {Promise<Object|null>} - Corrida generada o null si no había nada que hacer
+ */
+export const programarCorridaFacturacion = async ({ notificationManager = null, fecha = null } = {}) => {
+    const hoy = fecha || new Date().toISOString().split('T')[0];
+    const dia = obtenerDiaCorrida();
+
+    if (!dia || Number(hoy.split('-')[2]) < dia) {
+        return null;
+    }
+
+    // Último periodo terminado, si aún no se factura ni tiene su vista previa programada
+    const periodoResult = await dbTurso.execute({
+        sql: `
+            SELECT p.periodo, p.estado,
+                   (SELECT COUNT(*) FROM corridas_facturacion cf
+                    WHERE cf.periodo = p.periodo
+                      AND (cf.origen = 'programada' OR cf.estado IN ('aplicando', 'aplicada'))) AS corridas
+            FROM periodos p
+            WHERE p.fecha_fin < ?
+            ORDER BY p.periodo DESC
+            LIMIT 1
+        `,
+        args: [hoy]
+    });
+
+    const ultimo = periodoResult.rows[0];
+
+    if (!ultimo || !['abierto', 'en_lectura'].includes(ultimo.estado) || Number(ultimo.corridas) > 0) {
+        return null;
+    }
+
+    const { periodo } = ultimo;
+
+    const resultado = await crearVistaPrevia({
+        periodo,
+        fecha_emision: hoy,
+        estimar: process.env.CORRIDA_FACTURACION_ESTIMAR !== 'false',
+        origen: 'programada',
+        notificationManager
+    });
+
+    if (!resultado.success) {
+        console.warn(`Corrida programada del periodo ${periodo} no generada: ${resultado.error}`);
+        return null;
+    }
+
+    return resultado.corrida;
+};
+
+/**
+ * Inicia la revisión periódica (cada hora) de la corrida programada
+ * @param {Object} notificationManager - SSENotificationManager de la app
+ * @returns {NodeJS.Timeout|null} - Intervalo creado o null si está desactivado
+ */
+export const iniciarJobCorridaFacturacion = (notificationManager) => {
+    if (!obtenerDiaCorrida()) {
+        return null;
+    }
+
+    const ejecutar = async () => {
+        try {
+            const corrida = await programarCorridaFacturacion({ notificationManager });
+            if (corrida) {
+                console.log(`⏰ Vista previa de facturación ${corrida.periodo}: ${corrida.totales.facturas + corrida.totales.estimadas + corrida.totales.conciliaciones} facturas ($${corrida.totales.importe})`);
+            }
+        } catch (error) {
+            console.error('Error en job de corrida de facturación:', error);
+        }
+    };
+
+    const intervalo = setInterval(ejecutar, 60 * 60 * 1000);
+    intervalo.unref(); // No mantener vivo el proceso solo por el job
+    setImmediate(ejecutar);
+
+    return intervalo;
+};
+
+export default {
+    programarCorridaFacturacion,
+    iniciarJobCorridaFacturacion
+};
@@ -0,0 +1,199 @@
+/**
+ * Job de facturas vencidas - V2
+ *
+ * File: src/v2/jobs/facturasVencidas.js
+ *
+ * Descripción: Tarea programada dentro del proceso que marca como 'Vencida'
+ * toda factura 'Pendiente' con saldo cuya fecha_vencimiento ya pasó y,
+ * si está configurado, le agrega un recargo por mora como nuevo concepto.
+ *
+ * Configuración (.env):
+ * - FACTURAS_VENCIDAS_JOB: 'false' desactiva la ejecución programada (por defecto activa)
+ * - FACTURAS_VENCIDAS_INTERVALO_MIN: minutos entre ejecuciones (por defecto 60)
+ * - RECARGO_MORA_TIPO: 'fijo' o 'porcentaje' (porcentaje sobre el saldo pendiente)
+ * - RECARGO_MORA_VALOR: monto o porcentaje del recargo; 0 o vacío = sin recargo
+ *
+ * Notas:
+ * - El recargo se aplica una sola vez, en la transición Pendiente → Vencida
+ * - Cada factura se vence en su propia transacción: un error deja esa factura intacta
+ *   y el resto sigue
+ * - Cada ejecución que vence facturas emite el evento SSE 'factura_vencida'
+ */
+
+import dbTurso, { withTransaction } from '../../database/db-turso.js';
+import { registrarDetallesFactura } from '../services/facturaDetalles.js';
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Lee la configuración del recargo desde el entorno
+ * @returns {{tipo: string, valor: number}|null} - null si no hay recargo configurado
+ */
+const obtenerConfigRecargo = () => {
+    const valor = parseFloat(process.env.RECARGO_MORA_VALOR);
+
+    if (!valor || valor <= 0) return null;
+
+    const tipo = process.env.RECARGO_MORA_TIPO === 'porcentaje' ? 'porcentaje' : 'fijo';
+    return { tipo, valor };
+};
+
+/**
+ * Calcula el recargo de una factura según la configuración
+ */
+const calcularRecargo = (config, saldo_pendiente) => {
+    if (!config) return 0;
+    return config.tipo === 'porcentaje'
+        ? redondear(Number(saldo_pendiente) * config.valor / 100)
+        : redondear(config.valor);
+};
+
+/**
+ * Marca como vencidas las facturas pendientes cuya fecha de vencimiento ya pasó
+ * @param {Object} [options]
+ * @param {Object} [options.notificationManager] - SSENotificationManager para emitir el evento
+ * @param {string} [options.fecha] - Fecha de corte YYYY-MM-DD (por defecto hoy)
+ * @param {number} [options.modificado_por] - Usuario que dispara la ejecución (null = sistema)
+ * @returns {Promise<Object>} - Resumen de la ejecución
+ */
+export const procesarFacturasVencidas = async ({ notificationManager = null, fecha = null, modificado_por = null } = {}) => {
+    const fechaCorte = fecha || new Date().toISOString().split('T')[0];
+    const configRecargo = obtenerConfigRecargo();
+
+    const vencidasQuery = `
+        SELECT f.id, f.cliente_id, f.total, f.saldo_pendiente, f.fecha_vencimiento, f.modificado_por,
+               c.nombre AS cliente_nombre
+        FROM facturas f
+        JOIN clientes c ON f.cliente_id = c.id
+        WHERE f.estado = 'Pendiente'
+          AND f.saldo_pendiente > 0
+          AND f.fecha_vencimiento < ?
+        ORDER BY f.fecha_vencimiento ASC
+    `;
+
+    const result = await dbTurso.execute({ sql: vencidasQuery, args: [fechaCorte] });
+
+    const resumen = {
+        fecha_corte: fechaCorte,
+        facturas_vencidas: 0,
+        total_recargos: 0,
+        recargo: configRecargo,
+        facturas: [],
+        errores: []
+    };
+
+    for (const factura of result.rows) {
+        const factura_id = Number(factura.id);
+
+        try {
+            const recargo = calcularRecargo(configRecargo, factura.saldo_pendiente);
+
+            // Estado, recargo, concepto e historial de cada factura van juntos.
+            // La condición sobre estado evita doble recargo si dos ejecuciones se cruzan
+            const vencida = await withTransaction(async (tx) => {
+                const updateResult = await tx.execute({
+                    sql: `
+                        UPDATE facturas
+                        SET estado = 'Vencida',
+                            total = ROUND(total + ?, 2),
+                            saldo_pendiente = ROUND(saldo_pendiente + ?, 2),
+                            modificado_por = COALESCE(?, modificado_por)
+                        WHERE id = ? AND estado = 'Pendiente'
+                    `,
+                    args: [recargo, recargo, modificado_por, factura_id]
+                });
+
+                if (updateResult.rowsAffected === 0) return false;
+
+                if (recargo > 0) {
+                    const descripcion = configRecargo.tipo === 'porcentaje'
+                        ? `Recargo por mora (${configRecargo.valor}%)`
+                        : 'Recargo por mora';
+
+                    await registrarDetallesFactura(factura_id, [], [{ tipo: 'recargo', descripcion, importe: recargo }], tx);
+                }
+
+                await tx.execute({
+                    sql: `
+                        INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                        VALUES (?, ?, ?, ?, ?)
+                    `,
+                    args: [
+                        'facturas',
+                        'VENCIMIENTO',
+                        factura_id,
+                        modificado_por,
+                        JSON.stringify({
+                            estado: { antes: 'Pendiente', despues: 'Vencida' },
+                            fecha_vencimiento: factura.fecha_vencimiento,
+                            recargo
+                        })
+                    ]
+                });
+
+                return true;
+            });
+
+            if (!vencida) continue;
+
+            resumen.facturas_vencidas++;
+            resumen.total_recargos = redondear(resumen.total_recargos + recargo);
+            resumen.facturas.push({
+                factura_id,
+                cliente_id: Number(factura.cliente_id),
+                cliente_nombre: factura.cliente_nombre,
+                fecha_vencimiento: factura.fecha_vencimiento,
+                recargo,
+                saldo_pendiente: redondear(Number(factura.saldo_pendiente) + recargo)
+            });
+        } catch (error) {
+            console.error(`Error al vencer factura ${factura_id}:`, error);
+            resumen.errores.push({ factura_id, error: error.message });
+        }
+    }
+
+    if (notificationManager && resumen.facturas_vencidas > 0) {
+        try {
+            notificationManager.facturaVencida(resumen);
+        } catch (sseError) {
+            console.warn('Error enviando notificación SSE de facturas vencidas:', sseError);
+        }
+    }
+
+    return resumen;
+};
+
+/**
+ * Inicia la ejecución periódica del job
+ * @param {Object} notificationManager - SSENotificationManager de la app
+ * @returns {NodeJS.Timeout|null} - Intervalo creado o null si está desactivado
+ */
+export const iniciarJobFacturasVencidas = (notificationManager) => {
+    if (process.env.FACTURAS_VENCIDAS_JOB === 'false') {
+        return null;
+    }
+
+    const intervaloMin = parseInt(process.env.FACTURAS_VENCIDAS_INTERVALO_MIN, 10) || 60;
+
+    const ejecutar = async () => {
+        try {
+            const resumen = await procesarFacturasVencidas({ notificationManager });
+            if (resumen.facturas_vencidas > 0) {
+                console.log(`⏰ Facturas vencidas: ${resumen.facturas_vencidas} (recargos $${resumen.total_recargos})`);
+            }
+        } catch (error) {
+            console.error('Error en job de facturas vencidas:', error);
+        }
+    };
+
+    const intervalo = setInterval(ejecutar, intervaloMin * 60 * 1000);
+    intervalo.unref(); // No mantener vivo el proceso solo por el job
+    setImmediate(ejecutar);
+
+    return intervalo;
+};
+
+export default {
+    procesarFacturasVencidas,
+    iniciarJobFacturasVencidas
+};
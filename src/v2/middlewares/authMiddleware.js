@@ -9,6 +9,10 @@
  * Cambios en V2:
  * - Migrado de SQLite3 a Turso (@libsql/client)
  * - Mantiene la misma funcionalidad de autenticación
+ * - Rechaza tokens vencidos (401, codigo token_expirado: renovar con /auth/refresh) y cierra
+ *   las sesiones que superan el tiempo de inactividad o la duración máxima (services/sesiones.js)
+ * - Carga el rol del usuario en req.usuario y verifica el permiso que la ruta declara en
+ *   src/config/permisos.js; sin permiso responde 403 con el nombre del permiso faltante
  * 
  * Uso:
  * - Se utiliza en rutas que requieren autenticación.
@@ -19,7 +23,15 @@
  * - Se espera que la tabla "sesiones" contenga los campos "token" y "activo".
  */
 
+import jwt from "jsonwebtoken";
 import dbTurso from "../../database/db-turso.js";
+import { permisoDeRuta, tienePermiso } from "../../config/permisos.js";
+import { validarSesion } from "../services/sesiones.js";
+
+const MENSAJES_SESION_CERRADA = {
+    expirada: "La sesión alcanzó su duración máxima; inicie sesión de nuevo",
+    inactividad: "La sesión se cerró por inactividad; inicie sesión de nuevo"
+};
 
 async function authMiddleware(req, res, next) {
     const authHeader = req.headers.authorization; // Obtiene el encabezado de autorización
@@ -31,25 +43,53 @@ async function authMiddleware(req, res, next) {
 
     const token = authHeader.split(" ")[1]; // Extrae solo el token
 
+    // La firma y la vigencia del JWT se verifican antes de consultar la sesión
+    try {
+        jwt.verify(token, process.env.JWT_SECRET);
+    } catch (jwtError) {
+        if (jwtError.name === "TokenExpiredError") {
+            return res.status(401).json({ error: "Token expirado; renuévelo con el refresh token", codigo: "token_expirado" });
+        }
+        return res.status(403).json({ error: "Token inválido o sesión expirada" });
+    }
+
     try {
-        // Verifica si el token es válido y está activo en la base de datos
-        const query = `SELECT * FROM sesiones WHERE token = ? AND activo = 1`;
-        const result = await dbTurso.execute({
-            sql: query,
-            args: [token]
-        });
-
-        if (result.rows.length === 0) {
+        // Verifica que la sesión siga activa y dentro de sus límites de tiempo (con el rol del usuario)
+        const validacion = await validarSesion(token);
+
+        if (!validacion.success) {
+            if (MENSAJES_SESION_CERRADA[validacion.motivo]) {
+                return res.status(401).json({ error: MENSAJES_SESION_CERRADA[validacion.motivo], codigo: `sesion_${validacion.motivo}` });
+            }
             return res.status(403).json({ error: "Token inválido o sesión expirada" });
         }
 
-        const session = result.rows[0];
+        const session = validacion.sesion;
 
         req.usuario = { // Agrega la información del usuario a la solicitud
-            id: session.usuario_id, // ID del usuario asociado a la sesión 
-            token: session.token // Token de la sesión
+            id: Number(session.usuario_id), // ID del usuario asociado a la sesión 
+            sesion_id: Number(session.id), // Sesión desde la que se hace la solicitud
+            token: session.token, // Token de la sesión
+            rol: session.rol, // Rol del usuario (superadmin, administrador, operador)
+            username: session.username
         };
 
+        // Permiso que la ruta declara en el mapa de permisos
+        const permiso = permisoDeRuta(req.method, req.baseUrl, req.route?.path);
+
+        if (!permiso) {
+            console.warn(`Ruta sin permiso configurado: ${req.method} ${req.baseUrl}${req.route?.path ?? ''}`);
+            return res.status(403).json({ error: "Ruta sin permiso configurado" });
+        }
+
+        if (!tienePermiso(req.usuario.rol, permiso)) {
+            return res.status(403).json({
+                error: `No tiene permiso para realizar esta acción (requiere ${permiso})`,
+                permiso,
+                rol: req.usuario.rol
+            });
+        }
+
         next(); // continuar a la ruta
     } catch (err) {
         console.error('Error en authMiddleware v2:', err);
@@ -58,3 +98,22 @@ async function authMiddleware(req, res, next) {
 }
 
 export default authMiddleware;
+
+/**
+ * Autenticación para el registro de usuarios: mientras no exista ningún usuario
+ * se permite registrar el primero sin sesión (instalación inicial)
+ */
+export async function authRegistroInicial(req, res, next) {
+    try {
+        const result = await dbTurso.execute(`SELECT COUNT(*) AS total FROM usuarios`);
+
+        if (Number(result.rows[0].total) === 0) {
+            return next();
+        }
+    } catch (err) {
+        console.error('Error en authRegistroInicial v2:', err);
+        return res.status(500).json({ error: "Error al verificar sesión" });
+    }
+
+    return authMiddleware(req, res, next);
+}
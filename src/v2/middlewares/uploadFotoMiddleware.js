@@ -0,0 +1,35 @@
+/**
+ * Middleware para recibir fotos de evidencia - V2
+ *
+ * File: src/v2/middlewares/uploadFotoMiddleware.js
+ *
+ * Descripción: Recibe una imagen en multipart/form-data (campo "foto") y la deja en
+ * memoria en req.file; los demás campos del formulario quedan en req.body.
+ * El tamaño máximo se toma de FOTOS_TAMANO_MAX_MB (servicio fotosEvidencia).
+ */
+
+import multer from "multer";
+import { tamanoMaximoFoto } from "../services/fotosEvidencia.js";
+
+function uploadFotoMiddleware(req, res, next) {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: tamanoMaximoFoto(), files: 1 }
+    }).single("foto");
+
+    upload(req, res, (err) => {
+        if (!err) return next();
+
+        if (err instanceof multer.MulterError) {
+            if (err.code === "LIMIT_FILE_SIZE") {
+                return res.status(413).json({ error: `La foto excede el tamaño máximo de ${parseFloat((tamanoMaximoFoto() / (1024 * 1024)).toFixed(2))} MB` });
+            }
+            return res.status(400).json({ error: `Envíe una sola imagen en el campo foto (${err.code})` });
+        }
+
+        console.error('Error en uploadFotoMiddleware v2:', err);
+        return res.status(400).json({ error: "No se pudo leer la foto enviada" });
+    });
+}
+
+export default uploadFotoMiddleware;
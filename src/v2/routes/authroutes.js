@@ -7,18 +7,34 @@
  * - /login: Iniciar sesión
  * - /register: Registrar un nuevo usuario
  * - /logout: Cerrar sesión
- * - /sesionesActivas/:usuarioId: Obtener sesiones activas del usuario
+ * - /refresh: Renovar el token de acceso con el refresh token
+ * - /sesiones/:id: Revocar una sesión
+ * - /sesionesActivas/:usuarioId: Obtener (GET) o cerrar (DELETE) las sesiones activas del usuario
+ * - /cambiar-contrasena: Cambiar la contraseña del usuario de la sesión
+ * - /usuarios/:id/restablecer-contrasena: Enviar a un usuario el correo para restablecer su contraseña
+ * - /restablecer-contrasena: Definir una contraseña nueva con el token recibido por correo
  * 
  * Cambios en V2:
  * - Integración con controladores que usan Turso
  * - Mantiene compatibilidad completa con endpoints de V1
  * - Notificaciones SSE en lugar de WebSockets
+ * - /register y /sesionesActivas requieren sesión y permiso (usuarios.crear, sesiones.ver);
+ *   solo se registran usuarios de un rol inferior al propio (un superadmin también crea superadmins)
+ * - El token de acceso dura SESION_TOKEN_MIN minutos y se renueva con /refresh; la sesión se
+ *   cierra por inactividad (SESION_INACTIVIDAD_MIN) o al cumplir SESION_DURACION_MAX_HORAS
+ * - La cuenta se bloquea tras LOGIN_INTENTOS_MAX contraseñas incorrectas seguidas (423)
  * 
  * Funciones:
  * - login: Maneja el inicio de sesión de un usuario. Verifica las credenciales y genera un token.
  * - registrar: Maneja el registro de un nuevo usuario. Cifra la contraseña y almacena el usuario en la base de datos.
  * - logout: Maneja el cierre de sesión de un usuario. Marca la sesión como inactiva y registra la fecha de cierre.
+ * - renovarSesion: Rota el refresh token y entrega un token de acceso nuevo.
+ * - revocarSesion: Cierra una sesión puntual.
  * - sesionesActivas: Obtiene las sesiones activas de un usuario específico.
+ * - cerrarSesionesActivas: Cierra todas las sesiones de un usuario ("cerrar sesión en todos lados").
+ * - cambiarContrasena: Cambia la contraseña verificando la actual y cierra las demás sesiones.
+ * - solicitarRestablecimiento: Genera un token de un solo uso y lo envía por correo.
+ * - restablecerContrasena: Usa el token para definir la contraseña nueva y cierra todas las sesiones.
  * 
  * Notas:
  * - Se utiliza bcryptjs para cifrar las contraseñas.
@@ -29,6 +45,7 @@
 import express from 'express';
 import authController from '../controllers/authController.js';
 import appKeyMiddleware from '../middlewares/appKeyMiddleware.js';
+import authMiddleware, { authRegistroInicial } from '../middlewares/authMiddleware.js';
 
 const router = express.Router();
 
@@ -83,6 +100,19 @@ const router = express.Router();
  *                   type: string
  *                 token:
  *                   type: string
+ *                   description: Token de acceso (JWT de vida corta)
+ *                 token_expira_en:
+ *                   type: string
+ *                   format: date-time
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Token para renovar la sesión en /auth/refresh (un solo uso)
+ *                 sesion_id:
+ *                   type: integer
+ *                 sesion_expira_en:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Fin absoluto de la sesión, aunque se siga renovando
  *                 usuario:
  *                   type: object
  *                   properties:
@@ -99,7 +129,9 @@ const router = express.Router();
  *       400:
  *         description: Correo y contraseña requeridos
  *       401:
- *         description: Usuario no encontrado o contraseña incorrecta
+ *         description: Usuario no encontrado o contraseña incorrecta (incluye intentos_restantes)
+ *       423:
+ *         description: Cuenta bloqueada por intentos fallidos (incluye bloqueado_hasta)
  *       500:
  *         description: Error interno del servidor
  */
@@ -110,9 +142,14 @@ router.post('/login', appKeyMiddleware, authController.login);
  * /api/v2/auth/register:
  *   post:
  *     summary: Registrar nuevo usuario (V2 con Turso)
+ *     description: |
+ *       Requiere el permiso usuarios.crear y solo crea usuarios de un rol inferior al propio
+ *       (un superadmin también crea superadmins). Mientras no exista ningún usuario, el primero
+ *       se registra sin sesión.
  *     tags: [Auth V2]
  *     security:
  *       - AppKeyAuth: []
+ *         BearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -140,14 +177,14 @@ router.post('/login', appKeyMiddleware, authController.login);
  *                 description: Nombre de usuario único
  *               rol:
  *                 type: string
- *                 enum: [Administrador, Operador, Usuario]
+ *                 enum: [superadmin, administrador, operador]
  *                 description: Rol del usuario
  *             example:
  *               correo: "nuevo@aguavp.com"
  *               nombre: "Nuevo Usuario"
  *               contrasena: "password123"
  *               username: "nuevousuario"
- *               rol: "Operador"
+ *               rol: "operador"
  *     responses:
  *       201:
  *         description: Usuario registrado con éxito
@@ -161,13 +198,17 @@ router.post('/login', appKeyMiddleware, authController.login);
  *                 usuario_id:
  *                   type: integer
  *       400:
- *         description: Todos los campos son obligatorios
+ *         description: Todos los campos son obligatorios o rol inválido
+ *       401:
+ *         description: Token no proporcionado
+ *       403:
+ *         description: Sin permiso (la respuesta incluye el permiso faltante), o el rol no está por debajo del de quien registra (incluye rol_objetivo)
  *       409:
  *         description: Correo o username ya existe
  *       500:
  *         description: Error al registrar usuario
  */
-router.post('/register', appKeyMiddleware, authController.registrar);
+router.post('/register', appKeyMiddleware, authRegistroInicial, authController.registrar);
 
 /**
  * @swagger
@@ -210,14 +251,109 @@ router.post('/register', appKeyMiddleware, authController.registrar);
  */
 router.post('/logout', appKeyMiddleware, authController.logout);
 
+/**
+ * @swagger
+ * /api/v2/auth/refresh:
+ *   post:
+ *     summary: Renovar el token de acceso (V2 con Turso)
+ *     description: |
+ *       Entrega un token de acceso y un refresh token nuevos; el refresh token usado deja
+ *       de servir. Si un refresh token ya rotado vuelve a presentarse, la sesión se revoca.
+ *       No se renuevan sesiones cerradas por inactividad o que alcanzaron su duración máxima.
+ *     tags: [Auth V2]
+ *     security:
+ *       - AppKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Sesión renovada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 token_expira_en:
+ *                   type: string
+ *                   format: date-time
+ *                 refresh_token:
+ *                   type: string
+ *                 sesion_id:
+ *                   type: integer
+ *                 sesion_expira_en:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: refresh_token requerido
+ *       401:
+ *         description: Refresh token inválido, reutilizado o sesión vencida
+ *       500:
+ *         description: Error al renovar sesión
+ */
+router.post('/refresh', appKeyMiddleware, authController.renovarSesion);
+
+/**
+ * @swagger
+ * /api/v2/auth/sesiones/{id}:
+ *   delete:
+ *     summary: Revocar una sesión (V2 con Turso)
+ *     description: |
+ *       Cierra la sesión indicada y su refresh token. Cualquier usuario puede revocar sus
+ *       propias sesiones; las de otros usuarios requieren el permiso sesiones.revocar y que su
+ *       rol esté por debajo del de quien revoca.
+ *     tags: [Auth V2]
+ *     security:
+ *       - AppKeyAuth: []
+ *         BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la sesión
+ *     responses:
+ *       200:
+ *         description: Sesión revocada
+ *       401:
+ *         description: Token no proporcionado o expirado
+ *       403:
+ *         description: Sin permiso sesiones.revocar, o la sesión es de un usuario con rol igual o superior
+ *       404:
+ *         description: Sesión no encontrada
+ *       409:
+ *         description: La sesión ya estaba cerrada
+ *       500:
+ *         description: Error al revocar sesión
+ */
+router.delete('/sesiones/:id', appKeyMiddleware, authMiddleware, authController.revocarSesion);
+
 /**
  * @swagger
  * /api/v2/auth/sesionesActivas/{usuarioId}:
  *   get:
  *     summary: Obtener sesiones activas del usuario (V2 con Turso)
+ *     description: |
+ *       Cada usuario puede consultar sus propias sesiones (la actual se marca con actual: true);
+ *       las de otros usuarios requieren el permiso sesiones.ver y que su rol esté por debajo del
+ *       de quien consulta.
  *     tags: [Auth V2]
  *     security:
  *       - AppKeyAuth: []
+ *         BearerAuth: []
  *     parameters:
  *       - in: path
  *         name: usuarioId
@@ -249,15 +385,208 @@ router.post('/logout', appKeyMiddleware, authController.logout);
  *                   fecha_inicio:
  *                     type: string
  *                     format: date-time
- *                   activo:
- *                     type: integer
+ *                   ultima_actividad:
+ *                     type: string
+ *                     format: date-time
+ *                   expira_en:
+ *                     type: string
+ *                     format: date-time
+ *                   actual:
+ *                     type: boolean
  *       400:
  *         description: ID de usuario requerido
+ *       403:
+ *         description: Sin permiso sesiones.ver, o el usuario tiene un rol igual o superior
  *       404:
  *         description: Usuario no encontrado o sin sesiones activas
  *       500:
  *         description: Error al obtener sesiones activas
  */
-router.get('/sesionesActivas/:usuarioId', appKeyMiddleware, authController.sesionesActivas);
+router.get('/sesionesActivas/:usuarioId', appKeyMiddleware, authMiddleware, authController.sesionesActivas);
+
+/**
+ * @swagger
+ * /api/v2/auth/sesionesActivas/{usuarioId}:
+ *   delete:
+ *     summary: Cerrar sesión en todos lados (V2 con Turso)
+ *     description: |
+ *       Cierra las sesiones activas del usuario. Sobre las propias se conserva la sesión
+ *       actual salvo que se envíe incluir_actual=true; cerrar las de otro usuario requiere
+ *       el permiso sesiones.revocar, que su rol esté por debajo del de quien las cierra, y las
+ *       cierra todas.
+ *     tags: [Auth V2]
+ *     security:
+ *       - AppKeyAuth: []
+ *         BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: usuarioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario
+ *       - in: query
+ *         name: incluir_actual
+ *         schema:
+ *           type: boolean
+ *         description: Cerrar también la sesión desde la que se hace la solicitud
+ *     responses:
+ *       200:
+ *         description: Sesiones cerradas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje:
+ *                   type: string
+ *                 usuario_id:
+ *                   type: integer
+ *                 sesiones_cerradas:
+ *                   type: integer
+ *                 sesion_actual_conservada:
+ *                   type: boolean
+ *       400:
+ *         description: ID de usuario requerido
+ *       403:
+ *         description: Sin permiso sesiones.revocar, o el usuario tiene un rol igual o superior
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error al cerrar sesiones activas
+ */
+router.delete('/sesionesActivas/:usuarioId', appKeyMiddleware, authMiddleware, authController.cerrarSesionesActivas);
+
+/**
+ * @swagger
+ * /api/v2/auth/cambiar-contrasena:
+ *   post:
+ *     summary: Cambiar la contraseña propia (V2 con Turso)
+ *     description: |
+ *       Verifica la contraseña actual, guarda la nueva (mínimo CONTRASENA_LONGITUD_MIN caracteres)
+ *       y cierra las demás sesiones del usuario; la sesión actual sigue abierta.
+ *     tags: [Auth V2]
+ *     security:
+ *       - AppKeyAuth: []
+ *         BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contrasena_actual
+ *               - contrasena_nueva
+ *             properties:
+ *               contrasena_actual:
+ *                 type: string
+ *               contrasena_nueva:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contraseña actualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje:
+ *                   type: string
+ *                 sesiones_cerradas:
+ *                   type: integer
+ *       400:
+ *         description: Datos faltantes, contraseña actual incorrecta o contraseña nueva inválida
+ *       401:
+ *         description: Token no proporcionado o expirado
+ *       500:
+ *         description: Error al cambiar contraseña
+ */
+router.post('/cambiar-contrasena', appKeyMiddleware, authMiddleware, authController.cambiarContrasena);
+
+/**
+ * @swagger
+ * /api/v2/auth/usuarios/{id}/restablecer-contrasena:
+ *   post:
+ *     summary: Enviar correo de restablecimiento de contraseña (V2 con Turso)
+ *     description: |
+ *       Genera un token de un solo uso (vence a los RESTABLECER_CONTRASENA_MIN minutos) y lo envía
+ *       al correo del usuario con el transporte configurado en CORREO_TRANSPORTE. Una vez enviado
+ *       anula los tokens pendientes del usuario; si el envío falla (502) no se guarda el token y
+ *       los pendientes siguen vigentes. Requiere usuarios.restablecer_contrasena y que el rol del
+ *       usuario esté por debajo del de quien lo solicita.
+ *     tags: [Auth V2]
+ *     security:
+ *       - AppKeyAuth: []
+ *         BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario
+ *     responses:
+ *       201:
+ *         description: Correo enviado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje:
+ *                   type: string
+ *                 usuario_id:
+ *                   type: integer
+ *                 enviado_a:
+ *                   type: string
+ *                 expira_en:
+ *                   type: string
+ *                   format: date-time
+ *       403:
+ *         description: Sin permiso, o el usuario tiene un rol igual o superior
+ *       404:
+ *         description: Usuario no encontrado
+ *       502:
+ *         description: No se pudo enviar el correo
+ *       500:
+ *         description: Error al solicitar restablecimiento de contraseña
+ */
+router.post('/usuarios/:id/restablecer-contrasena', appKeyMiddleware, authMiddleware, authController.solicitarRestablecimiento);
+
+/**
+ * @swagger
+ * /api/v2/auth/restablecer-contrasena:
+ *   post:
+ *     summary: Restablecer la contraseña con el token recibido por correo (V2 con Turso)
+ *     description: |
+ *       No requiere sesión. El token sirve una sola vez; al usarlo se desbloquea la cuenta
+ *       y se cierran todas las sesiones del usuario.
+ *     tags: [Auth V2]
+ *     security:
+ *       - AppKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - contrasena_nueva
+ *             properties:
+ *               token:
+ *                 type: string
+ *               contrasena_nueva:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida
+ *       400:
+ *         description: Datos faltantes, contraseña inválida o token inválido, vencido o ya utilizado
+ *       500:
+ *         description: Error al restablecer contraseña
+ */
+router.post('/restablecer-contrasena', appKeyMiddleware, authController.restablecerContrasena);
 
 export default router;
@@ -0,0 +1,350 @@
+/**
+ * Rutas para cortes de caja - V2
+ *
+ * File: src/v2/routes/cajas.js
+ * Version: 2.0.0
+ *
+ * Descripción:
+ * Sesiones de caja por cajero: apertura con fondo inicial, corte preliminar durante
+ * el día y cierre con el efectivo contado. Al cerrar se calcula lo esperado por
+ * método de pago y la diferencia, y los pagos de la sesión quedan bloqueados.
+ *
+ * Nuevas funcionalidades V2:
+ * - POST /abrir: Abrir la caja del cajero
+ * - GET /listar: Listar sesiones de caja
+ * - GET /abierta/:usuario_id: Caja abierta de un cajero con su corte preliminar
+ * - GET /:id: Detalle de una caja con su corte
+ * - POST /:id/cerrar: Cerrar la caja con el efectivo contado
+ *
+ * Dependencias de tablas:
+ * - cajas: Sesiones de caja
+ * - caja_totales: Totales por método de pago al cerrar
+ * - pagos, recibos, anulaciones_pago, anulaciones_recibo: Operaciones del cajero (caja_id al cerrar)
+ * - usuarios: Cajero que abre y usuario que cierra
+ *
+ * @author Sistema AguaVP
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+import express from 'express';
+import authMiddleware from '../middlewares/authMiddleware.js';
+import appKeyMiddleware from '../middlewares/appKeyMiddleware.js';
+import cajasController, { setSSEManagers } from '../controllers/cajasController.js';
+
+const router = express.Router();
+
+// ===================================================================
+// SSE CONFIGURATION MIDDLEWARE
+// ===================================================================
+
+// Configurar managers SSE al cargar el módulo
+let sseManagerConfigured = false;
+
+const configureSSE = (req, res, next) => {
+    if (!sseManagerConfigured && req.app) {
+        const sseManager = req.app.get('sseManager');
+        const notificationManager = req.app.get('notificationManager');
+
+        if (sseManager && notificationManager) {
+            setSSEManagers(sseManager, notificationManager);
+            sseManagerConfigured = true;
+            console.log('✅ SSE Managers configurados para cajas V2');
+        } else {
+            console.log('⚠️ SSE Managers no encontrados en la aplicación');
+        }
+    }
+    next();
+};
+
+// ===================================================================
+// SWAGGER DOCUMENTATION
+// ===================================================================
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cajas V2
+ *   description: |
+ *     **Corte de caja por cajero**
+ *
+ *     Cada cajero abre su caja con un fondo inicial y la cierra con el efectivo contado.
+ *     Lo esperado se calcula con los pagos y recibos que el cajero registró con su sesión
+ *     entre la apertura y el cierre: cantidad entregada menos cambio, por método de pago.
+ *     Las anulaciones que hizo el cajero en la sesión se restan como dinero devuelto; al anular
+ *     un recibo también se resta el excedente o anticipo retirado del saldo a favor.
+ *
+ *     Solo puede haber una caja abierta por cajero. Al cerrarla, sus pagos quedan ligados
+ *     al corte (`caja_id`) y ya no se pueden modificar.
+ *
+ *     Un cajero solo consulta y cierra su propia caja; consultar o cerrar la de otro cajero
+ *     requiere `cajas.supervisar` (administrador y superadmin). Si no, responde 403.
+ *
+ * components:
+ *   schemas:
+ *     Caja:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 1 }
+ *         usuario_id: { type: integer, example: 2 }
+ *         usuario_nombre: { type: string, example: "cajero1" }
+ *         estado: { type: string, enum: [Abierta, Cerrada] }
+ *         fondo_inicial: { type: number, example: 500 }
+ *         fecha_apertura: { type: string, example: "2025-01-15 14:00:00" }
+ *         fecha_cierre: { type: string, nullable: true }
+ *         efectivo_esperado: { type: number, nullable: true, example: 1850.5 }
+ *         monto_contado: { type: number, nullable: true, example: 1840.5 }
+ *         diferencia: { type: number, nullable: true, description: "Negativo = faltante", example: -10 }
+ *         observaciones: { type: string, nullable: true }
+ *         cerrado_por: { type: integer, nullable: true }
+ *         cerrado_por_nombre: { type: string, nullable: true }
+ *     CorteCaja:
+ *       type: object
+ *       properties:
+ *         desde: { type: string }
+ *         hasta: { type: string }
+ *         fondo_inicial: { type: number }
+ *         por_metodo:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               metodo_pago: { type: string, enum: [Efectivo, Transferencia, Tarjeta, Cheque] }
+ *               operaciones: { type: integer }
+ *               cobrado: { type: number }
+ *               anulado: { type: number }
+ *               esperado: { type: number }
+ *         total_cobrado: { type: number }
+ *         total_anulado: { type: number }
+ *         total_esperado: { type: number }
+ *         efectivo_esperado: { type: number, description: "Fondo inicial + efectivo esperado" }
+ *         pagos:
+ *           type: array
+ *           items: { type: object }
+ *         recibos:
+ *           type: array
+ *           items: { type: object }
+ *         anulaciones:
+ *           type: array
+ *           items: { type: object }
+ *         anulaciones_recibo:
+ *           type: array
+ *           description: Recibos anulados; importe = saldo a favor retirado (sus pagos van en anulaciones)
+ *           items: { type: object }
+ */
+
+/**
+ * @swagger
+ * /api/v2/cajas/abrir:
+ *   post:
+ *     summary: Abrir caja
+ *     description: Abre la caja del usuario de la sesión (el cajero). Responde 409 si ya tiene una abierta.
+ *     tags: [Cajas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fondo_inicial:
+ *                 type: number
+ *                 default: 0
+ *                 example: 500
+ *               observaciones:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Caja abierta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje: { type: string }
+ *                 caja: { $ref: '#/components/schemas/Caja' }
+ *       400:
+ *         description: Faltan campos requeridos o fondo inválido
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: El cajero ya tiene una caja abierta
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/abrir', appKeyMiddleware, authMiddleware, configureSSE, cajasController.abrirCaja);
+
+/**
+ * @swagger
+ * /api/v2/cajas/listar:
+ *   get:
+ *     summary: Listar cajas
+ *     tags: [Cajas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: usuario_id
+ *         in: query
+ *         schema: { type: integer }
+ *       - name: estado
+ *         in: query
+ *         schema: { type: string, enum: [Abierta, Cerrada] }
+ *       - name: desde
+ *         in: query
+ *         description: Fecha de apertura inicial (YYYY-MM-DD)
+ *         schema: { type: string, format: date }
+ *       - name: hasta
+ *         in: query
+ *         description: Fecha de apertura final (YYYY-MM-DD)
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: Lista de cajas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items: { $ref: '#/components/schemas/Caja' }
+ *       400:
+ *         description: Estado inválido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/listar', appKeyMiddleware, authMiddleware, configureSSE, cajasController.listarCajas);
+
+/**
+ * @swagger
+ * /api/v2/cajas/abierta/{usuario_id}:
+ *   get:
+ *     summary: Caja abierta de un cajero
+ *     description: Devuelve la caja abierta del cajero con un corte preliminar calculado al momento.
+ *     tags: [Cajas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: usuario_id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Caja abierta con su corte preliminar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Caja'
+ *                 - type: object
+ *                   properties:
+ *                     corte: { $ref: '#/components/schemas/CorteCaja' }
+ *       403:
+ *         description: La caja es de otro cajero y no tiene cajas.supervisar
+ *       404:
+ *         description: El cajero no tiene una caja abierta
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/abierta/:usuario_id', appKeyMiddleware, authMiddleware, configureSSE, cajasController.obtenerCajaAbierta);
+
+/**
+ * @swagger
+ * /api/v2/cajas/{id}:
+ *   get:
+ *     summary: Detalle de una caja
+ *     description: Caja con su corte; si sigue abierta el corte es preliminar, si está cerrada es el guardado al cerrar.
+ *     tags: [Cajas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Caja con su corte
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Caja'
+ *                 - type: object
+ *                   properties:
+ *                     corte: { $ref: '#/components/schemas/CorteCaja' }
+ *       403:
+ *         description: La caja es de otro cajero y no tiene cajas.supervisar
+ *       404:
+ *         description: Caja no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id', appKeyMiddleware, authMiddleware, configureSSE, cajasController.obtenerCaja);
+
+/**
+ * @swagger
+ * /api/v2/cajas/{id}/cerrar:
+ *   post:
+ *     summary: Cerrar caja (corte de caja)
+ *     description: |
+ *       Calcula lo esperado por método de pago, compara el efectivo contado contra
+ *       `fondo_inicial + efectivo esperado` y guarda la diferencia (negativa = faltante).
+ *       Los pagos, recibos y anulaciones de la sesión quedan ligados a la caja y ya no se pueden modificar.
+ *       Emite `caja_cerrada` y, si hay diferencia, una alerta del sistema.
+ *     tags: [Cajas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [monto_contado]
+ *             properties:
+ *               monto_contado:
+ *                 type: number
+ *                 description: Efectivo contado en caja, incluido el fondo inicial
+ *                 example: 1840.5
+ *               observaciones:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Caja cerrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje: { type: string }
+ *                 caja: { $ref: '#/components/schemas/Caja' }
+ *                 corte: { $ref: '#/components/schemas/CorteCaja' }
+ *       400:
+ *         description: Faltan campos requeridos o monto inválido
+ *       403:
+ *         description: La caja es de otro cajero y no tiene cajas.supervisar
+ *       404:
+ *         description: Caja no encontrada
+ *       409:
+ *         description: La caja ya está cerrada (también si otro cierre terminó primero)
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/cerrar', appKeyMiddleware, authMiddleware, configureSSE, cajasController.cerrarCaja);
+
+// ===================================================================
+// EXPORT MODULE
+// ===================================================================
+
+export default router;
@@ -14,6 +14,10 @@
  * - GET /listar: Listar todos los clientes con información de medidores
  * - PUT /modificar/:id: Modificar datos de cliente existente
  * 
+ * Nuevas funcionalidades V2:
+ * - GET /:id/saldo-favor: Saldo a favor disponible y sus movimientos
+ * - GET /:id/estado-cuenta: Estado de cuenta con saldo acumulado (JSON, CSV o PDF)
+ * 
  * Cambios en V2:
  * - Integración con sistema SSE para notificaciones en tiempo real
  * - Migración a controladores que usan Turso database (@libsql/client)
@@ -141,7 +145,6 @@ const configureSSE = (req, res, next) => {
  *               - direccion
  *               - ciudad
  *               - estado_cliente
- *               - modificado_por
  *             properties:
  *               nombre:
  *                 type: string
@@ -166,9 +169,6 @@ const configureSSE = (req, res, next) => {
  *                 type: string
  *                 enum: [activo, inactivo, suspendido, moroso]
  *                 example: "activo"
- *               modificado_por:
- *                 type: string
- *                 example: "admin"
  *     responses:
  *       201:
  *         description: Cliente registrado exitosamente
@@ -247,6 +247,10 @@ router.post("/registrar", configureSSE, authMiddleware, clientesController.regis
  *                       estado_cliente:
  *                         type: string
  *                         example: "activo"
+ *                       saldo_favor:
+ *                         type: number
+ *                         description: Saldo a favor disponible (excedentes y anticipos)
+ *                         example: 150.00
  *                       fecha_registro:
  *                         type: string
  *                         format: date-time
@@ -319,9 +323,6 @@ router.get("/listar", configureSSE, authMiddleware, clientesController.obtenerCl
  *                 type: string
  *                 enum: [activo, inactivo, suspendido, moroso]
  *                 example: "activo"
- *               modificado_por:
- *                 type: string
- *                 example: "admin"
  *     responses:
  *       200:
  *         description: Cliente modificado exitosamente
@@ -334,6 +335,192 @@ router.get("/listar", configureSSE, authMiddleware, clientesController.obtenerCl
  */
 router.put("/modificar/:id", configureSSE, authMiddleware, clientesController.modificarCliente);
 
+/**
+ * @swagger
+ * /api/v2/clientes/{id}/saldo-favor:
+ *   get:
+ *     summary: Saldo a favor del cliente
+ *     description: |
+ *       Devuelve el saldo a favor disponible y sus movimientos.
+ *       
+ *       - **abono**: excedente de un pago (`excedente_a_favor` o métodos sin cambio) o anticipo sin facturas pendientes
+ *       - **aplicacion**: saldo descontado automáticamente al emitir una factura (pago con método `Saldo a favor`)
+ *     tags: [Clientes V2]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID del cliente
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Saldo a favor y movimientos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cliente_id:
+ *                   type: integer
+ *                 cliente_nombre:
+ *                   type: string
+ *                 saldo_favor:
+ *                   type: number
+ *                   example: 150.00
+ *                 movimientos:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       tipo:
+ *                         type: string
+ *                         enum: [abono, aplicacion]
+ *                       monto:
+ *                         type: number
+ *                       factura_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       pago_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       recibo_id:
+ *                         type: integer
+ *                         nullable: true
+ *                       descripcion:
+ *                         type: string
+ *                       fecha_creacion:
+ *                         type: string
+ *       404:
+ *         description: Cliente no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get("/:id/saldo-favor", configureSSE, authMiddleware, clientesController.obtenerSaldoFavor);
+
+/**
+ * @swagger
+ * /api/v2/clientes/{id}/estado-cuenta:
+ *   get:
+ *     summary: Estado de cuenta del cliente
+ *     description: |
+ *       Une en orden cronológico las facturas, recargos, pagos, notas de crédito/débito, cancelaciones y anulaciones de pagos
+ *       del cliente, con saldo inicial, saldo acumulado por movimiento y saldo final.
+ *       
+ *       - **cargo**: factura, recargo por mora, nota de débito, anulación de un pago o de un abono al saldo a favor
+ *       - **abono**: pago, nota de crédito, cancelación de factura, abono al saldo a favor
+ *       
+ *       Las aplicaciones automáticas del saldo a favor no se listan porque ese dinero ya se abonó al recibirlo;
+ *       un saldo negativo indica saldo a favor del cliente.
+ *       
+ *       El saldo inicial es el acumulado de los movimientos anteriores a `desde`.
+ *       Con `formato=csv` o `formato=pdf` se descarga el documento en lugar del JSON.
+ *     tags: [Clientes V2]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID del cliente
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - name: desde
+ *         in: query
+ *         required: false
+ *         description: Fecha inicial inclusive (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-01-01"
+ *       - name: hasta
+ *         in: query
+ *         required: false
+ *         description: Fecha final inclusive (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: "2025-06-30"
+ *       - name: formato
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Estado de cuenta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cliente:
+ *                   type: object
+ *                 desde:
+ *                   type: string
+ *                   nullable: true
+ *                 hasta:
+ *                   type: string
+ *                   nullable: true
+ *                 saldo_inicial:
+ *                   type: number
+ *                   example: 120.00
+ *                 total_cargos:
+ *                   type: number
+ *                   example: 190.00
+ *                 total_abonos:
+ *                   type: number
+ *                   example: 100.00
+ *                 saldo_final:
+ *                   type: number
+ *                   example: 210.00
+ *                 movimientos:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       fecha:
+ *                         type: string
+ *                         example: "2025-03-05"
+ *                       tipo:
+ *                         type: string
+ *                         enum: [factura, recargo, nota_debito, pago, saldo_favor, nota_credito, cancelacion, anulacion_pago, anulacion_saldo_favor]
+ *                       factura_id:
+ *                         type: integer
+ *                       documento_id:
+ *                         type: integer
+ *                       descripcion:
+ *                         type: string
+ *                       cargo:
+ *                         type: number
+ *                       abono:
+ *                         type: number
+ *                       saldo:
+ *                         type: number
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Fechas o formato inválidos
+ *       404:
+ *         description: Cliente no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get("/:id/estado-cuenta", configureSSE, authMiddleware, clientesController.obtenerEstadoCuenta);
+
 // ===================================================================
 // EXPORT MODULE
 // ===================================================================
@@ -0,0 +1,336 @@
+/**
+ * Rutas para corridas de facturación - V2
+ *
+ * File: src/v2/routes/corridas.js
+ * Version: 2.0.0
+ *
+ * Descripción:
+ * Facturación mensual de un periodo en dos fases: la vista previa calcula todas las
+ * facturas sin emitirlas y la aplicación las emite en una sola transacción (todas o
+ * ninguna). Las corridas quedan como historial del periodo.
+ *
+ * Nuevas funcionalidades V2:
+ * - POST /vista-previa: Calcular la facturación de un periodo sin emitir facturas
+ * - GET /listar: Historial de corridas
+ * - GET /:id: Detalle de una corrida con cada factura calculada
+ * - POST /:id/aplicar: Emitir las facturas de una vista previa
+ * - POST /:id/descartar: Descartar una vista previa o una corrida fallida
+ *
+ * Dependencias de tablas:
+ * - corridas_facturacion, corridas_facturacion_items: Corridas y sus facturas calculadas
+ * - lecturas, medidores, clientes, tarifas, rutas_puntos: Datos que se facturan
+ * - facturas, factura_detalles, estimaciones_consumo: Facturas emitidas al aplicar
+ * - periodos: El periodo debe estar dado de alta y sin cerrar
+ * - historial_cambios: Auditoría de vistas previas, aplicaciones y descartes
+ *
+ * @author Sistema AguaVP
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+import express from 'express';
+import authMiddleware from '../middlewares/authMiddleware.js';
+import appKeyMiddleware from '../middlewares/appKeyMiddleware.js';
+import corridasController, { setSSEManagers } from '../controllers/corridasController.js';
+
+const router = express.Router();
+
+// ===================================================================
+// SSE CONFIGURATION MIDDLEWARE
+// ===================================================================
+
+// Configurar managers SSE al cargar el módulo
+let sseManagerConfigured = false;
+
+const configureSSE = (req, res, next) => {
+    if (!sseManagerConfigured && req.app) {
+        const sseManager = req.app.get('sseManager');
+        const notificationManager = req.app.get('notificationManager');
+
+        if (sseManager && notificationManager) {
+            setSSEManagers(sseManager, notificationManager);
+            sseManagerConfigured = true;
+            console.log('✅ SSE Managers configurados para corridas V2');
+        } else {
+            console.log('⚠️ SSE Managers no encontrados en la aplicación');
+        }
+    }
+    next();
+};
+
+// ===================================================================
+// SWAGGER DOCUMENTATION
+// ===================================================================
+
+/**
+ * @swagger
+ * tags:
+ *   name: Corridas de facturación V2
+ *   description: |
+ *     **Facturación mensual con vista previa**
+ *
+ *     1. `POST /vista-previa` calcula cada factura del periodo sin emitirla: lecturas sin
+ *        factura, lecturas de periodos ya facturados por estimación (conciliación) y, con
+ *        `estimar`, los medidores sin lectura. Guarda los importes, los errores y los totales
+ *        por ruta y por tarifa. Una vista previa nueva descarta la anterior del periodo.
+ *     2. `POST /{id}/aplicar` vuelve a calcular dentro de una transacción: si algo cambió
+ *        desde la vista previa responde 409 con las diferencias y la corrida se descarta; si
+ *        no, emite todas las facturas. Un error revierte la corrida completa (estado
+ *        `fallida`, ninguna factura emitida) y se puede volver a aplicar.
+ *
+ *     Los items con error (lecturas sin revisar, clientes sin tarifa...) no se facturan.
+ *     Al aplicar, el periodo pasa a `facturado`.
+ *
+ *     Estados: `vista_previa` → `aplicando` → `aplicada` | `fallida`; `descartada`.
+ *
+ *     El avance (cada 25 facturas) y los cambios de estado se notifican con el evento SSE
+ *     `corrida_facturacion` (`evento`: `progreso` | `estado`).
+ *
+ *     Con `CORRIDA_FACTURACION_DIA` configurado, el servidor genera cada mes la vista previa
+ *     (`origen: programada`) del periodo que ya terminó; la aplicación siempre es manual.
+ *
+ * components:
+ *   schemas:
+ *     TotalesCorrida:
+ *       type: object
+ *       properties:
+ *         facturas: { type: integer, description: "Facturas de lecturas" }
+ *         estimadas: { type: integer, description: "Facturas estimadas de medidores sin lectura" }
+ *         conciliaciones: { type: integer, description: "Lecturas de periodos ya facturados por estimación" }
+ *         errores: { type: integer, description: "Items que no se facturan" }
+ *         consumo_m3: { type: number }
+ *         importe: { type: number }
+ *     CorridaFacturacion:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 1 }
+ *         periodo: { type: string, example: "2025-01" }
+ *         fecha_emision: { type: string, format: date }
+ *         estimar: { type: boolean }
+ *         origen: { type: string, enum: [manual, programada] }
+ *         estado: { type: string, enum: [vista_previa, aplicando, aplicada, fallida, descartada] }
+ *         totales: { $ref: '#/components/schemas/TotalesCorrida' }
+ *         resumen:
+ *           type: object
+ *           properties:
+ *             por_ruta:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - type: object
+ *                     properties:
+ *                       ruta_id: { type: integer, nullable: true }
+ *                       ruta_nombre: { type: string }
+ *                   - $ref: '#/components/schemas/TotalesCorrida'
+ *             por_tarifa:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - type: object
+ *                     properties:
+ *                       tarifa_id: { type: integer, nullable: true }
+ *                       tarifa_nombre: { type: string }
+ *                   - $ref: '#/components/schemas/TotalesCorrida'
+ *         error: { type: string, nullable: true, description: "Motivo de la falla o del descarte" }
+ *         creado_por: { type: integer, nullable: true }
+ *         aplicado_por: { type: integer, nullable: true }
+ *         fecha_creacion: { type: string }
+ *         fecha_aplicacion: { type: string, nullable: true }
+ *         items:
+ *           type: array
+ *           description: Solo en el detalle
+ *           items:
+ *             type: object
+ *             properties:
+ *               id: { type: integer }
+ *               tipo: { type: string, enum: [lectura, conciliacion, estimada] }
+ *               lectura_id: { type: integer, nullable: true }
+ *               medidor_id: { type: integer }
+ *               medidor_numero: { type: string }
+ *               cliente_id: { type: integer, nullable: true }
+ *               cliente_nombre: { type: string, nullable: true }
+ *               tarifa_id: { type: integer, nullable: true }
+ *               ruta_id: { type: integer, nullable: true }
+ *               consumo_m3: { type: number, nullable: true }
+ *               importe: { type: number, nullable: true }
+ *               error: { type: string, nullable: true }
+ *               factura_id: { type: integer, nullable: true, description: "Factura emitida al aplicar" }
+ */
+
+/**
+ * @swagger
+ * /api/v2/corridas/vista-previa:
+ *   post:
+ *     summary: Vista previa de la facturación de un periodo
+ *     description: Calcula todas las facturas del periodo sin emitirlas y guarda la corrida.
+ *     tags: [Corridas de facturación V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [periodo, fecha_emision]
+ *             properties:
+ *               periodo: { type: string, example: "2025-01" }
+ *               fecha_emision: { type: string, format: date, example: "2025-02-01" }
+ *               estimar: { type: boolean, default: true, description: "Incluir medidores sin lectura" }
+ *     responses:
+ *       201:
+ *         description: Vista previa generada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje: { type: string }
+ *                 corrida: { $ref: '#/components/schemas/CorridaFacturacion' }
+ *       400:
+ *         description: Faltan campos requeridos, periodo o fecha inválidos
+ *       404:
+ *         description: Periodo no dado de alta o sin nada por facturar
+ *       409:
+ *         description: Periodo cerrado o con una corrida aplicándose
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/vista-previa', appKeyMiddleware, authMiddleware, configureSSE, corridasController.crearVistaPrevia);
+
+/**
+ * @swagger
+ * /api/v2/corridas/listar:
+ *   get:
+ *     summary: Historial de corridas
+ *     tags: [Corridas de facturación V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - in: query
+ *         name: periodo
+ *         schema: { type: string, example: "2025-01" }
+ *       - in: query
+ *         name: estado
+ *         schema: { type: string, enum: [vista_previa, aplicando, aplicada, fallida, descartada] }
+ *     responses:
+ *       200:
+ *         description: Corridas de la más reciente a la más antigua
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 corridas:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/CorridaFacturacion' }
+ *       400:
+ *         description: Estado inválido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/listar', appKeyMiddleware, authMiddleware, configureSSE, corridasController.listarCorridas);
+
+/**
+ * @swagger
+ * /api/v2/corridas/{id}:
+ *   get:
+ *     summary: Detalle de una corrida
+ *     description: Incluye cada factura calculada y, si la corrida ya se aplicó, la factura emitida.
+ *     tags: [Corridas de facturación V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Corrida con sus items
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/CorridaFacturacion' }
+ *       404:
+ *         description: Corrida no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id', appKeyMiddleware, authMiddleware, configureSSE, corridasController.obtenerCorrida);
+
+/**
+ * @swagger
+ * /api/v2/corridas/{id}/aplicar:
+ *   post:
+ *     summary: Aplicar una corrida
+ *     description: |
+ *       Emite en una sola transacción las facturas de la vista previa. Si los datos del periodo
+ *       cambiaron desde la vista previa responde 409 con las diferencias y la corrida se descarta.
+ *       Si falla, no se emite ninguna factura y la corrida queda `fallida`.
+ *     tags: [Corridas de facturación V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Facturas emitidas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje: { type: string }
+ *                 corrida: { $ref: '#/components/schemas/CorridaFacturacion' }
+ *       404:
+ *         description: Corrida no encontrada o periodo no dado de alta
+ *       409:
+ *         description: La corrida no es una vista previa, el periodo está cerrado o los datos cambiaron (`diferencias`)
+ *       500:
+ *         description: La corrida falló y se revirtió (`detalle`, `corrida`)
+ */
+router.post('/:id/aplicar', appKeyMiddleware, authMiddleware, configureSSE, corridasController.aplicarCorrida);
+
+/**
+ * @swagger
+ * /api/v2/corridas/{id}/descartar:
+ *   post:
+ *     summary: Descartar una corrida
+ *     description: Solo vistas previas y corridas fallidas.
+ *     tags: [Corridas de facturación V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               motivo: { type: string }
+ *     responses:
+ *       200:
+ *         description: Corrida descartada
+ *       404:
+ *         description: Corrida no encontrada
+ *       409:
+ *         description: La corrida ya se aplicó o se está aplicando
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/descartar', appKeyMiddleware, authMiddleware, configureSSE, corridasController.descartarCorrida);
+
+export default router;
@@ -207,7 +207,7 @@ router.get('/stats', configureManagers, authMiddleware, (req, res) => {
  *       401:
  *         description: No autorizado
  *       403:
- *         description: Sin permisos de administrador
+ *         description: Sin permiso eventos.notificar
  */
 router.post('/notify', configureManagers, authMiddleware, (req, res) => {
   try {
@@ -223,12 +223,7 @@ router.post('/notify', configureManagers, authMiddleware, (req, res) => {
       });
     }
 
-    // Verificar permisos de administrador (opcional)
-    // if (req.usuario.rol !== 'admin') {
-    //   return res.status(403).json({
-    //     error: 'Se requieren permisos de administrador'
-    //   });
-    // }
+    // El permiso eventos.notificar lo verifica authMiddleware
 
     let result;
     
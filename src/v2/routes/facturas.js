@@ -15,6 +15,13 @@
  * - GET /listar/:id: Obtener una factura específica por ID
  * - PUT /modificar/:id: Modificar datos de factura existente
  * 
+ * Nuevas funcionalidades V2:
+ * - POST /procesar-vencidas: Ejecutar bajo demanda el job de facturas vencidas
+ * - POST /:id/cancelar: Cancelar una factura sin pagos indicando el motivo
+ * - POST /:id/notas: Emitir nota de crédito o débito que ajusta el saldo
+ * - GET /:id/pdf: Factura imprimible en PDF
+ * - Las facturas de un periodo cerrado (/api/v2/periodos) no se generan, modifican, cancelan ni reciben notas
+ * 
  * Cambios en V2:
  * - Integración con sistema SSE para notificaciones en tiempo real
  * - Migración a controladores que usan Turso database (@libsql/client)
@@ -187,6 +194,22 @@ const configureSSE = (req, res, next) => {
  *           maxLength: 500
  *           description: Observaciones adicionales para la factura
  *           example: "Lectura tomada con normalidad"
+ *         cargos_adicionales:
+ *           type: array
+ *           description: Cargos distintos al consumo que se suman al total y se guardan como conceptos de la factura
+ *           items:
+ *             type: object
+ *             required:
+ *               - descripcion
+ *               - importe
+ *             properties:
+ *               descripcion:
+ *                 type: string
+ *                 example: "Reconexión"
+ *               importe:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 example: 150.00
  *       example:
  *         lectura_id: 15
  *         cliente_id: 5
@@ -219,17 +242,10 @@ const configureSSE = (req, res, next) => {
  *           maxLength: 500
  *           description: Nuevas observaciones
  *           example: "Corrección por relectura"
- *         modificado_por:
- *           type: string
- *           minLength: 1
- *           maxLength: 100
- *           description: Usuario que realiza la modificación
- *           example: "supervisor"
  *       example:
  *         consumo_m3: 28.0
  *         estado_factura: "pagada"
  *         observaciones: "Corrección por relectura"
- *         modificado_por: "supervisor"
  *     
  *     FacturaRespuesta:
  *       type: object
@@ -288,6 +304,28 @@ const configureSSE = (req, res, next) => {
  *           type: string
  *           description: Usuario que generó la factura
  *           example: "admin"
+ *         conceptos:
+ *           type: array
+ *           description: Líneas de la factura tal como se cobraron al emitirla
+ *           items:
+ *             $ref: '#/components/schemas/FacturaConcepto'
+ *         notas:
+ *           type: array
+ *           description: Notas de crédito/débito aplicadas a la factura
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: integer
+ *               tipo:
+ *                 type: string
+ *                 enum: [credito, debito]
+ *               monto:
+ *                 type: number
+ *               motivo:
+ *                 type: string
+ *               fecha_creacion:
+ *                 type: string
  *       example:
  *         id: 1
  *         numero_factura: "FAC-2024-001"
@@ -302,6 +340,39 @@ const configureSSE = (req, res, next) => {
  *         estado_factura: "pendiente"
  *         observaciones: "Lectura tomada con normalidad"
  *         generado_por: "admin"
+ *     
+ *     FacturaConcepto:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         tipo:
+ *           type: string
+ *           enum: [cuota_base, rango, excedente, cargo, recargo]
+ *           example: "rango"
+ *         descripcion:
+ *           type: string
+ *           example: "Consumo 11-20 m³"
+ *         consumo_min:
+ *           type: integer
+ *           nullable: true
+ *           example: 11
+ *         consumo_max:
+ *           type: integer
+ *           nullable: true
+ *           example: 20
+ *         m3_cobrados:
+ *           type: number
+ *           nullable: true
+ *           example: 5
+ *         precio_por_m3:
+ *           type: number
+ *           nullable: true
+ *           example: 8.00
+ *         subtotal:
+ *           type: number
+ *           example: 40.00
  */
 
 // ===================================================================
@@ -453,7 +524,7 @@ const configureSSE = (req, res, next) => {
  *                   type: string
  *                   example: "No se encontró una lectura con ID: 15"
  *       409:
- *         description: Conflicto - Factura ya existe
+ *         description: Conflicto - Factura ya existe o el periodo de la lectura está cerrado
  *         content:
  *           application/json:
  *             schema:
@@ -653,6 +724,14 @@ router.get('/listar/:id', appKeyMiddleware, authMiddleware, configureSSE, factur
  *       Modifica los datos de una factura existente manteniendo compatibilidad con V1.
  *       Utiliza transacciones Turso y notificaciones SSE automáticas.
  *       
+ *       **Restricciones:**
+ *       - `estado` solo puede cambiarse a `Pendiente` o `Vencida`; `Pagado` lo asignan los pagos
+ *         y `Cancelada` el endpoint `/facturas/{id}/cancelar`
+ *       - `total` no puede editarse si la factura ya tiene pagos (409); use notas de crédito/débito
+ *       - Si `total` no se envía se conserva el actual
+ *       - Las facturas canceladas no pueden modificarse
+ *       - Las facturas de un periodo cerrado no pueden modificarse (409)
+ *       
  *       **Compatibilidad V1:**
  *       - Mismos campos modificables
  *       - Misma validación de datos
@@ -688,13 +767,11 @@ router.get('/listar/:id', appKeyMiddleware, authMiddleware, configureSSE, factur
  *               value:
  *                 consumo_m3: 28.0
  *                 observaciones: "Corrección por relectura"
- *                 modificado_por: "supervisor"
  *             cambio_estado:
  *               summary: Cambiar estado a pagada
  *               value:
  *                 estado_factura: "pagada"
  *                 observaciones: "Pago registrado el 2024-01-20"
- *                 modificado_por: "cajero"
  *     responses:
  *       200:
  *         description: Factura modificada exitosamente
@@ -730,11 +807,230 @@ router.get('/listar/:id', appKeyMiddleware, authMiddleware, configureSSE, factur
  *         description: Datos inválidos
  *       404:
  *         description: Factura no encontrada
+ *       409:
+ *         description: La factura está cancelada, tiene pagos (al cambiar el total) o su periodo está cerrado
  *       500:
  *         description: Error interno del servidor
  */
 router.put('/modificar/:id', appKeyMiddleware, authMiddleware, configureSSE, facturasController.modificarFactura);
 
+/**
+ * @swagger
+ * /api/v2/facturas/procesar-vencidas:
+ *   post:
+ *     summary: Marcar facturas vencidas y aplicar recargos
+ *     description: |
+ *       Ejecuta bajo demanda el mismo proceso que corre de forma programada en el servidor:
+ *       toda factura `Pendiente` con saldo cuya `fecha_vencimiento` sea anterior a la fecha de corte
+ *       pasa a `Vencida`.
+ *       
+ *       Si `RECARGO_MORA_VALOR` está configurado, se agrega un concepto `recargo` a la factura
+ *       y se suma a su total y saldo pendiente. Emite el evento SSE `factura_vencida`.
+ *     tags: [Facturas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fecha_corte:
+ *                 type: string
+ *                 format: date
+ *                 description: Fecha de corte (por defecto hoy)
+ *                 example: "2025-09-01"
+ *     responses:
+ *       200:
+ *         description: Proceso completado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje:
+ *                   type: string
+ *                   example: "Proceso de facturas vencidas completado"
+ *                 fecha_corte:
+ *                   type: string
+ *                   example: "2025-09-01"
+ *                 facturas_vencidas:
+ *                   type: integer
+ *                   example: 3
+ *                 total_recargos:
+ *                   type: number
+ *                   example: 150.00
+ *                 facturas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Fecha de corte inválida
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/procesar-vencidas', appKeyMiddleware, authMiddleware, configureSSE, facturasController.procesarVencidas);
+
+/**
+ * @swagger
+ * /api/v2/facturas/{id}/cancelar:
+ *   post:
+ *     summary: Cancelar una factura
+ *     description: |
+ *       Cambia la factura a estado `Cancelada` y deja su saldo pendiente en cero.
+ *       Solo se permite si la factura no tiene pagos; en ese caso anule los pagos o emita una nota de crédito.
+ *       La cancelación y su motivo quedan registrados en `historial_cambios`.
+ *     tags: [Facturas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la factura a cancelar
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - motivo
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: "Lectura capturada con error"
+ *     responses:
+ *       200:
+ *         description: Factura cancelada
+ *       400:
+ *         description: Faltan campos requeridos
+ *       404:
+ *         description: Factura no encontrada
+ *       409:
+ *         description: La factura ya está cancelada, tiene pagos o su periodo está cerrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/cancelar', appKeyMiddleware, authMiddleware, configureSSE, facturasController.cancelarFactura);
+
+/**
+ * @swagger
+ * /api/v2/facturas/{id}/notas:
+ *   post:
+ *     summary: Emitir nota de crédito o débito
+ *     description: |
+ *       Registra una nota ligada a la factura original que ajusta su saldo pendiente sin modificar el total emitido.
+ *       
+ *       - **credito**: reduce el saldo; no puede exceder el saldo pendiente. Si lo deja en cero la factura queda `Pagado`.
+ *       - **debito**: aumenta el saldo; si la factura estaba `Pagado` vuelve a `Pendiente` o `Vencida`.
+ *       
+ *       Cada nota queda registrada en `historial_cambios` y aparece en `notas` al consultar la factura.
+ *     tags: [Facturas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la factura
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tipo
+ *               - monto
+ *               - motivo
+ *             properties:
+ *               tipo:
+ *                 type: string
+ *                 enum: [credito, debito]
+ *                 example: "credito"
+ *               monto:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 example: 25.50
+ *               motivo:
+ *                 type: string
+ *                 example: "Bonificación por fuga reportada"
+ *     responses:
+ *       201:
+ *         description: Nota registrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nota_id:
+ *                   type: integer
+ *                 saldo_anterior:
+ *                   type: number
+ *                 saldo_pendiente:
+ *                   type: number
+ *                 estado:
+ *                   type: string
+ *       400:
+ *         description: Datos inválidos o crédito mayor al saldo
+ *       404:
+ *         description: Factura no encontrada
+ *       409:
+ *         description: La factura está cancelada o su periodo está cerrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/notas', appKeyMiddleware, authMiddleware, configureSSE, facturasController.registrarNotaFactura);
+
+/**
+ * @swagger
+ * /api/v2/facturas/{id}/pdf:
+ *   get:
+ *     summary: Descargar factura en PDF
+ *     description: |
+ *       Genera en el servidor la factura imprimible con los mismos datos de `/facturas/listar/{id}`:
+ *       mes facturado, comparativo contra el consumo del mes anterior, medidor, ruta,
+ *       desglose de la tarifa (conceptos y notas), adeudo anterior y total a pagar.
+ *       
+ *       El encabezado usa `EMPRESA_NOMBRE`, `EMPRESA_DIRECCION`, `EMPRESA_TELEFONO` y `EMPRESA_LOGO`.
+ *     tags: [Facturas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la factura
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Factura en PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Factura no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id/pdf', appKeyMiddleware, authMiddleware, configureSSE, facturasController.descargarFacturaPdf);
+
 // ===================================================================
 // EXPORT MODULE
 // ===================================================================
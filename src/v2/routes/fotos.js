@@ -0,0 +1,141 @@
+/**
+ * Rutas para fotos de evidencia - V2
+ *
+ * File: src/v2/routes/fotos.js
+ * Version: 2.0.0
+ *
+ * Descripción:
+ * Descarga de las fotos adjuntas a lecturas (carátula del medidor) y medidores
+ * (instalación). Las fotos se suben en POST /lecturas/:id/fotos y POST /medidores/:id/fotos.
+ *
+ * Nuevas funcionalidades V2:
+ * - GET /:id: Imagen original
+ * - GET /:id/miniatura: Miniatura JPEG
+ *
+ * Dependencias de tablas:
+ * - fotos: Metadatos y claves de archivo en el backend de almacenamiento
+ *
+ * @author Sistema AguaVP
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+import express from 'express';
+import authMiddleware from '../middlewares/authMiddleware.js';
+import appKeyMiddleware from '../middlewares/appKeyMiddleware.js';
+import fotosController from '../controllers/fotosController.js';
+
+const router = express.Router();
+
+// ===================================================================
+// SWAGGER DOCUMENTATION
+// ===================================================================
+
+/**
+ * @swagger
+ * tags:
+ *   name: Fotos V2
+ *   description: |
+ *     **Fotos de evidencia**
+ *
+ *     Las lecturas aceptan la foto de la carátula del medidor y los medidores la foto de su
+ *     instalación. Cada foto guarda fecha de captura, coordenadas GPS y el usuario que la subió;
+ *     el servidor genera una miniatura JPEG. Los archivos se guardan en disco local
+ *     (`FOTOS_DIRECTORIO`) o en el backend configurado en `FOTOS_ALMACENAMIENTO`.
+ *
+ * components:
+ *   schemas:
+ *     FotoEvidencia:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 12 }
+ *         tipo: { type: string, enum: [caratula, instalacion] }
+ *         url: { type: string, example: "/api/v2/fotos/12" }
+ *         miniatura_url: { type: string, example: "/api/v2/fotos/12/miniatura" }
+ *         content_type: { type: string, example: "image/jpeg" }
+ *         tamano_bytes: { type: integer, example: 482133 }
+ *         ancho: { type: integer, example: 1920 }
+ *         alto: { type: integer, example: 1080 }
+ *         fecha_captura: { type: string, nullable: true, example: "2025-06-04T10:32:00" }
+ *         latitud: { type: number, nullable: true, example: 19.4326 }
+ *         longitud: { type: number, nullable: true, example: -99.1332 }
+ *         subido_por: { type: integer, example: 4 }
+ *         subido_por_nombre: { type: string, example: "lector1" }
+ *         fecha_creacion: { type: string, example: "2025-06-04 16:40:12" }
+ *     FotoSubida:
+ *       type: object
+ *       required: [foto]
+ *       properties:
+ *         foto:
+ *           type: string
+ *           format: binary
+ *           description: Imagen JPEG, PNG o WebP (máximo FOTOS_TAMANO_MAX_MB, 10 MB por defecto)
+ *         fecha_captura:
+ *           type: string
+ *           description: Fecha y hora en que se tomó la foto en el dispositivo
+ *           example: "2025-06-04T10:32:00"
+ *         latitud: { type: number, example: 19.4326 }
+ *         longitud: { type: number, example: -99.1332 }
+ */
+
+/**
+ * @swagger
+ * /api/v2/fotos/{id}:
+ *   get:
+ *     summary: Obtener foto
+ *     description: Devuelve la imagen original tal como se subió.
+ *     tags: [Fotos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Imagen
+ *         content:
+ *           image/jpeg: {}
+ *           image/png: {}
+ *           image/webp: {}
+ *       404:
+ *         description: Foto no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id', appKeyMiddleware, authMiddleware, fotosController.obtenerFoto);
+
+/**
+ * @swagger
+ * /api/v2/fotos/{id}/miniatura:
+ *   get:
+ *     summary: Obtener miniatura de una foto
+ *     description: Miniatura JPEG (lado mayor FOTOS_MINIATURA_PX, 320 px por defecto) para listados.
+ *     tags: [Fotos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Miniatura
+ *         content:
+ *           image/jpeg: {}
+ *       404:
+ *         description: Foto no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id/miniatura', appKeyMiddleware, authMiddleware, fotosController.obtenerMiniatura);
+
+// ===================================================================
+// EXPORT MODULE
+// ===================================================================
+
+export default router;
@@ -17,6 +17,22 @@
  * - GET /por-ruta: Obtener lecturas por ruta y período específico
  * - POST /generar-facturas-masivo: Generar facturas masivas para lecturas sin facturar
  * 
+ * Nuevas funcionalidades V2:
+ * - Lecturas de registro: se captura lectura_actual y el consumo se deriva contra la
+ *   lectura del periodo anterior (vuelta a cero y cambio de medidor incluidos)
+ * - GET /anomalias: Cola de lecturas con consumo anómalo retenidas para revisión
+ * - POST /:id/revisar: Aprobar o rechazar una lectura retenida o capturada
+ * - POST /revision: Aprobar o rechazar en bloque las lecturas capturadas de una ruta y periodo
+ * - Modo revisión por ruta o global: las lecturas entran como 'capturada' y solo las
+ *   aprobadas se facturan
+ * - POST /sync: Sincronización por lotes de lecturas capturadas sin conexión (idempotente por uuid)
+ * - POST /:id/fotos: Adjuntar foto de la carátula del medidor (multipart, campo foto)
+ * - POST /generar-facturas-masivo factura por estimación a los medidores sin lectura al corte;
+ *   la siguiente lectura real ajusta esas facturas
+ * - El periodo de las lecturas debe estar dado de alta en /api/v2/periodos y sin cerrar; las
+ *   lecturas de un periodo cerrado ya no se modifican ni se revisan
+ * - La facturación con vista previa y emisión en una sola transacción está en /api/v2/corridas
+ * 
  * Cambios en V2:
  * - Integración con sistema SSE para notificaciones en tiempo real
  * - Migración a controladores que usan Turso database (@libsql/client)
@@ -62,6 +78,7 @@
 import express from 'express';
 import authMiddleware from '../middlewares/authMiddleware.js';
 import appKeyMiddleware from '../middlewares/appKeyMiddleware.js';
+import uploadFotoMiddleware from '../middlewares/uploadFotoMiddleware.js';
 import lecturasController, { setSSEManagers } from '../controllers/lecturasController.js';
 
 const router = express.Router();
@@ -149,11 +166,16 @@ const configureSSE = (req, res, next) => {
  *       required:
  *         - medidor_id
  *         - cliente_id
- *         - lectura_actual
  *         - fecha_lectura
  *         - ruta_id
+ *         - periodo
  *         - tomada_por
  *       properties:
+ *         uuid:
+ *           type: string
+ *           format: uuid
+ *           description: Identificador generado por el dispositivo; evita registrar dos veces la misma lectura
+ *           example: "3f1c9a52-7d4e-4b8a-9f0e-1a2b3c4d5e6f"
  *         medidor_id:
  *           type: integer
  *           description: ID del medidor del cual se toma la lectura
@@ -165,8 +187,21 @@ const configureSSE = (req, res, next) => {
  *         lectura_actual:
  *           type: number
  *           minimum: 0
- *           description: Valor actual del medidor en metros cúbicos
+ *           description: |
+ *             Valor del registro del medidor en metros cúbicos. El consumo se deriva contra la
+ *             lectura del periodo anterior del mismo medidor (o su lectura_inicial si es la primera).
+ *             Requerido si no se envía consumo_m3.
  *           example: 1250.75
+ *         lectura_anterior:
+ *           type: number
+ *           minimum: 0
+ *           description: Base explícita para el cálculo, solo cuando la lectura anterior se capturó sin registro
+ *           example: 1225.50
+ *         consumo_m3:
+ *           type: number
+ *           minimum: 0
+ *           description: Consumo capturado directamente (clientes V1); se usa solo si no se envía lectura_actual
+ *           example: 25.25
  *         fecha_lectura:
  *           type: string
  *           format: date
@@ -220,12 +255,6 @@ const configureSSE = (req, res, next) => {
  *           maxLength: 500
  *           description: Nuevas observaciones
  *           example: "Corrección por relectura - medidor estaba obstruido"
- *         modificado_por:
- *           type: string
- *           minLength: 1
- *           maxLength: 100
- *           description: Usuario que realiza la modificación
- *           example: "supervisor"
  *         estado_lectura:
  *           type: string
  *           enum: [pendiente, procesada, facturada, anulada]
@@ -234,7 +263,6 @@ const configureSSE = (req, res, next) => {
  *       example:
  *         lectura_actual: 1255.25
  *         observaciones: "Corrección por relectura"
- *         modificado_por: "supervisor"
  *         estado_lectura: "procesada"
  *     
  *     LecturaRespuesta:
@@ -272,6 +300,23 @@ const configureSSE = (req, res, next) => {
  *           type: number
  *           description: Consumo calculado en metros cúbicos
  *           example: 25.25
+ *         calculo_consumo:
+ *           type: string
+ *           enum: [manual, diferencia, vuelta, cambio_medidor]
+ *           description: Cómo se obtuvo el consumo
+ *           example: "diferencia"
+ *         anomalia:
+ *           type: string
+ *           nullable: true
+ *           enum: [consumo_cero, consumo_negativo, consumo_alto]
+ *           description: Anomalía detectada al registrar la lectura
+ *         estado_revision:
+ *           type: string
+ *           enum: [no_requerida, capturada, pendiente, aprobada, rechazada]
+ *           description: |
+ *             Solo 'no_requerida' y 'aprobada' se facturan. 'capturada' = ruta en modo revisión,
+ *             'pendiente' = retenida por consumo anómalo
+ *           example: "no_requerida"
  *         fecha_lectura:
  *           type: string
  *           format: date
@@ -431,9 +476,9 @@ const configureSSE = (req, res, next) => {
  *       400:
  *         description: Datos de entrada inválidos
  *       404:
- *         description: Medidor, cliente o ruta no encontrados
+ *         description: Medidor, cliente o ruta no encontrados, o el periodo no está dado de alta
  *       409:
- *         description: Ya existe una lectura para este período
+ *         description: Ya existe una lectura para este período, el uuid ya fue registrado o el periodo está cerrado
  *       500:
  *         description: Error interno del servidor
  */
@@ -585,6 +630,12 @@ router.get("/listar/:id", appKeyMiddleware, authMiddleware, configureSSE, lectur
  *       - Notificaciones SSE automáticas
  *       - Mejor validación de concurrencia
  *       - Recálculo optimizado de consumo
+ *       
+ *       Si cambia el valor del registro se recalcula el consumo de esta lectura y el de la
+ *       lectura siguiente del medidor. Si alguna de las dos ya tiene factura, se vuelve a
+ *       calcular con la tarifa con que se emitió: sin pagos se corrigen total y conceptos;
+ *       con pagos la diferencia se ajusta con una nota de crédito o débito (`refacturaciones`).
+ *       Una lectura aún sin factura se vuelve a evaluar y regresa a revisión si aplica.
  *     tags: [Lecturas V2]
  *     security:
  *       - bearerAuth: []
@@ -610,6 +661,8 @@ router.get("/listar/:id", appKeyMiddleware, authMiddleware, configureSSE, lectur
  *         description: Datos inválidos
  *       404:
  *         description: Lectura no encontrada
+ *       409:
+ *         description: El periodo de la lectura (o el nuevo periodo) está cerrado
  *       500:
  *         description: Error interno del servidor
  */
@@ -699,6 +752,11 @@ router.get("/por-ruta", appKeyMiddleware, authMiddleware, configureSSE, lecturas
  *     description: |
  *       Genera facturas de forma masiva para todas las lecturas que no tienen factura asociada
  *       manteniendo compatibilidad total con V1. Utiliza procesamiento batch optimizado y notificaciones SSE.
+ *
+ *       Crea una corrida de facturación y la aplica en la misma solicitud: las facturas se emiten
+ *       en una sola transacción (todas o ninguna) y la corrida queda en /api/v2/corridas
+ *       (`corrida_id` en la respuesta). Para revisar los totales antes de emitir use la vista
+ *       previa y la aplicación de /api/v2/corridas.
  *       
  *       **Compatibilidad V1:**
  *       - Mismo algoritmo de procesamiento masivo
@@ -720,6 +778,18 @@ router.get("/por-ruta", appKeyMiddleware, authMiddleware, configureSSE, lecturas
  *       5. Generación de facturas individuales
  *       6. Notificaciones SSE de progreso
  *       7. Respuesta con resumen de procesamiento
+ *       
+ *       **Facturación estimada:**
+ *       Los medidores activos con cliente y tarifa que no tienen lectura en el periodo (con incidencia
+ *       reportada o sin visita) reciben una factura marcada como `estimada`, calculada con el promedio
+ *       de sus últimas lecturas (`ESTIMACION_PERIODOS_PROMEDIO`, 3 por defecto) o, sin historial, con el
+ *       consumo mínimo de la tarifa. La siguiente lectura real reparte su consumo entre los periodos
+ *       estimados y el suyo, y al facturarse ajusta cada factura estimada a su parte: cambia el total si
+ *       no tiene pagos o emite una nota de débito/crédito si los tiene. Detalles con `estado: estimada`
+ *       o `estado: conciliada` (lectura tardía del mismo periodo estimado).
+ *
+ *       **Periodo:** debe estar dado de alta y sin cerrar (404/409). Si se generó al menos una factura,
+ *       el periodo pasa a `facturado`; la respuesta incluye `estado_periodo`.
  *     tags: [Lecturas V2]
  *     security:
  *       - bearerAuth: []
@@ -736,6 +806,15 @@ router.get("/por-ruta", appKeyMiddleware, authMiddleware, configureSSE, lecturas
  *                 pattern: '^\d{4}-\d{2}$'
  *                 description: Período específico para procesar (opcional)
  *                 example: "2024-01"
+ *               fecha_emision:
+ *                 type: string
+ *                 format: date
+ *                 description: Fecha de emisión y de corte; los medidores instalados después no se estiman
+ *                 example: "2024-02-01"
+ *               estimar:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Emitir factura estimada a los medidores sin lectura en el periodo
  *               ruta_id:
  *                 type: integer
  *                 description: ID de ruta específica para procesar (opcional)
@@ -835,15 +914,358 @@ router.get("/por-ruta", appKeyMiddleware, authMiddleware, configureSSE, lecturas
  *                       example: "2024-01-20T15:30:00Z"
  *       400:
  *         description: Parámetros de entrada inválidos
+ *       404:
+ *         description: No hay lecturas por facturar ni medidores por estimar, o el periodo no está dado de alta
+ *       409:
+ *         description: El periodo está cerrado o ya se está aplicando una corrida del periodo
  *       500:
- *         description: Error interno durante el procesamiento masivo
+ *         description: Error interno durante el procesamiento masivo; no se emitió ninguna factura
  */
 // 🧾 Generar facturas para lecturas sin factura (procesamiento masivo)
 router.post("/generar-facturas-masivo", appKeyMiddleware, authMiddleware, configureSSE, lecturasController.generarFacturasParaLecturasSinFactura);
 
+/**
+ * @swagger
+ * /api/v2/lecturas/anomalias:
+ *   get:
+ *     summary: Cola de lecturas con consumo anómalo
+ *     description: |
+ *       Al registrar una lectura su consumo se compara contra el promedio de los últimos periodos
+ *       del medidor y contra el periodo anterior. Las lecturas con consumo cero, negativo o un pico
+ *       por encima del umbral (`ANOMALIA_VARIACION_PCT`, `ANOMALIA_DIFERENCIA_MIN_M3`) quedan
+ *       retenidas (`estado_revision: pendiente`) y no se facturan hasta revisarse.
+ *     tags: [Lecturas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: estado_revision
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pendiente, aprobada, rechazada, todas]
+ *           default: pendiente
+ *       - name: anomalia
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [consumo_cero, consumo_negativo, consumo_alto]
+ *       - name: ruta_id
+ *         in: query
+ *         schema: { type: integer }
+ *       - name: periodo
+ *         in: query
+ *         schema: { type: string, example: "2025-06" }
+ *     responses:
+ *       200:
+ *         description: Lecturas anómalas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total: { type: integer }
+ *                 lecturas:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: integer }
+ *                       medidor_numero: { type: string }
+ *                       cliente_nombre: { type: string }
+ *                       ruta_nombre: { type: string }
+ *                       periodo: { type: string }
+ *                       consumo_m3: { type: number }
+ *                       anomalia: { type: string }
+ *                       detalle:
+ *                         type: object
+ *                         properties:
+ *                           consumo_anterior: { type: number, nullable: true }
+ *                           consumo_promedio: { type: number, nullable: true }
+ *                           periodos_historial: { type: integer }
+ *                           variacion_anterior: { type: number, nullable: true }
+ *                           variacion_promedio: { type: number, nullable: true }
+ *                           umbral_variacion_pct: { type: number }
+ *                       estado_revision: { type: string }
+ *                       factura_id: { type: integer, nullable: true }
+ *       400:
+ *         description: Filtro inválido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get("/anomalias", appKeyMiddleware, authMiddleware, configureSSE, lecturasController.obtenerAnomalias);
+
+/**
+ * @swagger
+ * /api/v2/lecturas/{id}/revisar:
+ *   post:
+ *     summary: Revisar una lectura retenida o capturada
+ *     description: |
+ *       `aprobar` confirma el consumo y genera la factura de la lectura, salvo que la ruta esté en
+ *       modo revisión: ahí la factura la genera `POST /generar-facturas-masivo`.
+ *       `rechazar` la deja fuera de facturación; al corregirla con `PUT /modificar/{id}` se vuelve a evaluar.
+ *     tags: [Lecturas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [aprobar, rechazar]
+ *               observaciones:
+ *                 type: string
+ *                 description: Obligatorio al rechazar
+ *                 example: "Fuga confirmada por el cliente"
+ *     responses:
+ *       200:
+ *         description: Lectura revisada (incluye factura_generada al aprobar)
+ *       400:
+ *         description: Faltan campos requeridos o decisión inválida
+ *       404:
+ *         description: Lectura no encontrada
+ *       409:
+ *         description: La lectura no está pendiente de revisión o su periodo está cerrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post("/:id/revisar", appKeyMiddleware, authMiddleware, configureSSE, lecturasController.revisarLectura);
+
+/**
+ * @swagger
+ * /api/v2/lecturas/revision:
+ *   post:
+ *     summary: Revisión en bloque por ruta y periodo
+ *     description: |
+ *       En modo revisión (`rutas.requiere_revision` o `LECTURAS_REVISION_OBLIGATORIA=true`) las lecturas
+ *       entran como `capturada` y no se facturan. El supervisor las aprueba o rechaza en bloque;
+ *       solo las aprobadas entran a `POST /generar-facturas-masivo`.
+ *       Sin `lectura_ids` se revisan todas las capturadas de la ruta y periodo; las retenidas por
+ *       consumo anómalo solo se incluyen si se indican en `lectura_ids`.
+ *     tags: [Lecturas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ruta_id, periodo, decision]
+ *             properties:
+ *               ruta_id: { type: integer, example: 2 }
+ *               periodo: { type: string, example: "2025-06" }
+ *               decision:
+ *                 type: string
+ *                 enum: [aprobar, rechazar]
+ *               lectura_ids:
+ *                 type: array
+ *                 items: { type: integer }
+ *                 description: Limitar la revisión a estas lecturas
+ *               observaciones:
+ *                 type: string
+ *                 description: Obligatorio al rechazar
+ *     responses:
+ *       200:
+ *         description: Lecturas revisadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje: { type: string }
+ *                 estado_revision: { type: string, enum: [aprobada, rechazada] }
+ *                 total: { type: integer }
+ *                 lectura_ids:
+ *                   type: array
+ *                   items: { type: integer }
+ *                 anomalias_pendientes:
+ *                   type: integer
+ *                   description: Lecturas retenidas de la ruta y periodo que siguen sin revisar
+ *       400:
+ *         description: Faltan campos requeridos o decisión inválida
+ *       404:
+ *         description: No hay lecturas por revisar
+ *       409:
+ *         description: El periodo está cerrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post("/revision", appKeyMiddleware, authMiddleware, configureSSE, lecturasController.revisarLecturasRuta);
+
+/**
+ * @swagger
+ * /api/v2/lecturas/sync:
+ *   post:
+ *     summary: Sincronizar lecturas capturadas sin conexión
+ *     description: |
+ *       Recibe el lote de lecturas que el lecturista capturó sin cobertura. Cada lectura trae un
+ *       `uuid` generado en el dispositivo, por lo que reenviar el lote completo es seguro: las
+ *       lecturas ya recibidas se reportan como `duplicate` sin registrarse de nuevo.
+ *
+ *       Cada lectura se procesa igual que en `POST /registrar` (consumo derivado, anomalías,
+ *       modo revisión y factura automática), en orden cronológico. Resultados por lectura:
+ *       - `created`: registrada en este envío
+ *       - `duplicate`: el uuid ya se había recibido; se devuelve la lectura guardada
+ *       - `conflict`: el medidor ya tiene otra lectura en el periodo (o el uuid pertenece a otra lectura); se devuelve la del servidor
+ *       - `invalid`: datos incompletos o inválidos, o la lectura no se pudo guardar; se indica el error
+ *
+ *       Un error al guardar una lectura solo afecta a esa lectura: el resto del lote se procesa igual.
+ *
+ *       La respuesta incluye `estado_ruta`: los puntos de la ruta en orden de visita con la lectura
+ *       registrada en el periodo y el último registro anterior de cada medidor. Un lote vacío solo
+ *       devuelve el estado de la ruta.
+ *     tags: [Lecturas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ruta_id, periodo, lecturas]
+ *             properties:
+ *               ruta_id: { type: integer, example: 2 }
+ *               periodo:
+ *                 type: string
+ *                 description: Periodo del lote; cada lectura puede indicar el suyo
+ *                 example: "2025-06"
+ *               lecturas:
+ *                 type: array
+ *                 maxItems: 500
+ *                 items:
+ *                   type: object
+ *                   required: [uuid, medidor_id, fecha_lectura]
+ *                   properties:
+ *                     uuid: { type: string, format: uuid, example: "3f1c9a52-7d4e-4b8a-9f0e-1a2b3c4d5e6f" }
+ *                     medidor_id: { type: integer, example: 5 }
+ *                     lectura_actual: { type: number, example: 1250.75 }
+ *                     lectura_anterior: { type: number }
+ *                     consumo_m3: { type: number }
+ *                     fecha_lectura: { type: string, format: date, example: "2025-06-04" }
+ *                     periodo: { type: string, example: "2025-06" }
+ *     responses:
+ *       200:
+ *         description: Lote procesado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 resumen:
+ *                   type: object
+ *                   properties:
+ *                     recibidas: { type: integer }
+ *                     created: { type: integer }
+ *                     duplicate: { type: integer }
+ *                     conflict: { type: integer }
+ *                     invalid: { type: integer }
+ *                 resultados:
+ *                   type: array
+ *                   description: Un resultado por lectura, en el orden del lote
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       indice: { type: integer }
+ *                       uuid: { type: string }
+ *                       resultado: { type: string, enum: [created, duplicate, conflict, invalid] }
+ *                       lectura_id: { type: integer }
+ *                       estado_revision: { type: string }
+ *                       factura_id: { type: integer, nullable: true }
+ *                       error: { type: string }
+ *                       lectura:
+ *                         type: object
+ *                         description: Lectura guardada en el servidor (duplicate y conflict)
+ *                 estado_ruta:
+ *                   type: object
+ *                   properties:
+ *                     total_puntos: { type: integer }
+ *                     completadas: { type: integer }
+ *                     faltantes: { type: integer }
+ *                     puntos:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           orden: { type: integer }
+ *                           medidor_id: { type: integer }
+ *                           numero_serie: { type: string }
+ *                           registro_anterior: { type: number, nullable: true }
+ *                           lectura: { type: object, nullable: true }
+ *                 sincronizado_en: { type: string, format: date-time }
+ *       400:
+ *         description: Faltan campos requeridos, periodo inválido o el lote excede 500 lecturas
+ *       404:
+ *         description: Ruta no encontrada o el periodo del lote no está dado de alta
+ *       409:
+ *         description: El periodo del lote está cerrado
+ *       500:
+ *         description: Error interno del servidor (las lecturas ya registradas se reportan como duplicate al reenviar)
+ */
+router.post("/sync", appKeyMiddleware, authMiddleware, configureSSE, lecturasController.sincronizarLecturas);
+
+/**
+ * @swagger
+ * /api/v2/lecturas/{id}/fotos:
+ *   post:
+ *     summary: Adjuntar foto de la carátula a una lectura
+ *     description: |
+ *       Sube la imagen en `multipart/form-data` (campo `foto`) con los metadatos de captura del
+ *       dispositivo. El servidor genera la miniatura; la respuesta y los listados incluyen `url` y
+ *       `miniatura_url` para descargarlas en `/api/v2/fotos`.
+ *     tags: [Lecturas V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la lectura
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/FotoSubida'
+ *     responses:
+ *       201:
+ *         description: Foto adjuntada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje: { type: string }
+ *                 foto: { $ref: '#/components/schemas/FotoEvidencia' }
+ *       400:
+ *         description: Falta la imagen, formato no soportado o metadatos inválidos
+ *       404:
+ *         description: Lectura no encontrada
+ *       413:
+ *         description: La foto excede el tamaño máximo
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post("/:id/fotos", appKeyMiddleware, authMiddleware, configureSSE, uploadFotoMiddleware, lecturasController.subirFoto);
+
 // ===================================================================
 // EXPORT MODULE
 // ===================================================================
 
 export default router;
-
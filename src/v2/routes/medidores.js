@@ -14,6 +14,10 @@
  * - GET /listar: Listar todos los medidores con información de clientes asociados
  * - PUT /modificar/:id: Modificar datos de medidor existente
  * 
+ * Nuevas funcionalidades V2:
+ * - POST /:id/cambiar: Registrar el reemplazo del medidor físico
+ * - POST /:id/fotos: Adjuntar foto de la instalación (multipart, campo foto)
+ * 
  * Cambios en V2:
  * - Integración con sistema SSE para notificaciones en tiempo real
  * - Migración a controladores que usan Turso database (@libsql/client)
@@ -35,6 +39,7 @@
  * - clientes: Clientes asociados a medidores
  * - historial_cambios: Auditoría de cambios
  * - lecturas: Lecturas tomadas de los medidores
+ * - medidor_cambios: Reemplazos de medidor (lectura de retiro y lectura inicial)
  * - usuarios: Usuario que registra/modifica medidores
  * 
  * Seguridad:
@@ -57,6 +62,7 @@
 import express from 'express';
 import authMiddleware from '../middlewares/authMiddleware.js';
 import appKeyMiddleware from '../middlewares/appKeyMiddleware.js';
+import uploadFotoMiddleware from '../middlewares/uploadFotoMiddleware.js';
 import medidorController, { setSSEManagers } from '../controllers/medidorController.js';
 
 const router = express.Router();
@@ -182,8 +188,14 @@ const configureSSE = (req, res, next) => {
  *         lectura_inicial:
  *           type: number
  *           minimum: 0
- *           description: Lectura inicial del medidor al momento de instalación
+ *           description: Lectura inicial del medidor al momento de instalación; la primera lectura se compara contra ella
  *           example: 0
+ *         digitos:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *           description: Dígitos enteros del registro; permite calcular el consumo cuando el registro da la vuelta a cero
+ *           example: 5
  *         cliente_asignado:
  *           type: integer
  *           description: ID del cliente al que se asigna el medidor (opcional)
@@ -236,6 +248,12 @@ const configureSSE = (req, res, next) => {
  *           maxLength: 200
  *           description: Nueva ubicación del medidor
  *           example: "Calle 123 #45-67, lado izquierdo"
+ *         digitos:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *           description: Dígitos enteros del registro
+ *           example: 5
  *         cliente_asignado:
  *           type: integer
  *           description: ID del nuevo cliente asignado (null para liberar)
@@ -245,16 +263,9 @@ const configureSSE = (req, res, next) => {
  *           maxLength: 500
  *           description: Nuevas observaciones
  *           example: "Medidor reubicado por mejoras en la instalación"
- *         modificado_por:
- *           type: string
- *           minLength: 1
- *           maxLength: 100
- *           description: Usuario que realiza la modificación
- *           example: "supervisor"
  *       example:
  *         estado_medidor: "mantenimiento"
  *         observaciones: "Medidor enviado a mantenimiento preventivo"
- *         modificado_por: "supervisor"
  *     
  *     MedidorRespuesta:
  *       type: object
@@ -698,21 +709,18 @@ router.get("/listar", appKeyMiddleware, authMiddleware, configureSSE, medidorCon
  *               value:
  *                 estado_medidor: "mantenimiento"
  *                 observaciones: "Medidor enviado a mantenimiento preventivo"
- *                 modificado_por: "supervisor"
  *             asignar_cliente:
  *               summary: Asignar medidor a cliente
  *               value:
  *                 cliente_asignado: 8
  *                 ubicacion: "Calle 456 #78-90, Nueva dirección"
  *                 observaciones: "Medidor reasignado por cambio de cliente"
- *                 modificado_por: "admin"
  *             liberar_medidor:
  *               summary: Liberar medidor de cliente
  *               value:
  *                 cliente_asignado: null
  *                 estado_medidor: "inactivo"
  *                 observaciones: "Medidor liberado - cliente canceló servicio"
- *                 modificado_por: "operador1"
  *     responses:
  *       200:
  *         description: Medidor modificado exitosamente
@@ -812,6 +820,116 @@ router.get("/listar", appKeyMiddleware, authMiddleware, configureSSE, medidorCon
  */
 router.put("/modificar/:id", appKeyMiddleware, authMiddleware, configureSSE, medidorController.modificarMedidor);
 
+/**
+ * @swagger
+ * /api/v2/medidores/{id}/cambiar:
+ *   post:
+ *     summary: Registrar cambio de medidor
+ *     description: |
+ *       Registra el reemplazo del medidor físico conservando el mismo `medidor_id`.
+ *       Se guarda la lectura de retiro del medidor anterior y la lectura inicial del nuevo;
+ *       la siguiente lectura calcula su consumo como lo que marcó el anterior desde la última
+ *       lectura hasta su retiro más lo que lleva el nuevo desde su lectura inicial (`calculo_consumo: cambio_medidor`).
+ *     tags: [Medidores V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fecha_cambio, lectura_retiro]
+ *             properties:
+ *               fecha_cambio:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-03-10"
+ *               lectura_retiro:
+ *                 type: number
+ *                 description: Registro del medidor retirado
+ *                 example: 1532
+ *               lectura_inicial:
+ *                 type: number
+ *                 default: 0
+ *                 description: Registro del medidor nuevo al instalarse
+ *               numero_serie:
+ *                 type: string
+ *                 description: Número de serie del medidor nuevo (si cambia)
+ *                 example: "MED-2025-044"
+ *               digitos:
+ *                 type: integer
+ *                 description: Dígitos del registro nuevo; si se omite se conservan los del anterior
+ *                 example: 5
+ *               motivo:
+ *                 type: string
+ *                 example: "Medidor dañado"
+ *     responses:
+ *       201:
+ *         description: Cambio de medidor registrado
+ *       400:
+ *         description: Faltan campos requeridos o valores inválidos
+ *       404:
+ *         description: Medidor no encontrado
+ *       409:
+ *         description: Número de serie en uso o ya hay lecturas posteriores a la fecha del cambio
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post("/:id/cambiar", appKeyMiddleware, authMiddleware, configureSSE, medidorController.cambiarMedidor);
+
+/**
+ * @swagger
+ * /api/v2/medidores/{id}/fotos:
+ *   post:
+ *     summary: Adjuntar foto de la instalación de un medidor
+ *     description: |
+ *       Sube la imagen en `multipart/form-data` (campo `foto`) con los metadatos de captura del
+ *       dispositivo. El servidor genera la miniatura; la respuesta y los listados incluyen `url` y
+ *       `miniatura_url` para descargarlas en `/api/v2/fotos`.
+ *     tags: [Medidores V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID del medidor
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/FotoSubida'
+ *     responses:
+ *       201:
+ *         description: Foto adjuntada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje: { type: string }
+ *                 foto: { $ref: '#/components/schemas/FotoEvidencia' }
+ *       400:
+ *         description: Falta la imagen, formato no soportado o metadatos inválidos
+ *       404:
+ *         description: Medidor no encontrado
+ *       413:
+ *         description: La foto excede el tamaño máximo
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post("/:id/fotos", appKeyMiddleware, authMiddleware, configureSSE, uploadFotoMiddleware, medidorController.subirFoto);
+
 // ===================================================================
 // EXPORT MODULE
 // ===================================================================
@@ -15,6 +15,15 @@
  * - GET /listar/:id: Obtener un pago específico por ID
  * - PUT /modificar/:id: Modificar datos de pago existente
  * 
+ * Nuevas funcionalidades V2:
+ * - GET /:id/recibo.pdf: Recibo de pago imprimible en PDF
+ * - POST /cliente: Pago a nivel cliente repartido entre varias facturas
+ * - GET /recibos/:id: Recibo de cliente con sus aplicaciones
+ * - GET /recibos/:id/pdf: Recibo de cliente en PDF
+ * - POST /:id/anular: Anulación de un pago con motivo (registro compensatorio)
+ * - POST /recibos/:id/anular: Anulación de un recibo completo, incluido su saldo a favor
+ * - Los pagos de facturas de un periodo cerrado (/api/v2/periodos) no se modifican ni se anulan
+ * 
  * Cambios en V2:
  * - Integración con sistema SSE para notificaciones en tiempo real
  * - Migración a controladores que usan Turso database (@libsql/client)
@@ -38,6 +47,7 @@
  * - clientes: Cliente que realiza el pago
  * - usuarios: Usuario que registra/modifica pagos
  * - medidores: Medidor asociado a la factura
+ * - recibos: Pagos a nivel cliente (agrupan varias filas de pagos)
  * 
  * Seguridad:
  * - Autenticación JWT requerida
@@ -189,6 +199,12 @@ const configureSSE = (req, res, next) => {
  *           maxLength: 500
  *           description: Observaciones adicionales del pago
  *           example: "Pago completo de factura enero 2024"
+ *         excedente_a_favor:
+ *           type: boolean
+ *           description: |
+ *             Guarda el excedente sobre el saldo como saldo a favor del cliente en lugar de devolverlo como cambio.
+ *             Si no se envía, solo los pagos en Efectivo devuelven cambio.
+ *           example: false
  *       example:
  *         factura_id: 15
  *         cliente_id: 5
@@ -227,12 +243,6 @@ const configureSSE = (req, res, next) => {
  *           maxLength: 500
  *           description: Nuevas observaciones
  *           example: "Corrección por diferencia en el cambio"
- *         modificado_por:
- *           type: string
- *           minLength: 1
- *           maxLength: 100
- *           description: Usuario que realiza la modificación
- *           example: "supervisor"
  *         estado_pago:
  *           type: string
  *           enum: [pendiente, completado, parcial, anulado]
@@ -241,7 +251,6 @@ const configureSSE = (req, res, next) => {
  *       example:
  *         monto_pagado: 52000.00
  *         observaciones: "Corrección por diferencia en el cambio"
- *         modificado_por: "supervisor"
  *         estado_pago: "completado"
  *     
  *     PagoRespuesta:
@@ -719,22 +728,14 @@ router.get('/listar/:id', appKeyMiddleware, authMiddleware, configureSSE, pagosC
  *   put:
  *     summary: Modificar un pago existente (V2 - Compatible con V1)
  *     description: |
- *       Modifica los datos de un pago existente manteniendo compatibilidad con V1.
- *       Utiliza transacciones Turso y notificaciones SSE automáticas.
- *       Recalcula automáticamente cambios, saldos y actualiza estado de factura.
+ *       Corrige la fecha, el método de pago o el comentario de un pago.
  *       
- *       **Compatibilidad V1:**
- *       - Mismos campos modificables
- *       - Misma validación de datos
- *       - Mismo recálculo de cambios y saldos
- *       - Misma estructura de respuesta
- *       - Misma actualización de estado de facturas
+ *       **El monto ya no se edita en sitio:** cambiarlo descuadraría el saldo de la factura.
+ *       Si se envía un `monto` distinto al registrado responde 409; para corregirlo se anula el pago
+ *       con `POST /api/v2/pagos/{id}/anular` y se registra uno nuevo. Enviar el mismo monto
+ *       (como hacen los clientes V1) se acepta y se ignora.
  *       
- *       **Mejoras V2:**
- *       - Transacciones atómicas en Turso
- *       - Notificaciones SSE automáticas
- *       - Mejor validación de concurrencia
- *       - Recálculo optimizado de valores
+ *       Los pagos anulados y los de un corte de caja cerrado no se pueden modificar.
  *     tags: [Pagos V2]
  *     security:
  *       - bearerAuth: []
@@ -752,27 +753,27 @@ router.get('/listar/:id', appKeyMiddleware, authMiddleware, configureSSE, pagosC
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/PagoModificacion'
+ *             type: object
+ *             properties:
+ *               fecha_pago:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-01-15"
+ *               metodo_pago:
+ *                 type: string
+ *                 enum: [Efectivo, Transferencia, Tarjeta, Cheque]
+ *               comentario:
+ *                 type: string
+ *                 nullable: true
+ *               monto:
+ *                 type: number
+ *                 description: Solo se acepta si es igual al monto registrado
  *           examples:
- *             correccion_monto:
- *               summary: Corrección de monto pagado
- *               value:
- *                 monto_pagado: 52000.00
- *                 observaciones: "Corrección por diferencia en el cambio"
- *                 modificado_por: "supervisor"
  *             cambio_metodo:
  *               summary: Cambio de método de pago
  *               value:
- *                 metodo_pago: "transferencia"
- *                 numero_referencia: "TRF-2024-789"
- *                 observaciones: "Cliente cambió efectivo por transferencia"
- *                 modificado_por: "cajero1"
- *             anular_pago:
- *               summary: Anular pago
- *               value:
- *                 estado_pago: "anulado"
- *                 observaciones: "Pago anulado por solicitud del cliente"
- *                 modificado_por: "supervisor"
+ *                 metodo_pago: "Transferencia"
+ *                 comentario: "Cliente cambió efectivo por transferencia"
  *     responses:
  *       200:
  *         description: Pago modificado exitosamente
@@ -781,53 +782,394 @@ router.get('/listar/:id', appKeyMiddleware, authMiddleware, configureSSE, pagosC
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
+ *                 mensaje:
  *                   type: string
  *                   example: "Pago modificado exitosamente"
- *                 data:
- *                   $ref: '#/components/schemas/PagoRespuesta'
- *                 metadata:
+ *       400:
+ *         description: Faltan campos requeridos o método de pago inválido
+ *       404:
+ *         description: Pago no encontrado
+ *       409:
+ *         description: Pago anulado, pago de un corte de caja cerrado, factura de un periodo cerrado, monto distinto al registrado o pago aplicado desde el saldo a favor
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/modificar/:id', appKeyMiddleware, authMiddleware, configureSSE, pagosController.modificarPago);
+
+/**
+ * @swagger
+ * /api/v2/pagos/{id}/recibo.pdf:
+ *   get:
+ *     summary: Descargar recibo de pago en PDF
+ *     description: |
+ *       Genera en el servidor el recibo imprimible de un pago para entregarlo al cliente.
+ *       Incluye los datos del cliente y medidor, el comparativo de consumo contra el mes anterior,
+ *       el desglose de la tarifa de la factura pagada, el importe pagado, cambio y saldo pendiente.
+ *       
+ *       El encabezado usa `EMPRESA_NOMBRE`, `EMPRESA_DIRECCION`, `EMPRESA_TELEFONO` y `EMPRESA_LOGO`.
+ *     tags: [Pagos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID del pago
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Recibo en PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Pago no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id/recibo.pdf', appKeyMiddleware, authMiddleware, configureSSE, pagosController.descargarReciboPdf);
+
+/**
+ * @swagger
+ * /api/v2/pagos/cliente:
+ *   post:
+ *     summary: Registrar un pago a nivel cliente repartido entre varias facturas
+ *     description: |
+ *       Recibe una sola `cantidad_entregada` y la aplica a las facturas pendientes o vencidas del cliente.
+ *       
+ *       - Sin `aplicaciones`: se abona de la factura más antigua a la más reciente hasta agotar la cantidad.
+ *       - Con `aplicaciones`: se abona exactamente el monto indicado a cada factura; la suma no puede
+ *         exceder la cantidad entregada ni el monto de cada factura su saldo pendiente.
+ *       
+ *       Se genera un recibo con una fila en `pagos` por cada factura abonada (`recibo_id`).
+ *       Lo que no se aplica se devuelve como `cambio` o se abona al saldo a favor del cliente.
+ *     tags: [Pagos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - cliente_id
+ *               - fecha_pago
+ *               - cantidad_entregada
+ *               - metodo_pago
+ *             properties:
+ *               cliente_id:
+ *                 type: integer
+ *                 example: 5
+ *               fecha_pago:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-03-10"
+ *               cantidad_entregada:
+ *                 type: number
+ *                 example: 500.00
+ *               metodo_pago:
+ *                 type: string
+ *                 enum: [Efectivo, Transferencia, Tarjeta, Cheque]
+ *                 example: "Efectivo"
+ *               comentario:
+ *                 type: string
+ *                 example: "Pago de tres meses atrasados"
+ *               excedente_a_favor:
+ *                 type: boolean
+ *                 description: |
+ *                   Guarda lo no aplicado como saldo a favor en lugar de devolverlo como cambio.
+ *                   Si no se envía, solo los pagos en Efectivo devuelven cambio.
+ *                   Con saldo a favor el pago se acepta aunque el cliente no tenga facturas pendientes (anticipo).
+ *                 example: true
+ *               aplicaciones:
+ *                 type: array
+ *                 description: Reparto explícito (opcional)
+ *                 items:
  *                   type: object
+ *                   required:
+ *                     - factura_id
+ *                     - monto
  *                   properties:
- *                     recalculo_realizado:
- *                       type: boolean
- *                       description: Indica si se recalcularon valores
- *                       example: true
- *                     valores_anteriores:
- *                       type: object
- *                       properties:
- *                         monto_anterior:
- *                           type: number
- *                           example: 50000.00
- *                         cambio_anterior:
- *                           type: number
- *                           example: 0.00
- *                     valores_nuevos:
- *                       type: object
- *                       properties:
- *                         monto_nuevo:
- *                           type: number
- *                           example: 52000.00
- *                         cambio_nuevo:
- *                           type: number
- *                           example: 2000.00
- *                     estado_factura_actualizado:
- *                       type: boolean
- *                       description: Indica si se actualizó el estado de la factura
- *                       example: true
+ *                     factura_id:
+ *                       type: integer
+ *                       example: 12
+ *                     monto:
+ *                       type: number
+ *                       example: 150.00
+ *     responses:
+ *       201:
+ *         description: Pago registrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 recibo_id:
+ *                   type: integer
+ *                 modo_aplicacion:
+ *                   type: string
+ *                   enum: [antiguedad, manual]
+ *                 cantidad_entregada:
+ *                   type: number
+ *                 monto_aplicado:
+ *                   type: number
+ *                 saldo_favor_abonado:
+ *                   type: number
+ *                 cambio:
+ *                   type: number
+ *                 aplicaciones:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       pago_id:
+ *                         type: integer
+ *                       factura_id:
+ *                         type: integer
+ *                       monto:
+ *                         type: number
+ *                       saldo_anterior:
+ *                         type: number
+ *                       saldo_pendiente:
+ *                         type: number
  *       400:
- *         description: Datos inválidos
+ *         description: Datos inválidos, reparto inválido o cliente sin facturas pendientes
+ *       404:
+ *         description: Cliente no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/cliente', appKeyMiddleware, authMiddleware, configureSSE, pagosController.registrarPagoCliente);
+
+/**
+ * @swagger
+ * /api/v2/pagos/recibos/{id}:
+ *   get:
+ *     summary: Obtener un recibo de cliente con sus aplicaciones
+ *     tags: [Pagos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID del recibo
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Recibo con las facturas abonadas
+ *       404:
+ *         description: Recibo no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/recibos/:id', appKeyMiddleware, authMiddleware, configureSSE, pagosController.obtenerRecibo);
+
+/**
+ * @swagger
+ * /api/v2/pagos/recibos/{id}/pdf:
+ *   get:
+ *     summary: Descargar recibo de cliente en PDF
+ *     description: Recibo imprimible con la cantidad entregada, el cambio y el abono a cada factura.
+ *     tags: [Pagos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID del recibo
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     responses:
+ *       200:
+ *         description: Recibo en PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Recibo no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/recibos/:id/pdf', appKeyMiddleware, authMiddleware, configureSSE, pagosController.descargarReciboClientePdf);
+
+/**
+ * @swagger
+ * /api/v2/pagos/recibos/{id}/anular:
+ *   post:
+ *     summary: Anular un recibo de cliente
+ *     description: |
+ *       Anula en una sola operación todos los pagos vigentes del recibo (cada uno con su registro en
+ *       `anulaciones_pago` y su monto de vuelta al saldo de la factura) y retira del saldo a favor el
+ *       excedente o anticipo que abonó el recibo. La anulación queda en `anulaciones_recibo`.
+ *       
+ *       Si el saldo a favor que generó el recibo ya se aplicó a otras facturas responde 409 y no
+ *       se anula nada.
+ *       Emite el evento SSE `pago_anulado` por cada pago anulado.
+ *     tags: [Pagos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID del recibo
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [motivo]
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: "Transferencia rechazada"
+ *     responses:
+ *       200:
+ *         description: Recibo anulado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje:
+ *                   type: string
+ *                   example: "Recibo anulado exitosamente"
+ *                 anulacion:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer }
+ *                     recibo_id: { type: integer }
+ *                     cliente_id: { type: integer }
+ *                     monto_pagos: { type: number, description: "Suma de los pagos anulados" }
+ *                     saldo_favor_retirado: { type: number, description: "Excedente o anticipo retirado del saldo a favor" }
+ *                     total_devuelto: { type: number }
+ *                     motivo: { type: string }
+ *                     anulado_por: { type: integer }
+ *                 pagos_anulados:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: integer, description: "ID de la anulación del pago" }
+ *                       pago_id: { type: integer }
+ *                       factura_id: { type: integer }
+ *                       monto: { type: number }
+ *                       saldo_pendiente: { type: number }
+ *                       estado_factura: { type: string }
+ *       400:
+ *         description: Falta el motivo
+ *       404:
+ *         description: Recibo no encontrado
+ *       409:
+ *         description: El recibo ya fue anulado, una factura está cancelada o es de un periodo cerrado, o el saldo a favor ya se aplicó
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/recibos/:id/anular', appKeyMiddleware, authMiddleware, configureSSE, pagosController.anularRecibo);
+
+/**
+ * @swagger
+ * /api/v2/pagos/{id}/anular:
+ *   post:
+ *     summary: Anular un pago
+ *     description: |
+ *       Anula un pago sin borrarlo: se guarda un registro en `anulaciones_pago` con el motivo y
+ *       el monto del pago regresa al saldo pendiente de la factura. Si la factura estaba **Pagado**
+ *       vuelve a **Pendiente** (o **Vencida** si ya pasó su vencimiento).
+ *       
+ *       - Si el pago dejó un excedente en el saldo a favor, ese excedente se retira; si ya se aplicó
+ *         a otras facturas responde 409.
+ *       - Si el pago fue una aplicación del saldo a favor, el monto se reintegra al cliente.
+ *       - Los pagos de un recibo de cliente no se anulan uno por uno (409 con `recibo_id`):
+ *         se anula el recibo completo con `POST /recibos/{id}/anular`.
+ *       
+ *       El pago anulado sigue apareciendo en los listados con `anulado: true` y en el estado de cuenta
+ *       como un abono revertido por un cargo `anulacion_pago`.
+ *       Emite el evento SSE `pago_anulado`.
+ *     tags: [Pagos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID del pago
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [motivo]
+ *             properties:
+ *               motivo:
+ *                 type: string
+ *                 example: "Cheque devuelto por el banco"
+ *     responses:
+ *       200:
+ *         description: Pago anulado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje:
+ *                   type: string
+ *                   example: "Pago anulado exitosamente"
+ *                 anulacion:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer }
+ *                     pago_id: { type: integer }
+ *                     factura_id: { type: integer }
+ *                     monto: { type: number }
+ *                     motivo: { type: string }
+ *                     anulado_por: { type: integer }
+ *                 factura:
+ *                   type: object
+ *                   properties:
+ *                     id: { type: integer }
+ *                     saldo_pendiente: { type: number }
+ *                     estado: { type: string, example: "Pendiente" }
+ *                 saldo_favor_retirado:
+ *                   type: number
+ *                 saldo_favor_reintegrado:
+ *                   type: number
+ *       400:
+ *         description: Falta el motivo
  *       404:
  *         description: Pago no encontrado
  *       409:
- *         description: No se puede modificar pago anulado
+ *         description: El pago ya fue anulado, pertenece a un recibo, la factura está cancelada o es de un periodo cerrado, o el excedente ya se aplicó
  *       500:
  *         description: Error interno del servidor
  */
-router.put('/modificar/:id', appKeyMiddleware, authMiddleware, configureSSE, pagosController.modificarPago);
+router.post('/:id/anular', appKeyMiddleware, authMiddleware, configureSSE, pagosController.anularPago);
 
 // ===================================================================
 // EXPORT MODULE
@@ -0,0 +1,319 @@
+/**
+ * Rutas para periodos de facturación - V2
+ *
+ * File: src/v2/routes/periodos.js
+ * Version: 2.0.0
+ *
+ * Descripción:
+ * Alta y ciclo de vida de los periodos (AAAA-MM): abierto → en_lectura → facturado →
+ * cerrado. Las lecturas, incidencias y facturas solo se registran en periodos dados de
+ * alta y sin cerrar; un periodo cerrado ya no admite cambios en sus lecturas, facturas
+ * ni pagos.
+ *
+ * Nuevas funcionalidades V2:
+ * - POST /registrar: Dar de alta un periodo
+ * - GET /listar: Listar periodos con su resumen
+ * - GET /actual: Periodo en curso
+ * - GET /:periodo: Detalle de un periodo
+ * - PUT /modificar/:periodo: Corregir las fechas de un periodo
+ * - PUT /:periodo/estado: Avanzar el estado de un periodo (incluye el cierre)
+ *
+ * Dependencias de tablas:
+ * - periodos: Periodos y su estado
+ * - lecturas, incidencias_lectura: Captura del periodo
+ * - facturas, estimaciones_consumo: Facturación del periodo
+ * - historial_cambios: Auditoría de altas y cambios de estado
+ *
+ * @author Sistema AguaVP
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+import express from 'express';
+import authMiddleware from '../middlewares/authMiddleware.js';
+import appKeyMiddleware from '../middlewares/appKeyMiddleware.js';
+import periodosController, { setSSEManagers } from '../controllers/periodosController.js';
+
+const router = express.Router();
+
+// ===================================================================
+// SSE CONFIGURATION MIDDLEWARE
+// ===================================================================
+
+// Configurar managers SSE al cargar el módulo
+let sseManagerConfigured = false;
+
+const configureSSE = (req, res, next) => {
+    if (!sseManagerConfigured && req.app) {
+        const sseManager = req.app.get('sseManager');
+        const notificationManager = req.app.get('notificationManager');
+
+        if (sseManager && notificationManager) {
+            setSSEManagers(sseManager, notificationManager);
+            sseManagerConfigured = true;
+            console.log('✅ SSE Managers configurados para periodos V2');
+        } else {
+            console.log('⚠️ SSE Managers no encontrados en la aplicación');
+        }
+    }
+    next();
+};
+
+// ===================================================================
+// SWAGGER DOCUMENTATION
+// ===================================================================
+
+/**
+ * @swagger
+ * tags:
+ *   name: Periodos V2
+ *   description: |
+ *     **Periodos de facturación**
+ *
+ *     Cada periodo (`AAAA-MM`) se da de alta con sus fechas y avanza solo hacia adelante:
+ *
+ *     - `abierto`: dado de alta, sin lecturas
+ *     - `en_lectura`: automático al registrar la primera lectura o incidencia
+ *     - `facturado`: automático al generar las facturas masivas o aplicar una corrida de facturación del periodo
+ *     - `cerrado`: manual; exige que no queden lecturas pendientes de revisión
+ *
+ *     Registrar lecturas o incidencias en un periodo que no está dado de alta responde 404;
+ *     en un periodo cerrado responde 409. Tampoco se pueden modificar ni cancelar las
+ *     facturas de un periodo cerrado, agregarles notas, ni modificar o anular sus pagos.
+ *
+ * components:
+ *   schemas:
+ *     Periodo:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 1 }
+ *         periodo: { type: string, example: "2025-01" }
+ *         fecha_inicio: { type: string, format: date, example: "2025-01-01" }
+ *         fecha_fin: { type: string, format: date, example: "2025-01-31" }
+ *         estado: { type: string, enum: [abierto, en_lectura, facturado, cerrado] }
+ *         fecha_cierre: { type: string, nullable: true }
+ *         cerrado_por: { type: integer, nullable: true }
+ *         cerrado_por_nombre: { type: string, nullable: true }
+ *         modificado_por: { type: integer, nullable: true }
+ *         fecha_creacion: { type: string }
+ *         resumen:
+ *           type: object
+ *           properties:
+ *             total_lecturas: { type: integer }
+ *             lecturas_por_revisar: { type: integer, description: "Lecturas pendientes o capturadas" }
+ *             incidencias_sin_lectura: { type: integer }
+ *             total_facturas: { type: integer, description: "Facturas no canceladas del periodo" }
+ *             facturas_estimadas: { type: integer }
+ */
+
+/**
+ * @swagger
+ * /api/v2/periodos/registrar:
+ *   post:
+ *     summary: Registrar periodo
+ *     description: Da de alta un periodo en estado `abierto`. Sin fechas se toma el mes completo.
+ *     tags: [Periodos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [periodo]
+ *             properties:
+ *               periodo: { type: string, example: "2025-01" }
+ *               fecha_inicio: { type: string, format: date, example: "2025-01-01" }
+ *               fecha_fin: { type: string, format: date, example: "2025-01-31" }
+ *     responses:
+ *       201:
+ *         description: Periodo registrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje: { type: string }
+ *                 periodo: { $ref: '#/components/schemas/Periodo' }
+ *       400:
+ *         description: Faltan campos requeridos, periodo o fechas inválidas
+ *       409:
+ *         description: El periodo ya existe o sus fechas se traslapan con otro
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/registrar', appKeyMiddleware, authMiddleware, configureSSE, periodosController.registrarPeriodo);
+
+/**
+ * @swagger
+ * /api/v2/periodos/listar:
+ *   get:
+ *     summary: Listar periodos
+ *     description: Del más reciente al más antiguo, con el resumen de lecturas y facturas de cada uno.
+ *     tags: [Periodos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: estado
+ *         in: query
+ *         schema: { type: string, enum: [abierto, en_lectura, facturado, cerrado] }
+ *     responses:
+ *       200:
+ *         description: Lista de periodos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 periodos:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/Periodo' }
+ *       400:
+ *         description: Estado inválido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/listar', appKeyMiddleware, authMiddleware, configureSSE, periodosController.listarPeriodos);
+
+/**
+ * @swagger
+ * /api/v2/periodos/actual:
+ *   get:
+ *     summary: Periodo en curso
+ *     description: |
+ *       El periodo en lectura; si no hay, el abierto más antiguo; si no, el último facturado.
+ *       Es el periodo que usa `/rutas/listar` cuando no se indica uno.
+ *     tags: [Periodos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     responses:
+ *       200:
+ *         description: Periodo en curso
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Periodo' }
+ *       404:
+ *         description: No hay periodos sin cerrar
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/actual', appKeyMiddleware, authMiddleware, configureSSE, periodosController.obtenerPeriodoActual);
+
+/**
+ * @swagger
+ * /api/v2/periodos/{periodo}:
+ *   get:
+ *     summary: Obtener periodo
+ *     tags: [Periodos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: periodo
+ *         in: path
+ *         required: true
+ *         schema: { type: string, example: "2025-01" }
+ *     responses:
+ *       200:
+ *         description: Detalle del periodo
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Periodo' }
+ *       404:
+ *         description: Periodo no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:periodo', appKeyMiddleware, authMiddleware, configureSSE, periodosController.obtenerPeriodo);
+
+/**
+ * @swagger
+ * /api/v2/periodos/modificar/{periodo}:
+ *   put:
+ *     summary: Modificar fechas de un periodo
+ *     description: Solo periodos que no están cerrados. Las fechas no pueden traslaparse con otro periodo.
+ *     tags: [Periodos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: periodo
+ *         in: path
+ *         required: true
+ *         schema: { type: string, example: "2025-01" }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fecha_inicio: { type: string, format: date }
+ *               fecha_fin: { type: string, format: date }
+ *     responses:
+ *       200:
+ *         description: Periodo modificado
+ *       400:
+ *         description: Faltan campos requeridos o fechas inválidas
+ *       404:
+ *         description: Periodo no encontrado
+ *       409:
+ *         description: El periodo está cerrado o las fechas se traslapan con otro
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/modificar/:periodo', appKeyMiddleware, authMiddleware, configureSSE, periodosController.modificarPeriodo);
+
+/**
+ * @swagger
+ * /api/v2/periodos/{periodo}/estado:
+ *   put:
+ *     summary: Cambiar estado de un periodo
+ *     description: |
+ *       Los periodos solo avanzan (`abierto` → `en_lectura` → `facturado` → `cerrado`).
+ *       Para cerrar, no debe haber lecturas del periodo pendientes de revisión. Al cerrar
+ *       se registra quién y cuándo, y se notifica por SSE.
+ *     tags: [Periodos V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: periodo
+ *         in: path
+ *         required: true
+ *         schema: { type: string, example: "2025-01" }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [estado]
+ *             properties:
+ *               estado: { type: string, enum: [en_lectura, facturado, cerrado] }
+ *     responses:
+ *       200:
+ *         description: Estado actualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje: { type: string }
+ *                 periodo: { $ref: '#/components/schemas/Periodo' }
+ *       400:
+ *         description: Faltan campos requeridos o estado inválido
+ *       404:
+ *         description: Periodo no encontrado
+ *       409:
+ *         description: Transición no permitida o hay lecturas pendientes de revisión
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/:periodo/estado', appKeyMiddleware, authMiddleware, configureSSE, periodosController.cambiarEstadoPeriodo);
+
+export default router;
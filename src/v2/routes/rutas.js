@@ -15,6 +15,14 @@
  * - GET /:ruta_id/medidores: Obtener medidores asignados a una ruta específica
  * - GET /listar: Listar todas las rutas de distribución
  * 
+ * Nuevas funcionalidades V2:
+ * - PUT /:id/revision: Activar o desactivar el modo revisión de lecturas de la ruta
+ * - GET /incidencias/codigos: Catálogo de códigos de incidencia de lectura
+ * - POST /:id/incidencias: Reportar una parada donde no se pudo tomar la lectura
+ * - GET /:id/incidencias: Incidencias de lectura de la ruta (por periodo)
+ * - DELETE /:id/incidencias/:incidencia_id: Eliminar una incidencia capturada por error
+ * - GET /listar sin periodo usa el periodo en curso de /api/v2/periodos/actual
+ * 
  * Cambios en V2:
  * - Integración con sistema SSE para notificaciones en tiempo real
  * - Migración a controladores que usan Turso database (@libsql/client)
@@ -391,6 +399,10 @@ const configureSSE = (req, res, next) => {
  *                 default: activa
  *                 description: Estado inicial de la ruta
  *                 example: "activa"
+ *               requiere_revision:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Las lecturas de la ruta entran como 'capturada' y se facturan al aprobarse
  *           examples:
  *             nueva_ruta_residencial:
  *               summary: Ruta residencial típica
@@ -785,6 +797,8 @@ const configureSSE = (req, res, next) => {
  *       - Filtros avanzados por estado, usuario responsable y fecha
  *       - Información resumida de cada ruta con conteo de medidores
  *       - Ordenamiento configurable por múltiples campos
+ *       - Sin `periodo` usa el periodo en curso (`/api/v2/periodos/actual`); si no hay periodos
+ *         dados de alta, el último periodo con lecturas o el mes actual
  *     tags: [Rutas V2]
  *     security:
  *       - ApiKeyAuth: []
@@ -938,6 +952,196 @@ const configureSSE = (req, res, next) => {
  *               $ref: '#/components/schemas/ErrorRutas'
  */
 
+/**
+ * @swagger
+ * /api/v2/rutas/{id}/revision:
+ *   put:
+ *     summary: Configurar el modo revisión de lecturas de una ruta
+ *     description: |
+ *       Con `requiere_revision` las lecturas nuevas de la ruta entran como `capturada` y no se facturan
+ *       hasta que un supervisor las aprueba (`POST /api/v2/lecturas/revision`). Las lecturas ya
+ *       registradas conservan su estado.
+ *     tags: [Rutas V2]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [requiere_revision]
+ *             properties:
+ *               requiere_revision: { type: boolean, example: true }
+ *     responses:
+ *       200:
+ *         description: Configuración actualizada
+ *       400:
+ *         description: Faltan campos requeridos
+ *       404:
+ *         description: Ruta no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+/**
+ * @swagger
+ * /api/v2/rutas/incidencias/codigos:
+ *   get:
+ *     summary: Catálogo de códigos de incidencia de lectura
+ *     tags: [Rutas V2]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Códigos con su descripción
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 codigos:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       codigo: { type: string, example: "acceso_cerrado" }
+ *                       descripcion: { type: string, example: "Acceso cerrado o portón con llave" }
+ */
+
+/**
+ * @swagger
+ * /api/v2/rutas/{id}/incidencias:
+ *   post:
+ *     summary: Reportar una parada sin lectura
+ *     description: |
+ *       Registra que el lecturista visitó la parada pero no pudo leer el medidor. Una incidencia por
+ *       medidor y periodo. La parada cuenta como visitada en `GET /listar` y el periodo queda disponible
+ *       para facturarse por estimación. Si después se registra la lectura real, la incidencia se liga a ella.
+ *       El periodo debe estar dado de alta y sin cerrar; la primera incidencia lo pasa a `en_lectura`.
+ *     tags: [Rutas V2]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [medidor_id, periodo, codigo]
+ *             properties:
+ *               medidor_id: { type: integer, example: 5 }
+ *               periodo: { type: string, example: "2025-06" }
+ *               codigo:
+ *                 type: string
+ *                 enum: [acceso_cerrado, perro, medidor_danado, medidor_enterrado, medidor_ilegible, otro]
+ *               observaciones:
+ *                 type: string
+ *                 description: Obligatorio con el código otro
+ *                 example: "Nadie en casa, portón con candado"
+ *               fecha_incidencia:
+ *                 type: string
+ *                 format: date
+ *                 description: Por defecto la fecha actual
+ *     responses:
+ *       201:
+ *         description: Incidencia registrada
+ *       400:
+ *         description: Faltan campos requeridos o código inválido
+ *       404:
+ *         description: Ruta no encontrada, el medidor no es parada de la ruta o el periodo no está dado de alta
+ *       409:
+ *         description: El medidor ya tiene lectura o incidencia en el periodo, o el periodo está cerrado
+ *       500:
+ *         description: Error interno del servidor
+ *   get:
+ *     summary: Incidencias de lectura de una ruta
+ *     tags: [Rutas V2]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *       - name: periodo
+ *         in: query
+ *         schema: { type: string, example: "2025-06" }
+ *     responses:
+ *       200:
+ *         description: Incidencias (sin_lectura = las que aún no cubre ninguna lectura)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ruta_id: { type: integer }
+ *                 periodo: { type: string, nullable: true }
+ *                 total: { type: integer }
+ *                 sin_lectura: { type: integer }
+ *                 incidencias:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: integer }
+ *                       medidor_id: { type: integer }
+ *                       numero_serie: { type: string }
+ *                       periodo: { type: string }
+ *                       codigo: { type: string }
+ *                       descripcion: { type: string }
+ *                       observaciones: { type: string, nullable: true }
+ *                       fecha_incidencia: { type: string }
+ *                       lectura_id: { type: integer, nullable: true }
+ *       404:
+ *         description: Ruta no encontrada
+ *       500:
+ *         description: Error interno del servidor
+ */
+
+/**
+ * @swagger
+ * /api/v2/rutas/{id}/incidencias/{incidencia_id}:
+ *   delete:
+ *     summary: Eliminar una incidencia capturada por error
+ *     tags: [Rutas V2]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *       - name: incidencia_id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Incidencia eliminada
+ *       404:
+ *         description: Incidencia no encontrada
+ *       409:
+ *         description: La incidencia ya está ligada a una lectura o su periodo está cerrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+
 // === RUTAS V2 CON COMPATIBILIDAD V1 ===
 // Todas las rutas mantienen exactamente los mismos endpoints que V1
 // pero con arquitectura V2 mejorada (Turso + SSE)
@@ -946,5 +1150,10 @@ router.post("/crear", appKeyMiddleware, configureSSE, authMiddleware, rutasContr
 router.post("/agregar-medidor", appKeyMiddleware, configureSSE, authMiddleware, rutasController.agregarMedidorARuta);
 router.get("/:ruta_id/medidores", appKeyMiddleware, configureSSE, authMiddleware, rutasController.obtenerRutaConMedidores);
 router.get("/listar/", appKeyMiddleware, configureSSE, authMiddleware, rutasController.listarRutas);
+router.put("/:id/revision", appKeyMiddleware, configureSSE, authMiddleware, rutasController.configurarRevision);
+router.get("/incidencias/codigos", appKeyMiddleware, configureSSE, authMiddleware, rutasController.listarCodigosIncidencia);
+router.post("/:id/incidencias", appKeyMiddleware, configureSSE, authMiddleware, rutasController.registrarIncidencia);
+router.get("/:id/incidencias", appKeyMiddleware, configureSSE, authMiddleware, rutasController.listarIncidencias);
+router.delete("/:id/incidencias/:incidencia_id", appKeyMiddleware, configureSSE, authMiddleware, rutasController.eliminarIncidencia);
 
 export default router;
@@ -17,6 +17,9 @@
  * - PUT /modificar/:id: Modificar tarifa específica
  * - PUT /modificar-rangos/:id: Modificar rangos de tarifa específica
  * 
+ * Nuevas funcionalidades V2:
+ * - POST /:id/simular: Desglose por rango de un consumo sin generar factura
+ * 
  * Cambios en V2:
  * - Integración con sistema SSE para notificaciones en tiempo real
  * - Migración a controladores que usan Turso database (@libsql/client)
@@ -809,6 +812,101 @@ const configureSSE = (req, res, next) => {
  *               $ref: '#/components/schemas/ErrorTarifas'
  */
 
+/**
+ * @swagger
+ * /api/v2/tarifas/{id}/simular:
+ *   post:
+ *     summary: Simular el cobro de un consumo
+ *     description: |
+ *       Calcula el importe de un consumo con los rangos vigentes de la tarifa y devuelve
+ *       el desglose línea por línea, sin generar factura.
+ *       
+ *       Usa el mismo motor de cálculo que la facturación manual y automática, por lo que
+ *       el total coincide con el que tendría la factura.
+ *     tags: [Tarifas V2]
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: ID de la tarifa
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - consumo_m3
+ *             properties:
+ *               consumo_m3:
+ *                 type: number
+ *                 minimum: 0
+ *                 example: 15
+ *     responses:
+ *       200:
+ *         description: Desglose calculado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tarifa_id:
+ *                   type: integer
+ *                   example: 1
+ *                 tarifa_nombre:
+ *                   type: string
+ *                   example: "Tarifa Residencial 2024"
+ *                 consumo_m3:
+ *                   type: number
+ *                   example: 15.4
+ *                 consumo_facturable:
+ *                   type: integer
+ *                   description: Consumo truncado a m³ enteros
+ *                   example: 15
+ *                 conceptos:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       tipo:
+ *                         type: string
+ *                         enum: [cuota_base, rango, excedente]
+ *                       rango_id:
+ *                         type: integer
+ *                       consumo_min:
+ *                         type: integer
+ *                       consumo_max:
+ *                         type: integer
+ *                         nullable: true
+ *                       m3_cobrados:
+ *                         type: integer
+ *                       precio_por_m3:
+ *                         type: number
+ *                       subtotal:
+ *                         type: number
+ *                 total:
+ *                   type: number
+ *                   example: 90.00
+ *       400:
+ *         description: Consumo inválido o tarifa sin rangos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorTarifas'
+ *       404:
+ *         description: Tarifa no encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorTarifas'
+ */
+
 // === RUTAS V2 CON COMPATIBILIDAD V1 ===
 // Todas las rutas mantienen exactamente los mismos endpoints que V1
 // pero con arquitectura V2 mejorada (Turso + SSE)
@@ -822,4 +920,6 @@ router.get("/listarHistorico", appKeyMiddleware, configureSSE, authMiddleware, t
 router.put("/modificar/:id", appKeyMiddleware, configureSSE, authMiddleware, tarifasController.modificarTarifa);
 router.put("/modificar-rangos/:id", appKeyMiddleware, configureSSE, authMiddleware, tarifasController.modificarRangosTarifa);
 
+router.post("/:id/simular", appKeyMiddleware, configureSSE, authMiddleware, tarifasController.simularTarifa);
+
 export default router;
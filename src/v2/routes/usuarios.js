@@ -0,0 +1,365 @@
+/**
+ * Rutas para administración de usuarios - V2
+ *
+ * File: src/v2/routes/usuarios.js
+ * Version: 2.0.0
+ *
+ * Descripción:
+ * Consulta, edición, cambio de rol y baja lógica de las cuentas de usuario. Todas las
+ * acciones respetan la jerarquía de roles (superadmin > administrador > operador): un
+ * administrador solo gestiona operadores y solo asigna el rol operador; no modifica,
+ * degrada ni desactiva a otro administrador ni toca a un superadmin. El superadmin
+ * gestiona a todos.
+ *
+ * Nuevas funcionalidades V2:
+ * - POST /registrar: Alta de un usuario (mismo controlador que /auth/register)
+ * - GET /listar: Listar usuarios con su último login
+ * - GET /:id: Detalle de un usuario
+ * - PUT /modificar/:id: Corregir nombre, correo o username
+ * - PUT /:id/rol: Cambiar el rol
+ * - POST /:id/desactivar: Baja lógica; cierra las sesiones activas del usuario
+ * - POST /:id/reactivar: Volver a habilitar un usuario
+ *
+ * Dependencias de tablas:
+ * - usuarios: Cuentas y su estado (activo)
+ * - sesiones: Último login y sesiones que se cierran al desactivar
+ * - historial_cambios: Auditoría de cambios, roles, bajas y reactivaciones
+ *
+ * @author Sistema AguaVP
+ * @version 2.0.0
+ * @since 2.0.0
+ */
+
+import express from 'express';
+import authMiddleware from '../middlewares/authMiddleware.js';
+import appKeyMiddleware from '../middlewares/appKeyMiddleware.js';
+import usuariosController, { setSSEManagers } from '../controllers/usuariosController.js';
+import authController from '../controllers/authController.js';
+
+const router = express.Router();
+
+// ===================================================================
+// SSE CONFIGURATION MIDDLEWARE
+// ===================================================================
+
+// Configurar managers SSE al cargar el módulo
+let sseManagerConfigured = false;
+
+const configureSSE = (req, res, next) => {
+    if (!sseManagerConfigured && req.app) {
+        const sseManager = req.app.get('sseManager');
+        const notificationManager = req.app.get('notificationManager');
+
+        if (sseManager && notificationManager) {
+            setSSEManagers(sseManager, notificationManager);
+            sseManagerConfigured = true;
+            console.log('✅ SSE Managers configurados para usuarios V2');
+        } else {
+            console.log('⚠️ SSE Managers no encontrados en la aplicación');
+        }
+    }
+    next();
+};
+
+// ===================================================================
+// SWAGGER DOCUMENTATION
+// ===================================================================
+
+/**
+ * @swagger
+ * tags:
+ *   name: Usuarios V2
+ *   description: |
+ *     **Administración de usuarios**
+ *
+ *     Jerarquía de roles: `superadmin` > `administrador` > `operador`. Quien administra
+ *     usuarios solo actúa sobre usuarios de nivel inferior al suyo y solo asigna esos roles
+ *     (un administrador no gestiona a otro administrador); el superadmin gestiona a todos.
+ *     Si no, responde 403 con `rol` y `rol_objetivo`. Cada usuario puede corregir sus
+ *     propios datos, pero nadie puede cambiar su propio rol ni desactivarse a sí mismo.
+ *
+ *     La baja es lógica: el usuario desactivado no puede iniciar sesión y sus sesiones
+ *     activas se cierran en el momento (`motivo_cierre = usuario_desactivado`).
+ *
+ * components:
+ *   schemas:
+ *     Usuario:
+ *       type: object
+ *       properties:
+ *         id: { type: integer, example: 2 }
+ *         correo: { type: string, example: "operador@aguavp.com" }
+ *         nombre: { type: string, example: "Operador de campo" }
+ *         username: { type: string, example: "operador1" }
+ *         rol: { type: string, enum: [superadmin, administrador, operador] }
+ *         activo: { type: boolean }
+ *         fecha_creacion: { type: string }
+ *         fecha_desactivacion: { type: string, nullable: true }
+ *         ultimo_login: { type: string, nullable: true, description: "Inicio de la sesión más reciente" }
+ *         ultima_actividad: { type: string, nullable: true }
+ *         bloqueado_hasta: { type: string, nullable: true, description: "Bloqueo vigente por intentos fallidos" }
+ *         intentos_fallidos: { type: integer }
+ *         contrasena_actualizada_en: { type: string, nullable: true }
+ */
+
+/**
+ * @swagger
+ * /api/v2/usuarios/registrar:
+ *   post:
+ *     summary: Registrar usuario
+ *     description: Igual que `/auth/register`. Solo se crean usuarios de un rol inferior al propio; un superadmin también crea superadmins.
+ *     tags: [Usuarios V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [correo, contrasena, username, rol]
+ *             properties:
+ *               correo: { type: string, format: email }
+ *               nombre: { type: string }
+ *               contrasena: { type: string }
+ *               username: { type: string }
+ *               rol: { type: string, enum: [superadmin, administrador, operador] }
+ *     responses:
+ *       201:
+ *         description: Usuario registrado
+ *       400:
+ *         description: Faltan campos o rol inválido
+ *       403:
+ *         description: Sin permiso, o el rol no está por debajo del de quien registra
+ *       409:
+ *         description: Correo o username ya existe
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/registrar', appKeyMiddleware, authMiddleware, authController.registrar);
+
+/**
+ * @swagger
+ * /api/v2/usuarios/listar:
+ *   get:
+ *     summary: Listar usuarios
+ *     description: Activos primero, por username. Incluye el último login de cada usuario.
+ *     tags: [Usuarios V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: rol
+ *         in: query
+ *         schema: { type: string, enum: [superadmin, administrador, operador] }
+ *       - name: activo
+ *         in: query
+ *         schema: { type: boolean }
+ *       - name: busqueda
+ *         in: query
+ *         description: Texto a buscar en nombre, correo o username
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Lista de usuarios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 usuarios:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/Usuario' }
+ *                 total: { type: integer }
+ *       400:
+ *         description: Rol o filtro activo inválido
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/listar', appKeyMiddleware, authMiddleware, configureSSE, usuariosController.listarUsuarios);
+
+/**
+ * @swagger
+ * /api/v2/usuarios/{id}:
+ *   get:
+ *     summary: Detalle de un usuario
+ *     tags: [Usuarios V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Usuario
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/Usuario' }
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/:id', appKeyMiddleware, authMiddleware, configureSSE, usuariosController.obtenerUsuario);
+
+/**
+ * @swagger
+ * /api/v2/usuarios/modificar/{id}:
+ *   put:
+ *     summary: Modificar usuario
+ *     description: Corrige nombre, correo o username. El rol y la contraseña tienen sus propios endpoints.
+ *     tags: [Usuarios V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre: { type: string }
+ *               correo: { type: string, format: email }
+ *               username: { type: string }
+ *     responses:
+ *       200:
+ *         description: Usuario modificado (o sin cambios)
+ *       400:
+ *         description: Ningún campo enviado o campo vacío
+ *       403:
+ *         description: El usuario no está por debajo del rol de quien modifica (salvo que sea él mismo)
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: Correo o username ya existe
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/modificar/:id', appKeyMiddleware, authMiddleware, configureSSE, usuariosController.modificarUsuario);
+
+/**
+ * @swagger
+ * /api/v2/usuarios/{id}/rol:
+ *   put:
+ *     summary: Cambiar rol
+ *     description: |
+ *       El rol actual y el nuevo deben estar por debajo del rol de quien hace el cambio
+ *       (el superadmin puede asignar cualquier rol).
+ *       Aplica de inmediato a las sesiones abiertas del usuario.
+ *     tags: [Usuarios V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rol]
+ *             properties:
+ *               rol: { type: string, enum: [superadmin, administrador, operador] }
+ *     responses:
+ *       200:
+ *         description: Rol actualizado (o sin cambios)
+ *       400:
+ *         description: Rol inválido o intento de cambiar el rol propio
+ *       403:
+ *         description: El usuario o el rol nuevo no están por debajo del rol de quien hace el cambio
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.put('/:id/rol', appKeyMiddleware, authMiddleware, configureSSE, usuariosController.cambiarRol);
+
+/**
+ * @swagger
+ * /api/v2/usuarios/{id}/desactivar:
+ *   post:
+ *     summary: Desactivar usuario
+ *     description: Baja lógica. El usuario ya no puede iniciar sesión y se cierran sus sesiones activas.
+ *     tags: [Usuarios V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               motivo: { type: string, description: "Se guarda en historial_cambios" }
+ *     responses:
+ *       200:
+ *         description: Usuario desactivado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 mensaje: { type: string }
+ *                 sesiones_cerradas: { type: integer }
+ *                 usuario: { $ref: '#/components/schemas/Usuario' }
+ *       400:
+ *         description: Intento de desactivar el usuario propio
+ *       403:
+ *         description: El usuario no está por debajo del rol de quien desactiva
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: El usuario ya está desactivado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/desactivar', appKeyMiddleware, authMiddleware, configureSSE, usuariosController.desactivarUsuario);
+
+/**
+ * @swagger
+ * /api/v2/usuarios/{id}/reactivar:
+ *   post:
+ *     summary: Reactivar usuario
+ *     tags: [Usuarios V2]
+ *     security:
+ *       - bearerAuth: []
+ *       - appKey: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200:
+ *         description: Usuario reactivado
+ *       403:
+ *         description: El usuario no está por debajo del rol de quien reactiva
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: El usuario ya está activo
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/:id/reactivar', appKeyMiddleware, authMiddleware, configureSSE, usuariosController.reactivarUsuario);
+
+export default router;
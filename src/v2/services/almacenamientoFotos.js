@@ -0,0 +1,101 @@
+/**
+ * Almacenamiento de fotos de evidencia - V2
+ *
+ * File: src/v2/services/almacenamientoFotos.js
+ *
+ * Descripción: Backend intercambiable donde se guardan los archivos de las fotos.
+ * Por defecto se usa el disco local; otro backend (S3, almacenamiento en la nube, ...)
+ * se registra con registrarBackendFotos y se elige con FOTOS_ALMACENAMIENTO.
+ * Cada foto guarda el nombre del backend con el que se subió, así que cambiar de
+ * backend no rompe las fotos anteriores mientras el anterior siga registrado.
+ *
+ * Un backend implementa:
+ * - guardar(clave, buffer, contentType): Promise<void>
+ * - leer(clave): Promise<Buffer|null> (null si el archivo no existe)
+ * - eliminar(clave): Promise<void>
+ *
+ * Configuración (.env):
+ * - FOTOS_ALMACENAMIENTO: backend para las fotos nuevas (por defecto 'local')
+ * - FOTOS_DIRECTORIO: carpeta del backend local (por defecto 'uploads/fotos')
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const METODOS_BACKEND = ['guardar', 'leer', 'eliminar'];
+
+const backends = new Map();
+
+const directorioLocal = () => path.resolve(process.env.FOTOS_DIRECTORIO || 'uploads/fotos');
+
+/**
+ * Ruta en disco de una clave; no se permite salir del directorio configurado
+ */
+const rutaLocal = (clave) => {
+    const base = directorioLocal();
+    const destino = path.resolve(base, clave);
+
+    if (!destino.startsWith(base + path.sep)) {
+        throw new Error(`Clave de archivo inválida: ${clave}`);
+    }
+
+    return destino;
+};
+
+const almacenamientoLocal = {
+    async guardar(clave, buffer) {
+        const destino = rutaLocal(clave);
+        await fs.mkdir(path.dirname(destino), { recursive: true });
+        await fs.writeFile(destino, buffer);
+    },
+
+    async leer(clave) {
+        try {
+            return await fs.readFile(rutaLocal(clave));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    },
+
+    async eliminar(clave) {
+        await fs.rm(rutaLocal(clave), { force: true });
+    }
+};
+
+backends.set('local', almacenamientoLocal);
+
+/**
+ * Registra un backend de almacenamiento adicional
+ * @param {string} nombre - Valor para FOTOS_ALMACENAMIENTO
+ * @param {Object} backend - Objeto con guardar, leer y eliminar
+ */
+export const registrarBackendFotos = (nombre, backend) => {
+    const faltantes = METODOS_BACKEND.filter(metodo => typeof backend?.[metodo] !== 'function');
+
+    if (faltantes.length > 0) {
+        throw new Error(`El backend de fotos '${nombre}' no implementa: ${faltantes.join(', ')}`);
+    }
+
+    backends.set(nombre, backend);
+};
+
+/**
+ * Backend de almacenamiento por nombre (por defecto el configurado para fotos nuevas)
+ * @param {string} [nombre]
+ * @returns {{nombre: string, backend: Object}}
+ */
+export const obtenerAlmacenamiento = (nombre = process.env.FOTOS_ALMACENAMIENTO || 'local') => {
+    const backend = backends.get(nombre);
+
+    if (!backend) {
+        throw new Error(`Backend de fotos no registrado: ${nombre}`);
+    }
+
+    return { nombre, backend };
+};
+
+export default {
+    registrarBackendFotos,
+    obtenerAlmacenamiento
+};
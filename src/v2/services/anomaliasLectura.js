@@ -0,0 +1,140 @@
+/**
+ * Detección de consumos anómalos - V2
+ *
+ * File: src/v2/services/anomaliasLectura.js
+ *
+ * Descripción: Compara el consumo de una lectura nueva contra el historial del
+ * medidor (promedio de los últimos periodos y periodo anterior). Las lecturas
+ * anómalas se retienen para revisión del supervisor antes de facturarse.
+ *
+ * Anomalías:
+ * - consumo_negativo: consumo menor a cero (capturado a mano)
+ * - consumo_cero: consumo cero en un medidor que venía registrando consumo
+ * - consumo_alto: supera tanto al promedio como al periodo anterior por más del
+ *   porcentaje configurado y por al menos la diferencia mínima en m³
+ *
+ * Configuración (.env):
+ * - ANOMALIA_VARIACION_PCT: porcentaje de aumento que se considera pico (por defecto 50)
+ * - ANOMALIA_DIFERENCIA_MIN_M3: aumento mínimo en m³ para considerarlo pico (por defecto 5)
+ * - ANOMALIA_PERIODOS_HISTORIAL: periodos anteriores para el promedio (por defecto 6)
+ */
+
+import dbTurso from '../../database/db-turso.js';
+
+export const TIPOS_ANOMALIA = ['consumo_cero', 'consumo_negativo', 'consumo_alto'];
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Lee los umbrales de detección desde el entorno
+ * @returns {{variacion_pct: number, diferencia_min_m3: number, periodos_historial: number}}
+ */
+export const obtenerUmbralesAnomalia = () => {
+    const variacion = parseFloat(process.env.ANOMALIA_VARIACION_PCT);
+    const diferencia = parseFloat(process.env.ANOMALIA_DIFERENCIA_MIN_M3);
+    const periodos = parseInt(process.env.ANOMALIA_PERIODOS_HISTORIAL, 10);
+
+    return {
+        variacion_pct: variacion > 0 ? variacion : 50,
+        diferencia_min_m3: diferencia >= 0 ? diferencia : 5,
+        periodos_historial: periodos > 0 ? periodos : 6
+    };
+};
+
+/**
+ * Porcentaje de variación de un consumo contra una referencia
+ */
+const variacionPct = (consumo, referencia) =>
+    referencia > 0 ? redondear((consumo - referencia) / referencia * 100) : null;
+
+/**
+ * Reglas de anomalía sobre un consumo y el historial del medidor (función pura, sin base de datos)
+ * @param {number} consumo_m3
+ * @param {Array<number>} historial - Consumos anteriores, del más reciente al más antiguo
+ * @param {Object} [umbrales] - Por defecto los de obtenerUmbralesAnomalia
+ * @returns {Object} - { anomalia, mensaje, detalle }; anomalia es null si el consumo es normal
+ */
+export const clasificarConsumo = (consumo_m3, historial, umbrales = obtenerUmbralesAnomalia()) => {
+    const consumo = Number(consumo_m3);
+    const consumo_anterior = historial.length > 0 ? historial[0] : null;
+    const consumo_promedio = historial.length > 0
+        ? redondear(historial.reduce((sum, c) => sum + c, 0) / historial.length)
+        : null;
+
+    const detalle = {
+        consumo_m3: consumo,
+        consumo_anterior,
+        consumo_promedio,
+        periodos_historial: historial.length,
+        variacion_anterior: consumo_anterior != null ? variacionPct(consumo, consumo_anterior) : null,
+        variacion_promedio: consumo_promedio != null ? variacionPct(consumo, consumo_promedio) : null,
+        umbral_variacion_pct: umbrales.variacion_pct
+    };
+
+    if (consumo < 0) {
+        return { anomalia: 'consumo_negativo', mensaje: `Consumo negativo (${consumo} m³)`, detalle };
+    }
+
+    if (consumo === 0 && (consumo_anterior > 0 || consumo_promedio > 0)) {
+        return {
+            anomalia: 'consumo_cero',
+            mensaje: `Consumo cero; el medidor promedia ${consumo_promedio} m³`,
+            detalle
+        };
+    }
+
+    if (consumo_promedio != null) {
+        const excede = (referencia) =>
+            consumo > referencia * (1 + umbrales.variacion_pct / 100) &&
+            consumo - referencia >= umbrales.diferencia_min_m3;
+
+        if (excede(consumo_promedio) && excede(consumo_anterior)) {
+            return {
+                anomalia: 'consumo_alto',
+                mensaje: `Consumo de ${consumo} m³ contra un promedio de ${consumo_promedio} m³ (${detalle.variacion_promedio != null ? `+${detalle.variacion_promedio}%` : 'sin consumo previo'})`,
+                detalle
+            };
+        }
+    }
+
+    return { anomalia: null, mensaje: null, detalle };
+};
+
+/**
+ * Evalúa el consumo de una lectura contra el historial del medidor
+ * @param {Object} params
+ * @param {number} params.medidor_id
+ * @param {string} [params.periodo]
+ * @param {string} params.fecha_lectura
+ * @param {number} params.consumo_m3
+ * @param {number} [params.excluir_id] - Lectura a ignorar (al modificarla)
+ * @returns {Promise<Object>} - { anomalia, mensaje, detalle }; anomalia es null si el consumo es normal
+ */
+export const evaluarConsumo = async ({ medidor_id, periodo, fecha_lectura, consumo_m3, excluir_id = null }) => {
+    const umbrales = obtenerUmbralesAnomalia();
+
+    // Historial del medidor; las lecturas retenidas o rechazadas en revisión no cuentan
+    const historialResult = await dbTurso.execute({
+        sql: `
+            SELECT consumo_m3
+            FROM lecturas
+            WHERE medidor_id = ? AND id != COALESCE(?, -1)
+              AND estado_revision IN ('no_requerida', 'capturada', 'aprobada')
+              AND ${periodo ? 'periodo < ?' : 'fecha_lectura < ?'}
+            ORDER BY periodo DESC, fecha_lectura DESC, id DESC
+            LIMIT ?
+        `,
+        args: [medidor_id, excluir_id, periodo || fecha_lectura, umbrales.periodos_historial]
+    });
+
+    const historial = historialResult.rows.map(row => Number(row.consumo_m3));
+
+    return clasificarConsumo(consumo_m3, historial, umbrales);
+};
+
+export default {
+    TIPOS_ANOMALIA,
+    obtenerUmbralesAnomalia,
+    clasificarConsumo,
+    evaluarConsumo
+};
@@ -0,0 +1,244 @@
+/**
+ * Consulta de facturas - V2
+ *
+ * File: src/v2/services/consultaFacturas.js
+ *
+ * Descripción: Consulta completa de facturas usada por el listado de
+ * facturasController y por los documentos imprimibles (factura y recibo).
+ * Incluye mes facturado, comparativo contra el mes anterior, adeudo anterior,
+ * medidor, ruta, conceptos cobrados y notas de crédito/débito.
+ * Las facturas estimadas (sin lectura) toman periodo, medidor y consumo de su estimación.
+ */
+
+import dbTurso from '../../database/db-turso.js';
+import { obtenerDetallesFacturas } from './facturaDetalles.js';
+import { obtenerNotasFacturas } from './notasFactura.js';
+import { obtenerEstimacionesFacturas } from './estimacionConsumo.js';
+
+// Consulta optimizada con CTEs y JOINs eficientes adaptada para Turso
+const FACTURAS_BASE_QUERY = `
+    WITH 
+    -- CTE para calcular periodo anterior de forma eficiente
+    periodos_calculados AS (
+        SELECT 
+            l.id as lectura_id,
+            l.periodo,
+            CASE 
+                WHEN l.periodo LIKE '____-__' THEN
+                    CASE 
+                        WHEN SUBSTR(l.periodo, 6, 2) = '01' THEN 
+                            (CAST(SUBSTR(l.periodo, 1, 4) AS INTEGER) - 1) || '-12'
+                        ELSE 
+                            SUBSTR(l.periodo, 1, 4) || '-' || 
+                            PRINTF('%02d', CAST(SUBSTR(l.periodo, 6, 2) AS INTEGER) - 1)
+                    END
+                ELSE NULL
+            END AS periodo_anterior
+        FROM lecturas l
+    ),
+    -- CTE para datos del mes anterior
+    consumos_anteriores AS (
+        SELECT 
+            l.medidor_id,
+            l.periodo,
+            l.consumo_m3,
+            l.fecha_lectura,
+            pc.periodo_anterior
+        FROM lecturas l
+        JOIN periodos_calculados pc ON l.id = pc.lectura_id
+    ),
+    -- CTE para adeudos anteriores
+    adeudos_anteriores AS (
+        SELECT 
+            f.cliente_id,
+            f.fecha_emision,
+            f.id as factura_id,
+            COALESCE(SUM(f2.saldo_pendiente), 0) AS total_adeudo
+        FROM facturas f
+        LEFT JOIN facturas f2 ON f2.cliente_id = f.cliente_id 
+                              AND f2.id != f.id 
+                              AND f2.fecha_emision < f.fecha_emision 
+                              AND f2.saldo_pendiente > 0
+        GROUP BY f.cliente_id, f.fecha_emision, f.id
+    )
+    SELECT 
+        f.id,
+        f.cliente_id,
+        f.lectura_id,
+        f.tarifa_id,
+        f.fecha_emision,
+        f.fecha_vencimiento,
+        f.total,
+        f.saldo_pendiente,
+        f.estado,
+        f.estimada,
+        f.modificado_por,
+        f.fecha_creacion,
+
+        -- Información del cliente
+        c.nombre AS cliente_nombre,
+        c.direccion AS direccion_cliente,
+        c.telefono AS telefono_cliente,
+
+        -- Información de la tarifa
+        t.nombre AS tarifa_nombre,
+
+        -- Información del usuario
+        u.username AS modificado_por_nombre,
+
+        -- Información de la lectura actual (o de la estimación si se facturó sin lectura)
+        COALESCE(l.consumo_m3, e.consumo_real, e.consumo_estimado) AS consumo_m3,
+        COALESCE(l.periodo, e.periodo) AS periodo,
+        l.fecha_lectura,
+
+        -- Mes facturado optimizado
+        CASE 
+            WHEN COALESCE(l.periodo, e.periodo) LIKE '____-__' THEN 
+                CASE SUBSTR(COALESCE(l.periodo, e.periodo), 6, 2)
+                    WHEN '01' THEN 'Enero'   WHEN '02' THEN 'Febrero'
+                    WHEN '03' THEN 'Marzo'   WHEN '04' THEN 'Abril'
+                    WHEN '05' THEN 'Mayo'    WHEN '06' THEN 'Junio'
+                    WHEN '07' THEN 'Julio'   WHEN '08' THEN 'Agosto'
+                    WHEN '09' THEN 'Septiembre' WHEN '10' THEN 'Octubre'
+                    WHEN '11' THEN 'Noviembre'  WHEN '12' THEN 'Diciembre'
+                    ELSE COALESCE(l.periodo, e.periodo)
+                END || ' ' || SUBSTR(COALESCE(l.periodo, e.periodo), 1, 4)
+            ELSE COALESCE(l.periodo, e.periodo)
+        END AS mes_facturado,
+
+        -- Información del medidor
+        m.id AS medidor_id,
+        m.numero_serie AS medidor_numero_serie,
+        m.ubicacion AS medidor_ubicacion,
+
+        -- Información de la ruta
+        r.id AS ruta_id,
+        r.nombre AS ruta_nombre,
+
+        -- Costo por m3 desde la tarifa activa
+        rt.precio_por_m3 AS costo_por_m3,
+
+        -- Adeudo anterior desde CTE
+        aa.total_adeudo AS adeudo_anterior,
+
+        -- Información del consumo anterior desde CTE
+        ca_anterior.consumo_m3 AS consumo_mes_anterior,
+        pc.periodo_anterior AS periodo_mes_anterior,
+        ca_anterior.fecha_lectura AS fecha_lectura_mes_anterior
+
+    FROM facturas f
+    JOIN clientes c ON f.cliente_id = c.id
+    JOIN tarifas t ON f.tarifa_id = t.id
+    JOIN usuarios u ON f.modificado_por = u.id
+    LEFT JOIN lecturas l ON f.lectura_id = l.id
+    LEFT JOIN estimaciones_consumo e ON e.factura_id = f.id
+    JOIN medidores m ON m.id = COALESCE(l.medidor_id, e.medidor_id)
+    LEFT JOIN rutas r ON l.ruta_id = r.id
+    LEFT JOIN periodos_calculados pc ON l.id = pc.lectura_id
+    LEFT JOIN consumos_anteriores ca_anterior ON ca_anterior.medidor_id = m.id 
+                                              AND ca_anterior.periodo = pc.periodo_anterior
+    LEFT JOIN adeudos_anteriores aa ON aa.factura_id = f.id
+    LEFT JOIN rangos_tarifas rt ON rt.tarifa_id = f.tarifa_id 
+                                AND CAST(COALESCE(l.consumo_m3, e.consumo_real, e.consumo_estimado) AS INTEGER) >= rt.consumo_min 
+                                AND (rt.consumo_max IS NULL OR CAST(COALESCE(l.consumo_m3, e.consumo_real, e.consumo_estimado) AS INTEGER) <= rt.consumo_max)
+`;
+
+/**
+ * Formatea una fila de la consulta base
+ */
+const formatearFactura = (factura, detallesPorFactura, notasPorFactura, estimacionesPorFactura) => {
+    const {
+        id, cliente_id, cliente_nombre, direccion_cliente, telefono_cliente,
+        lectura_id, consumo_m3, costo_por_m3, total, saldo_pendiente, estado, estimada,
+        fecha_emision, fecha_vencimiento, modificado_por, modificado_por_nombre,
+        fecha_creacion, tarifa_id, tarifa_nombre, periodo, mes_facturado,
+        fecha_lectura, medidor_id, medidor_numero_serie, medidor_ubicacion,
+        ruta_id, ruta_nombre, adeudo_anterior, consumo_mes_anterior,
+        periodo_mes_anterior, fecha_lectura_mes_anterior
+    } = factura;
+
+    return {
+        id: Number(id), 
+        cliente_id: Number(cliente_id), 
+        cliente_nombre, 
+        direccion_cliente, 
+        telefono_cliente,
+        lectura_id: lectura_id != null ? Number(lectura_id) : null, 
+        consumo_m3: Number(consumo_m3), 
+        costo_por_m3: costo_por_m3 ? Number(costo_por_m3) : 0,
+        total: Number(total), 
+        saldo_pendiente: Number(saldo_pendiente), 
+        estado, 
+        estimada: Boolean(Number(estimada)),
+        estimacion: estimacionesPorFactura.get(Number(id)) || null,
+        fecha_emision, 
+        fecha_vencimiento,
+        modificado_por: Number(modificado_por), 
+        modificado_por_nombre, 
+        fecha_creacion,
+        tarifa_id: Number(tarifa_id), 
+        tarifa_nombre, 
+        periodo, 
+        mes_facturado, 
+        fecha_lectura,
+        medidor: {
+            id: medidor_id ? Number(medidor_id) : null,
+            numero_serie: medidor_numero_serie,
+            ubicacion: medidor_ubicacion
+        },
+        ruta: ruta_id ? { id: Number(ruta_id), nombre: ruta_nombre } : null,
+        adeudo_anterior: adeudo_anterior ? Number(adeudo_anterior) : 0,
+        consumo_mes_anterior: {
+            consumo_m3: consumo_mes_anterior ? Number(consumo_mes_anterior) : null,
+            periodo: periodo_mes_anterior || null,
+            fecha_lectura: fecha_lectura_mes_anterior || null,
+            diferencia_consumo: consumo_mes_anterior ? 
+                (Number(consumo_m3) - Number(consumo_mes_anterior)) : null
+        },
+        conceptos: detallesPorFactura.get(Number(id)) || [],
+        notas: notasPorFactura.get(Number(id)) || []
+    };
+};
+
+/**
+ * Obtiene facturas formateadas por id, por periodo o las más recientes
+ * @param {Object} [filtros]
+ * @param {number|string} [filtros.id] - ID de una factura
+ * @param {string} [filtros.periodo] - Periodo YYYY-MM
+ * @returns {Promise<Array<Object>>} - Facturas formateadas (vacío si no hay coincidencias)
+ */
+export const consultarFacturas = async ({ id = null, periodo = null } = {}) => {
+    // Construir WHERE y ORDER clauses de forma eficiente
+    let whereClause = '';
+    let queryParams = [];
+
+    if (id) {
+        whereClause = 'WHERE f.id = ?';
+        queryParams.push(id);
+    } else if (periodo) {
+        whereClause = 'WHERE COALESCE(l.periodo, e.periodo) = ?';
+        queryParams.push(periodo);
+    }
+
+    // Usar ORDER BY solo cuando sea necesario
+    const orderClause = id ? '' : 'ORDER BY f.fecha_emision DESC';
+
+    // Agregar LIMIT para consultas grandes (opcional)
+    const limitClause = (!id && !periodo) ? 'LIMIT 1000' : '';
+
+    const query = `${FACTURAS_BASE_QUERY} ${whereClause} ${orderClause} ${limitClause}`;
+
+    const result = await dbTurso.execute({ sql: query, args: queryParams });
+
+    // Conceptos guardados al emitir cada factura
+    const facturaIds = result.rows.map(row => Number(row.id));
+    const detallesPorFactura = await obtenerDetallesFacturas(facturaIds);
+    const notasPorFactura = await obtenerNotasFacturas(facturaIds);
+    const estimacionesPorFactura = await obtenerEstimacionesFacturas(facturaIds);
+
+    return result.rows.map(row => formatearFactura(row, detallesPorFactura, notasPorFactura, estimacionesPorFactura));
+};
+
+export default {
+    consultarFacturas
+};
@@ -0,0 +1,229 @@
+/**
+ * Consumo a partir del registro del medidor - V2
+ *
+ * File: src/v2/services/consumoLecturas.js
+ *
+ * Descripción: El lecturista captura el valor del registro (lectura_actual) y el
+ * consumo se deriva contra la lectura del periodo anterior del mismo medidor.
+ *
+ * Casos:
+ * - diferencia: lectura_actual - lectura_anterior
+ * - vuelta: el registro pasó por cero; requiere conocer los dígitos del medidor
+ *   (capacidad 10^digitos) para sumar lo que faltaba hasta dar la vuelta
+ * - cambio_medidor: entre ambas lecturas se reemplazó el medidor; se suma lo que
+ *   marcó el medidor retirado hasta su lectura de retiro más lo que lleva el
+ *   nuevo desde su lectura inicial
+ * - manual: lecturas capturadas solo con consumo_m3 (clientes V1)
+ *
+ * La primera lectura de un medidor se compara contra su lectura_inicial.
+ */
+
+import dbTurso from '../../database/db-turso.js';
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Diferencia entre dos valores del registro, contemplando la vuelta a cero
+ * @returns {Object} - { success, consumo, vuelta } o { success: false, error }
+ */
+const diferenciaRegistro = (desde, hasta, digitos) => {
+    if (hasta >= desde) {
+        return { success: true, consumo: redondear(hasta - desde), vuelta: false };
+    }
+
+    if (!digitos) {
+        return {
+            success: false,
+            error: `La lectura ${hasta} es menor que la anterior (${desde}). Si el medidor dio la vuelta registre sus dígitos; si se reemplazó registre el cambio de medidor`
+        };
+    }
+
+    return { success: true, consumo: redondear(10 ** digitos - desde + hasta), vuelta: true };
+};
+
+/**
+ * Calcula el consumo entre dos lecturas del registro
+ * @param {Object} params
+ * @param {number} params.lectura_anterior - Valor del registro en la lectura anterior
+ * @param {number} params.lectura_actual - Valor del registro capturado
+ * @param {number} [params.digitos] - Dígitos del registro vigente
+ * @param {Object} [params.cambio] - Cambio de medidor entre ambas lecturas
+ * @returns {Object} - { success, consumo_m3, calculo_consumo } o { success: false, error }
+ */
+export const calcularConsumo = ({ lectura_anterior, lectura_actual, digitos = null, cambio = null }) => {
+    if (cambio) {
+        const retirado = diferenciaRegistro(lectura_anterior, cambio.lectura_retiro, cambio.digitos_anterior);
+        if (!retirado.success) return retirado;
+
+        const nuevo = diferenciaRegistro(cambio.lectura_inicial, lectura_actual, digitos);
+        if (!nuevo.success) return nuevo;
+
+        return {
+            success: true,
+            consumo_m3: redondear(retirado.consumo + nuevo.consumo),
+            calculo_consumo: 'cambio_medidor'
+        };
+    }
+
+    const resultado = diferenciaRegistro(lectura_anterior, lectura_actual, digitos);
+    if (!resultado.success) return resultado;
+
+    return {
+        success: true,
+        consumo_m3: resultado.consumo,
+        calculo_consumo: resultado.vuelta ? 'vuelta' : 'diferencia'
+    };
+};
+
+/**
+ * Lectura inmediata anterior de un medidor (por periodo o, sin periodo, por fecha)
+ * @param {Object} params
+ * @param {number} params.medidor_id
+ * @param {string} [params.periodo]
+ * @param {string} params.fecha_lectura
+ * @param {number} [params.excluir_id] - Lectura a ignorar (al modificarla)
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object|null>}
+ */
+export const obtenerLecturaAnterior = async ({ medidor_id, periodo, fecha_lectura, excluir_id = null, db = dbTurso }) => {
+    const result = await db.execute({
+        sql: `
+            SELECT id, periodo, fecha_lectura, lectura_actual
+            FROM lecturas
+            WHERE medidor_id = ? AND id != COALESCE(?, -1)
+              AND ${periodo ? 'periodo < ?' : 'fecha_lectura < ?'}
+            ORDER BY periodo DESC, fecha_lectura DESC, id DESC
+            LIMIT 1
+        `,
+        args: [medidor_id, excluir_id, periodo || fecha_lectura]
+    });
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Lectura inmediata posterior de un medidor; su consumo depende de la lectura indicada
+ * @param {Object} params
+ * @param {number} params.medidor_id
+ * @param {string} [params.periodo]
+ * @param {string} params.fecha_lectura
+ * @param {number} params.excluir_id - Lectura de referencia
+ * @returns {Promise<Object|null>} - Incluye factura_id si ya se facturó
+ */
+export const obtenerLecturaSiguiente = async ({ medidor_id, periodo, fecha_lectura, excluir_id }) => {
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT l.id, l.periodo, l.fecha_lectura, l.lectura_actual, f.id AS factura_id
+            FROM lecturas l
+            LEFT JOIN facturas f ON f.lectura_id = l.id AND f.estado != 'Cancelada'
+            WHERE l.medidor_id = ? AND l.id != ?
+              AND ${periodo ? 'l.periodo > ?' : 'l.fecha_lectura > ?'}
+            ORDER BY l.periodo ASC, l.fecha_lectura ASC, l.id ASC
+            LIMIT 1
+        `,
+        args: [medidor_id, excluir_id, periodo || fecha_lectura]
+    });
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Deriva el consumo de una lectura de registro contra la lectura anterior del medidor
+ * @param {Object} params
+ * @param {number} params.medidor_id
+ * @param {string} [params.periodo]
+ * @param {string} params.fecha_lectura
+ * @param {number} params.lectura_actual - Valor del registro capturado
+ * @param {number} [params.lectura_anterior] - Base explícita (cuando la lectura anterior no tiene registro)
+ * @param {number} [params.excluir_id] - Lectura a ignorar (al modificarla)
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { success, consumo_m3, lectura_anterior, calculo_consumo } o { success: false, error }
+ */
+export const derivarConsumo = async ({
+    medidor_id, periodo, fecha_lectura, lectura_actual, lectura_anterior = null, excluir_id = null, db = dbTurso
+}) => {
+    const medidorResult = await db.execute({
+        sql: `SELECT id, lectura_inicial, digitos FROM medidores WHERE id = ?`,
+        args: [medidor_id]
+    });
+
+    if (medidorResult.rows.length === 0) {
+        return { success: false, error: 'Medidor no encontrado' };
+    }
+
+    const medidor = medidorResult.rows[0];
+
+    // Si la lectura es anterior a un cambio de medidor, rigen los dígitos del medidor retirado
+    const posteriorResult = await db.execute({
+        sql: `
+            SELECT digitos_anterior FROM medidor_cambios
+            WHERE medidor_id = ? AND fecha_cambio > ?
+            ORDER BY fecha_cambio ASC, id ASC
+            LIMIT 1
+        `,
+        args: [medidor_id, fecha_lectura]
+    });
+
+    const digitosVigentes = posteriorResult.rows.length > 0
+        ? posteriorResult.rows[0].digitos_anterior
+        : medidor.digitos;
+    const digitos = digitosVigentes != null ? Number(digitosVigentes) : null;
+    const actual = Number(lectura_actual);
+
+    if (digitos && actual >= 10 ** digitos) {
+        return { success: false, error: `La lectura excede la capacidad del registro (${digitos} dígitos)` };
+    }
+
+    // Base explícita: se compara directo contra el registro vigente
+    if (lectura_anterior != null) {
+        const resultado = calcularConsumo({ lectura_anterior: Number(lectura_anterior), lectura_actual: actual, digitos });
+        return resultado.success ? { ...resultado, lectura_anterior: redondear(lectura_anterior) } : resultado;
+    }
+
+    const anterior = await obtenerLecturaAnterior({ medidor_id, periodo, fecha_lectura, excluir_id, db });
+
+    if (!anterior) {
+        const base = Number(medidor.lectura_inicial || 0);
+        const resultado = calcularConsumo({ lectura_anterior: base, lectura_actual: actual, digitos });
+        return resultado.success ? { ...resultado, lectura_anterior: redondear(base) } : resultado;
+    }
+
+    if (anterior.lectura_actual == null) {
+        return {
+            success: false,
+            error: `La lectura anterior (periodo ${anterior.periodo || anterior.fecha_lectura}) se capturó solo con consumo; envíe lectura_anterior con el valor del registro`
+        };
+    }
+
+    const base = Number(anterior.lectura_actual);
+
+    // Cambio de medidor entre la lectura anterior y esta
+    const cambioResult = await db.execute({
+        sql: `
+            SELECT lectura_retiro, lectura_inicial, digitos_anterior
+            FROM medidor_cambios
+            WHERE medidor_id = ? AND fecha_cambio >= ? AND fecha_cambio <= ?
+            ORDER BY fecha_cambio DESC, id DESC
+            LIMIT 1
+        `,
+        args: [medidor_id, anterior.fecha_lectura, fecha_lectura]
+    });
+
+    const cambio = cambioResult.rows[0]
+        ? {
+            lectura_retiro: Number(cambioResult.rows[0].lectura_retiro),
+            lectura_inicial: Number(cambioResult.rows[0].lectura_inicial),
+            digitos_anterior: cambioResult.rows[0].digitos_anterior != null ? Number(cambioResult.rows[0].digitos_anterior) : null
+        }
+        : null;
+
+    const resultado = calcularConsumo({ lectura_anterior: base, lectura_actual: actual, digitos, cambio });
+    return resultado.success ? { ...resultado, lectura_anterior: redondear(base) } : resultado;
+};
+
+export default {
+    calcularConsumo,
+    obtenerLecturaAnterior,
+    obtenerLecturaSiguiente,
+    derivarConsumo
+};
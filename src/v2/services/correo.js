@@ -0,0 +1,96 @@
+/**
+ * Envío de correos - V2
+ *
+ * File: src/v2/services/correo.js
+ *
+ * Descripción: Transporte intercambiable para los correos que envía la API
+ * (por ahora, los enlaces para restablecer la contraseña). Vienen incluidos un
+ * transporte que escribe cada correo como archivo y uno de consola; otro transporte
+ * (SMTP, un proveedor externo, ...) se registra con registrarTransporteCorreo y se
+ * elige con CORREO_TRANSPORTE.
+ *
+ * El de consola imprime el correo completo, con el token de restablecimiento en claro,
+ * en los logs: solo sirve para desarrollo y se rechaza con NODE_ENV=production.
+ *
+ * Un transporte implementa:
+ * - enviar({ de, para, asunto, texto }): Promise<void>
+ *
+ * Configuración (.env):
+ * - CORREO_TRANSPORTE: transporte a usar (por defecto 'archivo')
+ * - CORREO_REMITENTE: dirección del remitente (por defecto 'no-responder@aguavp.local')
+ * - CORREO_DIRECTORIO: carpeta del transporte 'archivo' (por defecto 'uploads/correos')
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const transportes = new Map();
+
+const transporteConsola = {
+    async enviar({ de, para, asunto, texto }) {
+        console.log(`📧 Correo para ${para} (de ${de})\n   Asunto: ${asunto}\n${texto}`);
+    }
+};
+
+const transporteArchivo = {
+    async enviar({ de, para, asunto, texto }) {
+        const directorio = path.resolve(process.env.CORREO_DIRECTORIO || 'uploads/correos');
+        const destinatario = para.replace(/[^a-zA-Z0-9@._-]/g, '_');
+        const archivo = path.join(directorio, `${Date.now()}-${crypto.randomBytes(3).toString('hex')}-${destinatario}.txt`);
+
+        await fs.mkdir(directorio, { recursive: true });
+        await fs.writeFile(archivo, `De: ${de}\nPara: ${para}\nAsunto: ${asunto}\n\n${texto}\n`);
+    }
+};
+
+transportes.set('consola', transporteConsola);
+transportes.set('archivo', transporteArchivo);
+
+/**
+ * Registra un transporte de correo adicional
+ * @param {string} nombre - Valor para CORREO_TRANSPORTE
+ * @param {Object} transporte - Objeto con enviar
+ */
+export const registrarTransporteCorreo = (nombre, transporte) => {
+    if (typeof transporte?.enviar !== 'function') {
+        throw new Error(`El transporte de correo '${nombre}' no implementa: enviar`);
+    }
+
+    transportes.set(nombre, transporte);
+};
+
+/**
+ * Envía un correo con el transporte configurado
+ * @param {Object} correo
+ * @param {string} correo.para - Dirección del destinatario
+ * @param {string} correo.asunto
+ * @param {string} correo.texto - Cuerpo en texto plano
+ * @returns {Promise<{transporte: string}>}
+ */
+export const enviarCorreo = async ({ para, asunto, texto }) => {
+    const nombre = process.env.CORREO_TRANSPORTE || 'archivo';
+    const transporte = transportes.get(nombre);
+
+    if (!transporte) {
+        throw new Error(`Transporte de correo no registrado: ${nombre}`);
+    }
+
+    if (nombre === 'consola' && process.env.NODE_ENV === 'production') {
+        throw new Error("El transporte de correo 'consola' no se permite con NODE_ENV=production");
+    }
+
+    await transporte.enviar({
+        de: process.env.CORREO_REMITENTE || 'no-responder@aguavp.local',
+        para,
+        asunto,
+        texto
+    });
+
+    return { transporte: nombre };
+};
+
+export default {
+    registrarTransporteCorreo,
+    enviarCorreo
+};
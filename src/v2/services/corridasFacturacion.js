@@ -0,0 +1,738 @@
+/**
+ * Corridas de facturación - V2
+ *
+ * File: src/v2/services/corridasFacturacion.js
+ *
+ * Descripción: La facturación mensual de un periodo se hace en dos fases.
+ * - Vista previa (crearVistaPrevia): calcula cada factura del periodo sin emitirla (lecturas
+ *   sin factura, lecturas de periodos ya estimados y medidores sin lectura por estimar) y guarda
+ *   los importes, los errores y los totales por ruta y por tarifa. Una vista previa nueva
+ *   descarta la anterior del mismo periodo.
+ * - Aplicación (aplicarCorrida): dentro de una sola transacción vuelve a calcular el periodo;
+ *   si algo cambió desde la vista previa la corrida se descarta y hay que generar otra. Si no,
+ *   emite todas las facturas; cualquier error revierte la corrida completa.
+ *
+ * Estados: vista_previa → aplicando → aplicada | fallida. Una corrida fallida se puede volver a
+ * aplicar; las vistas previas y las fallidas se pueden descartar.
+ *
+ * Los items con error (lecturas sin revisar, clientes sin tarifa...) no se facturan y quedan
+ * para la siguiente corrida del periodo.
+ *
+ * SSE: evento 'corrida_facturacion' con el avance de cada fase y los cambios de estado.
+ */
+
+import dbTurso, { withTransaction } from '../../database/db-turso.js';
+import { calcularTarifa } from './tarifaEngine.js';
+import { facturarLectura } from './facturacionLectura.js';
+import { estimarConsumo, obtenerMedidoresSinLectura, generarFacturaEstimada } from './estimacionConsumo.js';
+import { validarPeriodoEditable, avanzarPeriodo } from './periodosFacturacion.js';
+
+export const ESTADOS_CORRIDA = ['vista_previa', 'aplicando', 'aplicada', 'fallida', 'descartada'];
+
+// Estados de revisión de las lecturas que se facturan
+const ESTADOS_FACTURABLES = ['no_requerida', 'aprobada'];
+
+// Cada cuántos items se notifica el avance por SSE
+const PROGRESO_CADA = 25;
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Emite el evento SSE de la corrida sin interrumpir el proceso si falla
+ */
+const notificar = (notificationManager, datos) => {
+    if (!notificationManager) return;
+
+    try {
+        notificationManager.corridaFacturacion(datos);
+    } catch (sseError) {
+        console.warn('Error enviando notificación SSE de corrida de facturación:', sseError);
+    }
+};
+
+/**
+ * Formatea una fila de corridas_facturacion
+ */
+export const formatearCorrida = (row) => ({
+    id: Number(row.id),
+    periodo: row.periodo,
+    fecha_emision: row.fecha_emision,
+    estimar: Boolean(Number(row.estimar)),
+    origen: row.origen,
+    estado: row.estado,
+    totales: {
+        facturas: Number(row.total_facturas),
+        estimadas: Number(row.total_estimadas),
+        conciliaciones: Number(row.total_conciliaciones),
+        errores: Number(row.total_errores),
+        consumo_m3: Number(row.consumo_total),
+        importe: Number(row.importe_total)
+    },
+    resumen: row.resumen ? JSON.parse(row.resumen) : null,
+    error: row.error || null,
+    creado_por: row.creado_por != null ? Number(row.creado_por) : null,
+    creado_por_nombre: row.creado_por_nombre || null,
+    aplicado_por: row.aplicado_por != null ? Number(row.aplicado_por) : null,
+    aplicado_por_nombre: row.aplicado_por_nombre || null,
+    fecha_creacion: row.fecha_creacion,
+    fecha_aplicacion: row.fecha_aplicacion || null
+});
+
+/**
+ * Formatea una fila de corridas_facturacion_items
+ */
+const formatearItem = (row) => ({
+    id: Number(row.id),
+    tipo: row.tipo,
+    lectura_id: row.lectura_id != null ? Number(row.lectura_id) : null,
+    medidor_id: row.medidor_id != null ? Number(row.medidor_id) : null,
+    medidor_numero: row.medidor_numero || null,
+    cliente_id: row.cliente_id != null ? Number(row.cliente_id) : null,
+    cliente_nombre: row.cliente_nombre || null,
+    tarifa_id: row.tarifa_id != null ? Number(row.tarifa_id) : null,
+    tarifa_nombre: row.tarifa_nombre || null,
+    ruta_id: row.ruta_id != null ? Number(row.ruta_id) : null,
+    ruta_nombre: row.ruta_nombre || null,
+    consumo_m3: row.consumo_m3 != null ? Number(row.consumo_m3) : null,
+    importe: row.importe != null ? Number(row.importe) : null,
+    error: row.error || null,
+    factura_id: row.factura_id != null ? Number(row.factura_id) : null
+});
+
+/**
+ * Calcula sin escribir nada lo que facturaría el periodo
+ * @param {Object} params
+ * @param {string} params.periodo
+ * @param {string} params.fecha_emision - Corte para los medidores por estimar
+ * @param {boolean} params.estimar - Incluir medidores sin lectura
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @param {Function} [params.alAvanzar] - (procesados, total) cada PROGRESO_CADA items
+ * @returns {Promise<Array<Object>>} - Items: { tipo, lectura_id, medidor_id, cliente_id, tarifa_id,
+ *   ruta_id, consumo_m3, importe, error, incidencia_id }
+ */
+export const calcularItems = async ({ periodo, fecha_emision, estimar, db = dbTurso, alAvanzar = null }) => {
+    // Lecturas sin factura; si su periodo ya se facturó por estimación, la lectura concilia esa factura
+    const lecturasResult = await db.execute({
+        sql: `
+            SELECT
+                l.id AS lectura_id,
+                l.medidor_id,
+                l.ruta_id,
+                l.consumo_m3,
+                l.estado_revision,
+                m.cliente_id,
+                c.tarifa_id,
+                e.consumo_real AS consumo_conciliado
+            FROM lecturas l
+            LEFT JOIN medidores m ON l.medidor_id = m.id
+            LEFT JOIN clientes c ON m.cliente_id = c.id
+            LEFT JOIN facturas f ON l.id = f.lectura_id
+            LEFT JOIN estimaciones_consumo e ON e.lectura_id = l.id AND e.periodo = l.periodo
+                AND EXISTS (SELECT 1 FROM facturas fe WHERE fe.id = e.factura_id AND fe.estado != 'Cancelada')
+            WHERE f.id IS NULL AND l.periodo = ?
+            ORDER BY l.id ASC
+        `,
+        args: [periodo]
+    });
+
+    const medidoresSinLectura = estimar
+        ? await obtenerMedidoresSinLectura({ periodo, fecha_corte: fecha_emision, db })
+        : [];
+
+    const rutasResult = await db.execute(`SELECT medidor_id, MIN(ruta_id) AS ruta_id FROM rutas_puntos GROUP BY medidor_id`);
+    const rutaMedidor = new Map(rutasResult.rows.map(row => [Number(row.medidor_id), Number(row.ruta_id)]));
+
+    const total = lecturasResult.rows.length + medidoresSinLectura.length;
+    const items = [];
+
+    const avanzar = () => {
+        if (alAvanzar && (items.length % PROGRESO_CADA === 0 || items.length === total)) {
+            alAvanzar(items.length, total);
+        }
+    };
+
+    for (const lectura of lecturasResult.rows) {
+        const conciliacion = lectura.consumo_conciliado != null;
+        const item = {
+            tipo: conciliacion ? 'conciliacion' : 'lectura',
+            lectura_id: Number(lectura.lectura_id),
+            medidor_id: lectura.medidor_id != null ? Number(lectura.medidor_id) : null,
+            cliente_id: lectura.cliente_id != null ? Number(lectura.cliente_id) : null,
+            tarifa_id: lectura.tarifa_id != null ? Number(lectura.tarifa_id) : null,
+            ruta_id: lectura.ruta_id != null ? Number(lectura.ruta_id) : null,
+            consumo_m3: Number(conciliacion ? lectura.consumo_conciliado : lectura.consumo_m3),
+            importe: null,
+            error: null,
+            incidencia_id: null
+        };
+
+        if (!ESTADOS_FACTURABLES.includes(lectura.estado_revision)) {
+            item.error = lectura.estado_revision === 'rechazada'
+                ? 'Lectura rechazada en revisión'
+                : 'Lectura pendiente de revisión';
+        } else if (item.cliente_id == null) {
+            item.error = 'El medidor no tiene cliente asignado';
+        } else if (item.tarifa_id == null) {
+            item.error = 'El cliente no tiene tarifa asignada';
+        } else {
+            const calculo = await calcularTarifa(item.tarifa_id, item.consumo_m3, db);
+
+            if (calculo.success) {
+                item.importe = calculo.desglose.total;
+            } else {
+                item.error = calculo.error;
+            }
+        }
+
+        items.push(item);
+        avanzar();
+    }
+
+    for (const medidor of medidoresSinLectura) {
+        const item = {
+            tipo: 'estimada',
+            lectura_id: null,
+            medidor_id: Number(medidor.medidor_id),
+            cliente_id: Number(medidor.cliente_id),
+            tarifa_id: Number(medidor.tarifa_id),
+            ruta_id: rutaMedidor.get(Number(medidor.medidor_id)) ?? null,
+            consumo_m3: null,
+            importe: null,
+            error: null,
+            incidencia_id: medidor.incidencia_id != null ? Number(medidor.incidencia_id) : null
+        };
+
+        const estimacion = await estimarConsumo({ medidor_id: item.medidor_id, periodo, tarifa_id: item.tarifa_id, db });
+
+        if (estimacion.success) {
+            item.consumo_m3 = estimacion.consumo_m3;
+
+            const calculo = await calcularTarifa(item.tarifa_id, item.consumo_m3, db);
+
+            if (calculo.success) {
+                item.importe = calculo.desglose.total;
+            } else {
+                item.error = calculo.error;
+            }
+        } else {
+            item.error = estimacion.error;
+        }
+
+        items.push(item);
+        avanzar();
+    }
+
+    return items;
+};
+
+/**
+ * Totales de la corrida, por ruta y por tarifa
+ * @param {Array<Object>} items - Resultado de calcularItems
+ * @returns {Promise<Object>} - { totales, por_ruta, por_tarifa }
+ */
+const resumirItems = async (items) => {
+    const [rutasResult, tarifasResult] = await Promise.all([
+        dbTurso.execute(`SELECT id, nombre FROM rutas`),
+        dbTurso.execute(`SELECT id, nombre FROM tarifas`)
+    ]);
+
+    const nombresRuta = new Map(rutasResult.rows.map(row => [Number(row.id), row.nombre]));
+    const nombresTarifa = new Map(tarifasResult.rows.map(row => [Number(row.id), row.nombre]));
+
+    const nuevoGrupo = () => ({ facturas: 0, estimadas: 0, conciliaciones: 0, errores: 0, consumo_m3: 0, importe: 0 });
+
+    const acumular = (grupo, item) => {
+        if (item.error) {
+            grupo.errores++;
+            return;
+        }
+
+        if (item.tipo === 'estimada') grupo.estimadas++;
+        else if (item.tipo === 'conciliacion') grupo.conciliaciones++;
+        else grupo.facturas++;
+
+        grupo.consumo_m3 = redondear(grupo.consumo_m3 + item.consumo_m3);
+        grupo.importe = redondear(grupo.importe + item.importe);
+    };
+
+    const totales = nuevoGrupo();
+    const porRuta = new Map();
+    const porTarifa = new Map();
+
+    for (const item of items) {
+        acumular(totales, item);
+
+        if (!porRuta.has(item.ruta_id)) {
+            porRuta.set(item.ruta_id, {
+                ruta_id: item.ruta_id,
+                ruta_nombre: item.ruta_id != null ? nombresRuta.get(item.ruta_id) ?? null : 'Sin ruta',
+                ...nuevoGrupo()
+            });
+        }
+        acumular(porRuta.get(item.ruta_id), item);
+
+        if (!porTarifa.has(item.tarifa_id)) {
+            porTarifa.set(item.tarifa_id, {
+                tarifa_id: item.tarifa_id,
+                tarifa_nombre: item.tarifa_id != null ? nombresTarifa.get(item.tarifa_id) ?? null : 'Sin tarifa',
+                ...nuevoGrupo()
+            });
+        }
+        acumular(porTarifa.get(item.tarifa_id), item);
+    }
+
+    return {
+        totales,
+        por_ruta: [...porRuta.values()],
+        por_tarifa: [...porTarifa.values()]
+    };
+};
+
+const claveItem = (item) => `${item.tipo}:${item.lectura_id ?? ''}:${item.medidor_id ?? ''}`;
+
+const describirItem = (item) => item.lectura_id != null
+    ? `Lectura ${item.lectura_id}`
+    : `Medidor ${item.medidor_id} (estimada)`;
+
+/**
+ * Diferencias entre los items guardados en la vista previa y los calculados ahora
+ * @returns {Array<string>} - Vacío si la vista previa sigue vigente
+ */
+const compararItems = (guardados, actuales) => {
+    const diferencias = [];
+    const actualesPorClave = new Map(actuales.map(item => [claveItem(item), item]));
+
+    for (const guardado of guardados) {
+        const actual = actualesPorClave.get(claveItem(guardado));
+        actualesPorClave.delete(claveItem(guardado));
+
+        if (!actual) {
+            diferencias.push(`${describirItem(guardado)}: ya no está por facturar`);
+        } else if ((guardado.error || null) !== (actual.error || null)) {
+            diferencias.push(`${describirItem(guardado)}: ${actual.error || 'ya se puede facturar'}`);
+        } else if (guardado.importe != null && redondear(guardado.importe) !== redondear(actual.importe)) {
+            diferencias.push(`${describirItem(guardado)}: importe ${redondear(guardado.importe)} → ${redondear(actual.importe)}`);
+        }
+    }
+
+    for (const actual of actualesPorClave.values()) {
+        diferencias.push(`${describirItem(actual)}: no estaba en la vista previa`);
+    }
+
+    return diferencias;
+};
+
+/**
+ * Obtiene una corrida
+ * @param {number} corrida_id
+ * @param {Object} [options]
+ * @param {boolean} [options.incluirItems] - Agrega el detalle de cada factura calculada
+ * @returns {Promise<Object|null>} - Corrida formateada o null
+ */
+export const obtenerCorrida = async (corrida_id, { incluirItems = false } = {}) => {
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT cf.*, uc.username AS creado_por_nombre, ua.username AS aplicado_por_nombre
+            FROM corridas_facturacion cf
+            LEFT JOIN usuarios uc ON cf.creado_por = uc.id
+            LEFT JOIN usuarios ua ON cf.aplicado_por = ua.id
+            WHERE cf.id = ?
+        `,
+        args: [corrida_id]
+    });
+
+    if (result.rows.length === 0) return null;
+
+    const corrida = formatearCorrida(result.rows[0]);
+
+    if (incluirItems) {
+        const itemsResult = await dbTurso.execute({
+            sql: `
+                SELECT i.*, m.numero_serie AS medidor_numero, c.nombre AS cliente_nombre,
+                       t.nombre AS tarifa_nombre, r.nombre AS ruta_nombre
+                FROM corridas_facturacion_items i
+                LEFT JOIN medidores m ON i.medidor_id = m.id
+                LEFT JOIN clientes c ON i.cliente_id = c.id
+                LEFT JOIN tarifas t ON i.tarifa_id = t.id
+                LEFT JOIN rutas r ON i.ruta_id = r.id
+                WHERE i.corrida_id = ?
+                ORDER BY i.id ASC
+            `,
+            args: [corrida_id]
+        });
+
+        corrida.items = itemsResult.rows.map(formatearItem);
+    }
+
+    return corrida;
+};
+
+/**
+ * Historial de corridas, de la más reciente a la más antigua
+ * @param {Object} [filtros]
+ * @param {string} [filtros.periodo]
+ * @param {string} [filtros.estado]
+ * @returns {Promise<Array<Object>>}
+ */
+export const listarCorridas = async ({ periodo = null, estado = null } = {}) => {
+    const condiciones = [];
+    const args = [];
+
+    if (periodo) {
+        condiciones.push('cf.periodo = ?');
+        args.push(periodo);
+    }
+
+    if (estado) {
+        condiciones.push('cf.estado = ?');
+        args.push(estado);
+    }
+
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT cf.*, uc.username AS creado_por_nombre, ua.username AS aplicado_por_nombre
+            FROM corridas_facturacion cf
+            LEFT JOIN usuarios uc ON cf.creado_por = uc.id
+            LEFT JOIN usuarios ua ON cf.aplicado_por = ua.id
+            ${condiciones.length > 0 ? `WHERE ${condiciones.join(' AND ')}` : ''}
+            ORDER BY cf.id DESC
+        `,
+        args
+    });
+
+    return result.rows.map(formatearCorrida);
+};
+
+/**
+ * Calcula y guarda la vista previa de la facturación de un periodo
+ * @param {Object} params
+ * @param {string} params.periodo
+ * @param {string} params.fecha_emision
+ * @param {boolean} [params.estimar] - Incluir medidores sin lectura (por defecto true)
+ * @param {string} [params.origen] - 'manual' o 'programada'
+ * @param {number} [params.creado_por]
+ * @param {Object} [params.notificationManager] - SSENotificationManager para el avance
+ * @returns {Promise<Object>} - { success, corrida } o { success: false, status, error }
+ */
+export const crearVistaPrevia = async ({
+    periodo, fecha_emision, estimar = true, origen = 'manual', creado_por = null, notificationManager = null
+}) => {
+    const validacionPeriodo = await validarPeriodoEditable(periodo);
+
+    if (!validacionPeriodo.success) {
+        return validacionPeriodo;
+    }
+
+    const enCursoResult = await dbTurso.execute({
+        sql: `SELECT id FROM corridas_facturacion WHERE periodo = ? AND estado = 'aplicando'`,
+        args: [periodo]
+    });
+
+    if (enCursoResult.rows.length > 0) {
+        return {
+            success: false,
+            status: 409,
+            error: `La corrida ${Number(enCursoResult.rows[0].id)} del periodo ${periodo} se está aplicando`
+        };
+    }
+
+    const items = await calcularItems({
+        periodo,
+        fecha_emision,
+        estimar,
+        alAvanzar: (procesados, total) => notificar(notificationManager, {
+            evento: 'progreso', fase: 'vista_previa', corrida_id: null, periodo, procesados, total
+        })
+    });
+
+    if (items.length === 0) {
+        return { success: false, status: 404, error: `No hay lecturas por facturar ni medidores por estimar en el periodo ${periodo}` };
+    }
+
+    const resumen = await resumirItems(items);
+    const { totales } = resumen;
+
+    const corrida_id = await withTransaction(async (tx) => {
+        const insertResult = await tx.execute({
+            sql: `
+                INSERT INTO corridas_facturacion
+                (periodo, fecha_emision, estimar, origen, estado, total_facturas, total_estimadas, total_conciliaciones,
+                 total_errores, consumo_total, importe_total, resumen, creado_por)
+                VALUES (?, ?, ?, ?, 'vista_previa', ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            args: [
+                periodo, fecha_emision, estimar ? 1 : 0, origen,
+                totales.facturas, totales.estimadas, totales.conciliaciones, totales.errores,
+                totales.consumo_m3, totales.importe,
+                JSON.stringify({ por_ruta: resumen.por_ruta, por_tarifa: resumen.por_tarifa }),
+                creado_por
+            ]
+        });
+
+        const id = Number(insertResult.lastInsertRowid);
+
+        for (const item of items) {
+            await tx.execute({
+                sql: `
+                    INSERT INTO corridas_facturacion_items
+                    (corrida_id, tipo, lectura_id, medidor_id, cliente_id, tarifa_id, ruta_id, consumo_m3, importe, error)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `,
+                args: [
+                    id, item.tipo, item.lectura_id, item.medidor_id, item.cliente_id, item.tarifa_id,
+                    item.ruta_id, item.consumo_m3, item.importe, item.error
+                ]
+            });
+        }
+
+        // Solo la vista previa más reciente del periodo se puede aplicar
+        await tx.execute({
+            sql: `
+                UPDATE corridas_facturacion
+                SET estado = 'descartada', error = ?
+                WHERE periodo = ? AND estado IN ('vista_previa', 'fallida') AND id != ?
+            `,
+            args: [`Reemplazada por la corrida ${id}`, periodo, id]
+        });
+
+        await tx.execute({
+            sql: `
+                INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                VALUES (?, ?, ?, ?, ?)
+            `,
+            args: ['corridas_facturacion', 'INSERT', id, creado_por, JSON.stringify({
+                periodo, fecha_emision, origen, estado: 'vista_previa', totales
+            })]
+        });
+
+        return id;
+    });
+
+    notificar(notificationManager, {
+        evento: 'estado', corrida_id, periodo, origen, estado: 'vista_previa', totales
+    });
+
+    return { success: true, corrida: await obtenerCorrida(corrida_id) };
+};
+
+/**
+ * Emite todas las facturas de una vista previa en una sola transacción
+ * @param {Object} params
+ * @param {number} params.corrida_id
+ * @param {number} [params.aplicado_por]
+ * @param {Object} [params.notificationManager] - SSENotificationManager para el avance
+ * @returns {Promise<Object>} - { success, corrida } o { success: false, status, error, diferencias? }
+ */
+export const aplicarCorrida = async ({ corrida_id, aplicado_por = null, notificationManager = null }) => {
+    const corrida = await obtenerCorrida(corrida_id);
+
+    if (!corrida) {
+        return { success: false, status: 404, error: 'Corrida de facturación no encontrada' };
+    }
+
+    if (!['vista_previa', 'fallida'].includes(corrida.estado)) {
+        return { success: false, status: 409, error: `La corrida está ${corrida.estado}; solo se aplican vistas previas o corridas fallidas` };
+    }
+
+    const { periodo, fecha_emision } = corrida;
+    const validacionPeriodo = await validarPeriodoEditable(periodo);
+
+    if (!validacionPeriodo.success) {
+        return validacionPeriodo;
+    }
+
+    // La condición sobre estado evita que dos solicitudes apliquen la misma corrida
+    const bloqueo = await dbTurso.execute({
+        sql: `UPDATE corridas_facturacion SET estado = 'aplicando', error = NULL WHERE id = ? AND estado IN ('vista_previa', 'fallida')`,
+        args: [corrida_id]
+    });
+
+    if (bloqueo.rowsAffected === 0) {
+        return { success: false, status: 409, error: 'La corrida ya se está aplicando' };
+    }
+
+    notificar(notificationManager, { evento: 'estado', corrida_id, periodo, estado: 'aplicando' });
+
+    let diferencias = [];
+
+    try {
+        // withTransaction revierte todo si una factura falla
+        await withTransaction(async (tx) => {
+            // Se recalcula dentro de la transacción: lo que se emite es exactamente lo revisado
+            const actuales = await calcularItems({ periodo, fecha_emision, estimar: corrida.estimar, db: tx });
+
+            const guardadosResult = await tx.execute({
+                sql: `SELECT * FROM corridas_facturacion_items WHERE corrida_id = ? ORDER BY id ASC`,
+                args: [corrida_id]
+            });
+            const guardados = guardadosResult.rows.map(formatearItem);
+
+            diferencias = compararItems(guardados, actuales);
+
+            if (diferencias.length === 0) {
+                const itemIds = new Map(guardados.map(item => [claveItem(item), item.id]));
+                const porFacturar = actuales.filter(item => !item.error);
+                let procesados = 0;
+
+                for (const item of porFacturar) {
+                    const resultado = item.tipo === 'estimada'
+                        ? await generarFacturaEstimada({
+                            medidor_id: item.medidor_id,
+                            cliente_id: item.cliente_id,
+                            tarifa_id: item.tarifa_id,
+                            periodo,
+                            fecha_emision,
+                            incidencia_id: item.incidencia_id,
+                            modificado_por: aplicado_por,
+                            db: tx
+                        })
+                        : await facturarLectura({
+                            lectura_id: item.lectura_id,
+                            cliente_id: item.cliente_id,
+                            tarifa_id: item.tarifa_id,
+                            consumo_m3: item.consumo_m3,
+                            fecha_emision,
+                            modificado_por: aplicado_por,
+                            db: tx
+                        });
+
+                    if (!resultado.success) {
+                        throw new Error(`${describirItem(item)}: ${resultado.error}`);
+                    }
+
+                    await tx.execute({
+                        sql: `UPDATE corridas_facturacion_items SET factura_id = ? WHERE id = ?`,
+                        args: [resultado.factura_id, itemIds.get(claveItem(item))]
+                    });
+
+                    procesados++;
+                    if (procesados % PROGRESO_CADA === 0 || procesados === porFacturar.length) {
+                        notificar(notificationManager, {
+                            evento: 'progreso', fase: 'aplicacion', corrida_id, periodo, procesados, total: porFacturar.length
+                        });
+                    }
+                }
+
+                await tx.execute({
+                    sql: `
+                        UPDATE corridas_facturacion
+                        SET estado = 'aplicada', aplicado_por = ?, fecha_aplicacion = datetime('now')
+                        WHERE id = ?
+                    `,
+                    args: [aplicado_por, corrida_id]
+                });
+
+                await tx.execute({
+                    sql: `
+                        INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+                        VALUES (?, ?, ?, ?, ?)
+                    `,
+                    args: ['corridas_facturacion', 'APLICACION', corrida_id, aplicado_por, JSON.stringify({
+                        periodo,
+                        estado: { antes: corrida.estado, despues: 'aplicada' },
+                        facturas_emitidas: porFacturar.length
+                    })]
+                });
+            } else {
+                await tx.rollback();
+            }
+        });
+    } catch (error) {
+        console.error(`Error al aplicar la corrida de facturación ${corrida_id}:`, error);
+
+        await dbTurso.execute({
+            sql: `UPDATE corridas_facturacion SET estado = 'fallida', error = ? WHERE id = ?`,
+            args: [error.message, corrida_id]
+        });
+
+        notificar(notificationManager, { evento: 'estado', corrida_id, periodo, estado: 'fallida', error: error.message });
+
+        return {
+            success: false,
+            status: 500,
+            error: 'No se pudo aplicar la corrida; no se emitió ninguna factura',
+            detalle: error.message,
+            corrida: await obtenerCorrida(corrida_id)
+        };
+    }
+
+    if (diferencias.length > 0) {
+        const motivo = 'Los datos del periodo cambiaron desde la vista previa; genere una nueva';
+
+        await dbTurso.execute({
+            sql: `UPDATE corridas_facturacion SET estado = 'descartada', error = ? WHERE id = ?`,
+            args: [motivo, corrida_id]
+        });
+
+        notificar(notificationManager, { evento: 'estado', corrida_id, periodo, estado: 'descartada', error: motivo });
+
+        return { success: false, status: 409, error: motivo, diferencias };
+    }
+
+    // Con la facturación del periodo emitida, el periodo pasa a facturado
+    await avanzarPeriodo(periodo, 'facturado', aplicado_por);
+
+    const aplicada = await obtenerCorrida(corrida_id);
+
+    notificar(notificationManager, {
+        evento: 'estado', corrida_id, periodo, estado: 'aplicada', totales: aplicada.totales
+    });
+
+    return { success: true, corrida: aplicada };
+};
+
+/**
+ * Descarta una vista previa o una corrida fallida
+ * @param {Object} params
+ * @param {number} params.corrida_id
+ * @param {number} [params.modificado_por]
+ * @param {string} [params.motivo]
+ * @param {Object} [params.notificationManager]
+ * @returns {Promise<Object>} - { success, corrida } o { success: false, status, error }
+ */
+export const descartarCorrida = async ({ corrida_id, modificado_por = null, motivo = null, notificationManager = null }) => {
+    const corrida = await obtenerCorrida(corrida_id);
+
+    if (!corrida) {
+        return { success: false, status: 404, error: 'Corrida de facturación no encontrada' };
+    }
+
+    const updateResult = await dbTurso.execute({
+        sql: `
+            UPDATE corridas_facturacion SET estado = 'descartada', error = COALESCE(?, error)
+            WHERE id = ? AND estado IN ('vista_previa', 'fallida')
+        `,
+        args: [motivo, corrida_id]
+    });
+
+    if (updateResult.rowsAffected === 0) {
+        return { success: false, status: 409, error: `La corrida está ${corrida.estado} y no se puede descartar` };
+    }
+
+    await dbTurso.execute({
+        sql: `
+            INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+            VALUES (?, ?, ?, ?, ?)
+        `,
+        args: ['corridas_facturacion', 'DESCARTE', corrida_id, modificado_por, JSON.stringify({
+            periodo: corrida.periodo,
+            estado: { antes: corrida.estado, despues: 'descartada' },
+            motivo
+        })]
+    });
+
+    notificar(notificationManager, { evento: 'estado', corrida_id, periodo: corrida.periodo, estado: 'descartada', error: motivo });
+
+    return { success: true, corrida: await obtenerCorrida(corrida_id) };
+};
+
+export default {
+    ESTADOS_CORRIDA,
+    formatearCorrida,
+    calcularItems,
+    obtenerCorrida,
+    listarCorridas,
+    crearVistaPrevia,
+    aplicarCorrida,
+    descartarCorrida
+};
@@ -0,0 +1,301 @@
+/**
+ * Corte de caja - V2
+ *
+ * File: src/v2/services/corteCaja.js
+ *
+ * Descripción: Calcula lo que un cajero debe tener al final de su sesión de caja
+ * a partir de lo que registró entre la apertura y el cierre.
+ *
+ * Reglas:
+ * - Cuenta lo recibido por el cajero (modificado_por) en pagos sueltos y recibos:
+ *   cantidad entregada menos cambio, así el excedente abonado al saldo a favor
+ *   también se espera en caja
+ * - Los pagos con metodo 'Saldo a favor' no mueven dinero y no se cuentan
+ * - Una anulación hecha por el cajero durante la sesión es dinero devuelto:
+ *   el monto del pago más el excedente retirado del saldo a favor
+ * - Al anular un recibo, sus pagos entran como anulaciones de pago y el excedente
+ *   o anticipo retirado del saldo a favor entra aparte (anulaciones_recibo)
+ * - Solo entra lo que aún no pertenece a otro corte (caja_id IS NULL)
+ */
+
+import dbTurso from '../../database/db-turso.js';
+import { METODO_SALDO_FAVOR } from './saldoFavor.js';
+
+export const METODOS_CAJA = ['Efectivo', 'Transferencia', 'Tarjeta', 'Cheque'];
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Fecha y hora actual en el formato de datetime('now') de SQLite (UTC)
+ */
+export const ahoraSql = () => new Date().toISOString().replace('T', ' ').substring(0, 19);
+
+// Excedente retirado del saldo a favor al anular el pago (se devolvió junto con el monto)
+const SQL_SALDO_FAVOR_RETIRADO = `
+    (SELECT COALESCE(SUM(s.monto), 0) FROM saldo_favor_movimientos s
+     WHERE s.pago_id = a.pago_id AND s.tipo = 'anulacion') AS saldo_favor_retirado
+`;
+
+const formatearPago = (p) => ({
+    id: Number(p.id),
+    factura_id: Number(p.factura_id),
+    metodo_pago: p.metodo_pago,
+    // Pagos anteriores a cantidad_entregada solo tienen el monto aplicado
+    importe: p.cantidad_entregada != null
+        ? redondear(Number(p.cantidad_entregada) - Number(p.cambio || 0))
+        : redondear(p.monto),
+    fecha_creacion: p.fecha_creacion
+});
+
+const formatearRecibo = (r) => ({
+    id: Number(r.id),
+    cliente_id: Number(r.cliente_id),
+    metodo_pago: r.metodo_pago,
+    importe: redondear(Number(r.cantidad_entregada) - Number(r.cambio)),
+    fecha_creacion: r.fecha_creacion
+});
+
+const formatearAnulacion = (a) => ({
+    id: Number(a.id),
+    pago_id: Number(a.pago_id),
+    metodo_pago: a.metodo_pago,
+    importe: redondear(Number(a.monto) + Number(a.saldo_favor_retirado)),
+    fecha_creacion: a.fecha_creacion
+});
+
+const formatearAnulacionRecibo = (a) => ({
+    id: Number(a.id),
+    recibo_id: Number(a.recibo_id),
+    metodo_pago: a.metodo_pago,
+    importe: redondear(a.saldo_favor_retirado),
+    fecha_creacion: a.fecha_creacion
+});
+
+/**
+ * Suma los totales de un corte a partir de sus totales por método
+ */
+const resumirCorte = (por_metodo) => ({
+    total_cobrado: redondear(por_metodo.reduce((sum, t) => sum + t.cobrado, 0)),
+    total_anulado: redondear(por_metodo.reduce((sum, t) => sum + t.anulado, 0)),
+    total_esperado: redondear(por_metodo.reduce((sum, t) => sum + t.esperado, 0))
+});
+
+/**
+ * Calcula el corte de una sesión de caja
+ * @param {Object} caja - Fila de cajas (usuario_id, fondo_inicial, fecha_apertura)
+ * @param {string} hasta - Fecha y hora de corte (YYYY-MM-DD HH:MM:SS)
+ * @param {Object} [db] - Ejecutor (dbTurso o una transacción)
+ * @returns {Promise<Object>} - Totales por método, efectivo esperado y operaciones incluidas
+ */
+export const calcularCorte = async (caja, hasta, db = dbTurso) => {
+    const args = [caja.usuario_id, caja.fecha_apertura, hasta];
+
+    const pagosResult = await db.execute({
+        sql: `
+            SELECT p.id, p.factura_id, p.metodo_pago, p.monto, p.cantidad_entregada, p.cambio, p.fecha_creacion
+            FROM pagos p
+            WHERE p.recibo_id IS NULL AND p.metodo_pago != ?
+              AND p.modificado_por = ? AND p.fecha_creacion >= ? AND p.fecha_creacion <= ?
+              AND p.caja_id IS NULL
+            ORDER BY p.id ASC
+        `,
+        args: [METODO_SALDO_FAVOR, ...args]
+    });
+
+    const recibosResult = await db.execute({
+        sql: `
+            SELECT r.id, r.cliente_id, r.metodo_pago, r.cantidad_entregada, r.cambio, r.fecha_creacion
+            FROM recibos r
+            WHERE r.modificado_por = ? AND r.fecha_creacion >= ? AND r.fecha_creacion <= ?
+              AND r.caja_id IS NULL
+            ORDER BY r.id ASC
+        `,
+        args
+    });
+
+    const anulacionesResult = await db.execute({
+        sql: `
+            SELECT a.id, a.pago_id, a.monto, a.fecha_creacion, p.metodo_pago, ${SQL_SALDO_FAVOR_RETIRADO}
+            FROM anulaciones_pago a
+            JOIN pagos p ON a.pago_id = p.id
+            WHERE p.metodo_pago != ?
+              AND a.anulado_por = ? AND a.fecha_creacion >= ? AND a.fecha_creacion <= ?
+              AND a.caja_id IS NULL
+            ORDER BY a.id ASC
+        `,
+        args: [METODO_SALDO_FAVOR, ...args]
+    });
+
+    const anulacionesReciboResult = await db.execute({
+        sql: `
+            SELECT a.id, a.recibo_id, a.saldo_favor_retirado, a.fecha_creacion, r.metodo_pago
+            FROM anulaciones_recibo a
+            JOIN recibos r ON a.recibo_id = r.id
+            WHERE a.anulado_por = ? AND a.fecha_creacion >= ? AND a.fecha_creacion <= ?
+              AND a.caja_id IS NULL
+            ORDER BY a.id ASC
+        `,
+        args
+    });
+
+    const pagos = pagosResult.rows.map(formatearPago);
+    const recibos = recibosResult.rows.map(formatearRecibo);
+    const anulaciones = anulacionesResult.rows.map(formatearAnulacion);
+    const anulaciones_recibo = anulacionesReciboResult.rows.map(formatearAnulacionRecibo);
+
+    const porMetodo = new Map(METODOS_CAJA.map(metodo => [metodo, {
+        metodo_pago: metodo,
+        operaciones: 0,
+        cobrado: 0,
+        anulado: 0,
+        esperado: 0
+    }]));
+
+    for (const cobro of [...pagos, ...recibos]) {
+        const total = porMetodo.get(cobro.metodo_pago);
+        total.operaciones += 1;
+        total.cobrado = redondear(total.cobrado + cobro.importe);
+    }
+
+    for (const anulacion of [...anulaciones, ...anulaciones_recibo]) {
+        const total = porMetodo.get(anulacion.metodo_pago);
+        total.anulado = redondear(total.anulado + anulacion.importe);
+    }
+
+    const por_metodo = [...porMetodo.values()].map(total => ({
+        ...total,
+        esperado: redondear(total.cobrado - total.anulado)
+    }));
+
+    const efectivo = por_metodo.find(total => total.metodo_pago === 'Efectivo');
+
+    return {
+        desde: caja.fecha_apertura,
+        hasta,
+        fondo_inicial: redondear(caja.fondo_inicial),
+        por_metodo,
+        ...resumirCorte(por_metodo),
+        efectivo_esperado: redondear(Number(caja.fondo_inicial) + efectivo.esperado),
+        pagos,
+        recibos,
+        anulaciones,
+        anulaciones_recibo
+    };
+};
+
+/**
+ * Liga a la caja las operaciones de su corte y guarda los totales por método
+ * @param {number} caja_id
+ * @param {Object} corte - Resultado de calcularCorte
+ * @param {Object} [db] - Ejecutor (dbTurso o una transacción)
+ */
+export const registrarCorte = async (caja_id, corte, db = dbTurso) => {
+    const marcar = async (tabla, ids) => {
+        if (ids.length === 0) return;
+        await db.execute({
+            sql: `UPDATE ${tabla} SET caja_id = ? WHERE id IN (${ids.map(() => '?').join(',')})`,
+            args: [caja_id, ...ids]
+        });
+    };
+
+    const reciboIds = corte.recibos.map(r => r.id);
+
+    await marcar('pagos', corte.pagos.map(p => p.id));
+    await marcar('recibos', reciboIds);
+    await marcar('anulaciones_pago', corte.anulaciones.map(a => a.id));
+    await marcar('anulaciones_recibo', corte.anulaciones_recibo.map(a => a.id));
+
+    // Los pagos de cada recibo también quedan bloqueados
+    if (reciboIds.length > 0) {
+        await db.execute({
+            sql: `UPDATE pagos SET caja_id = ? WHERE recibo_id IN (${reciboIds.map(() => '?').join(',')})`,
+            args: [caja_id, ...reciboIds]
+        });
+    }
+
+    for (const total of corte.por_metodo) {
+        await db.execute({
+            sql: `
+                INSERT INTO caja_totales (caja_id, metodo_pago, operaciones, cobrado, anulado, esperado)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `,
+            args: [caja_id, total.metodo_pago, total.operaciones, total.cobrado, total.anulado, total.esperado]
+        });
+    }
+};
+
+/**
+ * Corte guardado de una caja cerrada, con las operaciones que quedaron ligadas a ella
+ * @param {Object} caja - Fila de cajas
+ * @returns {Promise<Object>}
+ */
+export const obtenerCorteRegistrado = async (caja) => {
+    const totalesResult = await dbTurso.execute({
+        sql: `SELECT * FROM caja_totales WHERE caja_id = ? ORDER BY id ASC`,
+        args: [caja.id]
+    });
+
+    const pagosResult = await dbTurso.execute({
+        sql: `
+            SELECT id, factura_id, metodo_pago, monto, cantidad_entregada, cambio, fecha_creacion
+            FROM pagos WHERE caja_id = ? AND recibo_id IS NULL ORDER BY id ASC
+        `,
+        args: [caja.id]
+    });
+
+    const recibosResult = await dbTurso.execute({
+        sql: `SELECT id, cliente_id, metodo_pago, cantidad_entregada, cambio, fecha_creacion FROM recibos WHERE caja_id = ? ORDER BY id ASC`,
+        args: [caja.id]
+    });
+
+    const anulacionesResult = await dbTurso.execute({
+        sql: `
+            SELECT a.id, a.pago_id, a.monto, a.fecha_creacion, p.metodo_pago, ${SQL_SALDO_FAVOR_RETIRADO}
+            FROM anulaciones_pago a
+            JOIN pagos p ON a.pago_id = p.id
+            WHERE a.caja_id = ?
+            ORDER BY a.id ASC
+        `,
+        args: [caja.id]
+    });
+
+    const anulacionesReciboResult = await dbTurso.execute({
+        sql: `
+            SELECT a.id, a.recibo_id, a.saldo_favor_retirado, a.fecha_creacion, r.metodo_pago
+            FROM anulaciones_recibo a
+            JOIN recibos r ON a.recibo_id = r.id
+            WHERE a.caja_id = ?
+            ORDER BY a.id ASC
+        `,
+        args: [caja.id]
+    });
+
+    const por_metodo = totalesResult.rows.map(t => ({
+        metodo_pago: t.metodo_pago,
+        operaciones: Number(t.operaciones),
+        cobrado: redondear(t.cobrado),
+        anulado: redondear(t.anulado),
+        esperado: redondear(t.esperado)
+    }));
+
+    return {
+        desde: caja.fecha_apertura,
+        hasta: caja.fecha_cierre,
+        fondo_inicial: redondear(caja.fondo_inicial),
+        por_metodo,
+        ...resumirCorte(por_metodo),
+        efectivo_esperado: redondear(caja.efectivo_esperado),
+        pagos: pagosResult.rows.map(formatearPago),
+        recibos: recibosResult.rows.map(formatearRecibo),
+        anulaciones: anulacionesResult.rows.map(formatearAnulacion),
+        anulaciones_recibo: anulacionesReciboResult.rows.map(formatearAnulacionRecibo)
+    };
+};
+
+export default {
+    METODOS_CAJA,
+    ahoraSql,
+    calcularCorte,
+    registrarCorte,
+    obtenerCorteRegistrado
+};
@@ -0,0 +1,287 @@
+/**
+ * Credenciales de usuario - V2
+ *
+ * File: src/v2/services/credenciales.js
+ *
+ * Descripción: Contraseñas, bloqueo de cuentas por intentos fallidos y
+ * restablecimiento de contraseña con tokens de un solo uso.
+ *
+ * Reglas:
+ * - Cada intento de login queda en intentos_login (exitoso o no)
+ * - Tras LOGIN_INTENTOS_MAX contraseñas incorrectas seguidas la cuenta se bloquea
+ *   LOGIN_BLOQUEO_MIN minutos; un login exitoso o un cambio de contraseña reinicia el contador
+ * - Un administrador solicita el restablecimiento; el token llega por correo
+ *   (services/correo.js), vence a los RESTABLECER_CONTRASENA_MIN minutos y sirve una sola vez.
+ *   Solicitar uno nuevo anula los pendientes, solo si el correo se envió. Del token solo se
+ *   guarda su hash SHA-256
+ * - Al cambiar o restablecer la contraseña se cierran las demás sesiones del usuario
+ */
+
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import dbTurso, { withTransaction } from '../../database/db-turso.js';
+import { cerrarSesionesUsuario } from './sesiones.js';
+
+/**
+ * Lee la configuración de credenciales desde el entorno
+ * @returns {{intentos_max: number, bloqueo_min: number, restablecer_min: number, longitud_min: number}}
+ */
+export const obtenerConfiguracionCredenciales = () => {
+    const intentos = parseInt(process.env.LOGIN_INTENTOS_MAX, 10);
+    const bloqueo = parseInt(process.env.LOGIN_BLOQUEO_MIN, 10);
+    const restablecer = parseInt(process.env.RESTABLECER_CONTRASENA_MIN, 10);
+    const longitud = parseInt(process.env.CONTRASENA_LONGITUD_MIN, 10);
+
+    return {
+        intentos_max: intentos > 0 ? intentos : 5,
+        bloqueo_min: bloqueo > 0 ? bloqueo : 15,
+        restablecer_min: restablecer > 0 ? restablecer : 60,
+        longitud_min: longitud > 0 ? longitud : 8
+    };
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Valida una contraseña nueva
+ * @param {string} contrasena
+ * @returns {string|null} - Mensaje de error o null si es válida
+ */
+export const validarContrasenaNueva = (contrasena) => {
+    const { longitud_min } = obtenerConfiguracionCredenciales();
+
+    if (typeof contrasena !== 'string' || contrasena.length < longitud_min) {
+        return `La contraseña debe tener al menos ${longitud_min} caracteres`;
+    }
+
+    return null;
+};
+
+/**
+ * Registra un intento de inicio de sesión
+ * @param {Object} intento
+ * @param {number|null} intento.usuario_id
+ * @param {string} intento.correo
+ * @param {string} intento.resultado - exitoso, usuario_no_encontrado, contrasena_incorrecta o cuenta_bloqueada
+ * @param {string} [intento.direccion_ip]
+ * @param {string} [intento.dispositivo]
+ */
+export const registrarIntentoLogin = async ({ usuario_id, correo, resultado, direccion_ip = '', dispositivo = 'unknown' }) => {
+    await dbTurso.execute({
+        sql: `
+            INSERT INTO intentos_login (usuario_id, correo, resultado, direccion_ip, dispositivo)
+            VALUES (?, ?, ?, ?, ?)
+        `,
+        args: [usuario_id ?? null, correo, resultado, direccion_ip, dispositivo]
+    });
+};
+
+/**
+ * Fecha hasta la que la cuenta está bloqueada, o null si no lo está
+ * @param {number} usuario_id
+ * @returns {Promise<string|null>}
+ */
+export const obtenerBloqueo = async (usuario_id) => {
+    const result = await dbTurso.execute({
+        sql: `SELECT bloqueado_hasta FROM usuarios WHERE id = ? AND bloqueado_hasta > datetime('now')`,
+        args: [usuario_id]
+    });
+
+    return result.rows[0]?.bloqueado_hasta || null;
+};
+
+/**
+ * Suma un intento fallido y bloquea la cuenta al llegar al máximo
+ * (el contador vuelve a 0 al bloquear)
+ * @param {number} usuario_id
+ * @returns {Promise<{bloqueado_hasta: string|null, intentos_restantes: number}>}
+ */
+export const registrarLoginFallido = async (usuario_id) => {
+    const config = obtenerConfiguracionCredenciales();
+
+    await dbTurso.execute({
+        sql: `
+            UPDATE usuarios
+            SET bloqueado_hasta = CASE WHEN intentos_fallidos + 1 >= ? THEN datetime('now', ?) ELSE bloqueado_hasta END,
+                intentos_fallidos = CASE WHEN intentos_fallidos + 1 >= ? THEN 0 ELSE intentos_fallidos + 1 END
+            WHERE id = ?
+        `,
+        args: [config.intentos_max, `+${config.bloqueo_min} minutes`, config.intentos_max, usuario_id]
+    });
+
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT intentos_fallidos,
+                   CASE WHEN bloqueado_hasta > datetime('now') THEN bloqueado_hasta END AS bloqueado_hasta
+            FROM usuarios WHERE id = ?
+        `,
+        args: [usuario_id]
+    });
+
+    const usuario = result.rows[0];
+
+    return {
+        bloqueado_hasta: usuario.bloqueado_hasta || null,
+        intentos_restantes: usuario.bloqueado_hasta ? 0 : config.intentos_max - Number(usuario.intentos_fallidos)
+    };
+};
+
+/**
+ * Reinicia el contador de intentos fallidos tras un login exitoso
+ * @param {number} usuario_id
+ */
+export const registrarLoginExitoso = async (usuario_id) => {
+    await dbTurso.execute({
+        sql: `UPDATE usuarios SET intentos_fallidos = 0, bloqueado_hasta = NULL WHERE id = ?`,
+        args: [usuario_id]
+    });
+};
+
+/**
+ * Guarda una contraseña nueva ya cifrada y desbloquea la cuenta
+ * @param {number} usuario_id
+ * @param {string} hashedPassword - Hash bcrypt
+ * @param {Object} [db] - Ejecutor (dbTurso o una transacción)
+ */
+const guardarContrasena = async (usuario_id, hashedPassword, db = dbTurso) => {
+    await db.execute({
+        sql: `
+            UPDATE usuarios
+            SET contraseña = ?, contrasena_actualizada_en = datetime('now'), intentos_fallidos = 0, bloqueado_hasta = NULL
+            WHERE id = ?
+        `,
+        args: [hashedPassword, usuario_id]
+    });
+};
+
+/**
+ * Cambia la contraseña de un usuario que conoce la actual
+ * @param {Object} params
+ * @param {number} params.usuario_id
+ * @param {string} params.contrasena_actual
+ * @param {string} params.contrasena_nueva
+ * @param {number} [params.sesion_id] - Sesión que se conserva abierta
+ * @returns {Promise<Object>} - { success, sesiones_cerradas } o { success: false, status, error }
+ */
+export const cambiarContrasena = async ({ usuario_id, contrasena_actual, contrasena_nueva, sesion_id = null }) => {
+    const errorContrasena = validarContrasenaNueva(contrasena_nueva);
+    if (errorContrasena) {
+        return { success: false, status: 400, error: errorContrasena };
+    }
+
+    const result = await dbTurso.execute({
+        sql: `SELECT contraseña FROM usuarios WHERE id = ?`,
+        args: [usuario_id]
+    });
+
+    if (result.rows.length === 0) {
+        return { success: false, status: 404, error: 'Usuario no encontrado' };
+    }
+
+    const validPassword = await bcrypt.compare(contrasena_actual, result.rows[0].contraseña);
+    if (!validPassword) {
+        // 400 y no 401: el cliente no debe tomarlo como sesión vencida
+        return { success: false, status: 400, error: 'La contraseña actual es incorrecta' };
+    }
+
+    if (contrasena_actual === contrasena_nueva) {
+        return { success: false, status: 400, error: 'La contraseña nueva debe ser distinta de la actual' };
+    }
+
+    await guardarContrasena(usuario_id, await bcrypt.hash(contrasena_nueva, 10));
+    const sesiones_cerradas = await cerrarSesionesUsuario(usuario_id, { excepto: sesion_id, motivo: 'cambio_contrasena' });
+
+    return { success: true, sesiones_cerradas };
+};
+
+/**
+ * Genera un token de restablecimiento, lo entrega y, ya entregado, anula los pendientes.
+ * Si la entrega falla no se guarda nada y los tokens pendientes siguen vigentes.
+ * @param {Object} params
+ * @param {number} params.usuario_id
+ * @param {number} params.solicitado_por - Usuario que solicita el restablecimiento
+ * @param {Function} params.enviar - async ({ token, expira_en }) que entrega el token al usuario
+ * @returns {Promise<Object>} - { success, expira_en } o { success: false, status, error }
+ */
+export const crearRestablecimiento = async ({ usuario_id, solicitado_por, enviar }) => {
+    const { restablecer_min } = obtenerConfiguracionCredenciales();
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const expiraResult = await dbTurso.execute({
+        sql: `SELECT datetime('now', ?) AS expira_en`,
+        args: [`+${restablecer_min} minutes`]
+    });
+    const { expira_en } = expiraResult.rows[0];
+
+    try {
+        await enviar({ token, expira_en });
+    } catch (error) {
+        console.error(`Error enviando el token de restablecimiento del usuario ${usuario_id}:`, error);
+        return { success: false, status: 502, error: 'No se pudo enviar el correo de restablecimiento' };
+    }
+
+    await withTransaction(async (tx) => {
+        await tx.execute({
+            sql: `DELETE FROM restablecimientos_contrasena WHERE usuario_id = ? AND usado_en IS NULL`,
+            args: [usuario_id]
+        });
+
+        await tx.execute({
+            sql: `
+                INSERT INTO restablecimientos_contrasena (usuario_id, token_hash, solicitado_por, expira_en)
+                VALUES (?, ?, ?, ?)
+            `,
+            args: [usuario_id, hashToken(token), solicitado_por, expira_en]
+        });
+    });
+
+    return { success: true, expira_en };
+};
+
+/**
+ * Restablece la contraseña con un token de un solo uso y cierra todas las sesiones del usuario
+ * @param {string} token
+ * @param {string} contrasena_nueva
+ * @returns {Promise<Object>} - { success, usuario_id, sesiones_cerradas } o { success: false, status, error }
+ */
+export const restablecerContrasena = async (token, contrasena_nueva) => {
+    const errorContrasena = validarContrasenaNueva(contrasena_nueva);
+    if (errorContrasena) {
+        return { success: false, status: 400, error: errorContrasena };
+    }
+
+    // Se cifra antes de abrir la transacción para no retenerla mientras corre bcrypt
+    const hashedPassword = await bcrypt.hash(contrasena_nueva, 10);
+
+    const usuario_id = await withTransaction(async (tx) => {
+        const result = await tx.execute({
+            sql: `
+                SELECT id, usuario_id FROM restablecimientos_contrasena
+                WHERE token_hash = ? AND usado_en IS NULL AND expira_en > datetime('now')
+            `,
+            args: [hashToken(token)]
+        });
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const restablecimiento = result.rows[0];
+
+        await tx.execute({
+            sql: `UPDATE restablecimientos_contrasena SET usado_en = datetime('now') WHERE id = ?`,
+            args: [restablecimiento.id]
+        });
+        await guardarContrasena(restablecimiento.usuario_id, hashedPassword, tx);
+
+        return Number(restablecimiento.usuario_id);
+    });
+
+    if (!usuario_id) {
+        return { success: false, status: 400, error: 'Token de restablecimiento inválido, vencido o ya utilizado' };
+    }
+
+    const sesiones_cerradas = await cerrarSesionesUsuario(usuario_id, { motivo: 'cambio_contrasena' });
+
+    return { success: true, usuario_id, sesiones_cerradas };
+};
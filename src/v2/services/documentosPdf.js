@@ -0,0 +1,485 @@
+/**
+ * Documentos imprimibles (PDF) - V2
+ *
+ * File: src/v2/services/documentosPdf.js
+ *
+ * Descripción: Genera en el servidor, con pdfkit, la factura y el recibo de
+ * pago que se entregan al cliente, así como su estado de cuenta. La factura y el
+ * recibo incluyen el comparativo de consumo contra el mes anterior, el desglose
+ * de la tarifa y el importe a pagar.
+ *
+ * Configuración (.env):
+ * - EMPRESA_NOMBRE: nombre mostrado en el encabezado (por defecto 'Agua VP')
+ * - EMPRESA_DIRECCION, EMPRESA_TELEFONO: datos de contacto opcionales
+ * - EMPRESA_LOGO: ruta a una imagen PNG/JPG para el encabezado (opcional)
+ */
+
+import fs from 'fs';
+import PDFDocument from 'pdfkit';
+
+const COLOR_PRIMARIO = '#0b5394';
+const COLOR_TEXTO = '#222222';
+const COLOR_SECUNDARIO = '#666666';
+const COLOR_FONDO = '#eef3f9';
+
+const MARGEN = 50;
+
+/**
+ * Formatea un importe como moneda
+ */
+const moneda = (num) => `$${Number(num || 0).toLocaleString('es-MX', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Las fuentes estándar de PDF no incluyen '∞'
+ */
+const texto = (valor) => String(valor ?? '-').replace(/∞/g, 'en adelante');
+
+/**
+ * Datos de la empresa para el encabezado
+ */
+const obtenerEmpresa = () => ({
+    nombre: process.env.EMPRESA_NOMBRE || 'Agua VP',
+    direccion: process.env.EMPRESA_DIRECCION || '',
+    telefono: process.env.EMPRESA_TELEFONO || '',
+    logo: process.env.EMPRESA_LOGO || ''
+});
+
+/**
+ * Dibuja el documento y resuelve con el PDF completo en memoria
+ * @param {Object} info - Metadatos del PDF (Title, Subject)
+ * @param {Function} dibujar - Recibe el PDFDocument y escribe el contenido
+ * @returns {Promise<Buffer>}
+ */
+const renderizar = (info, dibujar) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: MARGEN, info: { Author: obtenerEmpresa().nombre, ...info } });
+    const chunks = [];
+
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+        dibujar(doc);
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
+
+/**
+ * Encabezado con la marca de la empresa, título y folio del documento
+ */
+const dibujarEncabezado = (doc, titulo, folio, fecha) => {
+    const empresa = obtenerEmpresa();
+    const ancho = doc.page.width - MARGEN * 2;
+    let xTexto = MARGEN;
+
+    if (empresa.logo && fs.existsSync(empresa.logo)) {
+        try {
+            doc.image(empresa.logo, MARGEN, MARGEN, { fit: [60, 60] });
+            xTexto = MARGEN + 70;
+        } catch (error) {
+            console.warn('No se pudo cargar el logo para el PDF:', error.message);
+        }
+    }
+
+    doc.fillColor(COLOR_PRIMARIO).font('Helvetica-Bold').fontSize(18)
+        .text(empresa.nombre, xTexto, MARGEN, { width: 280 });
+    doc.fillColor(COLOR_SECUNDARIO).font('Helvetica').fontSize(9);
+    if (empresa.direccion) doc.text(empresa.direccion, xTexto, doc.y, { width: 280 });
+    if (empresa.telefono) doc.text(`Tel. ${empresa.telefono}`, xTexto, doc.y, { width: 280 });
+
+    doc.fillColor(COLOR_PRIMARIO).font('Helvetica-Bold').fontSize(14)
+        .text(titulo, MARGEN, MARGEN, { width: ancho, align: 'right' });
+    doc.fillColor(COLOR_TEXTO).font('Helvetica').fontSize(10)
+        .text(`Folio: ${folio}`, MARGEN, doc.y + 2, { width: ancho, align: 'right' })
+        .text(`Fecha: ${texto(fecha)}`, MARGEN, doc.y, { width: ancho, align: 'right' });
+
+    const yLinea = Math.max(doc.y, MARGEN + 60) + 10;
+    doc.moveTo(MARGEN, yLinea).lineTo(MARGEN + ancho, yLinea).lineWidth(2).strokeColor(COLOR_PRIMARIO).stroke();
+    doc.y = yLinea + 15;
+};
+
+/**
+ * Título de sección
+ */
+const dibujarSeccion = (doc, titulo) => {
+    doc.moveDown(0.5);
+    doc.fillColor(COLOR_PRIMARIO).font('Helvetica-Bold').fontSize(11).text(titulo.toUpperCase(), MARGEN);
+    doc.moveDown(0.3);
+    doc.fillColor(COLOR_TEXTO).font('Helvetica').fontSize(10);
+};
+
+/**
+ * Pares etiqueta/valor en dos columnas
+ * @param {Array<[string, *]>} pares
+ */
+const dibujarDatos = (doc, pares) => {
+    const anchoColumna = (doc.page.width - MARGEN * 2) / 2;
+    const filas = Math.ceil(pares.length / 2);
+    const yInicio = doc.y;
+
+    pares.forEach(([etiqueta, valor], i) => {
+        const x = MARGEN + (i < filas ? 0 : anchoColumna);
+        const y = yInicio + (i % filas) * 15;
+        doc.font('Helvetica-Bold').fillColor(COLOR_SECUNDARIO).text(`${etiqueta}:`, x, y, { width: 110 });
+        doc.font('Helvetica').fillColor(COLOR_TEXTO).text(texto(valor), x + 110, y, { width: anchoColumna - 115 });
+    });
+
+    doc.y = yInicio + filas * 15 + 5;
+};
+
+/**
+ * Tabla sencilla con encabezado sombreado
+ * @param {Array<{titulo: string, ancho: number, alinear?: string}>} columnas
+ * @param {Array<Array<*>>} filas
+ */
+const dibujarTabla = (doc, columnas, filas) => {
+    const anchoTotal = columnas.reduce((sum, c) => sum + c.ancho, 0);
+    let y = doc.y;
+
+    const dibujarFila = (valores, negrita) => {
+        let x = MARGEN;
+        doc.font(negrita ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(COLOR_TEXTO);
+        valores.forEach((valor, i) => {
+            doc.text(texto(valor), x + 4, y + 4, { width: columnas[i].ancho - 8, height: 11, ellipsis: true, align: columnas[i].alinear || 'left' });
+            x += columnas[i].ancho;
+        });
+        y += 18;
+    };
+
+    const dibujarTitulos = () => {
+        doc.rect(MARGEN, y, anchoTotal, 18).fill(COLOR_FONDO);
+        dibujarFila(columnas.map(c => c.titulo), true);
+    };
+
+    dibujarTitulos();
+
+    for (const fila of filas) {
+        // Continuar en otra página repitiendo los títulos (tablas largas como el estado de cuenta)
+        if (y + 18 > doc.page.height - MARGEN - 30) {
+            doc.addPage();
+            y = MARGEN;
+            dibujarTitulos();
+        }
+        dibujarFila(fila, false);
+        doc.moveTo(MARGEN, y).lineTo(MARGEN + anchoTotal, y).lineWidth(0.5).strokeColor('#dddddd').stroke();
+    }
+
+    doc.y = y + 5;
+    doc.x = MARGEN;
+};
+
+/**
+ * Comparativo de consumo actual contra el mes anterior (tabla y barras)
+ */
+const dibujarComparativoConsumo = (doc, factura) => {
+    const anterior = factura.consumo_mes_anterior || {};
+    const diferencia = anterior.diferencia_consumo;
+
+    dibujarSeccion(doc, 'Comparativo de consumo');
+
+    dibujarTabla(doc, [
+        { titulo: 'Periodo', ancho: 170 },
+        { titulo: 'Fecha de lectura', ancho: 150 },
+        { titulo: 'Consumo (m³)', ancho: 100, alinear: 'right' }
+    ], [
+        [`${factura.mes_facturado} (actual)`, factura.fecha_lectura || 'Estimado', factura.consumo_m3],
+        [anterior.periodo ? `${anterior.periodo} (anterior)` : 'Mes anterior', anterior.fecha_lectura, anterior.consumo_m3 ?? 'Sin lectura']
+    ]);
+
+    if (diferencia != null) {
+        const signo = diferencia > 0 ? '+' : '';
+        const porcentaje = anterior.consumo_m3 ? ` (${signo}${((diferencia / anterior.consumo_m3) * 100).toFixed(1)}%)` : '';
+        doc.font('Helvetica').fontSize(9).fillColor(COLOR_SECUNDARIO)
+            .text(`Diferencia: ${signo}${diferencia} m³${porcentaje}`, MARGEN);
+    }
+
+    // Barras horizontales proporcionales al mayor consumo
+    const maximo = Math.max(factura.consumo_m3 || 0, anterior.consumo_m3 || 0, 1);
+    const anchoMaximo = 300;
+    let y = doc.y + 6;
+
+    [['Anterior', anterior.consumo_m3 || 0, '#9fc5e8'], ['Actual', factura.consumo_m3 || 0, COLOR_PRIMARIO]]
+        .forEach(([etiqueta, valor, color]) => {
+            doc.fillColor(COLOR_TEXTO).fontSize(8).text(etiqueta, MARGEN, y + 2, { width: 50 });
+            doc.rect(MARGEN + 55, y, Math.max(anchoMaximo * valor / maximo, 1), 10).fill(color);
+            y += 14;
+        });
+
+    doc.y = y + 4;
+    doc.x = MARGEN;
+};
+
+/**
+ * Desglose de la tarifa y de los cargos tal como se guardaron al emitir
+ */
+const dibujarDesglose = (doc, factura) => {
+    dibujarSeccion(doc, `Desglose de tarifa - ${factura.tarifa_nombre}`);
+
+    const filas = (factura.conceptos || []).map(concepto => [
+        concepto.descripcion,
+        concepto.m3_cobrados ?? '',
+        concepto.precio_por_m3 != null ? moneda(concepto.precio_por_m3) : '',
+        moneda(concepto.subtotal)
+    ]);
+
+    for (const nota of factura.notas || []) {
+        const signo = nota.tipo === 'credito' ? -1 : 1;
+        filas.push([`Nota de ${nota.tipo === 'credito' ? 'crédito' : 'débito'}: ${nota.motivo}`, '', '', moneda(signo * nota.monto)]);
+    }
+
+    if (filas.length === 0) {
+        filas.push(['Consumo del periodo', factura.consumo_m3, '', moneda(factura.total)]);
+    }
+
+    dibujarTabla(doc, [
+        { titulo: 'Concepto', ancho: 262 },
+        { titulo: 'm³', ancho: 60, alinear: 'right' },
+        { titulo: 'Precio', ancho: 90, alinear: 'right' },
+        { titulo: 'Importe', ancho: 100, alinear: 'right' }
+    ], filas);
+};
+
+/**
+ * Recuadro con los importes finales
+ * @param {Array<[string, string]>} lineas - Etiqueta e importe ya formateado
+ * @param {[string, string]} destacado - Línea principal (importe a pagar / pagado)
+ */
+const dibujarResumenImportes = (doc, lineas, destacado) => {
+    const ancho = 240;
+    const x = doc.page.width - MARGEN - ancho;
+    let y = doc.y + 5;
+    const alto = lineas.length * 15 + 34;
+
+    doc.rect(x, y, ancho, alto).fill(COLOR_FONDO);
+    y += 8;
+
+    doc.fontSize(10);
+    for (const [etiqueta, valor] of lineas) {
+        doc.font('Helvetica').fillColor(COLOR_TEXTO).text(etiqueta, x + 10, y, { width: 130 });
+        doc.text(valor, x + 140, y, { width: ancho - 150, align: 'right' });
+        y += 15;
+    }
+
+    doc.moveTo(x + 10, y + 2).lineTo(x + ancho - 10, y + 2).lineWidth(1).strokeColor(COLOR_PRIMARIO).stroke();
+    doc.font('Helvetica-Bold').fontSize(12).fillColor(COLOR_PRIMARIO)
+        .text(destacado[0], x + 10, y + 8, { width: 130 })
+        .text(destacado[1], x + 140, y + 8, { width: ancho - 150, align: 'right' });
+
+    doc.y = y + 34;
+    doc.x = MARGEN;
+};
+
+/**
+ * Pie de página
+ */
+const dibujarPie = (doc, leyenda) => {
+    doc.font('Helvetica').fontSize(8).fillColor(COLOR_SECUNDARIO)
+        .text(leyenda, MARGEN, doc.page.height - MARGEN - 20, { width: doc.page.width - MARGEN * 2, align: 'center' });
+};
+
+/**
+ * Datos del cliente, medidor y ruta
+ */
+const dibujarDatosCliente = (doc, factura) => {
+    dibujarSeccion(doc, 'Datos del cliente');
+    dibujarDatos(doc, [
+        ['Cliente', factura.cliente_nombre],
+        ['Dirección', factura.direccion_cliente],
+        ['Teléfono', factura.telefono_cliente],
+        ['No. cliente', factura.cliente_id],
+        ['Medidor', factura.medidor?.numero_serie],
+        ['Ubicación', factura.medidor?.ubicacion],
+        ['Ruta', factura.ruta?.nombre],
+        ['Tarifa', factura.tarifa_nombre]
+    ]);
+};
+
+/**
+ * Genera el PDF de una factura
+ * @param {Object} factura - Factura tal como la devuelve consultarFacturas
+ * @returns {Promise<Buffer>}
+ */
+export const generarFacturaPdf = (factura) => renderizar(
+    { Title: `Factura ${factura.id}`, Subject: `Consumo de agua ${factura.mes_facturado}` },
+    (doc) => {
+        dibujarEncabezado(doc, 'FACTURA DE AGUA', factura.id, factura.fecha_emision);
+        dibujarDatosCliente(doc, factura);
+
+        dibujarSeccion(doc, 'Periodo facturado');
+        dibujarDatos(doc, [
+            ['Mes facturado', factura.mes_facturado],
+            ['Estado', factura.estado],
+            ['Fecha de emisión', factura.fecha_emision],
+            ['Vencimiento', factura.fecha_vencimiento],
+            ...(factura.estimada ? [['Consumo', 'Estimado sin lectura; se ajusta con la siguiente lectura real']] : [])
+        ]);
+
+        dibujarComparativoConsumo(doc, factura);
+        dibujarDesglose(doc, factura);
+
+        const adeudo = factura.adeudo_anterior || 0;
+        dibujarResumenImportes(doc, [
+            ['Total del periodo', moneda(factura.total)],
+            ['Pagos y ajustes', moneda(factura.saldo_pendiente - factura.total)],
+            ['Saldo del periodo', moneda(factura.saldo_pendiente)],
+            ['Adeudo anterior', moneda(adeudo)]
+        ], ['Total a pagar', moneda(factura.saldo_pendiente + adeudo)]);
+
+        dibujarPie(doc, factura.estado === 'Cancelada'
+            ? 'Factura cancelada - sin validez para cobro'
+            : `Pague antes del ${factura.fecha_vencimiento} para evitar recargos.`);
+    }
+);
+
+/**
+ * Genera el PDF del recibo de un pago
+ * @param {Object} pago - Pago (id, fecha_pago, monto, cantidad_entregada, cambio, saldo_favor, metodo_pago, comentario, modificado_por_nombre)
+ * @param {Object} factura - Factura pagada tal como la devuelve consultarFacturas
+ * @returns {Promise<Buffer>}
+ */
+export const generarReciboPagoPdf = (pago, factura) => renderizar(
+    { Title: `Recibo de pago ${pago.id}`, Subject: `Pago de factura ${factura.id}` },
+    (doc) => {
+        dibujarEncabezado(doc, 'RECIBO DE PAGO', pago.id, pago.fecha_pago);
+        dibujarDatosCliente(doc, factura);
+
+        dibujarSeccion(doc, 'Datos del pago');
+        dibujarDatos(doc, [
+            ['Factura', factura.id],
+            ['Mes facturado', factura.mes_facturado],
+            ['Método de pago', pago.metodo_pago],
+            ['Recibió', pago.modificado_por_nombre],
+            ['Fecha de pago', pago.fecha_pago],
+            ['Comentario', pago.comentario || '-'],
+            ...(pago.anulado ? [['ANULADO', `${pago.fecha_anulacion} - ${pago.motivo_anulacion}`]] : [])
+        ]);
+
+        dibujarComparativoConsumo(doc, factura);
+        dibujarDesglose(doc, factura);
+
+        const lineas = [
+            ['Total de la factura', moneda(factura.total)],
+            ['Cantidad entregada', moneda(pago.cantidad_entregada ?? pago.monto)],
+            ['Cambio', moneda(pago.cambio)],
+            ['Saldo pendiente', moneda(factura.saldo_pendiente)]
+        ];
+        if (pago.saldo_favor > 0) {
+            lineas.splice(2, 0, ['Abonado a saldo a favor', moneda(pago.saldo_favor)]);
+        }
+
+        dibujarResumenImportes(doc, lineas, ['Importe pagado', moneda(pago.monto)]);
+
+        dibujarPie(doc, 'Este recibo ampara el pago aplicado a la factura indicada. Consérvelo para cualquier aclaración.');
+    }
+);
+
+/**
+ * Genera el PDF de un recibo de cliente (un pago repartido en varias facturas)
+ * @param {Object} recibo - Recibo con sus aplicaciones por factura
+ * @returns {Promise<Buffer>}
+ */
+export const generarReciboClientePdf = (recibo) => renderizar(
+    { Title: `Recibo ${recibo.id}`, Subject: `Pago de ${recibo.cliente_nombre}` },
+    (doc) => {
+        dibujarEncabezado(doc, 'RECIBO DE PAGO', `R-${recibo.id}`, recibo.fecha_pago);
+
+        dibujarSeccion(doc, 'Datos del pago');
+        dibujarDatos(doc, [
+            ['Cliente', recibo.cliente_nombre],
+            ['Dirección', recibo.direccion_cliente],
+            ['No. cliente', recibo.cliente_id],
+            ['Método de pago', recibo.metodo_pago],
+            ['Recibió', recibo.modificado_por_nombre],
+            ['Comentario', recibo.comentario || '-']
+        ]);
+
+        dibujarSeccion(doc, 'Facturas abonadas');
+        dibujarTabla(doc, [
+            { titulo: 'Factura', ancho: 60 },
+            { titulo: 'Periodo', ancho: 90 },
+            { titulo: 'Emisión', ancho: 82 },
+            { titulo: 'Total', ancho: 90, alinear: 'right' },
+            { titulo: 'Abono', ancho: 90, alinear: 'right' },
+            { titulo: 'Saldo actual', ancho: 100, alinear: 'right' }
+        ], recibo.aplicaciones.map(a => [
+            a.anulado ? `${a.factura_id} (anulado)` : a.factura_id,
+            a.periodo,
+            a.fecha_emision,
+            moneda(a.total_factura),
+            moneda(a.monto),
+            moneda(a.saldo_pendiente)
+        ]));
+
+        const lineas = [['Cantidad entregada', moneda(recibo.cantidad_entregada)]];
+        if (recibo.saldo_favor > 0) {
+            lineas.push(['Abonado a saldo a favor', moneda(recibo.saldo_favor)]);
+        }
+        lineas.push(['Cambio', moneda(recibo.cambio)]);
+
+        dibujarResumenImportes(doc, lineas, ['Importe pagado', moneda(recibo.monto_aplicado)]);
+
+        dibujarPie(doc, 'Este recibo ampara los abonos aplicados a las facturas indicadas. Consérvelo para cualquier aclaración.');
+    }
+);
+
+/**
+ * Genera el PDF del estado de cuenta de un cliente
+ * @param {Object} estado - Resultado de obtenerEstadoCuenta
+ * @returns {Promise<Buffer>}
+ */
+export const generarEstadoCuentaPdf = (estado) => renderizar(
+    { Title: `Estado de cuenta ${estado.cliente.nombre}`, Subject: 'Estado de cuenta' },
+    (doc) => {
+        const hoy = new Date().toISOString().split('T')[0];
+        dibujarEncabezado(doc, 'ESTADO DE CUENTA', `C-${estado.cliente.id}`, hoy);
+
+        dibujarSeccion(doc, 'Datos del cliente');
+        dibujarDatos(doc, [
+            ['Cliente', estado.cliente.nombre],
+            ['Dirección', estado.cliente.direccion],
+            ['Teléfono', estado.cliente.telefono],
+            ['No. cliente', estado.cliente.id],
+            ['Desde', estado.desde || 'Inicio'],
+            ['Hasta', estado.hasta || hoy]
+        ]);
+
+        dibujarSeccion(doc, 'Movimientos');
+        dibujarTabla(doc, [
+            { titulo: 'Fecha', ancho: 62 },
+            { titulo: 'Descripción', ancho: 230 },
+            { titulo: 'Cargo', ancho: 72, alinear: 'right' },
+            { titulo: 'Abono', ancho: 72, alinear: 'right' },
+            { titulo: 'Saldo', ancho: 76, alinear: 'right' }
+        ], [
+            [estado.desde || '', 'Saldo inicial', '', '', moneda(estado.saldo_inicial)],
+            ...estado.movimientos.map(m => [
+                m.fecha,
+                m.descripcion,
+                m.cargo ? moneda(m.cargo) : '',
+                m.abono ? moneda(m.abono) : '',
+                moneda(m.saldo)
+            ])
+        ]);
+
+        if (doc.y + 110 > doc.page.height - MARGEN) {
+            doc.addPage();
+        }
+
+        dibujarResumenImportes(doc, [
+            ['Saldo inicial', moneda(estado.saldo_inicial)],
+            ['Cargos', moneda(estado.total_cargos)],
+            ['Abonos', moneda(estado.total_abonos)]
+        ], ['Saldo final', moneda(estado.saldo_final)]);
+
+        dibujarPie(doc, `Generado el ${hoy}. Los pagos posteriores a esta fecha no se reflejan en este documento.`);
+    }
+);
+
+export default {
+    generarFacturaPdf,
+    generarReciboPagoPdf,
+    generarReciboClientePdf,
+    generarEstadoCuentaPdf
+};
@@ -0,0 +1,330 @@
+/**
+ * Estado de cuenta de clientes - V2
+ *
+ * File: src/v2/services/estadoCuenta.js
+ *
+ * Descripción: Arma el libro de movimientos de un cliente uniendo facturas,
+ * recargos, pagos, notas de crédito/débito y cancelaciones en orden
+ * cronológico, con saldo inicial, saldo acumulado por movimiento y saldo final.
+ *
+ * Convención de signos:
+ * - cargo: aumenta lo que debe el cliente (factura, recargo, nota de débito,
+ *   anulación de un pago o de un excedente abonado al saldo a favor)
+ * - abono: reduce lo que debe el cliente (pago, nota de crédito, cancelación,
+ *   excedente o anticipo abonado al saldo a favor)
+ *
+ * Los pagos con metodo 'Saldo a favor' no se listan: ese dinero ya se abonó
+ * cuando entró al saldo a favor; por lo mismo tampoco se lista su anulación
+ * (el reintegro al saldo a favor compensa el saldo que vuelve a la factura). Así, el saldo final sin filtro de fechas es
+ * la suma de saldo_pendiente de las facturas menos el saldo a favor disponible
+ * (negativo si el cliente tiene saldo a favor sin aplicar).
+ */
+
+import dbTurso from '../../database/db-turso.js';
+import { METODO_SALDO_FAVOR } from './saldoFavor.js';
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Solo la parte de fecha de un DATE o DATETIME
+ */
+const soloFecha = (valor) => (valor ? String(valor).substring(0, 10) : null);
+
+// Orden dentro de un mismo día: primero lo que genera deuda y después lo que la abona
+const ORDEN_TIPOS = {
+    factura: 0,
+    recargo: 1,
+    nota_debito: 2,
+    pago: 3,
+    saldo_favor: 4,
+    nota_credito: 5,
+    cancelacion: 6,
+    anulacion_pago: 7,
+    anulacion_saldo_favor: 8
+};
+
+/**
+ * Valida una fecha YYYY-MM-DD
+ */
+export const esFechaValida = (fecha) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(fecha) && !isNaN(new Date(fecha).getTime());
+
+/**
+ * Obtiene todos los movimientos del cliente, sin filtrar por fecha
+ * @param {number} cliente_id
+ * @returns {Promise<Array<Object>>} - Movimientos sin saldo acumulado
+ */
+const obtenerMovimientos = async (cliente_id) => {
+    const movimientos = [];
+
+    const facturasResult = await dbTurso.execute({
+        sql: `
+            SELECT f.id, f.fecha_emision, f.total, f.estado, f.estimada, COALESCE(l.periodo, e.periodo) AS periodo,
+                   (SELECT COALESCE(SUM(d.subtotal), 0) FROM factura_detalles d
+                    WHERE d.factura_id = f.id AND d.tipo = 'recargo') AS total_recargos
+            FROM facturas f
+            LEFT JOIN lecturas l ON f.lectura_id = l.id
+            LEFT JOIN estimaciones_consumo e ON e.factura_id = f.id
+            WHERE f.cliente_id = ?
+        `,
+        args: [cliente_id]
+    });
+
+    for (const f of facturasResult.rows) {
+        // Los recargos se agregan al total después de emitir; se listan en su propia fecha
+        movimientos.push({
+            fecha: soloFecha(f.fecha_emision),
+            tipo: 'factura',
+            documento_id: Number(f.id),
+            factura_id: Number(f.id),
+            descripcion: `Factura ${f.id}${f.periodo ? ` - periodo ${f.periodo}` : ''}${Number(f.estimada) ? ' (estimada)' : ''}`,
+            cargo: redondear(Number(f.total) - Number(f.total_recargos)),
+            abono: 0
+        });
+    }
+
+    const recargosResult = await dbTurso.execute({
+        sql: `
+            SELECT d.id, d.factura_id, d.descripcion, d.subtotal, d.fecha_creacion
+            FROM factura_detalles d
+            JOIN facturas f ON d.factura_id = f.id
+            WHERE f.cliente_id = ? AND d.tipo = 'recargo'
+        `,
+        args: [cliente_id]
+    });
+
+    for (const r of recargosResult.rows) {
+        movimientos.push({
+            fecha: soloFecha(r.fecha_creacion),
+            tipo: 'recargo',
+            documento_id: Number(r.id),
+            factura_id: Number(r.factura_id),
+            descripcion: `${r.descripcion} - factura ${r.factura_id}`,
+            cargo: redondear(r.subtotal),
+            abono: 0
+        });
+    }
+
+    const pagosResult = await dbTurso.execute({
+        sql: `
+            SELECT p.id, p.factura_id, p.fecha_pago, p.monto, p.metodo_pago
+            FROM pagos p
+            JOIN facturas f ON p.factura_id = f.id
+            WHERE f.cliente_id = ? AND p.metodo_pago != ?
+        `,
+        args: [cliente_id, METODO_SALDO_FAVOR]
+    });
+
+    for (const p of pagosResult.rows) {
+        movimientos.push({
+            fecha: soloFecha(p.fecha_pago),
+            tipo: 'pago',
+            documento_id: Number(p.id),
+            factura_id: Number(p.factura_id),
+            descripcion: `Pago ${p.id} (${p.metodo_pago}) - factura ${p.factura_id}`,
+            cargo: 0,
+            abono: redondear(p.monto)
+        });
+    }
+
+    // El pago anulado se conserva en su fecha y la anulación lo revierte como cargo
+    const anulacionesResult = await dbTurso.execute({
+        sql: `
+            SELECT a.id, a.pago_id, a.factura_id, a.monto, a.motivo, a.fecha_creacion
+            FROM anulaciones_pago a
+            JOIN pagos p ON a.pago_id = p.id
+            JOIN facturas f ON a.factura_id = f.id
+            WHERE f.cliente_id = ? AND p.metodo_pago != ?
+        `,
+        args: [cliente_id, METODO_SALDO_FAVOR]
+    });
+
+    for (const a of anulacionesResult.rows) {
+        movimientos.push({
+            fecha: soloFecha(a.fecha_creacion),
+            tipo: 'anulacion_pago',
+            documento_id: Number(a.id),
+            factura_id: Number(a.factura_id),
+            descripcion: `Anulación del pago ${a.pago_id} - factura ${a.factura_id}: ${a.motivo}`,
+            cargo: redondear(a.monto),
+            abono: 0
+        });
+    }
+
+    const notasResult = await dbTurso.execute({
+        sql: `
+            SELECT n.id, n.factura_id, n.tipo, n.monto, n.motivo, n.fecha_creacion
+            FROM notas_factura n
+            JOIN facturas f ON n.factura_id = f.id
+            WHERE f.cliente_id = ?
+        `,
+        args: [cliente_id]
+    });
+
+    for (const n of notasResult.rows) {
+        const esCredito = n.tipo === 'credito';
+        movimientos.push({
+            fecha: soloFecha(n.fecha_creacion),
+            tipo: esCredito ? 'nota_credito' : 'nota_debito',
+            documento_id: Number(n.id),
+            factura_id: Number(n.factura_id),
+            descripcion: `Nota de ${esCredito ? 'crédito' : 'débito'} ${n.id} - factura ${n.factura_id}: ${n.motivo}`,
+            cargo: esCredito ? 0 : redondear(n.monto),
+            abono: esCredito ? redondear(n.monto) : 0
+        });
+    }
+
+    const saldoFavorResult = await dbTurso.execute({
+        sql: `
+            SELECT s.id, s.tipo, s.monto, s.descripcion,
+                   CASE WHEN s.tipo = 'abono'
+                        THEN COALESCE(p.fecha_pago, r.fecha_pago, s.fecha_creacion)
+                        ELSE s.fecha_creacion
+                   END AS fecha
+            FROM saldo_favor_movimientos s
+            LEFT JOIN pagos p ON s.pago_id = p.id
+            LEFT JOIN recibos r ON s.recibo_id = r.id
+            WHERE s.cliente_id = ? AND s.tipo IN ('abono', 'anulacion')
+        `,
+        args: [cliente_id]
+    });
+
+    for (const a of saldoFavorResult.rows) {
+        const esAbono = a.tipo === 'abono';
+        movimientos.push({
+            fecha: soloFecha(a.fecha),
+            tipo: esAbono ? 'saldo_favor' : 'anulacion_saldo_favor',
+            documento_id: Number(a.id),
+            factura_id: null,
+            descripcion: `Saldo a favor: ${a.descripcion || (esAbono ? 'abono' : 'anulación')}`,
+            cargo: esAbono ? 0 : redondear(a.monto),
+            abono: esAbono ? redondear(a.monto) : 0
+        });
+    }
+
+    // Una factura cancelada no tiene pagos vigentes: se abona completa en la fecha de cancelación
+    const canceladasResult = await dbTurso.execute({
+        sql: `
+            SELECT f.id, f.total, f.fecha_emision,
+                   (SELECT MAX(h.fecha_modificacion) FROM historial_cambios h
+                    WHERE h.tabla = 'facturas' AND h.registro_id = f.id AND h.operacion = 'CANCELACION') AS fecha_cancelacion
+            FROM facturas f
+            WHERE f.cliente_id = ? AND f.estado = 'Cancelada'
+        `,
+        args: [cliente_id]
+    });
+
+    for (const c of canceladasResult.rows) {
+        movimientos.push({
+            fecha: soloFecha(c.fecha_cancelacion || c.fecha_emision),
+            tipo: 'cancelacion',
+            documento_id: Number(c.id),
+            factura_id: Number(c.id),
+            descripcion: `Cancelación de factura ${c.id}`,
+            cargo: 0,
+            abono: redondear(c.total)
+        });
+    }
+
+    return movimientos.sort((a, b) =>
+        a.fecha.localeCompare(b.fecha) ||
+        ORDEN_TIPOS[a.tipo] - ORDEN_TIPOS[b.tipo] ||
+        a.documento_id - b.documento_id
+    );
+};
+
+/**
+ * Genera el estado de cuenta de un cliente
+ * @param {number} cliente_id - ID del cliente
+ * @param {Object} [rango]
+ * @param {string} [rango.desde] - Fecha inicial YYYY-MM-DD (inclusive)
+ * @param {string} [rango.hasta] - Fecha final YYYY-MM-DD (inclusive)
+ * @returns {Promise<Object|null>} - null si el cliente no existe
+ */
+export const obtenerEstadoCuenta = async (cliente_id, { desde = null, hasta = null } = {}) => {
+    const clienteResult = await dbTurso.execute({
+        sql: `SELECT id, nombre, direccion, telefono, ciudad, correo, estado_cliente FROM clientes WHERE id = ?`,
+        args: [cliente_id]
+    });
+
+    if (clienteResult.rows.length === 0) {
+        return null;
+    }
+
+    const c = clienteResult.rows[0];
+    const todos = await obtenerMovimientos(cliente_id);
+
+    let saldoInicial = 0;
+    let saldo = 0;
+    let totalCargos = 0;
+    let totalAbonos = 0;
+    const movimientos = [];
+
+    for (const movimiento of todos) {
+        if (desde && movimiento.fecha < desde) {
+            saldoInicial = redondear(saldoInicial + movimiento.cargo - movimiento.abono);
+            saldo = saldoInicial;
+            continue;
+        }
+        if (hasta && movimiento.fecha > hasta) break;
+
+        saldo = redondear(saldo + movimiento.cargo - movimiento.abono);
+        totalCargos = redondear(totalCargos + movimiento.cargo);
+        totalAbonos = redondear(totalAbonos + movimiento.abono);
+        movimientos.push({ ...movimiento, saldo });
+    }
+
+    return {
+        cliente: {
+            id: Number(c.id),
+            nombre: c.nombre,
+            direccion: c.direccion,
+            telefono: c.telefono,
+            ciudad: c.ciudad,
+            correo: c.correo,
+            estado_cliente: c.estado_cliente
+        },
+        desde,
+        hasta,
+        saldo_inicial: saldoInicial,
+        total_cargos: totalCargos,
+        total_abonos: totalAbonos,
+        saldo_final: saldo,
+        movimientos,
+        generado: new Date().toISOString()
+    };
+};
+
+/**
+ * Escapa un valor para CSV
+ */
+const celdaCsv = (valor) => {
+    const texto = valor == null ? '' : String(valor);
+    return /[",\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+/**
+ * Convierte un estado de cuenta a CSV (una fila por movimiento más saldo inicial y final)
+ * @param {Object} estado - Resultado de obtenerEstadoCuenta
+ * @returns {string}
+ */
+export const estadoCuentaACsv = (estado) => {
+    const filas = [
+        ['fecha', 'tipo', 'factura_id', 'documento_id', 'descripcion', 'cargo', 'abono', 'saldo'],
+        [estado.desde || '', 'saldo_inicial', '', '', 'Saldo inicial', '', '', estado.saldo_inicial.toFixed(2)],
+        ...estado.movimientos.map(m => [
+            m.fecha, m.tipo, m.factura_id, m.documento_id, m.descripcion,
+            m.cargo.toFixed(2), m.abono.toFixed(2), m.saldo.toFixed(2)
+        ]),
+        [estado.hasta || '', 'saldo_final', '', '', 'Saldo final',
+            estado.total_cargos.toFixed(2), estado.total_abonos.toFixed(2), estado.saldo_final.toFixed(2)]
+    ];
+
+    return filas.map(fila => fila.map(celdaCsv).join(',')).join('\r\n') + '\r\n';
+};
+
+export default {
+    esFechaValida,
+    obtenerEstadoCuenta,
+    estadoCuentaACsv
+};
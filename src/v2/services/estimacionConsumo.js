@@ -0,0 +1,449 @@
+/**
+ * Facturación por consumo estimado - V2
+ *
+ * File: src/v2/services/estimacionConsumo.js
+ *
+ * Descripción: Los medidores sin lectura al corte (con incidencia reportada o sin visita)
+ * se facturan con un consumo estimado en la generación masiva. La factura queda marcada
+ * como estimada (facturas.estimada) y su cálculo en estimaciones_consumo.
+ *
+ * Estimación:
+ * - promedio: promedio del consumo de las últimas lecturas facturables del medidor
+ * - minimo_tarifa: sin historial, el consumo mínimo de la tarifa (la cuota base)
+ *
+ * Conciliación:
+ * - La siguiente lectura real deriva su consumo contra el último registro leído, así que
+ *   cubre también los periodos estimados; ese consumo se reparte en partes iguales entre
+ *   ellos y el periodo de la lectura. Las capturas solo con consumo (manual) concilian
+ *   únicamente el periodo que capturan.
+ * - Cuando la lectura se factura, cada factura estimada se vuelve a calcular con su parte
+ *   (recalcularFactura): el total si no tiene pagos, si los tiene una nota de débito o crédito.
+ * - Si la lectura es del mismo periodo estimado, su factura es la estimada ya conciliada.
+ * - Las estimaciones de periodos cerrados ya no se ajustan: se dan por buenas y solo el
+ *   consumo restante se reparte entre los demás periodos.
+ *
+ * Configuración (.env):
+ * - ESTIMACION_PERIODOS_PROMEDIO: lecturas anteriores para el promedio (por defecto 3)
+ */
+
+import dbTurso from '../../database/db-turso.js';
+import { calcularTarifa, obtenerRangosTarifa } from './tarifaEngine.js';
+import { registrarDetallesFactura } from './facturaDetalles.js';
+import { aplicarSaldoFavor } from './saldoFavor.js';
+import { recalcularFactura } from './refacturacionLectura.js';
+
+export const METODOS_ESTIMACION = ['promedio', 'minimo_tarifa'];
+
+// Estados de revisión de las lecturas que cuentan para el promedio
+const ESTADOS_FACTURABLES = ['no_requerida', 'aprobada'];
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+const periodosPromedio = () => {
+    const periodos = parseInt(process.env.ESTIMACION_PERIODOS_PROMEDIO, 10);
+    return periodos > 0 ? periodos : 3;
+};
+
+/**
+ * Formatea una fila de estimaciones_consumo
+ */
+export const formatearEstimacion = (row) => ({
+    id: Number(row.id),
+    factura_id: Number(row.factura_id),
+    medidor_id: Number(row.medidor_id),
+    periodo: row.periodo,
+    metodo: row.metodo,
+    consumo_estimado: Number(row.consumo_estimado),
+    periodos_promedio: Number(row.periodos_promedio),
+    incidencia_id: row.incidencia_id != null ? Number(row.incidencia_id) : null,
+    incidencia_codigo: row.incidencia_codigo || null,
+    lectura_id: row.lectura_id != null ? Number(row.lectura_id) : null,
+    consumo_real: row.consumo_real != null ? Number(row.consumo_real) : null,
+    diferencia: row.diferencia != null ? Number(row.diferencia) : null,
+    conciliada: row.fecha_conciliacion != null,
+    fecha_conciliacion: row.fecha_conciliacion || null
+});
+
+/**
+ * Estima el consumo de un periodo sin lectura
+ * @param {Object} params
+ * @param {number} params.medidor_id
+ * @param {string} params.periodo
+ * @param {number} params.tarifa_id
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { success, metodo, consumo_m3, periodos_promedio } o { success: false, error }
+ */
+export const estimarConsumo = async ({ medidor_id, periodo, tarifa_id, db = dbTurso }) => {
+    const historialResult = await db.execute({
+        sql: `
+            SELECT consumo_m3 FROM lecturas
+            WHERE medidor_id = ? AND periodo < ?
+              AND estado_revision IN (${ESTADOS_FACTURABLES.map(() => '?').join(',')})
+            ORDER BY periodo DESC, fecha_lectura DESC, id DESC
+            LIMIT ?
+        `,
+        args: [medidor_id, periodo, ...ESTADOS_FACTURABLES, periodosPromedio()]
+    });
+
+    const historial = historialResult.rows.map(row => Number(row.consumo_m3));
+
+    if (historial.length > 0) {
+        return {
+            success: true,
+            metodo: 'promedio',
+            consumo_m3: redondear(historial.reduce((sum, c) => sum + c, 0) / historial.length),
+            periodos_promedio: historial.length
+        };
+    }
+
+    const rangos = await obtenerRangosTarifa(tarifa_id, db);
+
+    if (rangos.length === 0) {
+        return { success: false, error: 'La tarifa no tiene rangos configurados' };
+    }
+
+    return {
+        success: true,
+        metodo: 'minimo_tarifa',
+        consumo_m3: Math.min(...rangos.map(r => Number(r.consumo_min))),
+        periodos_promedio: 0
+    };
+};
+
+/**
+ * Medidores activos con cliente y tarifa que no tienen lectura ni factura estimada en el periodo
+ * @param {Object} params
+ * @param {string} params.periodo
+ * @param {string} params.fecha_corte - Los medidores instalados después no se estiman
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Array<Object>>}
+ */
+export const obtenerMedidoresSinLectura = async ({ periodo, fecha_corte, db = dbTurso }) => {
+    const result = await db.execute({
+        sql: `
+            SELECT
+                m.id AS medidor_id,
+                m.numero_serie AS medidor_numero,
+                m.cliente_id,
+                c.nombre AS cliente_nombre,
+                c.tarifa_id,
+                i.id AS incidencia_id,
+                i.codigo AS incidencia_codigo
+            FROM medidores m
+            JOIN clientes c ON m.cliente_id = c.id
+            LEFT JOIN incidencias_lectura i ON i.medidor_id = m.id AND i.periodo = ?
+            WHERE m.estado_medidor = 'Activo'
+              AND c.estado_cliente = 'Activo'
+              AND c.tarifa_id IS NOT NULL
+              AND (m.fecha_instalacion IS NULL OR m.fecha_instalacion <= ?)
+              AND NOT EXISTS (SELECT 1 FROM lecturas l WHERE l.medidor_id = m.id AND l.periodo = ?)
+              AND NOT EXISTS (
+                  SELECT 1 FROM estimaciones_consumo e
+                  JOIN facturas f ON f.id = e.factura_id
+                  WHERE e.medidor_id = m.id AND e.periodo = ? AND f.estado != 'Cancelada'
+              )
+            ORDER BY m.id ASC
+        `,
+        args: [periodo, fecha_corte, periodo, periodo]
+    });
+
+    return result.rows;
+};
+
+/**
+ * Emite la factura estimada de un medidor sin lectura en el periodo
+ * @param {Object} params
+ * @param {number} params.medidor_id
+ * @param {number} params.cliente_id
+ * @param {number} params.tarifa_id
+ * @param {string} params.periodo
+ * @param {string} params.fecha_emision
+ * @param {number} [params.incidencia_id] - Incidencia reportada en la ruta, si la hay
+ * @param {number} [params.modificado_por]
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { success, factura_id, total, saldo_favor_aplicado, estimacion } o { success: false, error }
+ */
+export const generarFacturaEstimada = async ({
+    medidor_id, cliente_id, tarifa_id, periodo, fecha_emision, incidencia_id = null, modificado_por = null, db = dbTurso
+}) => {
+    const estimacion = await estimarConsumo({ medidor_id, periodo, tarifa_id, db });
+
+    if (!estimacion.success) {
+        return { success: false, error: estimacion.error };
+    }
+
+    const calculo = await calcularTarifa(tarifa_id, estimacion.consumo_m3, db);
+
+    if (!calculo.success) {
+        return { success: false, error: calculo.error };
+    }
+
+    const total = calculo.desglose.total;
+
+    const fechaVencimiento = new Date(fecha_emision);
+    fechaVencimiento.setDate(fechaVencimiento.getDate() + 30);
+    const fecha_vencimiento = fechaVencimiento.toISOString().split('T')[0];
+
+    const insertFacturaResult = await db.execute({
+        sql: `
+            INSERT INTO facturas
+            (lectura_id, cliente_id, tarifa_id, fecha_emision, fecha_vencimiento, estado, total, saldo_pendiente, estimada, modificado_por)
+            VALUES (NULL, ?, ?, ?, ?, 'Pendiente', ?, ?, 1, ?)
+        `,
+        args: [cliente_id, tarifa_id, fecha_emision, fecha_vencimiento, total, total, modificado_por]
+    });
+
+    const factura_id = Number(insertFacturaResult.lastInsertRowid);
+
+    await registrarDetallesFactura(factura_id, calculo.desglose.conceptos, [], db);
+
+    const estimacionResult = await db.execute({
+        sql: `
+            INSERT INTO estimaciones_consumo
+            (factura_id, medidor_id, periodo, metodo, consumo_estimado, periodos_promedio, incidencia_id, modificado_por)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+        args: [
+            factura_id, medidor_id, periodo, estimacion.metodo, estimacion.consumo_m3,
+            estimacion.periodos_promedio, incidencia_id, modificado_por
+        ]
+    });
+
+    const saldoFavor = await aplicarSaldoFavor({ factura_id, cliente_id, fecha: fecha_emision, modificado_por, db });
+
+    return {
+        success: true,
+        factura_id,
+        total,
+        fecha_vencimiento,
+        saldo_favor_aplicado: saldoFavor ? saldoFavor.monto : 0,
+        estimacion: {
+            id: Number(estimacionResult.lastInsertRowid),
+            metodo: estimacion.metodo,
+            consumo_estimado: estimacion.consumo_m3,
+            periodos_promedio: estimacion.periodos_promedio
+        }
+    };
+};
+
+/**
+ * Reparte el consumo de una lectura real entre los periodos estimados que cubre y el suyo
+ * @param {Object} params
+ * @param {number} params.medidor_id
+ * @param {string} [params.periodo] - Periodo de la lectura
+ * @param {number} params.consumo_m3 - Consumo derivado desde el último registro leído
+ * @param {string} params.calculo_consumo - 'manual' solo concilia su propio periodo
+ * @param {number} [params.lectura_id] - Lectura existente (al modificarla)
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { consumo_periodo, asignaciones: [{ estimacion_id, factura_id, periodo, consumo_real }] }
+ */
+export const repartirConsumo = async ({ medidor_id, periodo, consumo_m3, calculo_consumo, lectura_id = null, db = dbTurso }) => {
+    const consumo = Number(consumo_m3);
+
+    if (!periodo || consumo < 0) {
+        return { consumo_periodo: consumo, asignaciones: [] };
+    }
+
+    // Sin registro no se sabe qué consumo corresponde a los periodos anteriores
+    const filtroPeriodo = calculo_consumo === 'manual'
+        ? 'e.periodo = ?'
+        : `e.periodo <= ? AND e.periodo > COALESCE((
+               SELECT MAX(l.periodo) FROM lecturas l
+               WHERE l.medidor_id = e.medidor_id AND l.periodo < ? AND l.id != COALESCE(?, -1)
+           ), '')`;
+
+    const result = await db.execute({
+        sql: `
+            SELECT e.id, e.factura_id, e.periodo, e.consumo_estimado, p.estado AS estado_periodo
+            FROM estimaciones_consumo e
+            JOIN facturas f ON f.id = e.factura_id
+            LEFT JOIN periodos p ON p.periodo = e.periodo
+            WHERE e.medidor_id = ? AND f.estado != 'Cancelada'
+              AND (e.fecha_conciliacion IS NULL OR e.lectura_id = COALESCE(?, -1))
+              AND ${filtroPeriodo}
+            ORDER BY e.periodo ASC
+        `,
+        args: calculo_consumo === 'manual'
+            ? [medidor_id, lectura_id, periodo]
+            : [medidor_id, lectura_id, periodo, periodo, lectura_id]
+    });
+
+    if (result.rows.length === 0) {
+        return { consumo_periodo: consumo, asignaciones: [] };
+    }
+
+    // Un periodo cerrado conserva su consumo estimado; el resto se reparte entre los abiertos
+    const cerrada = (row) => row.estado_periodo === 'cerrado';
+    const consumoCerrado = result.rows.filter(cerrada).reduce((suma, row) => suma + Number(row.consumo_estimado), 0);
+    const restante = Math.max(0, consumo - consumoCerrado);
+
+    const periodos = new Set([...result.rows.filter(row => !cerrada(row)).map(row => row.periodo), periodo]);
+    const parte = redondear(restante / periodos.size);
+    const consumo_periodo = redondear(restante - parte * (periodos.size - 1));
+
+    return {
+        consumo_periodo,
+        asignaciones: result.rows.map(row => ({
+            estimacion_id: Number(row.id),
+            factura_id: Number(row.factura_id),
+            periodo: row.periodo,
+            consumo_real: cerrada(row)
+                ? Number(row.consumo_estimado)
+                : (row.periodo === periodo ? consumo_periodo : parte)
+        }))
+    };
+};
+
+/**
+ * Liga las estimaciones a la lectura real que las cubre con su parte del consumo.
+ * El ajuste de las facturas se aplica al facturar la lectura (conciliarEstimaciones).
+ * @param {number} lectura_id
+ * @param {Array<Object>} asignaciones - Resultado de repartirConsumo
+ * @param {Object} [db] - Conexión o transacción en curso (por defecto dbTurso)
+ */
+export const ligarEstimaciones = async (lectura_id, asignaciones, db = dbTurso) => {
+    const ids = asignaciones.map(a => a.estimacion_id);
+
+    // Al corregir la lectura, las que dejó de cubrir y no se han conciliado quedan libres
+    await db.execute({
+        sql: `
+            UPDATE estimaciones_consumo
+            SET lectura_id = NULL, consumo_real = NULL
+            WHERE lectura_id = ? AND fecha_conciliacion IS NULL
+              ${ids.length > 0 ? `AND id NOT IN (${ids.map(() => '?').join(',')})` : ''}
+        `,
+        args: [lectura_id, ...ids]
+    });
+
+    for (const asignacion of asignaciones) {
+        await db.execute({
+            sql: `UPDATE estimaciones_consumo SET lectura_id = ?, consumo_real = ? WHERE id = ?`,
+            args: [lectura_id, asignacion.consumo_real, asignacion.estimacion_id]
+        });
+    }
+};
+
+/**
+ * Ajusta las facturas estimadas que cubre una lectura ya facturable a su consumo real
+ * @param {Object} params
+ * @param {number} params.lectura_id
+ * @param {number} [params.modificado_por]
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { factura_id, conciliaciones }; factura_id es la factura estimada
+ *   del mismo periodo de la lectura (que pasa a ser su factura) o null
+ */
+export const conciliarEstimaciones = async ({ lectura_id, modificado_por = null, db = dbTurso }) => {
+    const result = await db.execute({
+        sql: `
+            SELECT e.*, l.periodo AS lectura_periodo, p.estado AS estado_periodo
+            FROM estimaciones_consumo e
+            JOIN lecturas l ON l.id = e.lectura_id
+            JOIN facturas f ON f.id = e.factura_id
+            LEFT JOIN periodos p ON p.periodo = e.periodo
+            WHERE e.lectura_id = ? AND f.estado != 'Cancelada'
+            ORDER BY e.periodo ASC
+        `,
+        args: [lectura_id]
+    });
+
+    let factura_id = null;
+    const conciliaciones = [];
+
+    for (const estimacion of result.rows) {
+        const facturaResult = await db.execute({
+            sql: `SELECT * FROM facturas WHERE id = ?`,
+            args: [estimacion.factura_id]
+        });
+        const factura = facturaResult.rows[0];
+
+        if (estimacion.periodo === estimacion.lectura_periodo) {
+            factura_id = Number(factura.id);
+
+            if (factura.lectura_id == null) {
+                await db.execute({
+                    sql: `UPDATE facturas SET lectura_id = ? WHERE id = ?`,
+                    args: [lectura_id, factura.id]
+                });
+            }
+        }
+
+        const consumoReal = Number(estimacion.consumo_real);
+
+        // La factura de un periodo cerrado queda como se emitió
+        const resultado = estimacion.estado_periodo === 'cerrado'
+            ? { success: true, factura_id: Number(factura.id), diferencia: 0, ajuste: 'periodo_cerrado' }
+            : await recalcularFactura({
+                factura,
+                consumo_m3: consumoReal,
+                motivo: `Conciliación de la estimación del periodo ${estimacion.periodo} con la lectura ${lectura_id} (${consumoReal} m³ reales, ${Number(estimacion.consumo_estimado)} m³ estimados)`,
+                referencia: { estimacion_id: Number(estimacion.id), lectura_id: Number(lectura_id) },
+                modificado_por,
+                db
+            });
+
+        const conciliacion = {
+            estimacion_id: Number(estimacion.id),
+            factura_id: Number(factura.id),
+            periodo: estimacion.periodo,
+            consumo_estimado: Number(estimacion.consumo_estimado),
+            consumo_real: consumoReal
+        };
+
+        if (!resultado.success) {
+            conciliaciones.push({ ...conciliacion, error: resultado.error });
+            continue;
+        }
+
+        await db.execute({
+            sql: `
+                UPDATE estimaciones_consumo
+                SET diferencia = ROUND(COALESCE(diferencia, 0) + ?, 2), fecha_conciliacion = datetime('now')
+                WHERE id = ?
+            `,
+            args: [resultado.diferencia, estimacion.id]
+        });
+
+        conciliaciones.push({ ...conciliacion, ...resultado });
+    }
+
+    return { factura_id, conciliaciones };
+};
+
+/**
+ * Obtiene la estimación de varias facturas indexada por factura_id
+ * @param {Array<number>} facturaIds
+ * @returns {Promise<Map<number, Object>>}
+ */
+export const obtenerEstimacionesFacturas = async (facturaIds) => {
+    const estimaciones = new Map();
+
+    if (!facturaIds || facturaIds.length === 0) {
+        return estimaciones;
+    }
+
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT e.*, i.codigo AS incidencia_codigo
+            FROM estimaciones_consumo e
+            LEFT JOIN incidencias_lectura i ON i.id = e.incidencia_id
+            WHERE e.factura_id IN (${facturaIds.map(() => '?').join(',')})
+        `,
+        args: facturaIds
+    });
+
+    result.rows.forEach(row => estimaciones.set(Number(row.factura_id), formatearEstimacion(row)));
+
+    return estimaciones;
+};
+
+export default {
+    METODOS_ESTIMACION,
+    formatearEstimacion,
+    estimarConsumo,
+    obtenerMedidoresSinLectura,
+    generarFacturaEstimada,
+    repartirConsumo,
+    ligarEstimaciones,
+    conciliarEstimaciones,
+    obtenerEstimacionesFacturas
+};
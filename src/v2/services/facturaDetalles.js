@@ -0,0 +1,172 @@
+/**
+ * Conceptos (detalle) de facturas - V2
+ *
+ * File: src/v2/services/facturaDetalles.js
+ *
+ * Descripción: Persiste y consulta las líneas de cada factura en la tabla
+ * factura_detalles. Las líneas se guardan al emitir la factura para que el
+ * total pueda reconstruirse aunque después cambien los rangos_tarifas.
+ *
+ * Tipos de línea:
+ * - cuota_base, rango, excedente: consumo por rango (salen de tarifaEngine)
+ * - cargo: cualquier otro cargo agregado a la factura
+ * - recargo: recargo por mora aplicado al vencer la factura
+ */
+
+import dbTurso from '../../database/db-turso.js';
+
+/**
+ * Redondea un importe a 2 decimales
+ */
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Texto legible de un concepto de consumo para recibos
+ */
+const describirConcepto = (concepto) => {
+    const { tipo, consumo_min, consumo_max } = concepto;
+
+    if (tipo === 'cuota_base') {
+        return `Cuota base (${consumo_min}-${consumo_max ?? '∞'} m³)`;
+    }
+    if (tipo === 'excedente') {
+        return `Excedente desde ${consumo_min} m³`;
+    }
+    return consumo_max == null
+        ? `Consumo desde ${consumo_min} m³`
+        : `Consumo ${consumo_min}-${consumo_max} m³`;
+};
+
+/**
+ * Valida una lista de cargos adicionales recibida en el body
+ * @param {*} cargos - Valor recibido (se espera un arreglo o undefined)
+ * @returns {string|null} - Mensaje de error o null si es válido
+ */
+export const validarCargosAdicionales = (cargos) => {
+    if (cargos == null) return null;
+
+    if (!Array.isArray(cargos)) {
+        return 'cargos_adicionales debe ser un arreglo';
+    }
+
+    for (const cargo of cargos) {
+        if (!cargo || !cargo.descripcion || cargo.importe == null || isNaN(Number(cargo.importe)) || Number(cargo.importe) <= 0) {
+            return 'Cada cargo adicional requiere descripcion e importe mayor a cero';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Suma de los importes de los cargos adicionales
+ */
+export const totalCargosAdicionales = (cargos = []) =>
+    redondear(cargos.reduce((sum, cargo) => sum + Number(cargo.importe), 0));
+
+/**
+ * Inserta líneas en una factura (al emitirla o posteriormente)
+ * @param {number} factura_id - ID de la factura
+ * @param {Array<Object>} conceptos - Conceptos de consumo devueltos por tarifaEngine
+ * @param {Array<Object>} [cargos] - Cargos adicionales ({ descripcion, importe })
+ * @param {Object} [db] - Conexión o transacción en curso (por defecto dbTurso)
+ */
+export const registrarDetallesFactura = async (factura_id, conceptos, cargos = [], db = dbTurso) => {
+    const insertQuery = `
+        INSERT INTO factura_detalles
+        (factura_id, tipo, descripcion, rango_id, consumo_min, consumo_max, m3_cobrados, precio_por_m3, subtotal, orden)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    // Las líneas agregadas después de emitir (p. ej. recargos) van al final
+    const ordenResult = await db.execute({
+        sql: `SELECT COALESCE(MAX(orden), 0) AS ultimo FROM factura_detalles WHERE factura_id = ?`,
+        args: [factura_id]
+    });
+    let orden = Number(ordenResult.rows[0].ultimo) + 1;
+
+    for (const concepto of conceptos) {
+        await db.execute({
+            sql: insertQuery,
+            args: [
+                factura_id,
+                concepto.tipo,
+                describirConcepto(concepto),
+                concepto.rango_id ?? null,
+                concepto.consumo_min ?? null,
+                concepto.consumo_max ?? null,
+                concepto.m3_cobrados ?? null,
+                concepto.precio_por_m3 ?? null,
+                concepto.subtotal,
+                orden++
+            ]
+        });
+    }
+
+    for (const cargo of cargos) {
+        await db.execute({
+            sql: insertQuery,
+            args: [
+                factura_id,
+                cargo.tipo || 'cargo',
+                cargo.descripcion,
+                null, null, null, null, null,
+                redondear(cargo.importe),
+                orden++
+            ]
+        });
+    }
+};
+
+/**
+ * Formatea una fila de factura_detalles
+ */
+const formatearDetalle = (row) => ({
+    id: Number(row.id),
+    tipo: row.tipo,
+    descripcion: row.descripcion,
+    consumo_min: row.consumo_min != null ? Number(row.consumo_min) : null,
+    consumo_max: row.consumo_max != null ? Number(row.consumo_max) : null,
+    m3_cobrados: row.m3_cobrados != null ? Number(row.m3_cobrados) : null,
+    precio_por_m3: row.precio_por_m3 != null ? Number(row.precio_por_m3) : null,
+    subtotal: Number(row.subtotal)
+});
+
+/**
+ * Obtiene las líneas de varias facturas agrupadas por factura_id
+ * @param {Array<number>} facturaIds - IDs de facturas
+ * @returns {Promise<Map<number, Array<Object>>>}
+ */
+export const obtenerDetallesFacturas = async (facturaIds) => {
+    const detallesPorFactura = new Map();
+
+    if (!facturaIds || facturaIds.length === 0) {
+        return detallesPorFactura;
+    }
+
+    const placeholders = facturaIds.map(() => '?').join(',');
+    const query = `
+        SELECT * FROM factura_detalles
+        WHERE factura_id IN (${placeholders})
+        ORDER BY factura_id ASC, orden ASC, id ASC
+    `;
+
+    const result = await dbTurso.execute({ sql: query, args: facturaIds });
+
+    for (const row of result.rows) {
+        const facturaId = Number(row.factura_id);
+        if (!detallesPorFactura.has(facturaId)) {
+            detallesPorFactura.set(facturaId, []);
+        }
+        detallesPorFactura.get(facturaId).push(formatearDetalle(row));
+    }
+
+    return detallesPorFactura;
+};
+
+export default {
+    validarCargosAdicionales,
+    totalCargosAdicionales,
+    registrarDetallesFactura,
+    obtenerDetallesFacturas
+};
@@ -0,0 +1,117 @@
+/**
+ * Facturación de lecturas - V2
+ *
+ * File: src/v2/services/facturacionLectura.js
+ *
+ * Descripción: Emite la factura de una lectura: cálculo con el motor de tarifas,
+ * detalle de conceptos, saldo a favor del cliente y conciliación de las facturas
+ * estimadas que la lectura cubre. Lo usan la facturación automática al registrar o
+ * aprobar lecturas y la aplicación de las corridas de facturación (dentro de una
+ * transacción, por eso todas las escrituras van por `db`).
+ */
+
+import dbTurso from '../../database/db-turso.js';
+import { calcularTarifa } from './tarifaEngine.js';
+import { registrarDetallesFactura } from './facturaDetalles.js';
+import { aplicarSaldoFavor } from './saldoFavor.js';
+import { conciliarEstimaciones } from './estimacionConsumo.js';
+
+/**
+ * Fecha de vencimiento de una factura (30 días después de la emisión)
+ * @param {string} fecha_emision - YYYY-MM-DD
+ * @returns {string} - YYYY-MM-DD
+ */
+const calcularVencimiento = (fecha_emision) => {
+    const fechaVencimiento = new Date(fecha_emision);
+    fechaVencimiento.setDate(fechaVencimiento.getDate() + 30);
+    return fechaVencimiento.toISOString().split('T')[0];
+};
+
+/**
+ * Emite la factura de una lectura
+ * @param {Object} params
+ * @param {number} params.lectura_id
+ * @param {number} params.cliente_id
+ * @param {number} params.tarifa_id
+ * @param {number} params.consumo_m3
+ * @param {string} params.fecha_emision
+ * @param {number} [params.modificado_por]
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { success, factura_id, total, fecha_vencimiento, saldo_favor_aplicado,
+ *   estimacion_conciliada, desglose, conciliaciones } o { success: false, error }
+ */
+export const facturarLectura = async ({
+    lectura_id, cliente_id, tarifa_id, consumo_m3, fecha_emision, modificado_por = null, db = dbTurso
+}) => {
+    const facturaExistente = await db.execute({
+        sql: `SELECT id FROM facturas WHERE lectura_id = ?`,
+        args: [lectura_id]
+    });
+
+    if (facturaExistente.rows.length > 0) {
+        return { success: false, error: 'Ya existe una factura para esta lectura' };
+    }
+
+    // Las facturas estimadas que cubre esta lectura se ajustan a su consumo real
+    const conciliacion = await conciliarEstimaciones({ lectura_id, modificado_por, db });
+
+    // El periodo ya se facturó por estimación: esa factura conciliada es la de la lectura
+    if (conciliacion.factura_id) {
+        const conciliadaResult = await db.execute({
+            sql: `SELECT total, fecha_vencimiento FROM facturas WHERE id = ?`,
+            args: [conciliacion.factura_id]
+        });
+
+        return {
+            success: true,
+            factura_id: conciliacion.factura_id,
+            total: Number(conciliadaResult.rows[0].total),
+            fecha_vencimiento: conciliadaResult.rows[0].fecha_vencimiento,
+            saldo_favor_aplicado: 0,
+            estimacion_conciliada: true,
+            desglose: null,
+            conciliaciones: conciliacion.conciliaciones
+        };
+    }
+
+    const calculo = await calcularTarifa(tarifa_id, consumo_m3, db);
+
+    if (!calculo.success) {
+        return { success: false, error: calculo.error };
+    }
+
+    const total = calculo.desglose.total;
+    const fecha_vencimiento = calcularVencimiento(fecha_emision);
+
+    const insertFacturaResult = await db.execute({
+        sql: `
+            INSERT INTO facturas
+            (lectura_id, cliente_id, tarifa_id, fecha_emision, fecha_vencimiento, estado, total, saldo_pendiente, modificado_por)
+            VALUES (?, ?, ?, ?, ?, 'Pendiente', ?, ?, ?)
+        `,
+        args: [lectura_id, cliente_id, tarifa_id, fecha_emision, fecha_vencimiento, total, total, modificado_por]
+    });
+
+    const factura_id = Number(insertFacturaResult.lastInsertRowid);
+
+    // Guardar el detalle de conceptos tal como se cobró
+    await registrarDetallesFactura(factura_id, calculo.desglose.conceptos, [], db);
+
+    // Descontar el saldo a favor que tenga el cliente
+    const saldoFavor = await aplicarSaldoFavor({ factura_id, cliente_id, fecha: fecha_emision, modificado_por, db });
+
+    return {
+        success: true,
+        factura_id,
+        total,
+        fecha_vencimiento,
+        saldo_favor_aplicado: saldoFavor ? saldoFavor.monto : 0,
+        estimacion_conciliada: false,
+        desglose: calculo.desglose.conceptos,
+        conciliaciones: conciliacion.conciliaciones
+    };
+};
+
+export default {
+    facturarLectura
+};
@@ -0,0 +1,256 @@
+/**
+ * Fotos de evidencia de lecturas y medidores - V2
+ *
+ * File: src/v2/services/fotosEvidencia.js
+ *
+ * Descripción: Guarda las fotos que respaldan una lectura (carátula del medidor) o un
+ * medidor (instalación), con su miniatura y metadatos de captura (fecha, GPS y usuario
+ * que la subió). Los archivos van al backend de almacenamientoFotos; la API los sirve
+ * en /api/v2/fotos/:id y /api/v2/fotos/:id/miniatura.
+ *
+ * Configuración (.env):
+ * - FOTOS_TAMANO_MAX_MB: tamaño máximo por foto (por defecto 10)
+ * - FOTOS_MINIATURA_PX: lado mayor de la miniatura en píxeles (por defecto 320)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import sharp from 'sharp';
+import dbTurso from '../../database/db-turso.js';
+import { obtenerAlmacenamiento } from './almacenamientoFotos.js';
+
+// Tipo de foto según la entidad a la que respalda
+export const TIPOS_FOTO = {
+    lectura: 'caratula',
+    medidor: 'instalacion'
+};
+
+// Formatos aceptados (detectados del contenido, no del nombre del archivo)
+const FORMATOS = {
+    jpeg: { content_type: 'image/jpeg', extension: 'jpg' },
+    png: { content_type: 'image/png', extension: 'png' },
+    webp: { content_type: 'image/webp', extension: 'webp' }
+};
+
+/**
+ * Tamaño máximo permitido por foto, en bytes
+ */
+export const tamanoMaximoFoto = () => {
+    const mb = parseFloat(process.env.FOTOS_TAMANO_MAX_MB);
+    return Math.floor((mb > 0 ? mb : 10) * 1024 * 1024);
+};
+
+const ladoMiniatura = () => {
+    const px = parseInt(process.env.FOTOS_MINIATURA_PX, 10);
+    return px > 0 ? px : 320;
+};
+
+/**
+ * Valida los metadatos de captura enviados por el dispositivo
+ * @returns {string|null} - Mensaje de error o null si son válidos
+ */
+const validarMetadatos = ({ fecha_captura, latitud, longitud }) => {
+    if (fecha_captura && isNaN(new Date(fecha_captura).getTime())) {
+        return 'fecha_captura inválida';
+    }
+
+    const tieneLatitud = latitud != null && latitud !== '';
+    const tieneLongitud = longitud != null && longitud !== '';
+
+    if (tieneLatitud !== tieneLongitud) {
+        return 'Envíe latitud y longitud juntas';
+    }
+
+    if (tieneLatitud) {
+        const lat = Number(latitud);
+        const lng = Number(longitud);
+
+        if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lng) || lng < -180 || lng > 180) {
+            return 'Coordenadas GPS inválidas';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Foto con las URLs para descargarla
+ */
+export const formatearFoto = (row) => ({
+    id: Number(row.id),
+    tipo: row.tipo,
+    url: `/api/v2/fotos/${Number(row.id)}`,
+    miniatura_url: `/api/v2/fotos/${Number(row.id)}/miniatura`,
+    content_type: row.content_type,
+    tamano_bytes: Number(row.tamano_bytes),
+    ancho: row.ancho != null ? Number(row.ancho) : null,
+    alto: row.alto != null ? Number(row.alto) : null,
+    fecha_captura: row.fecha_captura,
+    latitud: row.latitud != null ? Number(row.latitud) : null,
+    longitud: row.longitud != null ? Number(row.longitud) : null,
+    subido_por: row.subido_por != null ? Number(row.subido_por) : null,
+    subido_por_nombre: row.subido_por_nombre || null,
+    fecha_creacion: row.fecha_creacion
+});
+
+/**
+ * Guarda una foto de evidencia y su miniatura
+ * @param {Object} params
+ * @param {string} params.entidad - 'lectura' o 'medidor'
+ * @param {number} params.entidad_id
+ * @param {Object} params.archivo - Archivo recibido por multer (buffer, size)
+ * @param {string} [params.fecha_captura]
+ * @param {number} [params.latitud]
+ * @param {number} [params.longitud]
+ * @param {number} [params.subido_por]
+ * @returns {Promise<Object>} - { success, foto } o { success: false, error }
+ */
+export const guardarFoto = async ({ entidad, entidad_id, archivo, fecha_captura, latitud, longitud, subido_por = null }) => {
+    if (!TIPOS_FOTO[entidad]) {
+        return { success: false, error: `Entidad inválida: ${entidad}` };
+    }
+
+    if (!archivo || !archivo.buffer || archivo.size === 0) {
+        return { success: false, error: 'Adjunte la imagen en el campo foto' };
+    }
+
+    const errorMetadatos = validarMetadatos({ fecha_captura, latitud, longitud });
+    if (errorMetadatos) {
+        return { success: false, error: errorMetadatos };
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(archivo.buffer).metadata();
+    } catch {
+        return { success: false, error: 'El archivo no es una imagen válida' };
+    }
+
+    const formato = FORMATOS[metadata.format];
+    if (!formato) {
+        return { success: false, error: `Formato no soportado (${metadata.format}). Use JPEG, PNG o WebP` };
+    }
+
+    // La miniatura respeta la orientación EXIF de la cámara
+    const miniatura = await sharp(archivo.buffer)
+        .rotate()
+        .resize(ladoMiniatura(), ladoMiniatura(), { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 75 })
+        .toBuffer();
+
+    const base = `${entidad}/${entidad_id}/${uuidv4()}`;
+    const clave_archivo = `${base}.${formato.extension}`;
+    const clave_miniatura = `${base}_miniatura.jpg`;
+    const { nombre: almacenamiento, backend } = obtenerAlmacenamiento();
+
+    await backend.guardar(clave_archivo, archivo.buffer, formato.content_type);
+    await backend.guardar(clave_miniatura, miniatura, 'image/jpeg');
+
+    try {
+        const insertResult = await dbTurso.execute({
+            sql: `
+                INSERT INTO fotos (
+                    entidad, entidad_id, tipo, almacenamiento, clave_archivo, clave_miniatura,
+                    content_type, tamano_bytes, ancho, alto, fecha_captura, latitud, longitud, subido_por
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            args: [
+                entidad, entidad_id, TIPOS_FOTO[entidad], almacenamiento, clave_archivo, clave_miniatura,
+                formato.content_type, archivo.buffer.length, metadata.width ?? null, metadata.height ?? null,
+                fecha_captura || null,
+                latitud != null && latitud !== '' ? Number(latitud) : null,
+                longitud != null && longitud !== '' ? Number(longitud) : null,
+                subido_por
+            ]
+        });
+
+        const fotoResult = await dbTurso.execute({
+            sql: `
+                SELECT f.*, u.username AS subido_por_nombre
+                FROM fotos f
+                LEFT JOIN usuarios u ON f.subido_por = u.id
+                WHERE f.id = ?
+            `,
+            args: [Number(insertResult.lastInsertRowid)]
+        });
+
+        return { success: true, foto: formatearFoto(fotoResult.rows[0]) };
+
+    } catch (error) {
+        // Sin registro la foto queda huérfana en el almacenamiento
+        await backend.eliminar(clave_archivo).catch(() => {});
+        await backend.eliminar(clave_miniatura).catch(() => {});
+        throw error;
+    }
+};
+
+/**
+ * Fotos de varias lecturas o medidores agrupadas por entidad_id
+ * @param {string} entidad - 'lectura' o 'medidor'
+ * @param {number[]} [ids] - Sin ids se devuelven las de todas las entidades
+ * @returns {Promise<Map<number, Object[]>>}
+ */
+export const obtenerFotos = async (entidad, ids = null) => {
+    const fotos = new Map();
+
+    if (Array.isArray(ids) && ids.length === 0) return fotos;
+
+    const filtroIds = Array.isArray(ids) ? `AND f.entidad_id IN (${ids.map(() => '?').join(',')})` : '';
+
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT f.*, u.username AS subido_por_nombre
+            FROM fotos f
+            LEFT JOIN usuarios u ON f.subido_por = u.id
+            WHERE f.entidad = ? ${filtroIds}
+            ORDER BY f.id ASC
+        `,
+        args: [entidad, ...(Array.isArray(ids) ? ids : [])]
+    });
+
+    result.rows.forEach(row => {
+        const entidadId = Number(row.entidad_id);
+        if (!fotos.has(entidadId)) fotos.set(entidadId, []);
+        fotos.get(entidadId).push(formatearFoto(row));
+    });
+
+    return fotos;
+};
+
+/**
+ * Lee el archivo de una foto (o su miniatura) desde el backend en que se guardó
+ * @param {number} id
+ * @param {Object} [opciones]
+ * @param {boolean} [opciones.miniatura=false]
+ * @returns {Promise<Object|null>} - { contenido, content_type, nombre } o null si no existe
+ */
+export const leerFoto = async (id, { miniatura = false } = {}) => {
+    const result = await dbTurso.execute({
+        sql: `SELECT * FROM fotos WHERE id = ?`,
+        args: [id]
+    });
+
+    if (result.rows.length === 0) return null;
+
+    const foto = result.rows[0];
+    const clave = miniatura ? foto.clave_miniatura : foto.clave_archivo;
+    const { backend } = obtenerAlmacenamiento(foto.almacenamiento);
+    const contenido = await backend.leer(clave);
+
+    if (!contenido) return null;
+
+    return {
+        contenido,
+        content_type: miniatura ? 'image/jpeg' : foto.content_type,
+        nombre: clave.split('/').pop()
+    };
+};
+
+export default {
+    TIPOS_FOTO,
+    tamanoMaximoFoto,
+    formatearFoto,
+    guardarFoto,
+    obtenerFotos,
+    leerFoto
+};
@@ -0,0 +1,65 @@
+/**
+ * Incidencias de lectura - V2
+ *
+ * File: src/v2/services/incidenciasLectura.js
+ *
+ * Descripción: Registro de las paradas de una ruta donde el lecturista no pudo tomar
+ * la lectura (acceso cerrado, perro, medidor dañado, ...). Una incidencia por medidor
+ * y periodo; la parada cuenta como visitada en el avance de la ruta y el periodo
+ * queda disponible para facturarse por estimación. Si después se registra la lectura
+ * real, la incidencia queda ligada a ella (lectura_id).
+ */
+
+import dbTurso from '../../database/db-turso.js';
+
+export const CODIGOS_INCIDENCIA = {
+    acceso_cerrado: 'Acceso cerrado o portón con llave',
+    perro: 'Perro o animal que impide el acceso',
+    medidor_danado: 'Medidor dañado',
+    medidor_enterrado: 'Medidor enterrado o cubierto',
+    medidor_ilegible: 'Carátula empañada o ilegible',
+    otro: 'Otro (describir en observaciones)'
+};
+
+export const formatearIncidencia = (row) => ({
+    id: Number(row.id),
+    ruta_id: Number(row.ruta_id),
+    medidor_id: Number(row.medidor_id),
+    numero_serie: row.numero_serie || null,
+    cliente_nombre: row.cliente_nombre || null,
+    periodo: row.periodo,
+    codigo: row.codigo,
+    descripcion: CODIGOS_INCIDENCIA[row.codigo],
+    observaciones: row.observaciones,
+    fecha_incidencia: row.fecha_incidencia,
+    lectura_id: row.lectura_id != null ? Number(row.lectura_id) : null,
+    modificado_por: row.modificado_por != null ? Number(row.modificado_por) : null,
+    fecha_creacion: row.fecha_creacion
+});
+
+/**
+ * Liga la incidencia del periodo (si la hay) con la lectura que lo cubre
+ * @param {Object} params
+ * @param {number} params.medidor_id
+ * @param {string} params.periodo
+ * @param {number} params.lectura_id
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ */
+export const cerrarIncidencia = async ({ medidor_id, periodo, lectura_id, db = dbTurso }) => {
+    if (!periodo) return;
+
+    await db.execute({
+        sql: `
+            UPDATE incidencias_lectura
+            SET lectura_id = ?
+            WHERE medidor_id = ? AND periodo = ? AND lectura_id IS NULL
+        `,
+        args: [lectura_id, medidor_id, periodo]
+    });
+};
+
+export default {
+    CODIGOS_INCIDENCIA,
+    formatearIncidencia,
+    cerrarIncidencia
+};
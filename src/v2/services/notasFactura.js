@@ -0,0 +1,128 @@
+/**
+ * Notas de crédito / débito - V2
+ *
+ * File: src/v2/services/notasFactura.js
+ *
+ * Descripción: Registro y consulta de las notas que ajustan el saldo de una factura.
+ * Una nota de crédito reduce el saldo pendiente y una de débito lo aumenta;
+ * el total emitido de la factura nunca se modifica.
+ */
+
+import dbTurso, { withTransaction } from '../../database/db-turso.js';
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Formatea una fila de notas_factura
+ */
+const formatearNota = (row) => ({
+    id: Number(row.id),
+    factura_id: Number(row.factura_id),
+    tipo: row.tipo,
+    monto: Number(row.monto),
+    motivo: row.motivo,
+    creado_por: row.creado_por != null ? Number(row.creado_por) : null,
+    fecha_creacion: row.fecha_creacion
+});
+
+/**
+ * Obtiene las notas de varias facturas agrupadas por factura_id
+ * @param {Array<number>} facturaIds - IDs de facturas
+ * @returns {Promise<Map<number, Array<Object>>>}
+ */
+export const obtenerNotasFacturas = async (facturaIds) => {
+    const notasPorFactura = new Map();
+
+    if (!facturaIds || facturaIds.length === 0) {
+        return notasPorFactura;
+    }
+
+    const placeholders = facturaIds.map(() => '?').join(',');
+    const query = `
+        SELECT * FROM notas_factura
+        WHERE factura_id IN (${placeholders})
+        ORDER BY factura_id ASC, fecha_creacion ASC, id ASC
+    `;
+
+    const result = await dbTurso.execute({ sql: query, args: facturaIds });
+
+    for (const row of result.rows) {
+        const facturaId = Number(row.factura_id);
+        if (!notasPorFactura.has(facturaId)) {
+            notasPorFactura.set(facturaId, []);
+        }
+        notasPorFactura.get(facturaId).push(formatearNota(row));
+    }
+
+    return notasPorFactura;
+};
+
+/**
+ * Registra una nota sobre una factura y ajusta su saldo pendiente
+ * - Crédito: reduce el saldo (el llamador valida que no exceda el saldo)
+ * - Débito: aumenta el saldo y reabre la factura si estaba pagada
+ * Sin una transacción en curso abre la suya: la nota y el saldo se guardan juntos.
+ * @param {Object} params
+ * @param {Object} params.factura - Fila de facturas (no cancelada); saldo y estado se releen
+ * @param {string} params.tipo - 'credito' o 'debito'
+ * @param {number} params.monto - Importe mayor a cero
+ * @param {string} params.motivo
+ * @param {number} [params.modificado_por]
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { nota_id, saldo_anterior, saldo_pendiente, estado }
+ */
+export const registrarNota = async ({ factura: facturaParam, tipo, monto, motivo, modificado_por = null, db = dbTurso }) => {
+    if (db === dbTurso) {
+        return withTransaction((tx) => registrarNota({ factura: facturaParam, tipo, monto, motivo, modificado_por, db: tx }));
+    }
+
+    const facturaResult = await db.execute({
+        sql: `SELECT id, saldo_pendiente, estado, fecha_vencimiento FROM facturas WHERE id = ?`,
+        args: [facturaParam.id]
+    });
+    const factura = facturaResult.rows[0];
+
+    const importe = redondear(monto);
+    const saldoAnterior = redondear(factura.saldo_pendiente);
+
+    const insertResult = await db.execute({
+        sql: `
+            INSERT INTO notas_factura (factura_id, tipo, monto, motivo, creado_por)
+            VALUES (?, ?, ?, ?, ?)
+        `,
+        args: [factura.id, tipo, importe, motivo, modificado_por]
+    });
+
+    const saldoNuevo = redondear(tipo === 'credito' ? saldoAnterior - importe : saldoAnterior + importe);
+
+    // Un débito sobre una factura pagada la reabre según su fecha de vencimiento
+    let estadoNuevo = factura.estado;
+    if (tipo === 'debito' && factura.estado === 'Pagado') {
+        const hoy = new Date().toISOString().split('T')[0];
+        estadoNuevo = factura.fecha_vencimiento < hoy ? 'Vencida' : 'Pendiente';
+    }
+
+    await db.execute({
+        sql: `UPDATE facturas SET saldo_pendiente = ?, estado = ?, modificado_por = ? WHERE id = ?`,
+        args: [saldoNuevo, estadoNuevo, modificado_por, factura.id]
+    });
+
+    // El trigger puede haber marcado 'Pagado' si el crédito saldó la factura
+    const actualizadaResult = await db.execute({
+        sql: `SELECT estado, saldo_pendiente FROM facturas WHERE id = ?`,
+        args: [factura.id]
+    });
+    const actualizada = actualizadaResult.rows[0];
+
+    return {
+        nota_id: Number(insertResult.lastInsertRowid),
+        saldo_anterior: saldoAnterior,
+        saldo_pendiente: Number(actualizada.saldo_pendiente),
+        estado: actualizada.estado
+    };
+};
+
+export default {
+    obtenerNotasFacturas,
+    registrarNota
+};
@@ -0,0 +1,223 @@
+/**
+ * Periodos de facturación - V2
+ *
+ * File: src/v2/services/periodosFacturacion.js
+ *
+ * Descripción: Los periodos (AAAA-MM) se dan de alta con sus fechas de inicio y fin y
+ * avanzan por estados: abierto → en_lectura → facturado → cerrado. Lo que se registra en
+ * un periodo (lecturas, incidencias, facturación masiva) exige que esté dado de alta y sin
+ * cerrar; lo que se edita (lecturas, facturas, pagos) solo exige que no esté cerrado.
+ *
+ * Transiciones automáticas:
+ * - La primera lectura o incidencia de un periodo abierto lo pasa a en_lectura
+ * - La generación masiva de facturas o la aplicación de una corrida lo pasa a facturado
+ * El cierre es manual (periodosController) y bloquea las ediciones del periodo.
+ */
+
+import dbTurso from '../../database/db-turso.js';
+
+export const ESTADOS_PERIODO = ['abierto', 'en_lectura', 'facturado', 'cerrado'];
+
+// Los periodos solo avanzan; un periodo cerrado ya no cambia
+export const TRANSICIONES_PERIODO = {
+    abierto: ['en_lectura', 'facturado'],
+    en_lectura: ['facturado'],
+    facturado: ['cerrado'],
+    cerrado: []
+};
+
+const PERIODO_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Indica si el texto tiene el formato AAAA-MM con un mes válido
+ */
+export const periodoValido = (periodo) => typeof periodo === 'string' && PERIODO_REGEX.test(periodo);
+
+/**
+ * Primer y último día del mes de un periodo AAAA-MM
+ * @returns {{fecha_inicio: string, fecha_fin: string}}
+ */
+export const fechasDelMes = (periodo) => {
+    const [anio, mes] = periodo.split('-').map(Number);
+    const ultimoDia = new Date(Date.UTC(anio, mes, 0)).getUTCDate();
+
+    return {
+        fecha_inicio: `${periodo}-01`,
+        fecha_fin: `${periodo}-${String(ultimoDia).padStart(2, '0')}`
+    };
+};
+
+/**
+ * Formatea una fila de periodos
+ */
+export const formatearPeriodo = (row) => ({
+    id: Number(row.id),
+    periodo: row.periodo,
+    fecha_inicio: row.fecha_inicio,
+    fecha_fin: row.fecha_fin,
+    estado: row.estado,
+    fecha_cierre: row.fecha_cierre || null,
+    cerrado_por: row.cerrado_por != null ? Number(row.cerrado_por) : null,
+    cerrado_por_nombre: row.cerrado_por_nombre || null,
+    modificado_por: row.modificado_por != null ? Number(row.modificado_por) : null,
+    fecha_creacion: row.fecha_creacion
+});
+
+/**
+ * Obtiene un periodo por su clave AAAA-MM
+ * @param {string} periodo
+ * @param {Object} [db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object|null>} - Fila de periodos o null
+ */
+export const obtenerPeriodo = async (periodo, db = dbTurso) => {
+    const result = await db.execute({
+        sql: `
+            SELECT p.*, u.username AS cerrado_por_nombre
+            FROM periodos p
+            LEFT JOIN usuarios u ON p.cerrado_por = u.id
+            WHERE p.periodo = ?
+        `,
+        args: [periodo]
+    });
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Periodo en curso: el que está en lectura, si no el abierto más antiguo y si no el
+ * último facturado
+ * @returns {Promise<Object|null>} - Fila de periodos o null si no hay periodos sin cerrar
+ */
+export const obtenerPeriodoActual = async () => {
+    const result = await dbTurso.execute(`
+        SELECT * FROM periodos
+        WHERE estado != 'cerrado'
+        ORDER BY
+            CASE estado WHEN 'en_lectura' THEN 0 WHEN 'abierto' THEN 1 ELSE 2 END,
+            CASE WHEN estado = 'abierto' THEN periodo END ASC,
+            periodo DESC
+        LIMIT 1
+    `);
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Valida que se pueda registrar o editar información de un periodo
+ * @param {string} periodo - AAAA-MM
+ * @returns {Promise<Object>} - { success, periodo } o { success: false, status, error }
+ */
+export const validarPeriodoEditable = async (periodo) => {
+    if (!periodoValido(periodo)) {
+        return { success: false, status: 400, error: `Periodo inválido: ${periodo}. Use el formato AAAA-MM` };
+    }
+
+    const registro = await obtenerPeriodo(periodo);
+
+    if (!registro) {
+        return { success: false, status: 404, error: `El periodo ${periodo} no está dado de alta` };
+    }
+
+    if (registro.estado === 'cerrado') {
+        return { success: false, status: 409, error: `El periodo ${periodo} está cerrado y no admite cambios` };
+    }
+
+    return { success: true, periodo: registro };
+};
+
+/**
+ * Valida que un registro existente (lectura, incidencia) se pueda editar: su periodo no
+ * debe estar cerrado. Los periodos anteriores a la tabla periodos no se bloquean.
+ * @param {string|null} periodo - AAAA-MM
+ * @returns {Promise<Object>} - { success } o { success: false, status, error }
+ */
+export const validarPeriodoSinCerrar = async (periodo) => {
+    if (!periodo) return { success: true };
+
+    const registro = await obtenerPeriodo(periodo);
+
+    if (registro && registro.estado === 'cerrado') {
+        return { success: false, status: 409, error: `El periodo ${periodo} está cerrado y no admite cambios` };
+    }
+
+    return { success: true };
+};
+
+/**
+ * Valida que se pueda editar una factura según el periodo que factura
+ * (el de su lectura o, si es estimada, el de su estimación)
+ * @param {number} factura_id
+ * @returns {Promise<Object>} - { success } o { success: false, status, error }
+ */
+export const validarFacturaEditable = async (factura_id) => {
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT COALESCE(l.periodo, e.periodo) AS periodo
+            FROM facturas f
+            LEFT JOIN lecturas l ON f.lectura_id = l.id
+            LEFT JOIN estimaciones_consumo e ON e.factura_id = f.id
+            WHERE f.id = ?
+        `,
+        args: [factura_id]
+    });
+
+    // Facturas de lecturas V1 sin periodo: no hay periodo que las bloquee
+    const periodo = result.rows[0]?.periodo;
+    const validacion = await validarPeriodoSinCerrar(periodo);
+
+    return validacion.success
+        ? validacion
+        : { ...validacion, error: `La factura pertenece al periodo ${periodo}, que está cerrado` };
+};
+
+/**
+ * Avanza un periodo al estado indicado si aún está en uno anterior
+ * (transiciones automáticas de lecturas y facturación)
+ * @param {string} periodo
+ * @param {string} estado - 'en_lectura' o 'facturado'
+ * @param {number} [modificado_por]
+ * @param {Object} [db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<boolean>} - true si el periodo cambió de estado
+ */
+export const avanzarPeriodo = async (periodo, estado, modificado_por = null, db = dbTurso) => {
+    const anteriores = ESTADOS_PERIODO.slice(0, ESTADOS_PERIODO.indexOf(estado));
+
+    const registro = await obtenerPeriodo(periodo, db);
+
+    if (!registro || !anteriores.includes(registro.estado)) {
+        return false;
+    }
+
+    await db.execute({
+        sql: `UPDATE periodos SET estado = ?, modificado_por = COALESCE(?, modificado_por) WHERE id = ?`,
+        args: [estado, modificado_por, registro.id]
+    });
+
+    await db.execute({
+        sql: `
+            INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+            VALUES (?, ?, ?, ?, ?)
+        `,
+        args: ['periodos', 'CAMBIO_ESTADO', registro.id, modificado_por, JSON.stringify({
+            periodo,
+            estado: { antes: registro.estado, despues: estado },
+            automatico: true
+        })]
+    });
+
+    return true;
+};
+
+export default {
+    ESTADOS_PERIODO,
+    TRANSICIONES_PERIODO,
+    periodoValido,
+    fechasDelMes,
+    formatearPeriodo,
+    obtenerPeriodo,
+    obtenerPeriodoActual,
+    validarPeriodoEditable,
+    validarPeriodoSinCerrar,
+    validarFacturaEditable,
+    avanzarPeriodo
+};
@@ -0,0 +1,190 @@
+/**
+ * Refacturación por corrección de lectura - V2
+ *
+ * File: src/v2/services/refacturacionLectura.js
+ *
+ * Descripción: Cuando se corrige el consumo de una lectura que ya tiene factura,
+ * el importe de consumo se vuelve a calcular con la tarifa con la que se emitió.
+ * La conciliación de facturas estimadas (servicio estimacionConsumo) usa el mismo cálculo.
+ *
+ * Reglas (las mismas que modificarFactura):
+ * - Sin pagos vigentes: se reemplazan las líneas de consumo en factura_detalles y
+ *   el total y el saldo se mueven por la diferencia; recargos y cargos se conservan
+ * - Con pagos: el total emitido no cambia; la diferencia se ajusta con una nota de
+ *   débito o de crédito. Si el crédito excede el saldo pendiente, el resto se abona
+ *   al saldo a favor del cliente
+ */
+
+import dbTurso from '../../database/db-turso.js';
+import { calcularTarifa } from './tarifaEngine.js';
+import { registrarDetallesFactura } from './facturaDetalles.js';
+import { registrarNota } from './notasFactura.js';
+import { abonarSaldoFavor } from './saldoFavor.js';
+
+// Tipos de línea que salen de tarifaEngine (importe de consumo)
+const TIPOS_CONSUMO = ['cuota_base', 'rango', 'excedente'];
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Vuelve a calcular el importe de consumo de una factura con otro consumo
+ * @param {Object} params
+ * @param {Object} params.factura - Fila de facturas (no cancelada)
+ * @param {number} params.consumo_m3 - Consumo con el que se recalcula
+ * @param {string} params.motivo - Motivo de la nota de crédito/débito
+ * @param {Object} [params.referencia] - Datos de origen que se guardan en el historial
+ * @param {number} [params.modificado_por]
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { success, factura_id, diferencia, ajuste, ... } o { success: false, error }
+ */
+export const recalcularFactura = async ({ factura, consumo_m3, motivo, referencia = {}, modificado_por = null, db = dbTurso }) => {
+    const factura_id = Number(factura.id);
+
+    const calculo = await calcularTarifa(factura.tarifa_id, consumo_m3, db);
+
+    if (!calculo.success) {
+        return { success: false, error: calculo.error };
+    }
+
+    const detallesResult = await db.execute({
+        sql: `SELECT tipo, subtotal FROM factura_detalles WHERE factura_id = ?`,
+        args: [factura_id]
+    });
+
+    const otrosCargos = redondear(detallesResult.rows
+        .filter(d => !TIPOS_CONSUMO.includes(d.tipo))
+        .reduce((sum, d) => sum + Number(d.subtotal), 0));
+
+    // Si ya se refacturó con notas, el total emitido no refleja el importe vigente
+    const previaResult = await db.execute({
+        sql: `
+            SELECT cambios FROM historial_cambios
+            WHERE tabla = 'facturas' AND operacion = 'REFACTURACION' AND registro_id = ?
+            ORDER BY id DESC
+            LIMIT 1
+        `,
+        args: [factura_id]
+    });
+
+    // Facturas sin detalle guardado: todo lo que no es cargo o recargo fue consumo
+    const importeAnterior = previaResult.rows.length > 0
+        ? redondear(JSON.parse(previaResult.rows[0].cambios).importe_consumo.despues)
+        : redondear(Number(factura.total) - otrosCargos);
+    const importeNuevo = redondear(calculo.desglose.total);
+    const diferencia = redondear(importeNuevo - importeAnterior);
+
+    if (diferencia === 0) {
+        return { success: true, factura_id, diferencia: 0, ajuste: 'sin_cambios' };
+    }
+
+    const pagosResult = await db.execute({
+        sql: `
+            SELECT COUNT(*) AS total_pagos FROM pagos p
+            WHERE p.factura_id = ? AND NOT EXISTS (SELECT 1 FROM anulaciones_pago a WHERE a.pago_id = p.id)
+        `,
+        args: [factura_id]
+    });
+
+    let resultado;
+
+    if (Number(pagosResult.rows[0].total_pagos) === 0) {
+        await db.execute({
+            sql: `DELETE FROM factura_detalles WHERE factura_id = ? AND tipo IN (${TIPOS_CONSUMO.map(() => '?').join(',')})`,
+            args: [factura_id, ...TIPOS_CONSUMO]
+        });
+        await registrarDetallesFactura(factura_id, calculo.desglose.conceptos, [], db);
+
+        const nuevoTotal = redondear(Number(factura.total) + diferencia);
+
+        await db.execute({
+            sql: `
+                UPDATE facturas
+                SET total = ?, saldo_pendiente = ROUND(saldo_pendiente + ?, 2), modificado_por = ?
+                WHERE id = ?
+            `,
+            args: [nuevoTotal, diferencia, modificado_por, factura_id]
+        });
+
+        resultado = {
+            success: true,
+            factura_id,
+            diferencia,
+            ajuste: 'total',
+            total: { antes: Number(factura.total), despues: nuevoTotal }
+        };
+    } else if (diferencia > 0) {
+        const nota = await registrarNota({ factura, tipo: 'debito', monto: diferencia, motivo, modificado_por, db });
+        resultado = { success: true, factura_id, diferencia, ajuste: 'nota_debito', nota_id: nota.nota_id };
+    } else {
+        const saldo = redondear(factura.saldo_pendiente);
+        const credito = redondear(Math.min(-diferencia, saldo));
+        const excedente = redondear(-diferencia - credito);
+        resultado = { success: true, factura_id, diferencia, ajuste: 'nota_credito', nota_id: null, saldo_favor_abonado: 0 };
+
+        if (credito > 0) {
+            const nota = await registrarNota({ factura, tipo: 'credito', monto: credito, motivo, modificado_por, db });
+            resultado.nota_id = nota.nota_id;
+        }
+
+        if (excedente > 0) {
+            await abonarSaldoFavor({
+                cliente_id: factura.cliente_id,
+                monto: excedente,
+                descripcion: `${motivo}: excedente pagado de la factura ${factura_id}`,
+                modificado_por,
+                db
+            });
+            resultado.saldo_favor_abonado = excedente;
+        }
+    }
+
+    await db.execute({
+        sql: `
+            INSERT INTO historial_cambios (tabla, operacion, registro_id, modificado_por, cambios)
+            VALUES (?, ?, ?, ?, ?)
+        `,
+        args: ['facturas', 'REFACTURACION', factura_id, modificado_por, JSON.stringify({
+            ...referencia,
+            consumo_m3: Number(consumo_m3),
+            importe_consumo: { antes: importeAnterior, despues: importeNuevo },
+            ...resultado
+        })]
+    });
+
+    return resultado;
+};
+
+/**
+ * Vuelve a calcular la factura de una lectura con su consumo corregido
+ * @param {Object} params
+ * @param {number} params.lectura_id
+ * @param {number} params.consumo_m3 - Consumo corregido
+ * @param {number} [params.modificado_por]
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object|null>} - null si la lectura no tiene factura vigente;
+ *   { success, factura_id, diferencia, ajuste, ... } o { success: false, error }
+ */
+export const refacturarLectura = async ({ lectura_id, consumo_m3, modificado_por = null, db = dbTurso }) => {
+    const facturaResult = await db.execute({
+        sql: `SELECT * FROM facturas WHERE lectura_id = ? AND estado != 'Cancelada' ORDER BY id DESC LIMIT 1`,
+        args: [lectura_id]
+    });
+
+    if (facturaResult.rows.length === 0) {
+        return null;
+    }
+
+    return recalcularFactura({
+        factura: facturaResult.rows[0],
+        consumo_m3,
+        motivo: `Corrección de la lectura ${lectura_id} (${consumo_m3} m³)`,
+        referencia: { lectura_id: Number(lectura_id) },
+        modificado_por,
+        db
+    });
+};
+
+export default {
+    recalcularFactura,
+    refacturarLectura
+};
@@ -0,0 +1,277 @@
+/**
+ * Saldo a favor de clientes - V2
+ *
+ * File: src/v2/services/saldoFavor.js
+ *
+ * Descripción: Monedero de cada cliente para excedentes de pago y anticipos.
+ * Cada movimiento queda en saldo_favor_movimientos; el saldo disponible es la
+ * suma de abonos y reintegros menos la suma de aplicaciones y anulaciones.
+ *
+ * Reglas:
+ * - El excedente de un pago se abona al saldo a favor cuando se solicita
+ *   (excedente_a_favor) o cuando el método de pago no permite dar cambio
+ * - Al emitir una factura el saldo disponible se aplica como un pago con
+ *   metodo_pago 'Saldo a favor', así los triggers actualizan saldo y estado
+ * - Al anular un pago se retira su excedente del saldo a favor (anulacion) o,
+ *   si el pago era una aplicación del saldo, se devuelve al cliente (reintegro)
+ * - El excedente o anticipo de un recibo se abona con recibo_id y solo se retira
+ *   al anular el recibo completo
+ */
+
+import dbTurso from '../../database/db-turso.js';
+
+export const METODO_SALDO_FAVOR = 'Saldo a favor';
+
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Expresión SQL del saldo disponible sobre saldo_favor_movimientos
+ * @param {string} [alias] - Alias de la tabla en la consulta
+ */
+export const sqlSaldoFavor = (alias = 'saldo_favor_movimientos') =>
+    `COALESCE(SUM(CASE WHEN ${alias}.tipo IN ('abono', 'reintegro') THEN ${alias}.monto ELSE -${alias}.monto END), 0)`;
+
+/**
+ * Indica si el excedente de un pago debe guardarse como saldo a favor
+ * @param {string} metodo_pago - Método del pago
+ * @param {boolean} [excedente_a_favor] - Preferencia explícita del cajero
+ */
+export const excedenteVaASaldoFavor = (metodo_pago, excedente_a_favor) =>
+    excedente_a_favor != null ? Boolean(excedente_a_favor) : metodo_pago !== 'Efectivo';
+
+/**
+ * Saldo a favor disponible de un cliente
+ * @param {number} cliente_id
+ * @param {Object} [db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<number>}
+ */
+export const obtenerSaldoFavor = async (cliente_id, db = dbTurso) => {
+    const result = await db.execute({
+        sql: `
+            SELECT ${sqlSaldoFavor()} AS saldo
+            FROM saldo_favor_movimientos
+            WHERE cliente_id = ?
+        `,
+        args: [cliente_id]
+    });
+
+    return redondear(result.rows[0].saldo);
+};
+
+/**
+ * Abona un importe al saldo a favor del cliente
+ * @param {Object} params
+ * @param {number} params.cliente_id
+ * @param {number} params.monto - Importe mayor a cero
+ * @param {number} [params.pago_id] - Pago del que proviene el excedente
+ * @param {number} [params.recibo_id] - Recibo del que proviene el excedente
+ * @param {string} [params.descripcion]
+ * @param {number} [params.modificado_por]
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<number>} - ID del movimiento
+ */
+export const abonarSaldoFavor = async ({ cliente_id, monto, pago_id = null, recibo_id = null, descripcion = null, modificado_por = null, db = dbTurso }) => {
+    const result = await db.execute({
+        sql: `
+            INSERT INTO saldo_favor_movimientos (cliente_id, tipo, monto, pago_id, recibo_id, descripcion, modificado_por)
+            VALUES (?, 'abono', ?, ?, ?, ?, ?)
+        `,
+        args: [cliente_id, redondear(monto), pago_id, recibo_id, descripcion, modificado_por]
+    });
+
+    return Number(result.lastInsertRowid);
+};
+
+/**
+ * Aplica el saldo a favor disponible a una factura recién emitida
+ * @param {Object} params
+ * @param {number} params.factura_id
+ * @param {number} params.cliente_id
+ * @param {string} params.fecha - Fecha del pago (normalmente la de emisión)
+ * @param {number} [params.modificado_por]
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object|null>} - { pago_id, monto, saldo_favor_restante } o null si no había saldo
+ */
+export const aplicarSaldoFavor = async ({ factura_id, cliente_id, fecha, modificado_por = null, db = dbTurso }) => {
+    const disponible = await obtenerSaldoFavor(cliente_id, db);
+
+    if (disponible <= 0) {
+        return null;
+    }
+
+    const facturaResult = await db.execute({
+        sql: `SELECT saldo_pendiente FROM facturas WHERE id = ?`,
+        args: [factura_id]
+    });
+
+    const saldoFactura = redondear(facturaResult.rows[0]?.saldo_pendiente || 0);
+    const monto = redondear(Math.min(disponible, saldoFactura));
+
+    if (monto <= 0) {
+        return null;
+    }
+
+    const pagoResult = await db.execute({
+        sql: `
+            INSERT INTO pagos (factura_id, fecha_pago, monto, cantidad_entregada, cambio, metodo_pago, comentario, modificado_por)
+            VALUES (?, ?, ?, ?, 0, ?, ?, ?)
+        `,
+        args: [factura_id, fecha, monto, monto, METODO_SALDO_FAVOR, 'Aplicación automática de saldo a favor', modificado_por]
+    });
+
+    const pago_id = Number(pagoResult.lastInsertRowid);
+
+    await db.execute({
+        sql: `
+            INSERT INTO saldo_favor_movimientos (cliente_id, tipo, monto, factura_id, pago_id, descripcion, modificado_por)
+            VALUES (?, 'aplicacion', ?, ?, ?, ?, ?)
+        `,
+        args: [cliente_id, monto, factura_id, pago_id, `Aplicado a factura ${factura_id}`, modificado_por]
+    });
+
+    return {
+        pago_id,
+        monto,
+        saldo_favor_restante: redondear(disponible - monto)
+    };
+};
+
+/**
+ * Revierte el efecto de un pago anulado sobre el saldo a favor
+ * - Si el pago dejó un excedente abonado, lo retira (requiere que siga disponible)
+ * - Si el pago fue una aplicación del saldo a favor, lo reintegra
+ * @param {Object} params
+ * @param {number} params.pago_id
+ * @param {number} params.cliente_id
+ * @param {number} [params.modificado_por]
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { success, retirado, reintegrado } o { success: false, error }
+ */
+export const revertirSaldoFavorDePago = async ({ pago_id, cliente_id, modificado_por = null, db = dbTurso }) => {
+    const movimientosResult = await db.execute({
+        sql: `SELECT tipo, monto FROM saldo_favor_movimientos WHERE pago_id = ? AND tipo IN ('abono', 'aplicacion')`,
+        args: [pago_id]
+    });
+
+    const abonado = redondear(movimientosResult.rows
+        .filter(m => m.tipo === 'abono')
+        .reduce((sum, m) => sum + Number(m.monto), 0));
+    const aplicado = redondear(movimientosResult.rows
+        .filter(m => m.tipo === 'aplicacion')
+        .reduce((sum, m) => sum + Number(m.monto), 0));
+
+    if (abonado > 0) {
+        const disponible = await obtenerSaldoFavor(cliente_id, db);
+        if (disponible < abonado) {
+            return {
+                success: false,
+                error: `El excedente de $${abonado} que generó este pago ya se aplicó a otras facturas (saldo a favor disponible: $${disponible})`
+            };
+        }
+
+        await db.execute({
+            sql: `
+                INSERT INTO saldo_favor_movimientos (cliente_id, tipo, monto, pago_id, descripcion, modificado_por)
+                VALUES (?, 'anulacion', ?, ?, ?, ?)
+            `,
+            args: [cliente_id, abonado, pago_id, `Anulación del pago ${pago_id}`, modificado_por]
+        });
+    }
+
+    if (aplicado > 0) {
+        await db.execute({
+            sql: `
+                INSERT INTO saldo_favor_movimientos (cliente_id, tipo, monto, pago_id, descripcion, modificado_por)
+                VALUES (?, 'reintegro', ?, ?, ?, ?)
+            `,
+            args: [cliente_id, aplicado, pago_id, `Reintegro por anulación del pago ${pago_id}`, modificado_por]
+        });
+    }
+
+    return { success: true, retirado: abonado, reintegrado: aplicado };
+};
+
+/**
+ * Retira del saldo a favor el excedente o anticipo que abonó un recibo anulado
+ * (requiere que siga disponible)
+ * @param {Object} params
+ * @param {number} params.recibo_id
+ * @param {number} params.cliente_id
+ * @param {number} [params.modificado_por]
+ * @param {Object} [params.db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { success, retirado } o { success: false, error }
+ */
+export const revertirSaldoFavorDeRecibo = async ({ recibo_id, cliente_id, modificado_por = null, db = dbTurso }) => {
+    const movimientosResult = await db.execute({
+        sql: `
+            SELECT COALESCE(SUM(CASE WHEN tipo = 'abono' THEN monto ELSE -monto END), 0) AS abonado
+            FROM saldo_favor_movimientos
+            WHERE recibo_id = ? AND tipo IN ('abono', 'anulacion')
+        `,
+        args: [recibo_id]
+    });
+
+    const abonado = redondear(movimientosResult.rows[0].abonado);
+
+    if (abonado <= 0) {
+        return { success: true, retirado: 0 };
+    }
+
+    const disponible = await obtenerSaldoFavor(cliente_id, db);
+    if (disponible < abonado) {
+        return {
+            success: false,
+            error: `El saldo a favor de $${abonado} que generó este recibo ya se aplicó a otras facturas (saldo a favor disponible: $${disponible})`
+        };
+    }
+
+    await db.execute({
+        sql: `
+            INSERT INTO saldo_favor_movimientos (cliente_id, tipo, monto, recibo_id, descripcion, modificado_por)
+            VALUES (?, 'anulacion', ?, ?, ?, ?)
+        `,
+        args: [cliente_id, abonado, recibo_id, `Anulación del recibo ${recibo_id}`, modificado_por]
+    });
+
+    return { success: true, retirado: abonado };
+};
+
+/**
+ * Movimientos del saldo a favor de un cliente, del más reciente al más antiguo
+ * @param {number} cliente_id
+ * @returns {Promise<Array<Object>>}
+ */
+export const obtenerMovimientosSaldoFavor = async (cliente_id) => {
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT * FROM saldo_favor_movimientos
+            WHERE cliente_id = ?
+            ORDER BY fecha_creacion DESC, id DESC
+        `,
+        args: [cliente_id]
+    });
+
+    return result.rows.map(row => ({
+        id: Number(row.id),
+        tipo: row.tipo,
+        monto: Number(row.monto),
+        factura_id: row.factura_id != null ? Number(row.factura_id) : null,
+        pago_id: row.pago_id != null ? Number(row.pago_id) : null,
+        recibo_id: row.recibo_id != null ? Number(row.recibo_id) : null,
+        descripcion: row.descripcion,
+        modificado_por: row.modificado_por != null ? Number(row.modificado_por) : null,
+        fecha_creacion: row.fecha_creacion
+    }));
+};
+
+export default {
+    METODO_SALDO_FAVOR,
+    excedenteVaASaldoFavor,
+    obtenerSaldoFavor,
+    abonarSaldoFavor,
+    aplicarSaldoFavor,
+    revertirSaldoFavorDePago,
+    revertirSaldoFavorDeRecibo,
+    obtenerMovimientosSaldoFavor,
+    sqlSaldoFavor
+};
@@ -0,0 +1,311 @@
+/**
+ * Sesiones de usuario - V2
+ *
+ * File: src/v2/services/sesiones.js
+ *
+ * Descripción: Ciclo de vida de las sesiones guardadas en la tabla sesiones.
+ * Cada sesión tiene un token de acceso (JWT de vida corta) y un refresh token
+ * opaco con el que se obtiene un token nuevo sin volver a iniciar sesión.
+ *
+ * Reglas:
+ * - Cierre por inactividad: sin solicitudes durante SESION_INACTIVIDAD_MIN minutos
+ * - Cierre absoluto: SESION_DURACION_MAX_HORAS después del inicio, aunque haya actividad
+ * - Rotación: cada renovación reemplaza el token de acceso y el refresh token; el
+ *   refresh token anterior deja de servir. Si alguien vuelve a presentarlo se asume
+ *   que fue robado y la sesión se revoca (motivo reuso_refresh)
+ * - Del refresh token solo se guarda su hash SHA-256
+ * - Las sesiones de un usuario desactivado dejan de ser válidas
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import dbTurso from '../../database/db-turso.js';
+import generateToken from '../../utils/generateToken.js';
+
+/**
+ * Lee los tiempos de sesión desde el entorno
+ * @returns {{token_min: number, inactividad_min: number, duracion_max_horas: number}}
+ */
+export const obtenerConfiguracionSesion = () => {
+    const token = parseInt(process.env.SESION_TOKEN_MIN, 10);
+    const inactividad = parseInt(process.env.SESION_INACTIVIDAD_MIN, 10);
+    const duracion = parseInt(process.env.SESION_DURACION_MAX_HORAS, 10);
+
+    return {
+        token_min: token > 0 ? token : 60,
+        inactividad_min: inactividad > 0 ? inactividad : 120,
+        duracion_max_horas: duracion > 0 ? duracion : 12
+    };
+};
+
+const hashRefresh = (refreshToken) =>
+    crypto.createHash('sha256').update(String(refreshToken)).digest('hex');
+
+const nuevoRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * Fecha en que vence un JWT (exp) en formato ISO
+ */
+const vencimientoToken = (token) => new Date(jwt.decode(token).exp * 1000).toISOString();
+
+/**
+ * Columnas calculadas para saber si una sesión activa ya venció
+ */
+const sqlVigencia = (alias = 'sesiones') => `
+    (${alias}.expira_en IS NOT NULL AND ${alias}.expira_en <= datetime('now')) AS expirada,
+    (${alias}.ultima_actividad IS NOT NULL AND ${alias}.ultima_actividad <= datetime('now', ?)) AS inactiva
+`;
+
+const argInactividad = () => `-${obtenerConfiguracionSesion().inactividad_min} minutes`;
+
+/**
+ * Inicia una sesión para un usuario ya autenticado
+ * @param {Object} params
+ * @param {Object} params.usuario - Fila de usuarios
+ * @param {string} [params.direccion_ip]
+ * @param {string} [params.dispositivo]
+ * @returns {Promise<Object>} - { sesion_id, token, token_expira_en, refresh_token, expira_en }
+ */
+export const crearSesion = async ({ usuario, direccion_ip = '', dispositivo = 'unknown' }) => {
+    const config = obtenerConfiguracionSesion();
+    const token = generateToken(usuario, `${config.token_min}m`);
+    const refresh_token = nuevoRefreshToken();
+
+    const insertResult = await dbTurso.execute({
+        sql: `
+            INSERT INTO sesiones (usuario_id, token, direccion_ip, dispositivo, ultima_actividad, expira_en, refresh_token)
+            VALUES (?, ?, ?, ?, datetime('now'), datetime('now', ?), ?)
+        `,
+        args: [usuario.id, token, direccion_ip, dispositivo, `+${config.duracion_max_horas} hours`, hashRefresh(refresh_token)]
+    });
+
+    const sesion_id = Number(insertResult.lastInsertRowid);
+    const sesionResult = await dbTurso.execute({
+        sql: `SELECT expira_en FROM sesiones WHERE id = ?`,
+        args: [sesion_id]
+    });
+
+    return {
+        sesion_id,
+        token,
+        token_expira_en: vencimientoToken(token),
+        refresh_token,
+        expira_en: sesionResult.rows[0].expira_en
+    };
+};
+
+/**
+ * Sesión por id (activa o cerrada)
+ * @param {number} sesion_id
+ * @returns {Promise<Object|null>}
+ */
+export const obtenerSesion = async (sesion_id) => {
+    const result = await dbTurso.execute({
+        sql: `SELECT id, usuario_id, activo, fecha_fin, motivo_cierre FROM sesiones WHERE id = ?`,
+        args: [sesion_id]
+    });
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Cierra una sesión activa
+ * @param {number} sesion_id
+ * @param {string} motivo - logout, inactividad, expirada, revocada, logout_global, reuso_refresh,
+ *   cambio_contrasena o usuario_desactivado
+ * @returns {Promise<boolean>} - true si la sesión estaba activa
+ */
+export const cerrarSesion = async (sesion_id, motivo) => {
+    const result = await dbTurso.execute({
+        sql: `
+            UPDATE sesiones
+            SET activo = 0, fecha_fin = datetime('now'), motivo_cierre = ?, refresh_token = NULL
+            WHERE id = ? AND activo = 1
+        `,
+        args: [motivo, sesion_id]
+    });
+
+    return result.rowsAffected > 0;
+};
+
+/**
+ * Cierra todas las sesiones activas de un usuario ("cerrar sesión en todos lados")
+ * @param {number} usuario_id
+ * @param {Object} [opciones]
+ * @param {number} [opciones.excepto] - Sesión que se conserva (la que hace la solicitud)
+ * @param {string} [opciones.motivo] - Motivo de cierre (por defecto logout_global)
+ * @returns {Promise<number>} - Sesiones cerradas
+ */
+export const cerrarSesionesUsuario = async (usuario_id, { excepto = null, motivo = 'logout_global' } = {}) => {
+    const result = await dbTurso.execute({
+        sql: `
+            UPDATE sesiones
+            SET activo = 0, fecha_fin = datetime('now'), motivo_cierre = ?, refresh_token = NULL
+            WHERE usuario_id = ? AND activo = 1 AND (? IS NULL OR id != ?)
+        `,
+        args: [motivo, usuario_id, excepto, excepto]
+    });
+
+    return result.rowsAffected;
+};
+
+/**
+ * Busca la sesión activa de un token de acceso y aplica los límites de inactividad
+ * y duración. Una sesión vencida se cierra en ese momento.
+ * @param {string} token
+ * @returns {Promise<Object>} - { success, sesion } o { success: false, motivo }
+ */
+export const validarSesion = async (token) => {
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT s.id, s.usuario_id, s.token, s.ultima_actividad, u.rol, u.username,
+                   ${sqlVigencia('s')}
+            FROM sesiones s
+            JOIN usuarios u ON u.id = s.usuario_id
+            WHERE s.token = ? AND s.activo = 1 AND u.activo = 1
+        `,
+        args: [argInactividad(), token]
+    });
+
+    if (result.rows.length === 0) {
+        return { success: false, motivo: 'no_encontrada' };
+    }
+
+    const sesion = result.rows[0];
+
+    if (Number(sesion.expirada)) {
+        await cerrarSesion(sesion.id, 'expirada');
+        return { success: false, motivo: 'expirada' };
+    }
+
+    if (Number(sesion.inactiva)) {
+        await cerrarSesion(sesion.id, 'inactividad');
+        return { success: false, motivo: 'inactividad' };
+    }
+
+    // Se registra la actividad como máximo una vez por minuto para no escribir en cada solicitud
+    await dbTurso.execute({
+        sql: `
+            UPDATE sesiones SET ultima_actividad = datetime('now')
+            WHERE id = ? AND (ultima_actividad IS NULL OR ultima_actividad < datetime('now', '-1 minute'))
+        `,
+        args: [sesion.id]
+    });
+
+    return { success: true, sesion };
+};
+
+/**
+ * Renueva una sesión con su refresh token (rotación)
+ * @param {string} refresh_token
+ * @returns {Promise<Object>} - { success, sesion_id, usuario, token, token_expira_en, refresh_token, expira_en }
+ *   o { success: false, status, error }
+ */
+export const renovarSesion = async (refresh_token) => {
+    const hash = hashRefresh(refresh_token);
+
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT s.id, s.expira_en, u.id AS usuario_id, u.username, u.nombre, u.correo, u.rol, u.fecha_creacion,
+                   ${sqlVigencia('s')}
+            FROM sesiones s
+            JOIN usuarios u ON u.id = s.usuario_id
+            WHERE s.refresh_token = ? AND s.activo = 1 AND u.activo = 1
+        `,
+        args: [argInactividad(), hash]
+    });
+
+    if (result.rows.length === 0) {
+        // Un refresh token ya rotado que vuelve a usarse: la sesión se considera comprometida
+        const reuso = await dbTurso.execute({
+            sql: `SELECT id FROM sesiones WHERE refresh_token_anterior = ? AND activo = 1`,
+            args: [hash]
+        });
+
+        if (reuso.rows.length > 0) {
+            await cerrarSesion(reuso.rows[0].id, 'reuso_refresh');
+            return { success: false, status: 401, error: 'Refresh token ya utilizado; la sesión fue revocada por seguridad' };
+        }
+
+        return { success: false, status: 401, error: 'Refresh token inválido o sesión cerrada' };
+    }
+
+    const sesion = result.rows[0];
+
+    if (Number(sesion.expirada) || Number(sesion.inactiva)) {
+        const motivo = Number(sesion.expirada) ? 'expirada' : 'inactividad';
+        await cerrarSesion(sesion.id, motivo);
+        return {
+            success: false,
+            status: 401,
+            error: motivo === 'expirada'
+                ? 'La sesión alcanzó su duración máxima; inicie sesión de nuevo'
+                : 'La sesión se cerró por inactividad; inicie sesión de nuevo'
+        };
+    }
+
+    const usuario = {
+        id: Number(sesion.usuario_id),
+        username: sesion.username,
+        nombre: sesion.nombre,
+        correo: sesion.correo,
+        rol: sesion.rol,
+        fecha_creacion: sesion.fecha_creacion
+    };
+    const token = generateToken(usuario, `${obtenerConfiguracionSesion().token_min}m`);
+    const nuevoRefresh = nuevoRefreshToken();
+
+    // La condición sobre refresh_token evita que dos renovaciones simultáneas usen el mismo token
+    const updateResult = await dbTurso.execute({
+        sql: `
+            UPDATE sesiones
+            SET token = ?, refresh_token = ?, refresh_token_anterior = ?, ultima_actividad = datetime('now')
+            WHERE id = ? AND refresh_token = ? AND activo = 1
+        `,
+        args: [token, hashRefresh(nuevoRefresh), hash, sesion.id, hash]
+    });
+
+    if (updateResult.rowsAffected === 0) {
+        return { success: false, status: 401, error: 'Refresh token inválido o sesión cerrada' };
+    }
+
+    return {
+        success: true,
+        sesion_id: Number(sesion.id),
+        usuario,
+        token,
+        token_expira_en: vencimientoToken(token),
+        refresh_token: nuevoRefresh,
+        expira_en: sesion.expira_en
+    };
+};
+
+/**
+ * Sesiones vigentes de un usuario (activas y dentro de sus límites de tiempo)
+ * @param {number} usuario_id
+ * @returns {Promise<Array>}
+ */
+export const listarSesionesActivas = async (usuario_id) => {
+    const result = await dbTurso.execute({
+        sql: `
+            SELECT id, usuario_id, direccion_ip, dispositivo, fecha_inicio, ubicacion, ultima_actividad, expira_en
+            FROM sesiones
+            WHERE usuario_id = ? AND activo = 1
+              AND (expira_en IS NULL OR expira_en > datetime('now'))
+              AND (ultima_actividad IS NULL OR ultima_actividad > datetime('now', ?))
+            ORDER BY id DESC
+        `,
+        args: [usuario_id, argInactividad()]
+    });
+
+    return result.rows.map(row => ({
+        id: Number(row.id),
+        usuario_id: Number(row.usuario_id),
+        direccion_ip: row.direccion_ip,
+        dispositivo: row.dispositivo,
+        fecha_inicio: row.fecha_inicio,
+        ubicacion: row.ubicacion,
+        ultima_actividad: row.ultima_actividad,
+        expira_en: row.expira_en
+    }));
+};
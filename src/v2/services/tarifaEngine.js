@@ -0,0 +1,145 @@
+/**
+ * Motor de cálculo de tarifas - V2
+ *
+ * File: src/v2/services/tarifaEngine.js
+ *
+ * Descripción: Único punto de cálculo del importe de consumo a partir de los
+ * rangos de una tarifa. Lo usan la facturación manual (facturasController),
+ * la automática (lecturasController) y la simulación de tarifas.
+ *
+ * Regla de cálculo (tarifa progresiva/escalonada):
+ * - El rango que inicia en 0 es la cuota base: se cobra su precio_por_m3 una sola vez
+ * - Los rangos superiores cobran precio_por_m3 × m³ consumidos dentro del rango
+ * - Un rango con consumo_max NULL es abierto y absorbe todo el excedente
+ * - Si el consumo supera el último rango cerrado, el excedente se cobra al precio del último rango
+ * - El consumo se trunca a m³ enteros para ubicarlo en los rangos
+ */
+
+import dbTurso from '../../database/db-turso.js';
+
+/**
+ * Redondea un importe a 2 decimales
+ */
+const redondear = (num) => parseFloat(Number(num).toFixed(2));
+
+/**
+ * Calcula el desglose por rango de un consumo (función pura, sin base de datos)
+ * @param {Array<Object>} rangos - Rangos de la tarifa (consumo_min, consumo_max, precio_por_m3)
+ * @param {number} consumo_m3 - Consumo en metros cúbicos
+ * @returns {{consumo_m3: number, consumo_facturable: number, conceptos: Array<Object>, total: number}}
+ */
+export const calcularDesglose = (rangos, consumo_m3) => {
+    const ordenados = [...rangos]
+        .map(rango => ({
+            id: rango.id != null ? Number(rango.id) : null,
+            consumo_min: Number(rango.consumo_min),
+            consumo_max: rango.consumo_max != null ? Number(rango.consumo_max) : null,
+            precio_por_m3: Number(rango.precio_por_m3)
+        }))
+        .sort((a, b) => a.consumo_min - b.consumo_min);
+
+    const consumoEntero = Math.max(0, Math.floor(Number(consumo_m3) || 0));
+    const conceptos = [];
+
+    for (const rango of ordenados) {
+        if (consumoEntero < rango.consumo_min) break;
+
+        const limite = rango.consumo_max == null ? consumoEntero : Math.min(consumoEntero, rango.consumo_max);
+
+        if (rango.consumo_min === 0) {
+            // Cuota base: se cobra completa aunque el consumo no llegue al máximo del rango
+            conceptos.push({
+                tipo: 'cuota_base',
+                rango_id: rango.id,
+                consumo_min: rango.consumo_min,
+                consumo_max: rango.consumo_max,
+                m3_cobrados: limite,
+                precio_por_m3: rango.precio_por_m3,
+                subtotal: redondear(rango.precio_por_m3)
+            });
+        } else {
+            const m3_cobrados = limite - rango.consumo_min + 1;
+            conceptos.push({
+                tipo: 'rango',
+                rango_id: rango.id,
+                consumo_min: rango.consumo_min,
+                consumo_max: rango.consumo_max,
+                m3_cobrados,
+                precio_por_m3: rango.precio_por_m3,
+                subtotal: redondear(m3_cobrados * rango.precio_por_m3)
+            });
+        }
+    }
+
+    // Excedente sobre el último rango cerrado
+    const ultimoRango = ordenados[ordenados.length - 1];
+    if (ultimoRango && ultimoRango.consumo_max != null && consumoEntero > ultimoRango.consumo_max) {
+        const m3_cobrados = consumoEntero - ultimoRango.consumo_max;
+        conceptos.push({
+            tipo: 'excedente',
+            rango_id: ultimoRango.id,
+            consumo_min: ultimoRango.consumo_max + 1,
+            consumo_max: null,
+            m3_cobrados,
+            precio_por_m3: ultimoRango.precio_por_m3,
+            subtotal: redondear(m3_cobrados * ultimoRango.precio_por_m3)
+        });
+    }
+
+    const total = redondear(conceptos.reduce((sum, c) => sum + c.subtotal, 0));
+
+    return {
+        consumo_m3: Number(consumo_m3),
+        consumo_facturable: consumoEntero,
+        conceptos,
+        total
+    };
+};
+
+/**
+ * Obtiene los rangos de una tarifa ordenados ascendentemente
+ * @param {number} tarifa_id - ID de la tarifa
+ * @param {Object} [db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Array<Object>>}
+ */
+export const obtenerRangosTarifa = async (tarifa_id, db = dbTurso) => {
+    const rangosQuery = `
+        SELECT id, consumo_min, consumo_max, precio_por_m3
+        FROM rangos_tarifas
+        WHERE tarifa_id = ?
+        ORDER BY consumo_min ASC
+    `;
+    const rangosResult = await db.execute({
+        sql: rangosQuery,
+        args: [tarifa_id]
+    });
+
+    return rangosResult.rows;
+};
+
+/**
+ * Calcula el importe de un consumo con los rangos vigentes de la tarifa
+ * @param {number} tarifa_id - ID de la tarifa
+ * @param {number} consumo_m3 - Consumo en metros cúbicos
+ * @param {Object} [db] - Conexión o transacción en curso (por defecto dbTurso)
+ * @returns {Promise<Object>} - { success, desglose } o { success: false, error }
+ */
+export const calcularTarifa = async (tarifa_id, consumo_m3, db = dbTurso) => {
+    if (consumo_m3 == null || isNaN(Number(consumo_m3)) || Number(consumo_m3) < 0) {
+        return { success: false, error: 'El consumo debe ser un número mayor o igual a cero' };
+    }
+
+    const rangos = await obtenerRangosTarifa(tarifa_id, db);
+
+    if (rangos.length === 0) {
+        return { success: false, error: 'La tarifa no tiene rangos definidos' };
+    }
+
+    return { success: true, desglose: calcularDesglose(rangos, consumo_m3) };
+};
+
+export default {
+    calcularDesglose,
+    obtenerRangosTarifa,
+    calcularTarifa
+};
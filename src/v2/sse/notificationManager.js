@@ -81,6 +81,22 @@ class SSENotificationManager {
     return this.sseManager.broadcast('lectura_registrada', notification.data);
   }
 
+  /**
+   * Notificación de consumo anormal (lectura retenida para revisión)
+   */
+  consumoAnormal(lecturaData, modificadoPor) {
+    const notification = {
+      type: 'consumo_anormal',
+      data: {
+        lectura: lecturaData,
+        modificado_por: modificadoPor,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return this.sseManager.broadcast('consumo_anormal', notification.data);
+  }
+
   /**
    * Notificación de factura generada
    */
@@ -97,6 +113,36 @@ class SSENotificationManager {
     return this.sseManager.broadcast('factura_generada', notification.data);
   }
 
+  /**
+   * Notificación de facturas marcadas como vencidas
+   */
+  facturaVencida(vencimientoData) {
+    const notification = {
+      type: 'factura_vencida',
+      data: {
+        ...vencimientoData,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return this.sseManager.broadcast('factura_vencida', notification.data);
+  }
+
+  /**
+   * Notificación de avance o cambio de estado de una corrida de facturación
+   */
+  corridaFacturacion(corridaData) {
+    const notification = {
+      type: 'corrida_facturacion',
+      data: {
+        ...corridaData,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return this.sseManager.broadcast('corrida_facturacion', notification.data);
+  }
+
   /**
    * Notificación de pago registrado
    */
@@ -113,6 +159,22 @@ class SSENotificationManager {
     return this.sseManager.broadcast('pago_registrado', notification.data);
   }
 
+  /**
+   * Notificación de pago anulado (reverso que restaura el saldo de la factura)
+   */
+  pagoAnulado(anulacionData, modificadoPor) {
+    const notification = {
+      type: 'pago_anulado',
+      data: {
+        anulacion: anulacionData,
+        modificado_por: modificadoPor,
+        timestamp: new Date().toISOString()
+      }
+    };
+
+    return this.sseManager.broadcast('pago_anulado', notification.data);
+  }
+
   /**
    * Notificación de tarifa actualizada
    */
@@ -0,0 +1,30 @@
+// Anulación de pagos: el monto regresa al saldo de la factura por medio de los triggers
+
+import { prepararBase, cerrarBase, consultar, post, crearCliente, crearFactura, factura } from './entorno.js';
+
+beforeAll(prepararBase);
+afterAll(cerrarBase);
+
+describe('anulación de pagos', () => {
+    test('regresa el monto al saldo de la factura y no se anula dos veces', async () => {
+        const id = await crearFactura(await crearCliente('Pago'), 100);
+
+        const pago = await post('/pagos/registrar', {
+            factura_id: id,
+            fecha_pago: '2026-09-10',
+            cantidad_entregada: 100,
+            metodo_pago: 'Efectivo'
+        });
+        expect(pago.status).toBe(201);
+        expect(await factura(id)).toEqual(expect.objectContaining({ estado: 'Pagado', saldo_pendiente: 0 }));
+
+        const pago_id = (await consultar(`SELECT id FROM pagos WHERE factura_id = ?`, [id]))[0].id;
+        const res = await post(`/pagos/${pago_id}/anular`, { motivo: 'Billete falso' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.factura).toEqual({ id, saldo_pendiente: 100, estado: 'Pendiente' });
+        expect(await factura(id)).toEqual(expect.objectContaining({ estado: 'Pendiente', saldo_pendiente: 100 }));
+
+        expect((await post(`/pagos/${pago_id}/anular`, { motivo: 'Otra vez' })).status).toBe(409);
+    });
+});
@@ -0,0 +1,69 @@
+// Anulación de recibos de cliente: todos sus pagos y el saldo a favor que generó
+
+import { prepararBase, cerrarBase, consultar, post, crearCliente, crearFactura, factura } from './entorno.js';
+
+const { obtenerSaldoFavor, aplicarSaldoFavor } = await import('../../src/v2/services/saldoFavor.js');
+
+beforeAll(prepararBase);
+afterAll(cerrarBase);
+
+describe('anulación de recibos', () => {
+    test('anula todos los pagos del recibo y retira su excedente del saldo a favor', async () => {
+        const cliente_id = await crearCliente('Recibo');
+        const primera = await crearFactura(cliente_id, 100);
+        const segunda = await crearFactura(cliente_id, 50);
+
+        const recibo = await post('/pagos/cliente', {
+            cliente_id,
+            fecha_pago: '2026-09-10',
+            cantidad_entregada: 200,
+            metodo_pago: 'Transferencia'
+        });
+        expect(recibo.status).toBe(201);
+        expect(recibo.body.saldo_favor_abonado).toBe(50);
+        expect(await obtenerSaldoFavor(cliente_id)).toBe(50);
+
+        // Un pago del recibo no se anula por separado
+        const pagoSuelto = await post(`/pagos/${recibo.body.aplicaciones[0].pago_id}/anular`, { motivo: 'x' });
+        expect(pagoSuelto.status).toBe(409);
+        expect(pagoSuelto.body.recibo_id).toBe(recibo.body.recibo_id);
+
+        const res = await post(`/pagos/recibos/${recibo.body.recibo_id}/anular`, { motivo: 'Transferencia rechazada' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.anulacion).toEqual(expect.objectContaining({
+            monto_pagos: 150,
+            saldo_favor_retirado: 50,
+            total_devuelto: 200
+        }));
+        expect(res.body.pagos_anulados).toHaveLength(2);
+        expect(await factura(primera)).toEqual(expect.objectContaining({ estado: 'Pendiente', saldo_pendiente: 100 }));
+        expect(await factura(segunda)).toEqual(expect.objectContaining({ estado: 'Pendiente', saldo_pendiente: 50 }));
+        expect(await obtenerSaldoFavor(cliente_id)).toBe(0);
+
+        expect((await post(`/pagos/recibos/${recibo.body.recibo_id}/anular`, { motivo: 'Otra vez' })).status).toBe(409);
+    });
+
+    test('no se anula si el saldo a favor que generó ya se aplicó a otra factura', async () => {
+        const cliente_id = await crearCliente('Anticipo');
+        const anticipo = await post('/pagos/cliente', {
+            cliente_id,
+            fecha_pago: '2026-09-10',
+            cantidad_entregada: 40,
+            metodo_pago: 'Efectivo',
+            excedente_a_favor: true
+        });
+        expect(anticipo.status).toBe(201);
+        expect(await obtenerSaldoFavor(cliente_id)).toBe(40);
+
+        const id = await crearFactura(cliente_id, 30);
+        await aplicarSaldoFavor({ factura_id: id, cliente_id, fecha: '2026-09-11', modificado_por: 1 });
+
+        const res = await post(`/pagos/recibos/${anticipo.body.recibo_id}/anular`, { motivo: 'Error de captura' });
+
+        expect(res.status).toBe(409);
+        expect(await obtenerSaldoFavor(cliente_id)).toBe(10);
+        expect(await factura(id)).toEqual(expect.objectContaining({ estado: 'Pagado', saldo_pendiente: 0 }));
+        expect(await consultar(`SELECT id FROM anulaciones_recibo WHERE recibo_id = ?`, [anticipo.body.recibo_id])).toEqual([]);
+    });
+});
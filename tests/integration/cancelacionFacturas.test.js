@@ -0,0 +1,22 @@
+// Cancelación de facturas: el trigger de saldo no debe volver a marcar como pagada
+// una factura cancelada (saldo en cero)
+
+import { prepararBase, cerrarBase, consultar, post, crearCliente, crearFactura, factura } from './entorno.js';
+
+beforeAll(prepararBase);
+afterAll(cerrarBase);
+
+describe('cancelación de facturas', () => {
+    test('la factura cancelada queda sin saldo y el trigger no la marca como pagada', async () => {
+        const id = await crearFactura(await crearCliente('Cancelación'), 120);
+
+        const res = await post(`/facturas/${id}/cancelar`, { motivo: 'Emitida por error' });
+
+        expect(res.status).toBe(200);
+        expect(await factura(id)).toEqual(expect.objectContaining({ estado: 'Cancelada', saldo_pendiente: 0 }));
+        const historial = await consultar(`SELECT operacion FROM historial_cambios WHERE tabla = 'facturas' AND registro_id = ?`, [id]);
+        expect(historial.map(h => h.operacion)).toContain('CANCELACION');
+
+        expect((await post(`/facturas/${id}/cancelar`, { motivo: 'Otra vez' })).status).toBe(409);
+    });
+});
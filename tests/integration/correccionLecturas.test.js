@@ -0,0 +1,76 @@
+// Corrección de una lectura ya facturada: la lectura y el recálculo de su factura se
+// guardan juntos; si la refacturación falla a la mitad, nada cambia
+
+import { prepararBase, cerrarBase, consultar, llamar, post, crearCliente, dbTurso } from './entorno.js';
+
+beforeAll(async () => {
+    await prepararBase();
+
+    // Cuota base de 50 hasta 10 m³ y 8 por m³ después
+    await dbTurso.execute(`INSERT INTO rangos_tarifas (tarifa_id, consumo_min, consumo_max, precio_por_m3) VALUES (1, 0, 10, 50), (1, 11, NULL, 8)`);
+    await dbTurso.execute(`INSERT INTO periodos (periodo, fecha_inicio, fecha_fin) VALUES ('2026-01', '2026-01-01', '2026-01-31')`);
+    await dbTurso.execute(`INSERT INTO rutas (nombre) VALUES ('Centro')`);
+});
+afterAll(cerrarBase);
+
+const registrarLecturaFacturada = async (numero_serie) => {
+    const cliente_id = await crearCliente(numero_serie);
+    const medidor = await dbTurso.execute({
+        sql: `INSERT INTO medidores (cliente_id, numero_serie, estado_medidor) VALUES (?, ?, 'Activo')`,
+        args: [cliente_id, numero_serie]
+    });
+    const medidor_id = Number(medidor.lastInsertRowid);
+
+    const res = await post('/lecturas/registrar', {
+        medidor_id, ruta_id: 1, consumo_m3: 10, fecha_lectura: '2026-01-20', periodo: '2026-01'
+    });
+    expect(res.status).toBe(201);
+    expect(res.body.factura_generada.total).toBe(50);
+
+    return { medidor_id, lectura_id: res.body.lectura_id, factura_id: res.body.factura_generada.factura_id };
+};
+
+const estadoFactura = async (factura_id) => ({
+    factura: (await consultar(`SELECT total, saldo_pendiente FROM facturas WHERE id = ?`, [factura_id]))[0],
+    detalles: await consultar(`SELECT tipo, m3_cobrados, subtotal FROM factura_detalles WHERE factura_id = ? ORDER BY id`, [factura_id]),
+    refacturaciones: await consultar(`SELECT id FROM historial_cambios WHERE tabla = 'facturas' AND operacion = 'REFACTURACION' AND registro_id = ?`, [factura_id])
+});
+
+describe('corrección de lecturas facturadas', () => {
+    test('el consumo corregido se vuelve a facturar', async () => {
+        const { medidor_id, lectura_id, factura_id } = await registrarLecturaFacturada('M-CORRIGE');
+
+        const res = await llamar('put', `/lecturas/modificar/${lectura_id}`, {
+            medidor_id, consumo_m3: 15, fecha_lectura: '2026-01-20', periodo: '2026-01'
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body.refacturaciones).toEqual([expect.objectContaining({ factura_id, ajuste: 'total', diferencia: 40 })]);
+        const { factura } = await estadoFactura(factura_id);
+        expect(factura).toEqual({ total: 90, saldo_pendiente: 90 });
+    });
+
+    test('si la refacturación falla a la mitad, la lectura y su factura quedan como estaban', async () => {
+        const { medidor_id, lectura_id, factura_id } = await registrarLecturaFacturada('M-FALLA');
+        const antes = await estadoFactura(factura_id);
+
+        // Falla al reinsertar las líneas de consumo, después de borrar las anteriores
+        await dbTurso.execute(`
+            CREATE TRIGGER falla_detalles BEFORE INSERT ON factura_detalles
+            BEGIN SELECT RAISE(ABORT, 'falla forzada'); END
+        `);
+
+        try {
+            const res = await llamar('put', `/lecturas/modificar/${lectura_id}`, {
+                medidor_id, consumo_m3: 15, fecha_lectura: '2026-01-20', periodo: '2026-01'
+            });
+            expect(res.status).toBe(500);
+        } finally {
+            await dbTurso.execute(`DROP TRIGGER falla_detalles`);
+        }
+
+        expect(await estadoFactura(factura_id)).toEqual(antes);
+        const [lectura] = await consultar(`SELECT consumo_m3 FROM lecturas WHERE id = ?`, [lectura_id]);
+        expect(lectura.consumo_m3).toBe(10);
+    });
+});
@@ -0,0 +1,88 @@
+// Entorno de las pruebas de integración
+// tests/integration/entorno.js
+//
+// Cada archivo de pruebas trabaja sobre su propia base libsql temporal, migrada con
+// migrarBaseDeDatos, así que corren los triggers reales del esquema. Las rutas v2 se
+// montan en una app Express sin servidor ni jobs. Este módulo se importa antes que
+// cualquier otro del proyecto: db-turso.js lee la URL de la base al importarse.
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'aguavp-pruebas-'));
+process.env.TURSO_DATABASE_URL = `file:${path.join(directorio, 'pruebas.db')}`;
+
+const { default: dbTurso } = await import('../../src/database/db-turso.js');
+const { migrarBaseDeDatos, adaptadorLibsql } = await import('../../src/database/migraciones.js');
+const { default: v2Routes } = await import('../../src/v2/index.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/v2', v2Routes);
+
+let headers;
+
+/**
+ * Migra la base y da de alta la app, un superadmin con sesión y una tarifa
+ * (usar en beforeAll)
+ */
+export const prepararBase = async () => {
+    await migrarBaseDeDatos(adaptadorLibsql(dbTurso));
+
+    const appToken = jwt.sign({ app_id: 'pruebas' }, process.env.SECRET_APP_KEY);
+    await dbTurso.execute({ sql: `INSERT INTO apps (app_id, token, nombre) VALUES ('pruebas', ?, 'Pruebas')`, args: [appToken] });
+    await dbTurso.execute(`INSERT INTO usuarios (correo, nombre, contraseña, username, rol) VALUES ('admin@pruebas', 'Admin', 'x', 'admin', 'superadmin')`);
+
+    const userToken = jwt.sign({ id: 1, rol: 'superadmin' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+    await dbTurso.execute({ sql: `INSERT INTO sesiones (usuario_id, token) VALUES (1, ?)`, args: [userToken] });
+
+    await dbTurso.execute(`INSERT INTO tarifas (nombre, descripcion, fecha_inicio) VALUES ('General', 'Pruebas', '2025-01-01')`);
+
+    headers = {
+        'content-type': 'application/json',
+        'x-app-key': `AppKey ${appToken}`,
+        authorization: `Bearer ${userToken}`
+    };
+};
+
+/**
+ * Cierra la conexión y borra la base temporal (usar en afterAll)
+ */
+export const cerrarBase = () => {
+    dbTurso.close();
+    fs.rmSync(directorio, { recursive: true, force: true });
+};
+
+export const consultar = async (sql, args = []) => (await dbTurso.execute({ sql, args })).rows;
+
+export const llamar = (metodo, ruta, body) => request(app)[metodo](`/api/v2${ruta}`).set(headers).send(body);
+
+export const post = (ruta, body) => llamar('post', ruta, body);
+
+// Cada prueba usa su propio cliente: los pagos a nivel cliente toman todas sus facturas abiertas
+export const crearCliente = async (nombre) => {
+    const result = await dbTurso.execute({
+        sql: `INSERT INTO clientes (nombre, direccion, telefono, ciudad, tarifa_id) VALUES (?, 'Calle 1', ?, 'Centro', 1)`,
+        args: [nombre, nombre]
+    });
+    return Number(result.lastInsertRowid);
+};
+
+export const crearFactura = async (cliente_id, total) => {
+    const result = await dbTurso.execute({
+        sql: `
+            INSERT INTO facturas (cliente_id, fecha_emision, fecha_vencimiento, total, saldo_pendiente, estado)
+            VALUES (?, '2026-09-01', '2099-12-31', ?, ?, 'Pendiente')
+        `,
+        args: [cliente_id, total, total]
+    });
+    return Number(result.lastInsertRowid);
+};
+
+export const factura = async (id) => (await consultar(`SELECT estado, saldo_pendiente FROM facturas WHERE id = ?`, [id]))[0];
+
+export { dbTurso };
@@ -0,0 +1,10 @@
+// Entorno de las pruebas
+// tests/setup.js
+//
+// db-turso.js crea el cliente al importarse: las pruebas unitarias no tocan la base pero
+// necesitan una URL válida, y nunca deben apuntar a la base configurada en el entorno.
+// Las pruebas de integración definen la suya antes de importar los módulos.
+
+process.env.TURSO_DATABASE_URL = ':memory:';
+process.env.JWT_SECRET = 'jwt-pruebas';
+process.env.SECRET_APP_KEY = 'app-key-pruebas';
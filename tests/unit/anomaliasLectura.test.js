@@ -0,0 +1,74 @@
+import { clasificarConsumo, obtenerUmbralesAnomalia } from '../../src/v2/services/anomaliasLectura.js';
+
+const UMBRALES = { variacion_pct: 50, diferencia_min_m3: 5, periodos_historial: 6 };
+
+describe('clasificarConsumo', () => {
+    test('consumo negativo', () => {
+        expect(clasificarConsumo(-3, [10, 12], UMBRALES).anomalia).toBe('consumo_negativo');
+    });
+
+    test('consumo cero en un medidor que venía registrando consumo', () => {
+        const resultado = clasificarConsumo(0, [10, 12, 14], UMBRALES);
+
+        expect(resultado.anomalia).toBe('consumo_cero');
+        expect(resultado.detalle.consumo_promedio).toBe(12);
+    });
+
+    test('consumo cero sin historial o con historial en cero es normal', () => {
+        expect(clasificarConsumo(0, [], UMBRALES).anomalia).toBeNull();
+        expect(clasificarConsumo(0, [0, 0], UMBRALES).anomalia).toBeNull();
+    });
+
+    test('pico sobre el promedio y el periodo anterior', () => {
+        const resultado = clasificarConsumo(20, [10, 10, 10], UMBRALES);
+
+        expect(resultado.anomalia).toBe('consumo_alto');
+        expect(resultado.detalle).toEqual(expect.objectContaining({
+            consumo_anterior: 10,
+            consumo_promedio: 10,
+            periodos_historial: 3,
+            variacion_anterior: 100,
+            variacion_promedio: 100
+        }));
+    });
+
+    test('un aumento dentro del porcentaje no es pico', () => {
+        expect(clasificarConsumo(15, [10, 10, 10], UMBRALES).anomalia).toBeNull();
+    });
+
+    test('un aumento menor que la diferencia mínima en m³ no es pico', () => {
+        expect(clasificarConsumo(4, [2, 2, 2], UMBRALES).anomalia).toBeNull();
+    });
+
+    test('si no supera también al periodo anterior no es pico', () => {
+        // Promedio 16.67, pero el periodo anterior ya marcó 30
+        expect(clasificarConsumo(30, [30, 10, 10], UMBRALES).anomalia).toBeNull();
+    });
+
+    test('sin historial no hay referencia para un pico', () => {
+        const resultado = clasificarConsumo(500, [], UMBRALES);
+
+        expect(resultado.anomalia).toBeNull();
+        expect(resultado.detalle.consumo_promedio).toBeNull();
+    });
+});
+
+describe('obtenerUmbralesAnomalia', () => {
+    const variables = ['ANOMALIA_VARIACION_PCT', 'ANOMALIA_DIFERENCIA_MIN_M3', 'ANOMALIA_PERIODOS_HISTORIAL'];
+
+    afterEach(() => {
+        variables.forEach(variable => delete process.env[variable]);
+    });
+
+    test('valores por defecto', () => {
+        expect(obtenerUmbralesAnomalia()).toEqual({ variacion_pct: 50, diferencia_min_m3: 5, periodos_historial: 6 });
+    });
+
+    test('lee el entorno e ignora valores inválidos', () => {
+        process.env.ANOMALIA_VARIACION_PCT = '80';
+        process.env.ANOMALIA_DIFERENCIA_MIN_M3 = '0';
+        process.env.ANOMALIA_PERIODOS_HISTORIAL = '-2';
+
+        expect(obtenerUmbralesAnomalia()).toEqual({ variacion_pct: 80, diferencia_min_m3: 0, periodos_historial: 6 });
+    });
+});
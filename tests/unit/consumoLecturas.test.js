@@ -0,0 +1,70 @@
+import { calcularConsumo } from '../../src/v2/services/consumoLecturas.js';
+
+describe('calcularConsumo', () => {
+    test('diferencia entre la lectura anterior y la actual', () => {
+        expect(calcularConsumo({ lectura_anterior: 1200.5, lectura_actual: 1225.75 })).toEqual({
+            success: true,
+            consumo_m3: 25.25,
+            calculo_consumo: 'diferencia'
+        });
+    });
+
+    test('misma lectura es consumo cero', () => {
+        expect(calcularConsumo({ lectura_anterior: 80, lectura_actual: 80 }).consumo_m3).toBe(0);
+    });
+
+    test('vuelta a cero: suma lo que faltaba hasta la capacidad del registro', () => {
+        expect(calcularConsumo({ lectura_anterior: 9990, lectura_actual: 15, digitos: 4 })).toEqual({
+            success: true,
+            consumo_m3: 25,
+            calculo_consumo: 'vuelta'
+        });
+    });
+
+    test('una lectura menor sin dígitos del medidor es un error', () => {
+        const resultado = calcularConsumo({ lectura_anterior: 9990, lectura_actual: 15 });
+
+        expect(resultado.success).toBe(false);
+        expect(resultado.error).toMatch(/menor que la anterior/);
+    });
+
+    test('cambio de medidor: lo que marcó el retirado más lo que lleva el nuevo', () => {
+        const resultado = calcularConsumo({
+            lectura_anterior: 100,
+            lectura_actual: 20,
+            cambio: { lectura_retiro: 130, digitos_anterior: null, lectura_inicial: 0 }
+        });
+
+        expect(resultado).toEqual({ success: true, consumo_m3: 50, calculo_consumo: 'cambio_medidor' });
+    });
+
+    test('cambio de medidor cuyo registro retirado dio la vuelta', () => {
+        const resultado = calcularConsumo({
+            lectura_anterior: 995,
+            lectura_actual: 7,
+            cambio: { lectura_retiro: 3, digitos_anterior: 3, lectura_inicial: 2 }
+        });
+
+        expect(resultado).toEqual({ success: true, consumo_m3: 13, calculo_consumo: 'cambio_medidor' });
+    });
+
+    test('cambio de medidor con una lectura de retiro menor y sin dígitos es un error', () => {
+        const resultado = calcularConsumo({
+            lectura_anterior: 500,
+            lectura_actual: 10,
+            cambio: { lectura_retiro: 400, digitos_anterior: null, lectura_inicial: 0 }
+        });
+
+        expect(resultado.success).toBe(false);
+    });
+
+    test('cambio de medidor con la lectura actual menor que la inicial del nuevo es un error', () => {
+        const resultado = calcularConsumo({
+            lectura_anterior: 100,
+            lectura_actual: 3,
+            cambio: { lectura_retiro: 120, digitos_anterior: null, lectura_inicial: 10 }
+        });
+
+        expect(resultado.success).toBe(false);
+    });
+});
@@ -0,0 +1,60 @@
+import {
+    ROLES,
+    PERMISOS_POR_ROL,
+    tienePermiso,
+    puedeGestionarRol,
+    permisoDeRuta
+} from '../../src/config/permisos.js';
+
+describe('tienePermiso', () => {
+    test('cada rol tiene su lista de permisos', () => {
+        expect(Object.keys(PERMISOS_POR_ROL).sort()).toEqual([...ROLES].sort());
+    });
+
+    test('solo el superadmin asigna superadmins', () => {
+        expect(tienePermiso('superadmin', 'usuarios.asignar_superadmin')).toBe(true);
+        expect(tienePermiso('administrador', 'usuarios.asignar_superadmin')).toBe(false);
+    });
+
+    test('supervisar cajas ajenas no es del operador', () => {
+        expect(tienePermiso('administrador', 'cajas.supervisar')).toBe(true);
+        expect(tienePermiso('operador', 'cajas.supervisar')).toBe(false);
+    });
+
+    test('un rol desconocido no tiene permisos', () => {
+        expect(tienePermiso('invitado', 'pagos.ver')).toBe(false);
+    });
+});
+
+describe('puedeGestionarRol', () => {
+    test.each([
+        ['superadmin', 'superadmin', true],
+        ['superadmin', 'administrador', true],
+        ['superadmin', 'operador', true],
+        ['administrador', 'superadmin', false],
+        ['administrador', 'administrador', false],
+        ['administrador', 'operador', true],
+        ['operador', 'administrador', false],
+        ['operador', 'operador', false]
+    ])('%s sobre %s: %s', (actor, objetivo, esperado) => {
+        expect(puedeGestionarRol(actor, objetivo)).toBe(esperado);
+    });
+
+    test('un rol desconocido no gestiona ni es gestionado', () => {
+        expect(puedeGestionarRol('superadmin', 'invitado')).toBe(false);
+        expect(puedeGestionarRol('invitado', 'operador')).toBe(false);
+        expect(puedeGestionarRol(undefined, 'operador')).toBe(false);
+    });
+});
+
+describe('permisoDeRuta', () => {
+    test('resuelve método, base del router y ruta declarada', () => {
+        expect(permisoDeRuta('POST', '/api/v2/pagos', '/:id/anular')).toBe('pagos.anular');
+        expect(permisoDeRuta('POST', '/api/v2/pagos', '/recibos/:id/anular')).toBe('pagos.anular');
+        expect(permisoDeRuta('PUT', '/api/v2/usuarios', '/:id/rol')).toBe('usuarios.modificar');
+    });
+
+    test('una ruta fuera del mapa no tiene permiso', () => {
+        expect(permisoDeRuta('DELETE', '/api/v2/pagos', '/:id')).toBeUndefined();
+    });
+});
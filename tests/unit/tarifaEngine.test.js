@@ -0,0 +1,90 @@
+import { calcularDesglose } from '../../src/v2/services/tarifaEngine.js';
+
+// Cuota base de 0 a 10 m³, rango de 11 a 20 y rango abierto desde 21
+const RANGOS = [
+    { id: 3, consumo_min: 21, consumo_max: null, precio_por_m3: 12 },
+    { id: 1, consumo_min: 0, consumo_max: 10, precio_por_m3: 50 },
+    { id: 2, consumo_min: 11, consumo_max: 20, precio_por_m3: 8 }
+];
+
+describe('calcularDesglose', () => {
+    test('dentro de la cuota base se cobra solo la cuota, aunque no llegue al máximo', () => {
+        const desglose = calcularDesglose(RANGOS, 4);
+
+        expect(desglose.total).toBe(50);
+        expect(desglose.conceptos).toEqual([
+            expect.objectContaining({ tipo: 'cuota_base', rango_id: 1, m3_cobrados: 4, subtotal: 50 })
+        ]);
+    });
+
+    test('consumo cero paga la cuota base', () => {
+        expect(calcularDesglose(RANGOS, 0).total).toBe(50);
+    });
+
+    test('cobra cada rango por los m³ consumidos dentro de él', () => {
+        const desglose = calcularDesglose(RANGOS, 25);
+
+        expect(desglose.conceptos.map(c => [c.tipo, c.m3_cobrados, c.subtotal])).toEqual([
+            ['cuota_base', 10, 50],
+            ['rango', 10, 80],
+            ['rango', 5, 60]
+        ]);
+        expect(desglose.total).toBe(190);
+    });
+
+    test('el límite de un rango cerrado se cobra en ese rango', () => {
+        const desglose = calcularDesglose(RANGOS, 20);
+
+        expect(desglose.conceptos).toHaveLength(2);
+        expect(desglose.total).toBe(130);
+    });
+
+    test('el excedente sobre el último rango cerrado se cobra a su precio', () => {
+        const cerrados = RANGOS.filter(r => r.consumo_max != null);
+        const desglose = calcularDesglose(cerrados, 25);
+
+        expect(desglose.conceptos[2]).toEqual(expect.objectContaining({
+            tipo: 'excedente',
+            rango_id: 2,
+            consumo_min: 21,
+            consumo_max: null,
+            m3_cobrados: 5,
+            subtotal: 40
+        }));
+        expect(desglose.total).toBe(170);
+    });
+
+    test('trunca el consumo a m³ enteros', () => {
+        const desglose = calcularDesglose(RANGOS, 12.9);
+
+        expect(desglose.consumo_m3).toBe(12.9);
+        expect(desglose.consumo_facturable).toBe(12);
+        expect(desglose.total).toBe(66);
+    });
+
+    test('acepta los valores como texto, como llegan de la base', () => {
+        const comoTexto = RANGOS.map(r => ({
+            ...r,
+            consumo_min: String(r.consumo_min),
+            consumo_max: r.consumo_max != null ? String(r.consumo_max) : null,
+            precio_por_m3: String(r.precio_por_m3)
+        }));
+
+        expect(calcularDesglose(comoTexto, 25).total).toBe(190);
+    });
+
+    test('redondea los importes a dos decimales', () => {
+        const rangos = [
+            { consumo_min: 0, consumo_max: 5, precio_por_m3: 35.5 },
+            { consumo_min: 6, consumo_max: null, precio_por_m3: 3.333 }
+        ];
+
+        expect(calcularDesglose(rangos, 9).total).toBe(48.83);
+    });
+
+    test('sin rangos o con consumo inválido el total es cero', () => {
+        expect(calcularDesglose([], 30).total).toBe(0);
+        expect(calcularDesglose(RANGOS, 'abc').consumo_facturable).toBe(0);
+        expect(calcularDesglose(RANGOS, -5).consumo_facturable).toBe(0);
+    });
+});